@@ -0,0 +1,73 @@
+(function() {
+const links = document.querySelectorAll('a.cite-ref');
+if (!links.length) return;
+const popover = document.createElement('div');
+popover.id = 'cite-popover';
+popover.className = 'cite-popover';
+popover.setAttribute('role', 'tooltip');
+popover.hidden = true;
+document.body.appendChild(popover);
+let hideTimeout = null;
+function show(link) {
+const entry = document.getElementById(link.getAttribute('href').slice(1));
+if (!entry) return;
+clearTimeout(hideTimeout);
+popover.innerHTML = entry.innerHTML;
+popover.hidden = false;
+link.setAttribute('aria-describedby', 'cite-popover');
+const rect = link.getBoundingClientRect();
+const width = popover.offsetWidth;
+const left = Math.max(8, Math.min(rect.left + window.scrollX, window.scrollX + document.documentElement.clientWidth - width - 8));
+popover.style.left = left + 'px';
+popover.style.top = (rect.bottom + window.scrollY + 8) + 'px';
+}
+function hide(link) {
+hideTimeout = setTimeout(() => {
+popover.hidden = true;
+if (link) link.removeAttribute('aria-describedby');
+}, 150);
+}
+links.forEach(link => {
+link.addEventListener('mouseenter', () => show(link));
+link.addEventListener('focus', () => show(link));
+link.addEventListener('mouseleave', () => hide(link));
+link.addEventListener('blur', () => hide(link));
+});
+popover.addEventListener('mouseenter', () => clearTimeout(hideTimeout));
+popover.addEventListener('mouseleave', () => hide(document.querySelector('[aria-describedby="cite-popover"]')));
+document.addEventListener('keydown', (e) => {
+if (e.key === 'Escape') popover.hidden = true;
+});
+})();
+(function() {
+const buttons = document.querySelectorAll('.cite-copy');
+if (!buttons.length) return;
+const status = document.getElementById('cite-copy-status');
+function copy(text) {
+if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+const area = document.createElement('textarea');
+area.value = text;
+area.style.position = 'fixed';
+area.style.opacity = '0';
+document.body.appendChild(area);
+area.select();
+let copied = false;
+try { copied = document.execCommand('copy'); } catch (e) {}
+area.remove();
+return copied ? Promise.resolve() : Promise.reject(new Error('copy failed'));
+}
+function show(btn, label, message) {
+btn.textContent = label;
+if (status) status.textContent = message;
+setTimeout(() => { btn.textContent = 'Copy'; }, 2000);
+}
+buttons.forEach(btn => {
+btn.addEventListener('click', () => {
+const source = document.getElementById(btn.dataset.copy);
+if (!source) return;
+copy(source.textContent)
+.then(() => show(btn, 'Copied', btn.dataset.format + ' citation copied to clipboard'))
+.catch(() => show(btn, 'Copy failed', 'Could not copy the ' + btn.dataset.format + ' citation; select it and copy it by hand'));
+});
+});
+})();
\ No newline at end of file
@@ -0,0 +1,287 @@
+if (localStorage.theme === 'light') {
+document.documentElement.classList.remove('dark');
+} else if (localStorage.theme === 'dark' || !('theme' in localStorage)) {
+document.documentElement.classList.add('dark');
+} else if (window.matchMedia('(prefers-color-scheme: dark)').matches) {
+document.documentElement.classList.add('dark');
+}
+(function() {
+const triggers = document.querySelectorAll('.mega-trigger');
+const panels = document.querySelectorAll('.mega-panel');
+let activePanel = null;
+let closeTimeout = null;
+function openPanel(id) {
+clearTimeout(closeTimeout);
+panels.forEach(p => { p.classList.add('hidden'); });
+triggers.forEach(t => t.setAttribute('aria-expanded', 'false'));
+const panel = document.getElementById('mega-' + id);
+const trigger = document.querySelector('[data-mega="' + id + '"] .mega-trigger');
+if (panel) { panel.classList.remove('hidden'); activePanel = panel; }
+if (trigger) trigger.setAttribute('aria-expanded', 'true');
+}
+function scheduleClose() {
+closeTimeout = setTimeout(() => {
+panels.forEach(p => p.classList.add('hidden'));
+triggers.forEach(t => t.setAttribute('aria-expanded', 'false'));
+activePanel = null;
+}, 200);
+}
+function cancelClose() { clearTimeout(closeTimeout); }
+triggers.forEach(btn => {
+const wrapper = btn.closest('[data-mega]');
+const id = wrapper.getAttribute('data-mega');
+btn.addEventListener('mouseenter', () => openPanel(id));
+btn.addEventListener('click', (e) => {
+e.preventDefault();
+const panel = document.getElementById('mega-' + id);
+if (panel && !panel.classList.contains('hidden')) {
+panel.classList.add('hidden');
+btn.setAttribute('aria-expanded', 'false');
+} else {
+openPanel(id);
+}
+});
+wrapper.addEventListener('mouseleave', scheduleClose);
+});
+panels.forEach(panel => {
+panel.addEventListener('mouseenter', cancelClose);
+panel.addEventListener('mouseleave', scheduleClose);
+});
+document.addEventListener('click', (e) => {
+if (!e.target.closest('[data-mega]') && !e.target.closest('.mega-panel')) {
+panels.forEach(p => p.classList.add('hidden'));
+triggers.forEach(t => t.setAttribute('aria-expanded', 'false'));
+}
+});
+document.addEventListener('keydown', (e) => {
+if (e.key === 'Escape') {
+panels.forEach(p => p.classList.add('hidden'));
+triggers.forEach(t => t.setAttribute('aria-expanded', 'false'));
+}
+});
+})();
+const mobileMenuBtn = document.getElementById('mobile-menu-btn');
+const mobileMenu = document.getElementById('mobile-menu');
+const menuIcon = document.getElementById('menu-icon');
+const closeIcon = document.getElementById('close-icon');
+if (mobileMenuBtn) {
+mobileMenuBtn.addEventListener('click', () => {
+mobileMenu.classList.toggle('hidden');
+menuIcon.classList.toggle('hidden');
+closeIcon.classList.toggle('hidden');
+});
+}
+document.querySelectorAll('.mobile-section-toggle').forEach(btn => {
+btn.addEventListener('click', () => {
+const section = btn.nextElementSibling;
+const chevron = btn.querySelector('svg');
+section.classList.toggle('hidden');
+chevron.style.transform = section.classList.contains('hidden') ? '' : 'rotate(180deg)';
+});
+});
+(function() {
+const boxes = document.querySelectorAll('[data-search]');
+if (!boxes.length) return;
+const MAX_RESULTS = 8;
+let index = null;
+let loading = null;
+function load() {
+if (!loading) {
+loading = fetch('/search-index.json')
+.then(res => {
+if (!res.ok) throw new Error('search index: ' + res.status);
+return res.json();
+})
+.then(data => {
+index = { docs: data.docs, sections: data.sections, terms: data.terms, keys: Object.keys(data.terms), stop: new Set(data.stop), postings: new Map() };
+})
+.catch(() => { loading = null; });
+}
+return loading;
+}
+function tokenize(text) {
+return (text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').match(/[a-z0-9]+/g) || [])
+.filter(word => word.length > 1 && !index.stop.has(word));
+}
+function postings(term) {
+if (!index.postings.has(term)) {
+const sections = new Map();
+let section = 0;
+index.terms[term].split(' ').forEach(entry => {
+const parts = entry.split('*');
+section += parseInt(parts[0], 36);
+sections.set(section, parts[1] ? Number(parts[1]) : 1);
+});
+index.postings.set(term, sections);
+}
+return index.postings.get(term);
+}
+function distance(a, b, max) {
+if (Math.abs(a.length - b.length) > max) return max + 1;
+let previous = [];
+for (let j = 0; j <= b.length; j++) previous[j] = j;
+for (let i = 1; i <= a.length; i++) {
+const row = [i];
+let best = i;
+for (let j = 1; j <= b.length; j++) {
+row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+best = Math.min(best, row[j]);
+}
+if (best > max) return max + 1;
+previous = row;
+}
+return previous[b.length];
+}
+function expand(word, typing) {
+const typos = word.length < 4 ? 0 : word.length < 8 ? 1 : 2;
+const matches = [];
+index.keys.forEach(key => {
+if (key === word) matches.push([key, 1]);
+else if (typing && key.startsWith(word)) matches.push([key, 0.8]);
+else if (typos && distance(word, key, typos) <= typos) matches.push([key, 0.5]);
+else if (typing && typos && key.length > word.length && distance(word, key.slice(0, word.length), 1) <= 1) matches.push([key, 0.4]);
+});
+return matches;
+}
+function search(query) {
+const words = tokenize(query);
+const pages = new Map();
+words.forEach((word, w) => {
+const scores = new Map();
+expand(word, w === words.length - 1 && !/\s$/.test(query)).forEach(([term, factor]) => {
+postings(term).forEach((weight, section) => {
+scores.set(section, Math.max(scores.get(section) || 0, weight * factor));
+});
+});
+scores.forEach((score, section) => {
+const doc = index.sections[section][0];
+let page = pages.get(doc);
+if (!page) {
+if (w > 0) return;
+page = { doc, words: [], sections: new Map() };
+pages.set(doc, page);
+}
+page.words[w] = Math.max(page.words[w] || 0, score);
+page.sections.set(section, (page.sections.get(section) || 0) + score);
+});
+});
+const results = [];
+pages.forEach(page => {
+if (!words.every((word, w) => page.words[w])) return;
+let best = -1;
+page.sections.forEach((score, section) => {
+if (best === -1 || score > page.sections.get(best)) best = section;
+});
+results.push({ doc: page.doc, section: best, score: page.words.reduce((a, b) => a + b, 0) + page.sections.get(best) / 10 });
+});
+return results.sort((a, b) => b.score - a.score).slice(0, MAX_RESULTS);
+}
+function highlight(el, text, pattern) {
+let last = 0;
+if (pattern) {
+for (const match of text.matchAll(pattern)) {
+el.appendChild(document.createTextNode(text.slice(last, match.index)));
+const mark = document.createElement('mark');
+mark.textContent = match[0];
+el.appendChild(mark);
+last = match.index + match[0].length;
+}
+}
+el.appendChild(document.createTextNode(text.slice(last)));
+}
+function part(className, text, pattern) {
+const span = document.createElement('span');
+span.className = className;
+highlight(span, text, pattern);
+return span;
+}
+boxes.forEach(box => {
+const input = box.querySelector('input');
+const list = box.querySelector('[role="listbox"]');
+let active = -1;
+function close() {
+list.hidden = true;
+input.setAttribute('aria-expanded', 'false');
+input.removeAttribute('aria-activedescendant');
+active = -1;
+}
+function setActive(i) {
+const options = list.querySelectorAll('[role="option"]');
+if (!options.length) return;
+active = (i + options.length) % options.length;
+options.forEach((option, j) => option.setAttribute('aria-selected', j === active ? 'true' : 'false'));
+input.setAttribute('aria-activedescendant', options[active].id);
+options[active].scrollIntoView({ block: 'nearest' });
+}
+function render() {
+const query = input.value.trim();
+list.textContent = '';
+if (!query || !index) { close(); return; }
+active = -1;
+input.removeAttribute('aria-activedescendant');
+const words = tokenize(query);
+const pattern = words.length ? new RegExp('\\b(?:' + words.join('|') + ')', 'gi') : null;
+const results = search(input.value);
+results.forEach((result, i) => {
+const [doc, anchor, heading, snippet] = index.sections[result.section];
+const [url, title, cluster] = index.docs[doc];
+const option = document.createElement('li');
+option.id = list.id + '-' + i;
+option.setAttribute('role', 'option');
+option.setAttribute('aria-selected', 'false');
+const link = document.createElement('a');
+link.href = anchor ? url + '#' + anchor : url;
+link.tabIndex = -1;
+link.appendChild(part('site-search-title', title, pattern));
+link.appendChild(part('site-search-meta', heading ? cluster + ' › ' + heading : cluster, null));
+link.appendChild(part('site-search-snippet', snippet, pattern));
+option.appendChild(link);
+list.appendChild(option);
+});
+if (!results.length) {
+const empty = document.createElement('li');
+empty.className = 'site-search-empty';
+empty.textContent = 'No entries match “' + query + '”';
+list.appendChild(empty);
+}
+list.hidden = false;
+input.setAttribute('aria-expanded', 'true');
+}
+input.addEventListener('focus', () => load().then(render));
+input.addEventListener('input', () => (index ? render() : load().then(render)));
+input.addEventListener('keydown', (e) => {
+if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !list.hidden) {
+e.preventDefault();
+setActive(e.key === 'ArrowDown' ? active + 1 : Math.max(active, 0) - 1);
+} else if (e.key === 'Enter' && !list.hidden) {
+const links = list.querySelectorAll('[role="option"] a');
+const target = links[Math.max(active, 0)];
+if (target) {
+e.preventDefault();
+close();
+window.location.href = target.href;
+}
+} else if (e.key === 'Escape') {
+if (list.hidden) input.blur();
+close();
+}
+});
+list.addEventListener('mousedown', (e) => e.preventDefault());
+list.addEventListener('click', close);
+box.addEventListener('focusout', (e) => {
+if (!box.contains(e.relatedTarget)) close();
+});
+});
+document.addEventListener('keydown', (e) => {
+if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+if (e.target.closest('input, textarea, select') || e.target.isContentEditable) return;
+const input = Array.from(boxes).map(box => box.querySelector('input')).find(el => el.offsetParent !== null);
+if (input) {
+e.preventDefault();
+input.focus();
+}
+});
+})();
+document.querySelectorAll('#newsletter form').forEach(form => {
+form.addEventListener('submit', (e) => e.preventDefault());
+});
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * Production asset handling for dist/, run by build.js once every page is
+ * written.
+ *
+ * - minifyCss / minifyJs / minifyHtml — conservative, dependency-free
+ *   minifiers; each is idempotent, so incremental builds can re-run them
+ *   over pages the manifest kept
+ * - fingerprint(urlPath, content) — "/css/site.css" → "/css/site.<hash>.css"
+ * - linkAssets(html, assets) points a page's href/src at the fingerprinted
+ *   names (or from an earlier build's fingerprint to the current one)
+ * - compressFiles(dir) writes .br and .gz siblings of every text file that
+ *   changed, and removes siblings whose file is gone
+ * - formatHeaders(rules) renders a Netlify _headers file
+ *
+ * Used by build.js.
+ *
+ * Exports: minifyCss, minifyJs, minifyHtml, fingerprint, linkAssets,
+ *          compressFiles, formatHeaders, IMMUTABLE
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { hashContent } = require('./build-manifest');
+
+// Cache-Control for fingerprinted files: a new version gets a new name
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+
+const COMPRESSIBLE = ['.html', '.css', '.js', '.json', '.xml', '.txt', '.svg', '.bib', '.ris'];
+const COMPRESSED = ['.br', '.gz'];
+
+// ─── Minifiers ─────────────────────────────────────────────────────
+
+/**
+ * Strip comments and the whitespace CSS doesn't need. Whitespace before a
+ * colon is kept (`.a :hover` is a descendant selector), as is the space in
+ * an empty custom property (`--tw-ring-inset: ;`).
+ */
+function minifyCss(css) {
+    return css
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/\s*([{};,>])\s*/g, '$1')
+        .replace(/:\s+(?=[^\s;])/g, ':')
+        .replace(/;}/g, '}')
+        .trim();
+}
+
+/**
+ * Drop indentation, blank lines and whole-line // comments. Line breaks
+ * stay, so automatic semicolon insertion behaves exactly as before.
+ */
+function minifyJs(js) {
+    return js
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('//'))
+        .join('\n');
+}
+
+/**
+ * Remove comments and collapse whitespace: a run containing a line break
+ * becomes one newline, any other run one space, so inline layout is
+ * unchanged. <pre> and <textarea> are left alone; inline <style> and
+ * <script> bodies go through minifyCss / minifyJs (JSON-LD is compacted).
+ */
+function minifyHtml(html) {
+    const kept = [];
+    const keep = text => `\u0000${kept.push(text) - 1}\u0000`;
+
+    const protectedHtml = html
+        .replace(/<(pre|textarea)\b[\s\S]*?<\/\1>/gi, keep)
+        .replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi, (m, open, body, close) => keep(open + minifyCss(body) + close))
+        .replace(/(<script\b([^>]*)>)([\s\S]*?)(<\/script>)/gi, (m, open, attrs, body, close) => {
+            if (/type="application\/ld\+json"/.test(attrs)) {
+                try {
+                    return keep(open + JSON.stringify(JSON.parse(body)) + close);
+                } catch (e) {
+                    // Invalid JSON-LD is reported by schema validation; leave it as written
+                    return keep(m);
+                }
+            }
+            return keep(open + minifyJs(body) + close);
+        })
+        .replace(/<!--(?!\[if)[\s\S]*?-->/g, '');
+
+    return protectedHtml
+        .replace(/\s+/g, ws => ws.includes('\n') ? '\n' : ' ')
+        .trim()
+        .replace(/\u0000(\d+)\u0000/g, (m, i) => kept[i]) + '\n';
+}
+
+// ─── Fingerprints ──────────────────────────────────────────────────
+
+/**
+ * The fingerprinted URL path for an asset's content.
+ */
+function fingerprint(urlPath, content) {
+    const ext = path.extname(urlPath);
+    return `${urlPath.slice(0, -ext.length)}.${hashContent(content).slice(0, 10)}${ext}`;
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Rewrite href/src attributes that name an asset — by its plain path or
+ * any earlier fingerprint — to its current fingerprinted path.
+ * assets: { "/css/site.css": "/css/site.<hash>.css", ... }
+ */
+function linkAssets(html, assets) {
+    let result = html;
+    for (const [urlPath, fingerprinted] of Object.entries(assets)) {
+        const ext = path.extname(urlPath);
+        const pattern = new RegExp(`(\\s(?:href|src)=")${escapeRegExp(urlPath.slice(0, -ext.length))}(?:\\.[0-9a-f]{10})?${escapeRegExp(ext)}"`, 'g');
+        result = result.replace(pattern, `$1${fingerprinted}"`);
+    }
+    return result;
+}
+
+// ─── Compression ───────────────────────────────────────────────────
+
+/**
+ * Write .br and .gz siblings for every compressible file under dir whose
+ * siblings are missing or older than it, and delete siblings whose file no
+ * longer exists. Returns { compressed, removed } (file counts).
+ */
+function compressFiles(dir) {
+    let compressed = 0;
+    let removed = 0;
+
+    function visit(current) {
+        for (const item of fs.readdirSync(current, { withFileTypes: true })) {
+            const fullPath = path.join(current, item.name);
+            const ext = path.extname(item.name);
+            if (item.isDirectory()) {
+                visit(fullPath);
+            } else if (COMPRESSED.includes(ext)) {
+                if (!fs.existsSync(fullPath.slice(0, -ext.length))) {
+                    fs.rmSync(fullPath);
+                    removed++;
+                }
+            } else if (COMPRESSIBLE.includes(ext)) {
+                const modified = fs.statSync(fullPath).mtimeMs;
+                const stale = COMPRESSED.some(suffix => !fs.existsSync(fullPath + suffix) || fs.statSync(fullPath + suffix).mtimeMs < modified);
+                if (!stale) continue;
+
+                const content = fs.readFileSync(fullPath);
+                fs.writeFileSync(`${fullPath}.br`, zlib.brotliCompressSync(content, {
+                    params: {
+                        [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+                        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+                    }
+                }));
+                fs.writeFileSync(`${fullPath}.gz`, zlib.gzipSync(content, { level: zlib.constants.Z_BEST_COMPRESSION }));
+                compressed++;
+            }
+        }
+    }
+
+    visit(dir);
+    return { compressed, removed };
+}
+
+// ─── Headers ───────────────────────────────────────────────────────
+
+/**
+ * A Netlify _headers file. rules: [{ path, headers: { Name: value } }].
+ */
+function formatHeaders(rules) {
+    const blocks = rules.map(rule => [
+        rule.path,
+        ...Object.entries(rule.headers).map(([name, value]) => `  ${name}: ${value}`)
+    ].join('\n'));
+    return `# Generated by scripts/build.js — do not edit\n\n${blocks.join('\n\n')}\n`;
+}
+
+module.exports = {
+    minifyCss,
+    minifyJs,
+    minifyHtml,
+    fingerprint,
+    linkAssets,
+    compressFiles,
+    formatHeaders,
+    IMMUTABLE
+};
@@ -0,0 +1,162 @@
+/**
+ * Links the first mention of a key term in each article to the term's own
+ * entry ("phosphocreatine" → /science/creatine-phosphocreatine-system).
+ *
+ * The term map is generated from article titles — "Creatine vs. HMB: ..."
+ * gives "HMB", "The Creatine Transporter (SLC6A8): ..." gives "creatine
+ * transporter" and "SLC6A8" — and extended in site.config.js `autolink`:
+ * `terms` adds or redirects terms, `exclude` drops generated ones too
+ * generic to link. A term two titles generate is ambiguous and dropped.
+ *
+ * In each article only prose is linked: never headings, existing links,
+ * code, or anything from the Bibliography on. A term is skipped on the
+ * article it points to and when it is part of the article's own title;
+ * each target is linked once, up to `maxLinks` per article.
+ *
+ * - buildTermMap(articles, config): [{ term, id }], longest terms first
+ * - autoLink(html, id, terms, options): the page with terms linked
+ *
+ * Used by build.js.
+ *
+ * Exports: MAX_LINKS, titleTerms, buildTermMap, autoLink
+ */
+
+const { extractBibliography } = require('./references');
+const { mapText } = require('./citations');
+
+// Single words a title can reduce to that say nothing on their own
+const GENERIC_TERMS = new Set([
+    'absorption', 'adults', 'athletes', 'capsules', 'cycling', 'dosing', 'flavored', 'generic', 'guide', 'micronized',
+    'monohydrate', 'powder', 'recovery', 'safety', 'storage', 'strength', 'supplementation', 'timing', 'women'
+]);
+
+// "Is Creatine Safe?", "How to Read...", "Taking Creatine and Protein Together"
+const QUESTION_HEAD = /^(?:is|are|how|what|why|when|should|does|do|can|taking|best|first|skipping)\b/i;
+
+const ACRONYM = /^[A-Z][A-Z0-9]{2,}$/;
+
+// Links per article unless site.config.js `autolink.maxLinks` says otherwise
+const MAX_LINKS = 8;
+
+function decodeEntities(str) {
+    return str
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&nbsp;/g, ' ');
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Terms an article's title names: the subject of "Creatine vs./and/for X",
+ * the first side of "X vs. Y", or the whole heading before its colon,
+ * without a leading "The" and split at parentheses, "and" and "/". A
+ * leading "Creatine" is dropped when two or more words follow it. Titles
+ * phrased as questions or instructions name no term.
+ */
+function titleTerms(title) {
+    const head = decodeEntities(title).split(/[:?]/)[0].trim().replace(/^The\s+/i, '');
+    if (QUESTION_HEAD.test(head)) return [];
+
+    let m;
+    let subject = head;
+    if ((m = head.match(/^Creatine\s+(?:vs\.?|and|for)\s+(.+)$/i))) subject = m[1];
+    else if ((m = head.match(/^(.+?)\s+vs\.?\s+/i))) subject = m[1];
+    else if ((m = head.match(/^(.+?)\s+for\s+Creatine$/i))) subject = m[1];
+
+    return subject
+        .split(/\s*[()/]\s*|\s+and\s+/)
+        .map(part => part.trim().replace(/^([A-Z0-9]{3,})s$/, '$1'))
+        .filter(part => part && !/^\d/.test(part) && !/\b(?:complete|every|history|guide)\b/i.test(part))
+        .filter(part => {
+            // "Creatine Loading Protocol" → "Loading Protocol", but "Creatine Transporter" stays whole
+            const rest = part.replace(/^Creatine\s+/i, '');
+            return rest.includes(' ') || ACRONYM.test(rest) || rest.length >= 4 && !GENERIC_TERMS.has(rest.toLowerCase());
+        })
+        .map(part => (/^Creatine\s+\S+\s/i.test(part) ? part.replace(/^Creatine\s+/i, '') : part));
+}
+
+/**
+ * The term map for a set of articles ([{ id, title }]) and the
+ * site.config.js `autolink` settings. Terms match case-insensitively.
+ * Throws if a configured term points at an article that doesn't exist.
+ */
+function buildTermMap(articles, config = {}) {
+    const ids = new Set(articles.map(article => article.id));
+    const generated = new Map();
+    const ambiguous = new Set();
+
+    for (const article of articles) {
+        for (const term of titleTerms(article.title)) {
+            const key = term.toLowerCase();
+            if (generated.has(key) && generated.get(key).id !== article.id) ambiguous.add(key);
+            else generated.set(key, { term, id: article.id });
+        }
+    }
+    ambiguous.forEach(key => generated.delete(key));
+    (config.exclude || []).forEach(term => generated.delete(term.toLowerCase()));
+
+    const unknown = [];
+    for (const [term, id] of Object.entries(config.terms || {})) {
+        if (!ids.has(id)) unknown.push(`${term} → ${id}`);
+        generated.set(term.toLowerCase(), { term, id });
+    }
+    if (unknown.length > 0) {
+        throw new Error(`autolink.terms in site.config.js point at unknown articles: ${unknown.join(', ')}`);
+    }
+
+    return [...generated.values()].sort((a, b) => b.term.length - a.term.length || a.term.localeCompare(b.term));
+}
+
+/**
+ * Link the first qualifying mention of each term in a page's <article>.
+ * `id` is the page's own article id ("safety/creatine-and-kidneys").
+ * options: { maxLinks, title } (title defaults to the article's <h1>).
+ * Returns { html, links: [{ term, id }] }.
+ */
+function autoLink(html, id, terms, options = {}) {
+    const articleStart = html.search(/<article\b/);
+    const articleEnd = html.indexOf('</article>', articleStart);
+    if (articleStart === -1 || articleEnd === -1 || terms.length === 0) return { html, links: [] };
+
+    const article = html.slice(articleStart, articleEnd);
+    const bib = extractBibliography(article);
+    const prose = bib ? article.slice(0, bib.headingStart) : article;
+
+    const h1 = prose.match(/<h1[^>]*>([\s\S]*?)<\/h1>/);
+    const ownTitle = (options.title || (h1 ? decodeEntities(h1[1].replace(/<[^>]+>/g, '')) : '')).toLowerCase();
+    const candidates = new Map(terms
+        .filter(entry => entry.id !== id && !ownTitle.includes(entry.term.toLowerCase()))
+        .map(entry => [entry.term.toLowerCase(), entry]));
+    if (candidates.size === 0) return { html, links: [] };
+
+    // Whole words (or their plural) only; longest terms first so "loading
+    // phase" wins over "loading"
+    const pattern = new RegExp(`(?<![\\w-])(${[...candidates.keys()].map(escapeRegExp).join('|')})s?(?![\\w-])`, 'gi');
+    const maxLinks = options.maxLinks ?? MAX_LINKS;
+    const linked = new Set();
+    const links = [];
+
+    const linkedProse = mapText(prose, text => text.replace(pattern, (match, term) => {
+        const entry = candidates.get(term.toLowerCase());
+        if (links.length >= maxLinks || linked.has(entry.id)) return match;
+        linked.add(entry.id);
+        links.push(entry);
+        return `<a href="/${entry.id}" class="term-link">${match}</a>`;
+    }));
+
+    return {
+        html: html.slice(0, articleStart) + linkedProse + article.slice(prose.length) + html.slice(articleEnd),
+        links
+    };
+}
+
+module.exports = {
+    MAX_LINKS,
+    titleTerms,
+    buildTermMap,
+    autoLink
+};
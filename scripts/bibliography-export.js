@@ -0,0 +1,162 @@
+/**
+ * Bibliography export formats for reference managers.
+ *
+ * Converts parsed reference records (see references.js) into BibTeX, RIS
+ * and CSL-JSON so Zotero, EndNote, Mendeley and friends can import an
+ * article's references — or the whole site's — in one click.
+ *
+ * Used by build.js.
+ *
+ * Exports: toBibTeX, toRIS, toCslJson
+ */
+
+// "RC" -> ["R", "C"]
+function initials(given) {
+    return (given || '').replace(/[^A-Z]/g, '').split('');
+}
+
+function splitPages(pages) {
+    const [start, end] = (pages || '').split('-');
+    return { start: start || '', end: end || '' };
+}
+
+// ─── BibTeX ────────────────────────────────────────────────────────
+
+function escapeBibTeX(str) {
+    return String(str)
+        .replace(/\\/g, '\\textbackslash{}')
+        .replace(/([&%$#_{}])/g, '\\$1')
+        .replace(/~/g, '\\textasciitilde{}')
+        .replace(/\^/g, '\\textasciicircum{}');
+}
+
+function bibTeXEntry(ref) {
+    const fields = [];
+    const add = (name, value) => {
+        if (value) fields.push(`  ${name} = {${value}}`);
+    };
+
+    if (ref.raw) {
+        add('note', escapeBibTeX(ref.raw));
+        add('year', ref.year);
+        return `@misc{${ref.id},\n${fields.join(',\n')}\n}`;
+    }
+
+    const authors = ref.authors.map(a => {
+        const given = initials(a.given).map(i => `${i}.`).join(' ');
+        const family = escapeBibTeX(a.suffix ? `${a.family}, ${a.suffix}` : a.family);
+        // Brace given-name-less authors so BibTeX doesn't split them
+        return given ? `${family}, ${given}` : `{${family}}`;
+    });
+    if (ref.etAl) authors.push('others');
+
+    add('author', authors.join(' and '));
+    // Double braces keep reference managers from re-casing the title
+    add('title', `{${escapeBibTeX(ref.title)}}`);
+    add('journal', escapeBibTeX(ref.journal));
+    add('year', ref.year);
+    add('volume', escapeBibTeX(ref.volume));
+    add('number', escapeBibTeX(ref.issue));
+    add('pages', ref.pages.replace('-', '--'));
+    add('doi', ref.doi);
+    add('pmid', ref.pmid);
+
+    return `@article{${ref.id},\n${fields.join(',\n')}\n}`;
+}
+
+/**
+ * BibTeX for a list of records. Each record needs an `id` (the cite key).
+ */
+function toBibTeX(refs) {
+    return refs.map(bibTeXEntry).join('\n\n') + '\n';
+}
+
+// ─── RIS ───────────────────────────────────────────────────────────
+
+function risEntry(ref) {
+    const lines = [];
+    const add = (tag, value) => {
+        if (value) lines.push(`${tag}  - ${value}`);
+    };
+
+    if (ref.raw) {
+        add('TY', 'GEN');
+        add('TI', ref.raw);
+        add('PY', ref.year);
+        add('ID', ref.id);
+        lines.push('ER  - ');
+        return lines.join('\r\n');
+    }
+
+    const { start, end } = splitPages(ref.pages);
+    add('TY', 'JOUR');
+    for (const a of ref.authors) {
+        const given = initials(a.given).map(i => `${i}.`).join('');
+        add('AU', [a.family, given, a.suffix].filter(Boolean).join(', '));
+    }
+    add('TI', ref.title);
+    add('JO', ref.journal);
+    add('PY', ref.year);
+    add('VL', ref.volume);
+    add('IS', ref.issue);
+    add('SP', start);
+    add('EP', end);
+    add('DO', ref.doi);
+    add('AN', ref.pmid ? `PMID:${ref.pmid}` : '');
+    add('ID', ref.id);
+    lines.push('ER  - ');
+
+    return lines.join('\r\n');
+}
+
+/**
+ * RIS (CRLF line endings, blank line between records).
+ */
+function toRIS(refs) {
+    return refs.map(risEntry).join('\r\n\r\n') + '\r\n';
+}
+
+// ─── CSL-JSON ──────────────────────────────────────────────────────
+
+function cslItem(ref) {
+    if (ref.raw) {
+        const item = { id: ref.id, type: 'document', title: ref.raw };
+        if (ref.year) item.issued = { 'date-parts': [[Number(ref.year)]] };
+        return item;
+    }
+
+    const item = {
+        id: ref.id,
+        type: 'article-journal',
+        author: ref.authors.map(a => {
+            const name = { family: a.family };
+            if (a.given) name.given = initials(a.given).map(i => `${i}.`).join(' ');
+            if (a.suffix) name.suffix = a.suffix;
+            return name;
+        }),
+        title: ref.title,
+        'container-title': ref.journal
+    };
+
+    if (ref.year) item.issued = { 'date-parts': [[Number(ref.year)]] };
+    if (ref.volume) item.volume = ref.volume;
+    if (ref.issue) item.issue = ref.issue;
+    if (ref.pages) item.page = ref.pages;
+    if (ref.doi) item.DOI = ref.doi;
+    if (ref.pmid) item.PMID = ref.pmid;
+
+    return item;
+}
+
+/**
+ * CSL-JSON array, as accepted by Zotero, Mendeley and citeproc.
+ */
+function toCslJson(refs) {
+    return JSON.stringify(refs.map(cslItem), null, 2) + '\n';
+}
+
+module.exports = {
+    toBibTeX,
+    toRIS,
+    toCslJson
+};
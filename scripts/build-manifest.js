@@ -0,0 +1,162 @@
+/**
+ * Content-hash manifest for incremental builds.
+ *
+ * A build is a set of units — one source page, one copied asset — each with
+ * named input hashes (its source, the template, the code that renders it)
+ * and the output files it wrote, with their hashes. A unit is rebuilt only
+ * when an input hash has changed or one of its outputs is missing or no
+ * longer what it wrote (a `git checkout` of dist/, a hand edit); outputs
+ * that no unit produced this run are stale and removed by prune().
+ *
+ *   const manifest = createManifest(file, outputDir);
+ *   manifest.update('page:science/atp', { source: hashFile(src) }, () => {
+ *       fs.writeFileSync(...);
+ *       return ['science/atp.html'];   // paths relative to outputDir
+ *   });
+ *   manifest.prune();
+ *   manifest.save();
+ *
+ * Used by build.js and generate-indexes.js.
+ *
+ * Exports: hashContent, hashFile, hashModuleTree, createManifest
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_VERSION = 2;
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Hash of a file's contents, or '' if it doesn't exist.
+ */
+function hashFile(file) {
+    return fs.existsSync(file) ? hashContent(fs.readFileSync(file)) : '';
+}
+
+/**
+ * One hash over a module and every local module it requires, so a change
+ * to any of the code that renders a page invalidates that page.
+ */
+function hashModuleTree(root) {
+    const files = new Set();
+    const visit = mod => {
+        if (files.has(mod.filename) || mod.filename.includes(`${path.sep}node_modules${path.sep}`)) return;
+        files.add(mod.filename);
+        mod.children.forEach(visit);
+    };
+    visit(root);
+
+    return hashContent([...files].sort().map(file => `${path.basename(file)}:${hashFile(file)}`).join('\n'));
+}
+
+function sameInputs(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * Load (or start) the manifest stored at `file` for outputs under `outputDir`.
+ */
+function createManifest(file, outputDir) {
+    let previous = {};
+    let exists = false;
+    if (fs.existsSync(file)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (data.version === MANIFEST_VERSION) {
+                previous = data.units;
+                exists = true;
+            }
+        } catch (e) {
+            // Unreadable manifest: treat as a first build
+        }
+    }
+
+    const current = {};
+    const rebuilt = [];
+
+    function isFresh(id, inputs) {
+        const unit = previous[id];
+        return Boolean(unit)
+            && sameInputs(unit.inputs, inputs)
+            && unit.outputs.every(output => hashFile(path.join(outputDir, output)) === unit.hashes[output]);
+    }
+
+    /**
+     * Rebuild a unit with produce() unless it is fresh. produce() writes the
+     * outputs and returns their paths. Returns true if the unit was rebuilt.
+     */
+    function update(id, inputs, produce) {
+        if (isFresh(id, inputs)) {
+            current[id] = previous[id];
+            return false;
+        }
+        const outputs = produce() || [];
+        const hashes = Object.fromEntries(outputs.map(output => [output, hashFile(path.join(outputDir, output))]));
+        current[id] = { inputs, outputs, hashes };
+        rebuilt.push(...outputs);
+        return true;
+    }
+
+    /**
+     * Outputs a unit wrote this run (or last run, if it was fresh).
+     */
+    function outputs(id) {
+        return current[id] ? current[id].outputs : [];
+    }
+
+    /**
+     * Delete outputs recorded last run that no unit produced this run, and
+     * any directories that leaves empty. Returns the removed paths.
+     * `pending` names units still to run after the prune (ones that read
+     * the pruned output); their outputs from last run are kept.
+     */
+    function prune(pending = []) {
+        const live = new Set(Object.values(current).flatMap(unit => unit.outputs));
+        pending.filter(id => previous[id]).forEach(id => previous[id].outputs.forEach(output => live.add(output)));
+        const removed = [];
+
+        for (const unit of Object.values(previous)) {
+            for (const output of unit.outputs) {
+                if (live.has(output) || removed.includes(output)) continue;
+                const fullPath = path.join(outputDir, output);
+                if (fs.existsSync(fullPath)) fs.rmSync(fullPath);
+                removed.push(output);
+
+                let dir = path.dirname(fullPath);
+                while (dir.startsWith(outputDir + path.sep) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+                    fs.rmdirSync(dir);
+                    dir = path.dirname(dir);
+                }
+            }
+        }
+
+        return removed;
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({ version: MANIFEST_VERSION, units: current }, null, 2) + '\n');
+    }
+
+    return {
+        exists,
+        update,
+        outputs,
+        prune,
+        save,
+        rebuilt
+    };
+}
+
+module.exports = {
+    hashContent,
+    hashFile,
+    hashModuleTree,
+    createManifest
+};
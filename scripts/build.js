@@ -3,199 +3,120 @@
 /**
  * Creatinepedia - Static Site Build Script
  *
- * Converts markdown files from content/ to HTML in dist/
- * - Parses frontmatter for metadata
+ * Assembles dist/ from the pages the pipeline rendered into generated/
+ * (cluster articles, index pages and the /faq pages) and builds the rest
+ * of content/:
+ * - Converts markdown outside the clusters to HTML
+ * - Parses and validates YAML frontmatter (frontmatter.js); drafts are skipped
+ * - Renders CommonMark + GFM (tables, footnotes, heading ids) via markdown.js
+ * - Resolves [@key] citations against references.json and appends a
+ *   numbered Bibliography (cite-keys.js); unknown keys fail the build
  * - Injects schema, meta tags, internal links
- * - Generates sitemap.xml
+ * - Exports each article's bibliography as BibTeX, RIS and CSL-JSON
+ * - Marks the first mention of each glossary term in an article with a
+ *   tooltip definition, and writes /glossary and a page per term
+ *   (glossary.js; terms from glossary.json)
+ * - Links the first mention of key terms in each cluster article to their
+ *   own entry (autolink.js; terms from article titles + site.config.js)
+ * - Gives article headings ids and writes /search-index.json, the index
+ *   the nav search box loads (search-index.js)
+ * - Writes the sitemap index and per-cluster sitemaps, with each page's
+ *   own lastmod (generate-sitemap.js)
+ * - Checks citation integrity (--strict fails the build on issues)
+ * - Compiles the Tailwind classes the pages use into one stylesheet
+ *   (tailwind.js); writes it, the shared stylesheets and scripts
+ *   (shared.js sharedAssets), styles.css, base.css and js/ minified under
+ *   fingerprinted names, and points every page at them (assets.js)
+ * - Minifies every page, writes .br / .gz siblings of text files and a
+ *   _headers file giving fingerprinted assets a year-long immutable cache
+ * - Writes the Content-Security-Policy to _headers with a hash for every
+ *   inline script and style (csp.js); inline code a hash can't allow
+ *   (handler or style attributes) fails the build
+ * - Validates every page's JSON-LD (errors fail the build)
  * - Outputs production-ready HTML
+ *
+ * Builds are incremental: .cache/build-manifest.json records a content hash
+ * for every source, template and shared partial (build-manifest.js), so only
+ * pages whose inputs changed are rewritten and outputs whose source is gone
+ * are removed. A change to the build code or shared.js rebuilds every page;
+ * --clean (or a missing manifest) starts from an empty dist/.
  */
 
 const fs = require('fs');
 const path = require('path');
-
-// Configuration
+const { checkCitations, printReport } = require('./check-citations');
+const { bibliographyRefs } = require('./citations');
+const { extractBibliography, loadReferences } = require('./references');
+const { toBibTeX, toRIS, toCslJson } = require('./bibliography-export');
+const { articleSchema, breadcrumbSchema, faqSchema, validateHtml, toJsonLd } = require('./schema');
+const { markdownToHtml } = require('./markdown');
+const { parseFrontmatter, validateFrontmatter } = require('./frontmatter');
+const { resolveCitationKeys } = require('./cite-keys');
+const { hashContent, hashFile, hashModuleTree, createManifest } = require('./build-manifest');
+const { site } = require('./site-config');
+const { collectClasses, siteClasses, compileTailwind } = require('./tailwind');
+const { minifyCss, minifyJs, minifyHtml, fingerprint, linkAssets, compressFiles, formatHeaders, IMMUTABLE } = require('./assets');
+const { inlineBlocks, hashSource, unhashable, buildPolicy } = require('./csp');
+const { MAX_LINKS, buildTermMap, autoLink } = require('./autolink');
+const { buildSearchIndex, addHeadingIds } = require('./search-index');
+const { generateSitemap, printSummary: printSitemapSummary } = require('./generate-sitemap');
+const { loadGlossary, markTerms, glossaryPages } = require('./glossary');
+const { headIncludes, newsletterHtml, tailwindConfig, stylesheetPath, sharedAssets } = require('./shared');
+
+// Configuration (site identity, clusters and paths come from site.config.js)
 const CONFIG = {
-    contentDir: path.join(__dirname, '..', 'content'),
-    distDir: path.join(__dirname, '..', 'dist'),
-    templateDir: path.join(__dirname, '..', 'templates'),
+    contentDir: site.paths.content,
+    distDir: site.paths.dist,
+    templateDir: site.paths.templates,
     rootDir: path.join(__dirname, '..'),
-    siteUrl: 'https://creatinepedia.com',
-    siteName: 'Creatinepedia',
-    author: 'Scale With Search',
-    defaultOgImage: '/images/og-default.webp'
+    generatedDir: site.paths.generated,
+    manifestFile: path.join(site.paths.cache, 'build-manifest.json'),
+    siteUrl: site.url,
+    siteName: site.name,
+    author: site.author.name,
+    defaultOgImage: site.defaultOgImage,
+    // Fail the build on citation issues (node scripts/build.js --strict, or STRICT_CITATIONS=true)
+    strictCitations: process.argv.includes('--strict') || process.env.STRICT_CITATIONS === 'true',
+    // Ignore the manifest and rebuild everything (node scripts/build.js --clean)
+    clean: process.argv.includes('--clean'),
+    // The nav search loads search-index.json whole on first use; a bigger one fails the build
+    searchIndexBudget: 600 * 1024
 };
 
-// Source HTML directories to copy to dist (hand-written articles)
-const HTML_SOURCE_DIRS = [
-    'science',
-    'dosing',
-    'sports',
-    'safety',
-    'comparisons',
-    'quality'
+// Partials every page is rendered with; a change rebuilds all pages
+const SHARED_PARTIALS = [
+    path.join(__dirname, 'shared.js')
 ];
 
+// Cluster directories; their pages are rendered into generated/ (retemplate.js, generate-indexes.js)
+const CLUSTER_DIRS = site.clusterSlugs;
+
 // Root-level files to copy to dist
 const ROOT_FILES = [
     'index.html',
-    'articles.html',
     'robots.txt',
+    'references.json'
+];
+
+// Root-level stylesheets, written minified and fingerprinted like js/
+const ROOT_ASSETS = [
     'styles.css',
     'base.css'
 ];
 
-// Root-level HTML files with rename mapping (source -> dist name)
-const ROOT_HTML_RENAMES = {};
-
-// Cluster metadata for categorization
-const CLUSTERS = {
-    'science': { name: 'Science & Mechanisms', color: '#0284c7' },
-    'dosing': { name: 'Dosing Protocols', color: '#0d9488' },
-    'sports': { name: 'Sport Applications', color: '#f59e0b' },
-    'safety': { name: 'Safety & Concerns', color: '#ef4444' },
-    'comparisons': { name: 'Supplement Comparisons', color: '#8b5cf6' },
-    'quality': { name: 'Product Quality', color: '#10b981' }
-};
-
-/**
- * Parse frontmatter from markdown content
- * Expects YAML-style frontmatter between --- delimiters
- */
-function parseFrontmatter(content) {
-    const frontmatterRegex = /^---\n([\s\S]*?)\n---\n([\s\S]*)$/;
-    const match = content.match(frontmatterRegex);
-
-    if (!match) {
-        return { metadata: {}, body: content };
-    }
-
-    const frontmatterStr = match[1];
-    const body = match[2];
-    const metadata = {};
-
-    // Parse YAML-like frontmatter
-    frontmatterStr.split('\n').forEach(line => {
-        const colonIndex = line.indexOf(':');
-        if (colonIndex > 0) {
-            const key = line.substring(0, colonIndex).trim();
-            let value = line.substring(colonIndex + 1).trim();
-            // Remove quotes if present
-            if ((value.startsWith('"') && value.endsWith('"')) ||
-                (value.startsWith("'") && value.endsWith("'"))) {
-                value = value.slice(1, -1);
-            }
-            metadata[key] = value;
-        }
-    });
-
-    return { metadata, body };
-}
-
-/**
- * Convert markdown to HTML
- * Simple implementation - handles common markdown patterns
- */
-function markdownToHtml(markdown) {
-    let html = markdown;
-
-    // Headers
-    html = html.replace(/^######\s+(.*)$/gm, '<h6>$1</h6>');
-    html = html.replace(/^#####\s+(.*)$/gm, '<h5>$1</h5>');
-    html = html.replace(/^####\s+(.*)$/gm, '<h4>$1</h4>');
-    html = html.replace(/^###\s+(.*)$/gm, '<h3 class="text-xl font-semibold mt-8 mb-4">$1</h3>');
-    html = html.replace(/^##\s+(.*)$/gm, '<h2 class="text-2xl sm:text-3xl font-bold mb-6">$1</h2>');
-    html = html.replace(/^#\s+(.*)$/gm, '<h1>$1</h1>');
-
-    // Bold and italic
-    html = html.replace(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>');
-    html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-    html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
-    html = html.replace(/___(.+?)___/g, '<strong><em>$1</em></strong>');
-    html = html.replace(/__(.+?)__/g, '<strong>$1</strong>');
-    html = html.replace(/_(.+?)_/g, '<em>$1</em>');
-
-    // Inline code
-    html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-
-    // Links
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" class="text-accent hover:text-accent-light">$1</a>');
-
-    // Blockquotes
-    html = html.replace(/^>\s+(.*)$/gm, '<blockquote class="my-8"><p>$1</p></blockquote>');
-
-    // Unordered lists
-    html = html.replace(/^[-*]\s+(.*)$/gm, '<li>$1</li>');
-    html = html.replace(/(<li>.*<\/li>\n?)+/g, '<ul class="space-y-2 my-6 text-text-muted">$&</ul>');
-
-    // Ordered lists
-    html = html.replace(/^\d+\.\s+(.*)$/gm, '<li>$1</li>');
-
-    // Horizontal rules
-    html = html.replace(/^---$/gm, '<hr class="my-8 border-border">');
-
-    // Paragraphs - wrap text blocks not already in tags
-    const lines = html.split('\n');
-    const processedLines = [];
-    let inCodeBlock = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-
-        // Toggle code block state
-        if (line.startsWith('```')) {
-            inCodeBlock = !inCodeBlock;
-            processedLines.push(line);
-            continue;
-        }
-
-        if (inCodeBlock) {
-            processedLines.push(lines[i]); // Preserve original spacing in code
-            continue;
-        }
-
-        // Skip empty lines
-        if (!line) {
-            processedLines.push('');
-            continue;
-        }
-
-        // Skip lines that are already HTML tags
-        if (line.startsWith('<') || line.endsWith('>')) {
-            processedLines.push(line);
-            continue;
-        }
-
-        // Wrap plain text in paragraph
-        processedLines.push(`<p>${line}</p>`);
-    }
-
-    html = processedLines.join('\n');
-
-    // Code blocks with syntax highlighting placeholder
-    html = html.replace(/```(\w+)?\n([\s\S]*?)```/g, (match, lang, code) => {
-        const language = lang || 'text';
-        return `
-<div class="code-block my-6">
-    <div class="code-header">
-        <div class="code-dots">
-            <span class="code-dot red"></span>
-            <span class="code-dot yellow"></span>
-            <span class="code-dot green"></span>
-        </div>
-        <div class="flex items-center gap-3">
-            <span class="text-text-dim text-sm font-mono">${language}</span>
-            <button class="copy-button text-text-muted hover:text-text text-sm" onclick="copyCode(this)">Copy</button>
-        </div>
-    </div>
-    <pre class="p-4 overflow-x-auto"><code class="text-sm font-mono">${code.trim()}</code></pre>
-</div>`;
-    });
+// Root-level pages written to generated/ by generate-indexes.js
+const GENERATED_ROOT_FILES = [
+    'articles.html',
+    'faq.html'
+];
 
-    // Clean up extra newlines
-    html = html.replace(/\n{3,}/g, '\n\n');
+// Directories of pages written to generated/ by generate-indexes.js
+const GENERATED_PAGE_DIRS = [
+    'faq'
+];
 
-    return html;
-}
+// Root-level HTML files with rename mapping (source -> dist name)
+const ROOT_HTML_RENAMES = {};
 
 /**
  * Calculate reading time from content
@@ -205,89 +126,6 @@ function calculateReadingTime(content) {
     return Math.ceil(words / 200);
 }
 
-/**
- * Generate schema.org JSON-LD for article
- */
-function generateArticleSchema(metadata, url) {
-    return {
-        "@context": "https://schema.org",
-        "@type": "TechArticle",
-        "headline": metadata.title,
-        "description": metadata.description,
-        "image": `${CONFIG.siteUrl}${metadata.ogImage || CONFIG.defaultOgImage}`,
-        "author": {
-            "@type": "Organization",
-            "name": CONFIG.author,
-            "url": "https://scalewithsearch.com"
-        },
-        "publisher": {
-            "@type": "Organization",
-            "name": CONFIG.siteName,
-            "logo": {
-                "@type": "ImageObject",
-                "url": `${CONFIG.siteUrl}/images/logo.webp`
-            }
-        },
-        "datePublished": metadata.date || new Date().toISOString().split('T')[0],
-        "dateModified": metadata.modified || metadata.date || new Date().toISOString().split('T')[0],
-        "mainEntityOfPage": {
-            "@type": "WebPage",
-            "@id": url
-        }
-    };
-}
-
-/**
- * Generate breadcrumb schema
- */
-function generateBreadcrumbSchema(cluster, title, url) {
-    const clusterInfo = CLUSTERS[cluster] || { name: cluster };
-    return {
-        "@context": "https://schema.org",
-        "@type": "BreadcrumbList",
-        "itemListElement": [
-            {
-                "@type": "ListItem",
-                "position": 1,
-                "name": "Home",
-                "item": CONFIG.siteUrl
-            },
-            {
-                "@type": "ListItem",
-                "position": 2,
-                "name": clusterInfo.name,
-                "item": `${CONFIG.siteUrl}/${cluster}/`
-            },
-            {
-                "@type": "ListItem",
-                "position": 3,
-                "name": title,
-                "item": url
-            }
-        ]
-    };
-}
-
-/**
- * Generate FAQ schema from content
- */
-function generateFaqSchema(faqs) {
-    if (!faqs || faqs.length === 0) return null;
-
-    return {
-        "@context": "https://schema.org",
-        "@type": "FAQPage",
-        "mainEntity": faqs.map(faq => ({
-            "@type": "Question",
-            "name": faq.question,
-            "acceptedAnswer": {
-                "@type": "Answer",
-                "text": faq.answer
-            }
-        }))
-    };
-}
-
 /**
  * Load and process the article template
  */
@@ -319,41 +157,7 @@ function loadTemplate() {
     <meta name="twitter:description" content="{{DESCRIPTION}}">
     <meta name="twitter:image" content="{{OG_IMAGE}}">
     {{SCHEMA_SCRIPTS}}
-    <script src="https://cdn.tailwindcss.com"></script>
-    <script>
-        tailwind.config = {
-            theme: {
-                extend: {
-                    colors: {
-                        'void': '#0a0a0f',
-                        'void-light': '#12121a',
-                        'void-lighter': '#1a1a26',
-                        'surface': '#1e1e2e',
-                        'surface-light': '#262636',
-                        'border': 'rgba(255, 255, 255, 0.08)',
-                        'border-light': 'rgba(255, 255, 255, 0.12)',
-                        'accent': '#0284c7',
-                        'accent-light': '#0ea5e9',
-                        'accent-dim': 'rgba(2, 132, 199, 0.15)',
-                        'text': '#f0f0f5',
-                        'text-muted': '#8888a0',
-                        'text-dim': '#5a5a70',
-                        'code-green': '#4ade80',
-                        'code-blue': '#60a5fa',
-                        'code-purple': '#c084fc',
-                        'code-yellow': '#fbbf24',
-                    },
-                    fontFamily: {
-                        'sans': ['Inter', '-apple-system', 'BlinkMacSystemFont', 'sans-serif'],
-                        'mono': ['JetBrains Mono', 'Fira Code', 'monospace'],
-                    },
-                }
-            }
-        }
-    </script>
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&family=JetBrains+Mono:wght@400;500&display=swap" rel="stylesheet">
+    ${headIncludes}
     <style>
         .code-block { position: relative; background: #0d0d14; border: 1px solid rgba(255,255,255,0.06); border-radius: 12px; overflow: hidden; }
         .code-header { display: flex; justify-content: space-between; align-items: center; padding: 0.75rem 1rem; background: rgba(255,255,255,0.03); border-bottom: 1px solid rgba(255,255,255,0.06); }
@@ -404,20 +208,27 @@ function loadTemplate() {
             </section>
         </article>
     </main>
+${newsletterHtml}
     <footer class="bg-void border-t border-border py-12">
         <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
             <p class="text-text-dim">&copy; ${new Date().getFullYear()} ${CONFIG.siteName}. All rights reserved.</p>
         </div>
     </footer>
     <script>
-        function copyCode(button) {
-            const codeBlock = button.closest('.code-block');
-            const code = codeBlock.querySelector('code').innerText;
-            navigator.clipboard.writeText(code).then(() => {
-                button.textContent = 'Copied!';
-                setTimeout(() => { button.textContent = 'Copy'; }, 2000);
+        // Wired here rather than with onclick, which the CSP doesn't allow
+        document.querySelectorAll('.copy-button').forEach(button => {
+            button.addEventListener('click', () => {
+                const code = button.closest('.code-block').querySelector('code').innerText;
+                const show = label => {
+                    button.textContent = label;
+                    setTimeout(() => { button.textContent = 'Copy'; }, 2000);
+                };
+                // navigator.clipboard is missing outside secure contexts, so start from a promise
+                Promise.resolve()
+                    .then(() => navigator.clipboard.writeText(code))
+                    .then(() => show('Copied!'), () => show('Copy failed'));
             });
-        }
+        });
     </script>
 </body>
 </html>`;
@@ -436,78 +247,96 @@ function formatDate(dateStr) {
 }
 
 /**
- * Build a single markdown file into HTML
+ * Build a single markdown file into HTML.
+ * context: { references, template } — loaded once per build.
+ * Throws with every frontmatter problem listed; returns null for drafts.
  */
-function buildFile(inputPath, outputPath) {
+function buildFile(inputPath, outputPath, context) {
     const content = fs.readFileSync(inputPath, 'utf8');
-    const { metadata, body } = parseFrontmatter(content);
 
     // Determine cluster from path
     const relativePath = path.relative(CONFIG.contentDir, inputPath);
     const cluster = path.dirname(relativePath);
     const slug = path.basename(inputPath, '.md');
 
+    const { metadata, body, bodyLine } = parseFrontmatter(content);
+    const errors = validateFrontmatter(metadata, { cluster });
+    if (errors.length > 0) {
+        throw new Error(`invalid frontmatter\n      ${errors.join('\n      ')}`);
+    }
+    if (metadata.draft) return null;
+
     // Build URL
     const url = `${CONFIG.siteUrl}/${cluster}/${slug}`;
 
-    // Convert markdown to HTML
-    const htmlContent = markdownToHtml(body);
+    // Resolve [@key] citations, then convert markdown to HTML
+    const cited = resolveCitationKeys(body, context.references, { bodyLine, listed: metadata.references || [] });
+    if (cited.errors.length > 0) {
+        const lines = cited.errors.map(e => e.line ? `line ${e.line}: ${e.message}` : `frontmatter: ${e.message}`);
+        throw new Error(`unresolved citations\n      ${lines.join('\n      ')}`);
+    }
+    const htmlContent = markdownToHtml(cited.markdown) + cited.bibliography;
 
     // Calculate reading time
     const readingTime = calculateReadingTime(body);
 
+    // Get cluster info
+    const clusterInfo = site.cluster(cluster) || { name: cluster };
+
     // Generate schemas
-    const articleSchema = generateArticleSchema(metadata, url);
-    const breadcrumbSchema = generateBreadcrumbSchema(cluster, metadata.title || slug, url);
-
-    const schemas = [articleSchema, breadcrumbSchema];
-
-    // Parse FAQs if present in metadata
-    if (metadata.faqs) {
-        try {
-            const faqs = JSON.parse(metadata.faqs);
-            const faqSchema = generateFaqSchema(faqs);
-            if (faqSchema) schemas.push(faqSchema);
-        } catch (e) {
-            console.warn(`Warning: Could not parse FAQs for ${inputPath}`);
-        }
-    }
+    const dateModified = metadata.modified || metadata.date;
+    const schemas = [
+        articleSchema({
+            title: metadata.title,
+            description: metadata.description,
+            url,
+            image: `${CONFIG.siteUrl}${metadata.ogImage || CONFIG.defaultOgImage}`,
+            datePublished: metadata.date,
+            dateModified,
+            references: bibliographyRefs(htmlContent),
+            extra: {
+                ...(metadata.tags && { keywords: metadata.tags }),
+                ...(metadata.level && { proficiencyLevel: metadata.level })
+            }
+        }),
+        breadcrumbSchema(cluster, clusterInfo.name, metadata.title, url)
+    ];
+
+    const faqs = faqSchema(metadata.faqs);
+    if (faqs) schemas.push(faqs);
 
     const schemaScripts = schemas.map(s =>
-        `<script type="application/ld+json">\n${JSON.stringify(s, null, 2)}\n</script>`
+        `<script type="application/ld+json">\n${toJsonLd(s)}\n</script>`
     ).join('\n');
 
-    // Get cluster info
-    const clusterInfo = CLUSTERS[cluster] || { name: cluster };
-
-    // Load template and replace placeholders
-    let template = loadTemplate();
+    // Replace template placeholders
+    let template = context.template;
 
     // Extract short title (first part before colon or full title if no colon)
-    const fullTitle = metadata.title || slug;
+    const fullTitle = metadata.title;
     const shortTitle = fullTitle.includes(':') ? fullTitle.split(':')[0].trim() : fullTitle;
 
     const replacements = {
         // Standard placeholders
         '{{TITLE}}': fullTitle,
-        '{{DESCRIPTION}}': metadata.description || '',
+        '{{DESCRIPTION}}': metadata.description,
         '{{CANONICAL_URL}}': url,
         '{{OG_IMAGE}}': `${CONFIG.siteUrl}${metadata.ogImage || CONFIG.defaultOgImage}`,
         '{{SCHEMA_SCRIPTS}}': schemaScripts,
         '{{CLUSTER_NAME}}': clusterInfo.name,
         '{{READING_TIME}}': readingTime.toString(),
         '{{CONTENT}}': htmlContent,
-        '{{DATE_PUBLISHED}}': metadata.date || new Date().toISOString().split('T')[0],
-        '{{DATE_MODIFIED}}': metadata.modified || metadata.date || new Date().toISOString().split('T')[0],
+        '{{DATE_PUBLISHED}}': metadata.date,
+        '{{DATE_MODIFIED}}': dateModified,
         '{{CLUSTER_FOLDER}}': cluster,
         '{{SLUG}}': slug,
 
         // Template-specific placeholders (from article.html)
         '{{PRIMARY_KEYWORD}}': fullTitle,
-        '{{META_DESCRIPTION}}': metadata.description || '',
+        '{{META_DESCRIPTION}}': metadata.description,
         '{{H1_TITLE}}': fullTitle,
         '{{SHORT_TITLE}}': shortTitle,
-        '{{DATE_DISPLAY}}': formatDate(metadata.date || new Date().toISOString().split('T')[0])
+        '{{DATE_DISPLAY}}': formatDate(metadata.date)
     };
 
     for (const [key, value] of Object.entries(replacements)) {
@@ -524,48 +353,12 @@ function buildFile(inputPath, outputPath) {
 
     return {
         url,
-        title: metadata.title || slug,
-        date: metadata.date || new Date().toISOString().split('T')[0],
+        title: metadata.title,
+        date: metadata.date,
         cluster
     };
 }
 
-/**
- * Generate sitemap.xml
- */
-function generateSitemap(pages) {
-    const today = new Date().toISOString().split('T')[0];
-
-    let sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-    <url>
-        <loc>${CONFIG.siteUrl}/</loc>
-        <lastmod>${today}</lastmod>
-        <changefreq>weekly</changefreq>
-        <priority>1.0</priority>
-    </url>
-    <url>
-        <loc>${CONFIG.siteUrl}/articles</loc>
-        <lastmod>${today}</lastmod>
-        <changefreq>weekly</changefreq>
-        <priority>0.9</priority>
-    </url>`;
-
-    for (const page of pages) {
-        sitemap += `
-    <url>
-        <loc>${page.url}</loc>
-        <lastmod>${page.date}</lastmod>
-        <changefreq>monthly</changefreq>
-        <priority>0.7</priority>
-    </url>`;
-    }
-
-    sitemap += '\n</urlset>';
-
-    return sitemap;
-}
-
 /**
  * Recursively find all markdown files in a directory
  */
@@ -588,85 +381,450 @@ function findMarkdownFiles(dir, files = []) {
     return files;
 }
 
+/**
+ * Copy one file to dist (relPath is relative to dist/), unless the
+ * manifest shows it unchanged. Returns true if it was copied.
+ */
+function copyToDist(manifest, srcPath, relPath) {
+    return manifest.update(`copy:${relPath}`, { source: hashFile(srcPath) }, () => {
+        const destPath = path.join(CONFIG.distDir, relPath);
+        fs.mkdirSync(path.dirname(destPath), { recursive: true });
+        fs.copyFileSync(srcPath, destPath);
+        return [relPath];
+    });
+}
+
 /**
  * Copy static files from content to dist
  */
-function copyStaticFiles() {
+function copyStaticFiles(manifest) {
     // Copy any non-markdown files (images, etc.)
     const staticExtensions = ['.png', '.jpg', '.jpeg', '.webp', '.svg', '.gif', '.ico'];
 
-    function copyRecursive(src, dest) {
+    function copyRecursive(src) {
         if (!fs.existsSync(src)) return;
 
         const items = fs.readdirSync(src);
 
         for (const item of items) {
             const srcPath = path.join(src, item);
-            const destPath = path.join(dest, item);
             const stat = fs.statSync(srcPath);
 
             if (stat.isDirectory()) {
-                if (!fs.existsSync(destPath)) {
-                    fs.mkdirSync(destPath, { recursive: true });
-                }
-                copyRecursive(srcPath, destPath);
+                copyRecursive(srcPath);
             } else if (staticExtensions.some(ext => item.endsWith(ext))) {
-                fs.copyFileSync(srcPath, destPath);
+                copyToDist(manifest, srcPath, path.relative(CONFIG.contentDir, srcPath));
             }
         }
     }
 
-    copyRecursive(CONFIG.contentDir, CONFIG.distDir);
+    copyRecursive(CONFIG.contentDir);
 }
 
 /**
- * Copy hand-written HTML source files from cluster directories to dist
+ * Pages of one cluster, as the pipeline rendered them into generated/:
+ * the articles (retemplate.js, inject-faqs.js) and the index page
+ * (generate-indexes.js). Returns [{ file, src }], or null when the
+ * cluster was never rendered.
  */
-function copyHtmlSourceFiles() {
-    let totalCopied = 0;
-    for (const dir of HTML_SOURCE_DIRS) {
-        const srcDir = path.join(CONFIG.rootDir, dir);
-        const destDir = path.join(CONFIG.distDir, dir);
+function clusterPages(dir) {
+    const srcDir = path.join(CONFIG.generatedDir, dir);
+    if (!fs.existsSync(srcDir)) return null;
+    return fs.readdirSync(srcDir).filter(f => f.endsWith('.html')).map(file => ({ file, src: path.join(srcDir, file) }));
+}
 
-        if (!fs.existsSync(srcDir)) {
-            console.log(`  Skipping ${dir}/ (not found)`);
-            continue;
+/**
+ * Glossary tooltips and key-term links for one article page, both on a
+ * term's first mention that isn't marked yet: terms site.config.js
+ * `autolink.terms` lists are linked first, then the glossary marks its
+ * terms, then the generated key terms link their next free mention. A
+ * term in both the glossary and the key terms gets a tooltip and a link.
+ * Returns { html, glossaryTerms: [glossary slugs marked] }.
+ */
+function markArticle(html, id, terms, glossary) {
+    const autolink = site.autolink || {};
+    const listed = new Set(Object.keys(autolink.terms || {}).map(term => term.toLowerCase()));
+    const maxLinks = autolink.maxLinks ?? MAX_LINKS;
+
+    const first = autoLink(html, id, terms.filter(entry => listed.has(entry.term.toLowerCase())), { maxLinks });
+    const marked = markTerms(first.html, glossary);
+    const linked = new Set(first.links.map(link => link.id));
+    const rest = autoLink(marked.html, id, terms.filter(entry => !listed.has(entry.term.toLowerCase()) && !linked.has(entry.id)), {
+        maxLinks: maxLinks - first.links.length
+    });
+    return { html: rest.html, glossaryTerms: marked.terms };
+}
+
+/**
+ * Write one cluster page to dist. Articles with a bibliography
+ * also get .bib / .ris / .json exports and download links.
+ * Returns the output paths (relative to dist/).
+ */
+function writeClusterPage(dir, file, src, terms, glossary) {
+    const source = fs.readFileSync(src, 'utf8');
+    const destDir = path.join(CONFIG.distDir, dir);
+    const slug = file.replace('.html', '');
+    fs.mkdirSync(destDir, { recursive: true });
+
+    const html = file === 'index.html' ? source : addHeadingIds(markArticle(source, `${dir}/${slug}`, terms, glossary).html);
+
+    // Cite keys come from the reference database ids on each <li id="ref-...">
+    const refs = file === 'index.html' ? [] : bibliographyRefs(html).map((ref, i) => ({
+        ...ref,
+        id: ref.elementId ? ref.elementId.replace(/^ref-/, '') : `${slug}-${i + 1}`
+    }));
+    if (refs.length === 0) {
+        fs.writeFileSync(path.join(destDir, file), html);
+        return [`${dir}/${file}`];
+    }
+
+    fs.writeFileSync(path.join(destDir, `${slug}.bib`), toBibTeX(refs));
+    fs.writeFileSync(path.join(destDir, `${slug}.ris`), toRIS(refs));
+    fs.writeFileSync(path.join(destDir, `${slug}.json`), toCslJson(refs));
+    fs.writeFileSync(path.join(destDir, file), injectBibliographyLinks(html, dir, slug));
+    return [`${dir}/${file}`, `${dir}/${slug}.bib`, `${dir}/${slug}.ris`, `${dir}/${slug}.json`];
+}
+
+/**
+ * Every cluster article that is published: [{ id, title, cluster, html }],
+ * the title from its content/ frontmatter, the cluster as its display name
+ * and the html as retemplate.js rendered it ('' if it hasn't been).
+ */
+function loadArticles() {
+    const articles = [];
+    for (const dir of CLUSTER_DIRS) {
+        const srcDir = path.join(CONFIG.contentDir, dir);
+        if (!fs.existsSync(srcDir)) continue;
+        for (const file of fs.readdirSync(srcDir).filter(f => f.endsWith('.md'))) {
+            const { metadata } = parseFrontmatter(fs.readFileSync(path.join(srcDir, file), 'utf8'));
+            if (metadata.draft) continue;
+            const slug = file.replace(/\.md$/, '');
+            const page = path.join(CONFIG.generatedDir, dir, `${slug}.html`);
+            articles.push({
+                id: `${dir}/${slug}`,
+                title: String(metadata.title || ''),
+                cluster: site.cluster(dir).name,
+                html: fs.existsSync(page) ? fs.readFileSync(page, 'utf8') : ''
+            });
         }
+    }
+    return articles;
+}
+
+/**
+ * Copy cluster pages (see clusterPages) to dist, marking glossary terms
+ * and linking key terms in the articles on the way (markArticle). Key
+ * terms are generated from every article's title, with site.config.js
+ * `autolink` additions and exclusions.
+ * `inputs` are the hashes every page shares (build code, partials).
+ * Returns { count, missing } — `missing` lists clusters with articles in
+ * content/ that were never rendered.
+ */
+function copyClusterPages(manifest, inputs, articles, terms, glossary) {
+    // Every article's links depend on every title, and its tooltips on the glossary
+    const pageInputs = { ...inputs, terms: hashContent(JSON.stringify(terms)), glossary: hashContent(JSON.stringify(glossary)) };
+    console.log(`  ${terms.length} key terms to link, ${Object.keys(glossary).length} glossary terms to mark`);
 
-        if (!fs.existsSync(destDir)) {
-            fs.mkdirSync(destDir, { recursive: true });
+    let totalCopied = 0;
+    const missing = [];
+    for (const dir of CLUSTER_DIRS) {
+        const files = clusterPages(dir);
+        if (!files) {
+            if (fs.existsSync(path.join(CONFIG.contentDir, dir))) {
+                console.error(`  ✗ ${dir}/: not rendered — run retemplate.js and generate-indexes.js (or creatinepedia.js build)`);
+                missing.push(dir);
+            } else {
+                console.log(`  Skipping ${dir}/ (not found)`);
+            }
+            continue;
         }
 
-        const files = fs.readdirSync(srcDir).filter(f => f.endsWith('.html'));
-        for (const file of files) {
-            fs.copyFileSync(path.join(srcDir, file), path.join(destDir, file));
+        let rebuilt = 0;
+        for (const { file, src } of files) {
+            if (manifest.update(`page:${dir}/${file}`, { source: hashFile(src), ...pageInputs }, () => writeClusterPage(dir, file, src, terms, glossary))) {
+                rebuilt++;
+            }
         }
         totalCopied += files.length;
-        console.log(`  ${dir}/: ${files.length} HTML files`);
+        console.log(`  ${dir}/: ${files.length} HTML files${rebuilt < files.length ? ` (${rebuilt} rebuilt)` : ''}`);
     }
-    return totalCopied;
+    return { count: totalCopied, missing };
+}
+
+/**
+ * Write dist/glossary/: the A–Z index and a page per term, each term page
+ * linking to the articles it is marked in (glossary.js).
+ * Returns { pages, terms, used, changed }.
+ */
+function writeGlossaryPages(manifest, inputs, articles, terms, glossary) {
+    const usage = new Map();
+    for (const article of articles) {
+        markArticle(article.html, article.id, terms, glossary).glossaryTerms.forEach(term => {
+            if (!usage.has(term)) usage.set(term, []);
+            usage.get(term).push(article.id);
+        });
+    }
+    const byId = new Map(articles.map(({ id, title, cluster }) => [id, { id, title, cluster }]));
+
+    const glossaryInputs = {
+        ...inputs,
+        glossary: hashContent(JSON.stringify(glossary)),
+        usage: hashContent(JSON.stringify([...usage])),
+        articles: hashContent(JSON.stringify([...byId.values()]))
+    };
+    const changed = manifest.update('glossary', glossaryInputs, () => {
+        const pages = glossaryPages(glossary, usage, byId);
+        fs.mkdirSync(path.join(CONFIG.distDir, 'glossary'), { recursive: true });
+        pages.forEach(page => fs.writeFileSync(path.join(CONFIG.distDir, page.file), page.html));
+        return pages.map(page => page.file);
+    });
+
+    return { pages: manifest.outputs('glossary').length, terms: Object.keys(glossary).length, used: usage.size, changed };
+}
+
+/**
+ * Insert BibTeX / RIS / CSL-JSON download links under an article's Bibliography heading
+ */
+function injectBibliographyLinks(html, cluster, slug) {
+    const bib = extractBibliography(html);
+    if (!bib || html.includes('class="bib-export"')) return html;
+
+    const base = `/${cluster}/${slug}`;
+    const links = `\n${bib.indent}<p class="bib-export">Download references: ` +
+        `<a href="${base}.bib" download>BibTeX</a> &middot; ` +
+        `<a href="${base}.ris" download>RIS</a> &middot; ` +
+        `<a href="${base}.json" download>CSL-JSON</a></p>`;
+
+    return html.slice(0, bib.headingEnd) + links + html.slice(bib.headingEnd);
+}
+
+/**
+ * Site-wide references.bib. Per-article .bib / .ris / .json exports are
+ * written with each page (writeClusterPage); this reports how many exist.
+ */
+function exportBibliographies(manifest, inputs) {
+    let count = 0;
+    for (const dir of CLUSTER_DIRS) {
+        for (const { file } of clusterPages(dir) || []) {
+            if (manifest.outputs(`page:${dir}/${file}`).some(output => output.endsWith('.bib'))) count++;
+        }
+    }
+
+    const referencesFile = site.paths.references;
+    const allRefs = Object.entries(loadReferences()).map(([id, ref]) => ({ id, ...ref }));
+    if (allRefs.length > 0) {
+        manifest.update('references.bib', { source: hashFile(referencesFile), ...inputs }, () => {
+            fs.writeFileSync(path.join(CONFIG.distDir, 'references.bib'), toBibTeX(allRefs));
+            return ['references.bib'];
+        });
+    }
+
+    console.log(`  ${count} articles → .bib / .ris / .json, references.bib (${allRefs.length} entries)`);
+    return count;
+}
+
+/**
+ * Every HTML file under dir (absolute paths).
+ */
+function findHtmlFiles(dir, files = []) {
+    for (const item of fs.readdirSync(dir)) {
+        const fullPath = path.join(dir, item);
+        if (fs.statSync(fullPath).isDirectory()) {
+            findHtmlFiles(fullPath, files);
+        } else if (item.endsWith('.html')) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+// Pages not yet retemplated still load the Tailwind CDN runtime
+const TAILWIND_CDN = /<script src="https:\/\/cdn\.tailwindcss\.com"><\/script>(?:\s*<script>\s*tailwind\.config\s*=[\s\S]*?<\/script>)?/;
+// A page's own styles and scripts (not external, not JSON-LD)
+const INLINE_STYLE = /<style[^>]*>([\s\S]*?)<\/style>/g;
+const INLINE_SCRIPT = /<script(?![^>]*\b(?:src|type)=)[^>]*>([\s\S]*?)<\/script>/g;
+
+/**
+ * Compile the Tailwind classes used across dist/ (tailwind.js) and write
+ * every stylesheet and script — that one, shared.js sharedAssets, root
+ * styles.css / base.css and js/ — minified under a fingerprinted name.
+ * Returns { assets: { "/css/site.css": "/css/site.<hash>.css", ... },
+ * tailwind: { utilities, unknown } }.
+ */
+function writeAssets(manifest) {
+    const sources = { ...sharedAssets };
+    for (const file of ROOT_ASSETS) {
+        const src = path.join(CONFIG.rootDir, file);
+        if (fs.existsSync(src)) sources[`/${file}`] = fs.readFileSync(src, 'utf8');
+    }
+    const jsDir = path.join(CONFIG.rootDir, 'js');
+    if (fs.existsSync(jsDir)) {
+        for (const file of fs.readdirSync(jsDir).filter(f => f.endsWith('.js'))) {
+            sources[`/js/${file}`] = fs.readFileSync(path.join(jsDir, file), 'utf8');
+        }
+    }
+
+    // Classes the site's own stylesheets and scripts (shared, or inline in a
+    // page) style or look up aren't Tailwind's to report
+    const classes = new Set();
+    const known = new Set();
+    for (const file of findHtmlFiles(CONFIG.distDir)) {
+        const html = fs.readFileSync(file, 'utf8');
+        collectClasses(html, classes);
+        for (const [, css] of html.matchAll(INLINE_STYLE)) siteClasses(css, 'css', known);
+        for (const [, js] of html.matchAll(INLINE_SCRIPT)) siteClasses(js, 'js', known);
+    }
+    Object.entries(sources).forEach(([urlPath, source]) => siteClasses(source, urlPath.endsWith('.css') ? 'css' : 'js', known));
+    const tailwind = compileTailwind(classes, tailwindConfig, known);
+    sources[stylesheetPath] = tailwind.css;
+
+    const assets = {};
+    for (const [urlPath, source] of Object.entries(sources)) {
+        const content = urlPath.endsWith('.css') ? minifyCss(source) : minifyJs(source);
+        const fingerprinted = fingerprint(urlPath, content);
+        manifest.update(`asset:${urlPath}`, { content: hashContent(content) }, () => {
+            const destPath = path.join(CONFIG.distDir, fingerprinted);
+            fs.mkdirSync(path.dirname(destPath), { recursive: true });
+            fs.writeFileSync(destPath, content);
+            return [fingerprinted.slice(1)];
+        });
+        assets[urlPath] = fingerprinted;
+    }
+
+    return { assets, tailwind: { utilities: tailwind.utilities, unknown: tailwind.unknown } };
+}
+
+/**
+ * Point every page in dist/ at the fingerprinted assets and minify it.
+ * Pages the manifest kept are already minified and may link an earlier
+ * build's fingerprints; only pages that change are rewritten.
+ * Returns the number of pages rewritten.
+ */
+function optimizePages(assets) {
+    let rewritten = 0;
+    for (const page of findHtmlFiles(CONFIG.distDir)) {
+        const html = fs.readFileSync(page, 'utf8');
+        const optimized = minifyHtml(linkAssets(html.replace(TAILWIND_CDN, `<link rel="stylesheet" href="${stylesheetPath}">`), assets));
+        if (optimized !== html) {
+            fs.writeFileSync(page, optimized);
+            rewritten++;
+        }
+    }
+    return rewritten;
+}
+
+/**
+ * Hash every inline script and style in dist/ into the site's
+ * Content-Security-Policy (csp.js), and find inline code no hash can allow.
+ * Returns { policy, hashes, problems: [{ file, line, message }] }.
+ */
+function contentSecurityPolicy() {
+    const hashes = { script: new Set(), style: new Set() };
+    const problems = [];
+
+    for (const page of findHtmlFiles(CONFIG.distDir)) {
+        const html = fs.readFileSync(page, 'utf8');
+        const file = path.relative(CONFIG.distDir, page);
+        inlineBlocks(html).forEach(block => hashes[block.kind].add(hashSource(block.content)));
+        unhashable(html).forEach(problem => problems.push({ file, ...problem }));
+    }
+
+    return {
+        policy: buildPolicy({ script: [...hashes.script].sort(), style: [...hashes.style].sort() }),
+        hashes: hashes.script.size + hashes.style.size,
+        problems
+    };
+}
+
+// Manifest unit of search-index.json; it reads dist/, so it runs after the prune
+const SEARCH_INDEX_UNIT = 'search-index';
+
+/**
+ * Write dist/search-index.json from every article page in dist/
+ * (search-index.js). Runs after the pages are minified, so a page the
+ * manifest kept reads the same as a rebuilt one, and after the prune, so
+ * a page whose source is gone is not indexed.
+ * Returns { docs, sections, terms, bytes, changed }.
+ */
+function writeSearchIndex(manifest) {
+    const pages = [];
+    for (const page of findHtmlFiles(CONFIG.distDir).sort()) {
+        const html = fs.readFileSync(page, 'utf8');
+        if (!html.includes('<article')) continue;
+        const relative = path.relative(CONFIG.distDir, page).split(path.sep).join('/');
+        const cluster = site.cluster(relative.split('/')[0]);
+        pages.push({
+            url: `/${relative.replace(/(?:^|\/)index\.html$/, '').replace(/\.html$/, '')}`,
+            cluster: cluster ? cluster.name : '',
+            html
+        });
+    }
+
+    const index = buildSearchIndex(pages);
+    const json = JSON.stringify(index);
+    const changed = manifest.update(SEARCH_INDEX_UNIT, { content: hashContent(json) }, () => {
+        fs.writeFileSync(path.join(CONFIG.distDir, 'search-index.json'), json);
+        return ['search-index.json'];
+    });
+    return {
+        docs: index.docs.length,
+        sections: index.sections.length,
+        terms: Object.keys(index.terms).length,
+        bytes: Buffer.byteLength(json),
+        changed
+    };
+}
+
+/**
+ * Validate the JSON-LD on every HTML page in dist/.
+ * Returns { pages, errors: [{ file, message }], warnings }.
+ */
+function validateStructuredData() {
+    const errors = [];
+    let warnings = 0;
+
+    const pages = findHtmlFiles(CONFIG.distDir);
+    for (const page of pages) {
+        const result = validateHtml(fs.readFileSync(page, 'utf8'));
+        const file = path.relative(CONFIG.distDir, page);
+        result.errors.forEach(message => errors.push({ file, message }));
+        warnings += result.warnings.length;
+    }
+
+    return { pages: pages.length, errors, warnings };
 }
 
 /**
  * Copy root-level files to dist, with optional renames
  */
-function copyRootFiles() {
+function copyRootFiles(manifest) {
     let copied = 0;
     for (const file of ROOT_FILES) {
         const src = path.join(CONFIG.rootDir, file);
         if (fs.existsSync(src)) {
-            fs.copyFileSync(src, path.join(CONFIG.distDir, file));
-            console.log(`  ${file}`);
+            const changed = copyToDist(manifest, src, file);
+            console.log(`  ${file}${changed ? '' : ' (unchanged)'}`);
             copied++;
         } else {
             console.log(`  ${file} (not found, skipping)`);
         }
     }
 
+    for (const file of GENERATED_ROOT_FILES) {
+        const src = path.join(CONFIG.generatedDir, file);
+        if (fs.existsSync(src)) {
+            const changed = copyToDist(manifest, src, file);
+            console.log(`  ${file}${changed ? '' : ' (unchanged)'}`);
+            copied++;
+        } else {
+            console.log(`  ${file} (not generated yet — run generate-indexes.js)`);
+        }
+    }
+
     for (const [src, dest] of Object.entries(ROOT_HTML_RENAMES)) {
         const srcPath = path.join(CONFIG.rootDir, src);
         if (fs.existsSync(srcPath)) {
-            fs.copyFileSync(srcPath, path.join(CONFIG.distDir, dest));
+            copyToDist(manifest, srcPath, dest);
             console.log(`  ${src} → ${dest}`);
             copied++;
         }
@@ -674,170 +832,245 @@ function copyRootFiles() {
     return copied;
 }
 
-/**
- * Copy JS directory to dist
- */
-function copyJsFiles() {
-    const srcDir = path.join(CONFIG.rootDir, 'js');
-    const destDir = path.join(CONFIG.distDir, 'js');
-
-    if (!fs.existsSync(srcDir)) return 0;
-
-    if (!fs.existsSync(destDir)) {
-        fs.mkdirSync(destDir, { recursive: true });
-    }
-
-    const files = fs.readdirSync(srcDir);
-    for (const file of files) {
-        fs.copyFileSync(path.join(srcDir, file), path.join(destDir, file));
-    }
-    console.log(`  js/: ${files.length} files`);
-    return files.length;
-}
-
 /**
  * Copy pages directory to dist
  */
-function copyPages() {
+function copyPages(manifest) {
     const srcDir = path.join(CONFIG.rootDir, 'pages');
-    const destDir = path.join(CONFIG.distDir, 'pages');
 
     if (!fs.existsSync(srcDir)) return 0;
 
-    if (!fs.existsSync(destDir)) {
-        fs.mkdirSync(destDir, { recursive: true });
-    }
-
     const files = fs.readdirSync(srcDir).filter(f => f.endsWith('.html'));
     for (const file of files) {
-        fs.copyFileSync(path.join(srcDir, file), path.join(destDir, file));
+        copyToDist(manifest, path.join(srcDir, file), `pages/${file}`);
     }
     console.log(`  pages/: ${files.length} files`);
     return files.length;
 }
 
 /**
- * Scan dist/ for all HTML pages to build comprehensive sitemap
+ * Copy the page directories generate-indexes.js wrote (GENERATED_PAGE_DIRS)
+ * to dist
  */
-function scanDistForPages() {
-    const pages = [];
-    const today = new Date().toISOString().split('T')[0];
+function copyGeneratedPages(manifest) {
+    let copied = 0;
+    for (const dir of GENERATED_PAGE_DIRS) {
+        const srcDir = path.join(CONFIG.generatedDir, dir);
+        if (!fs.existsSync(srcDir)) continue;
 
-    function scanDir(dir, urlPrefix) {
-        if (!fs.existsSync(dir)) return;
-        const items = fs.readdirSync(dir);
-        for (const item of items) {
-            const fullPath = path.join(dir, item);
-            const stat = fs.statSync(fullPath);
-            if (stat.isDirectory()) {
-                scanDir(fullPath, `${urlPrefix}/${item}`);
-            } else if (item.endsWith('.html')) {
-                const slug = item.replace('.html', '');
-                pages.push({
-                    url: `${CONFIG.siteUrl}${urlPrefix}/${slug}`,
-                    title: slug,
-                    date: today,
-                    cluster: urlPrefix.replace(/^\//, '')
-                });
-            }
+        const files = fs.readdirSync(srcDir).filter(f => f.endsWith('.html'));
+        for (const file of files) {
+            copyToDist(manifest, path.join(srcDir, file), `${dir}/${file}`);
         }
+        console.log(`  ${dir}/: ${files.length} pages`);
+        copied += files.length;
     }
-
-    // Scan cluster directories
-    for (const dir of HTML_SOURCE_DIRS) {
-        scanDir(path.join(CONFIG.distDir, dir), `/${dir}`);
-    }
-
-    // Scan pages directory
-    scanDir(path.join(CONFIG.distDir, 'pages'), '/pages');
-
-    return pages;
+    return copied;
 }
 
 /**
- * Main build function
+ * Main build function.
+ * options.strict / options.clean override --strict / --clean (the CLI passes its own flags).
  */
-function build() {
+function build(options = {}) {
+    const strictCitations = options.strict ?? CONFIG.strictCitations;
+    const clean = options.clean ?? CONFIG.clean;
     console.log('Creatinepedia — Build\n');
 
-    // Clean and create dist
-    if (fs.existsSync(CONFIG.distDir)) {
-        fs.rmSync(CONFIG.distDir, { recursive: true });
+    // Incremental unless asked for a clean build or there is no usable manifest
+    let manifest = createManifest(CONFIG.manifestFile, CONFIG.distDir);
+    if (clean || !manifest.exists) {
+        fs.rmSync(CONFIG.distDir, { recursive: true, force: true });
+        fs.rmSync(CONFIG.manifestFile, { force: true });
+        manifest = createManifest(CONFIG.manifestFile, CONFIG.distDir);
+        console.log('Clean build\n');
+    } else {
+        console.log(`Incremental build (${path.relative(CONFIG.rootDir, CONFIG.manifestFile)})\n`);
     }
     fs.mkdirSync(CONFIG.distDir, { recursive: true });
 
-    // Step 1: Copy root files (index.html, articles.html, styles.css, etc.)
+    // Inputs every rendered page shares: the code that renders it and the shared partials
+    const pageInputs = {
+        code: hashModuleTree(module),
+        partials: hashContent(SHARED_PARTIALS.map(hashFile).join('\n'))
+    };
+
+    // Step 1: Copy root files (index.html, articles.html, robots.txt, etc.)
     console.log('Root files:');
-    const rootCount = copyRootFiles();
+    const rootCount = copyRootFiles(manifest);
+    const generatedCount = copyGeneratedPages(manifest);
 
-    // Step 2: Copy hand-written HTML source directories
+    // Step 2: Copy the cluster pages the pipeline rendered into generated/,
+    // then the glossary built from them
     console.log('\nCluster HTML:');
-    const htmlCount = copyHtmlSourceFiles();
+    const articles = loadArticles();
+    const terms = buildTermMap(articles, site.autolink);
+    const glossary = loadGlossary(site.paths.glossary, articles.map(article => article.id));
+    const clusterHtml = copyClusterPages(manifest, pageInputs, articles, terms, glossary);
+    const htmlCount = clusterHtml.count;
+
+    console.log('\nGlossary:');
+    const glossaryReport = writeGlossaryPages(manifest, pageInputs, articles, terms, glossary);
+    console.log(`  ${glossaryReport.terms} terms, ${glossaryReport.used} used in articles; glossary/: ${glossaryReport.pages} pages${glossaryReport.changed ? '' : ' (unchanged)'}`);
 
-    // Step 3: Copy JS files
+    console.log('\nBibliography exports:');
+    exportBibliographies(manifest, pageInputs);
+
+    // Step 3: Copy pages/
     console.log('\nAssets:');
-    copyJsFiles();
-    copyPages();
+    copyPages(manifest);
 
     // Step 4: Copy static files from content/ (images, etc.)
-    copyStaticFiles();
+    copyStaticFiles(manifest);
 
-    // Step 5: Build markdown -> HTML (content/ directory)
-    // Skip markdown files that already have a retemplated HTML version in the source cluster dir
-    const markdownFiles = findMarkdownFiles(CONFIG.contentDir);
+    // Copy .well-known if it exists
+    const wellKnownSrc = path.join(CONFIG.rootDir, '.well-known');
+    if (fs.existsSync(wellKnownSrc)) {
+        for (const f of fs.readdirSync(wellKnownSrc)) {
+            copyToDist(manifest, path.join(wellKnownSrc, f), `.well-known/${f}`);
+        }
+    }
+
+    // Step 5: Build markdown -> HTML (content/ outside the clusters; cluster
+    // articles are rendered by retemplate.js and copied in step 2)
+    const markdownFiles = findMarkdownFiles(CONFIG.contentDir).filter(file =>
+        !CLUSTER_DIRS.includes(path.relative(CONFIG.contentDir, file).split(path.sep)[0]));
     let mdBuilt = 0;
-    let mdSkipped = 0;
+    let mdDrafts = 0;
+    const mdErrors = [];
     if (markdownFiles.length > 0) {
         console.log(`\nMarkdown → HTML:`);
+        const context = { references: loadReferences(), template: loadTemplate() };
+        const markdownInputs = {
+            ...pageInputs,
+            template: hashContent(context.template),
+            references: hashFile(site.paths.references)
+        };
+
         for (const inputPath of markdownFiles) {
             const relativePath = path.relative(CONFIG.contentDir, inputPath);
             const htmlEquivalent = relativePath.replace('.md', '.html');
-            const sourceHtmlPath = path.join(CONFIG.rootDir, htmlEquivalent);
-
-            // If a retemplated HTML version exists in the source cluster dir, skip the markdown build
-            if (fs.existsSync(sourceHtmlPath)) {
-                console.log(`  ${relativePath} → SKIPPED (HTML source exists)`);
-                mdSkipped++;
-                continue;
-            }
-
             const outputPath = path.join(CONFIG.distDir, htmlEquivalent);
+            const id = `markdown:${relativePath}`;
             try {
-                buildFile(inputPath, outputPath);
-                console.log(`  ${relativePath} → ${path.basename(outputPath)}`);
-                mdBuilt++;
+                const rebuilt = manifest.update(id, { source: hashFile(inputPath), ...markdownInputs }, () =>
+                    buildFile(inputPath, outputPath, context) ? [htmlEquivalent] : []
+                );
+                // Drafts build to nothing
+                if (manifest.outputs(id).length > 0) {
+                    console.log(`  ${relativePath} → ${path.basename(outputPath)}${rebuilt ? '' : ' (unchanged)'}`);
+                    mdBuilt++;
+                } else {
+                    console.log(`  ${relativePath} → SKIPPED (draft)`);
+                    mdDrafts++;
+                }
             } catch (error) {
                 console.error(`  ERROR: ${relativePath}: ${error.message}`);
+                mdErrors.push(relativePath);
             }
         }
     }
 
-    // Step 6: Generate comprehensive sitemap from all dist/ HTML
-    console.log('\nSitemap:');
-    const allPages = scanDistForPages();
-    const sitemap = generateSitemap(allPages);
-    fs.writeFileSync(path.join(CONFIG.distDir, 'sitemap.xml'), sitemap);
-    console.log(`  ${allPages.length + 2} URLs (2 root + ${allPages.length} pages)`);
+    // Step 6: Stylesheets and scripts, fingerprinted; then point pages at them
+    console.log('\nStylesheets and scripts:');
+    const { assets, tailwind } = writeAssets(manifest);
+    for (const fingerprinted of Object.values(assets)) {
+        console.log(`  ${fingerprinted.slice(1)} (${(fs.statSync(path.join(CONFIG.distDir, fingerprinted)).size / 1024).toFixed(1)} KB)`);
+    }
+    console.log(`  Tailwind: ${tailwind.utilities} utilities`);
+    if (tailwind.unknown.length > 0) {
+        console.log(`  ${tailwind.unknown.length} classes with no rule (not a supported utility or a site class), left unstyled: ${tailwind.unknown.join(', ')}`);
+    }
+    const optimized = optimizePages(assets);
+    console.log(`  ${optimized} pages minified and linked`);
+
+    // Remove outputs whose source is gone before indexing what is left
+    const removed = manifest.prune([SEARCH_INDEX_UNIT]);
+
+    console.log('\nSearch index:');
+    const search = writeSearchIndex(manifest);
+    console.log(`  search-index.json: ${search.docs} pages, ${search.sections} sections, ${search.terms} terms (${(search.bytes / 1024).toFixed(1)} KB of ${CONFIG.searchIndexBudget / 1024} KB budget)${search.changed ? '' : ' (unchanged)'}`);
+    manifest.save();
+
+    console.log('\nChanges:');
+    const changedPages = manifest.rebuilt.filter(f => f.endsWith('.html'));
+    console.log(`  ${manifest.rebuilt.length} files written (${changedPages.length} pages), ${removed.length} removed`);
+    if (manifest.exists) {
+        changedPages.slice(0, 20).forEach(f => console.log(`    + ${f}`));
+        if (changedPages.length > 20) console.log(`    … and ${changedPages.length - 20} more pages`);
+        removed.forEach(f => console.log(`    - ${f}`));
+    }
+
+    // Step 7: Sitemap index + per-cluster sitemaps from every page in dist/
+    console.log('\nSitemaps:');
+    printSitemapSummary(generateSitemap(CONFIG.distDir));
+
+    // Step 8: Citation integrity check
+    console.log('\nCitations:');
+    const citationReport = checkCitations();
+    const { summary } = citationReport;
+    if (summary.issues === 0) {
+        console.log(`  ${summary.articles} articles, no issues`);
+    } else if (strictCitations) {
+        printReport(citationReport);
+    } else {
+        console.log(`  ${summary.issues} issues in ${summary.articlesWithIssues} articles (run scripts/check-citations.js for details)`);
+    }
 
-    // Copy .well-known if it exists
-    const wellKnownSrc = path.join(CONFIG.rootDir, '.well-known');
-    const wellKnownDest = path.join(CONFIG.distDir, '.well-known');
-    if (fs.existsSync(wellKnownSrc)) {
-        if (!fs.existsSync(wellKnownDest)) {
-            fs.mkdirSync(wellKnownDest, { recursive: true });
-        }
-        const wkFiles = fs.readdirSync(wellKnownSrc);
-        for (const f of wkFiles) {
-            fs.copyFileSync(path.join(wellKnownSrc, f), path.join(wellKnownDest, f));
-        }
+    // Step 9: Structured data validation
+    console.log('\nStructured data:');
+    const schemaReport = validateStructuredData();
+    schemaReport.errors.forEach(e => console.log(`  ${e.file}: ${e.message}`));
+    console.log(`  ${schemaReport.pages} pages, ${schemaReport.errors.length} errors, ${schemaReport.warnings} warnings`);
+
+    // Step 10: Content-Security-Policy and cache headers, then pre-compress
+    console.log('\nHeaders and compression:');
+    const csp = contentSecurityPolicy();
+    const headerRules = [
+        { path: '/*', headers: { 'Content-Security-Policy': csp.policy } },
+        ...Object.values(assets).map(fingerprinted => ({ path: fingerprinted, headers: { 'Cache-Control': IMMUTABLE } }))
+    ];
+    fs.writeFileSync(path.join(CONFIG.distDir, '_headers'), formatHeaders(headerRules));
+    console.log(`  _headers: CSP with ${csp.hashes} inline hashes, ${headerRules.length - 1} immutable assets`);
+    csp.problems.forEach(p => console.log(`  ${p.file}:${p.line}: ${p.message} (not allowed by the CSP)`));
+    const compression = compressFiles(CONFIG.distDir);
+    console.log(`  .br / .gz: ${compression.compressed} files compressed${compression.removed ? `, ${compression.removed} stale removed` : ''}`);
+
+    // Summary: success only once every check has passed
+    const failures = [];
+    if (strictCitations && summary.issues > 0) {
+        failures.push(`Strict mode: ${summary.issues} citation issues`);
+    }
+    if (clusterHtml.missing.length > 0) {
+        failures.push(`Cluster pages missing from dist/: ${clusterHtml.missing.join(', ')} (not rendered into generated/)`);
+    }
+    if (mdErrors.length > 0) {
+        failures.push(`${mdErrors.length} markdown files failed to build`);
+    }
+    if (schemaReport.errors.length > 0) {
+        failures.push(`${schemaReport.errors.length} structured data errors`);
+    }
+    if (search.bytes > CONFIG.searchIndexBudget) {
+        failures.push(`search-index.json is ${(search.bytes / 1024).toFixed(1)} KB, over its ${CONFIG.searchIndexBudget / 1024} KB budget — raise MIN_WEIGHT in search-index.js or shard the index`);
+    }
+    if (csp.problems.length > 0) {
+        failures.push(`${csp.problems.length} inline handlers or style attributes the CSP can't hash — move them into a script or stylesheet`);
     }
 
-    // Summary
-    const total = rootCount + htmlCount + mdBuilt;
-    console.log(`\n✓ Build complete: ${total} pages in dist/`);
-    console.log(`  Root: ${rootCount} | Cluster HTML: ${htmlCount} | Markdown: ${mdBuilt}${mdSkipped ? ` (${mdSkipped} skipped — HTML source exists)` : ''}`);
+    const total = rootCount + generatedCount + htmlCount + glossaryReport.pages + mdBuilt;
+    console.log(`\n${failures.length === 0 ? '✓ Build complete' : '✗ Build failed'}: ${total} pages in dist/`);
+    console.log(`  Root: ${rootCount} | FAQ: ${generatedCount} | Cluster HTML: ${htmlCount} | Glossary: ${glossaryReport.pages} | Markdown: ${mdBuilt}${mdDrafts ? ` (${mdDrafts} draft${mdDrafts === 1 ? '' : 's'} skipped)` : ''}`);
     console.log(`  Output: ${CONFIG.distDir}`);
+
+    if (failures.length > 0) {
+        failures.forEach(failure => console.error(`\n✗ ${failure}`));
+        process.exitCode = 1;
+    }
 }
 
 // Run build
-build();
+if (require.main === module) {
+    build();
+}
+
+module.exports = { build };
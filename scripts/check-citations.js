@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * Citation integrity checker for all cluster articles, as retemplate.js
+ * rendered them (generated/<cluster>/<slug>.html; line numbers point there).
+ *
+ * Reports, per article:
+ * - missing-reference: author–year mention in the body with no bibliography entry
+ * - uncited-entry: bibliography entry never mentioned in the body
+ * - malformed-doi / malformed-pmid: identifiers that don't look like a DOI or PMID
+ * - duplicate-entry: the same paper listed twice in one bibliography
+ * - missing-bibliography: no Bibliography/References section at all
+ *
+ * Run: node scripts/check-citations.js [--json] [--strict]
+ *   --json    print the machine-readable report instead of the console summary
+ *   --strict  exit non-zero when any issue is found
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PMID_PATTERN, extractBibliography, loadReferences } = require('./references');
+const { findCitations, authorNames, matchCitation, unlinkCitations, bibliographyRefs, mapText } = require('./citations');
+const { site } = require('./site-config');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+function lineAt(html, offset) {
+    return html.slice(0, offset).split('\n').length;
+}
+
+function entryText(item) {
+    return item.replace(/<\/?(?:em|i|strong|b)>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function duplicateKeys(ref) {
+    const keys = [];
+    if (ref.doi) keys.push(`doi:${ref.doi.toLowerCase()}`);
+    if (ref.pmid) keys.push(`pmid:${ref.pmid}`);
+    if (ref.title) keys.push(`title:${ref.title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()}`);
+    return keys;
+}
+
+/**
+ * Check a single article's HTML. Returns a list of issues. `knownRefs`
+ * (records from references.json) widens the authors an unqualified
+ * "Surname, 2003" mention may name beyond the article's own bibliography.
+ */
+function checkArticle(html, knownRefs = []) {
+    html = unlinkCitations(html);
+    const issues = [];
+    const bib = extractBibliography(html);
+
+    if (!bib) {
+        return [{ type: 'missing-bibliography', message: 'No Bibliography or References section' }];
+    }
+
+    const refs = bibliographyRefs(html);
+    const authors = authorNames(refs.concat(knownRefs));
+    const cited = new Set();
+
+    mapText(html.slice(0, bib.headingStart), (text, offset) => {
+        for (const mention of findCitations(text, authors)) {
+            const ref = matchCitation(mention, refs);
+            if (ref) {
+                cited.add(ref);
+            } else {
+                issues.push({
+                    type: 'missing-reference',
+                    line: lineAt(html, offset + mention.index),
+                    text: mention.text,
+                    message: `"${mention.text}" has no matching bibliography entry`
+                });
+            }
+        }
+        return text;
+    });
+
+    const seen = new Map();
+    refs.forEach((ref, i) => {
+        const entry = i + 1;
+        const text = entryText(bib.items[i]);
+
+        if (!cited.has(ref)) {
+            issues.push({ type: 'uncited-entry', entry, text, message: `Entry ${entry} is never cited in the text` });
+        }
+
+        for (const m of text.matchAll(/\bdoi:\s*(\S*)/gi)) {
+            const doi = m[1].replace(/[.,;]+$/, '');
+            if (!DOI_PATTERN.test(doi)) {
+                issues.push({ type: 'malformed-doi', entry, text, message: `Entry ${entry} has malformed DOI "${doi}"` });
+            }
+        }
+
+        for (const m of text.matchAll(/\bPMID:?\s*(\S*)/gi)) {
+            const pmid = m[1].replace(/[.,;]+$/, '');
+            if (!PMID_PATTERN.test(pmid)) {
+                issues.push({ type: 'malformed-pmid', entry, text, message: `Entry ${entry} has malformed PMID "${pmid}"` });
+            }
+        }
+
+        for (const key of duplicateKeys(ref)) {
+            if (seen.has(key)) {
+                issues.push({ type: 'duplicate-entry', entry, text, message: `Entry ${entry} duplicates entry ${seen.get(key)}` });
+                break;
+            }
+        }
+        duplicateKeys(ref).forEach(key => { if (!seen.has(key)) seen.set(key, entry); });
+    });
+
+    return issues;
+}
+
+/**
+ * Check every article in the cluster directories.
+ * Returns { summary, articles: [{ article, file, issues }] }.
+ */
+function checkCitations() {
+    const articles = [];
+    const byType = {};
+    let articleCount = 0;
+    const knownRefs = Object.values(loadReferences());
+
+    for (const dir of site.clusterSlugs) {
+        const dirPath = path.join(site.paths.generated, dir);
+        if (!fs.existsSync(dirPath)) continue;
+
+        const files = fs.readdirSync(dirPath).filter(f => f.endsWith('.html') && f !== 'index.html');
+        for (const file of files) {
+            const html = fs.readFileSync(path.join(dirPath, file), 'utf8');
+            const issues = checkArticle(html, knownRefs);
+            articleCount++;
+
+            issues.forEach(issue => { byType[issue.type] = (byType[issue.type] || 0) + 1; });
+            if (issues.length > 0) {
+                articles.push({ article: `${dir}/${file.replace('.html', '')}`, file: path.relative(ROOT_DIR, path.join(dirPath, file)), issues });
+            }
+        }
+    }
+
+    const issueCount = Object.values(byType).reduce((a, b) => a + b, 0);
+    return {
+        summary: { articles: articleCount, articlesWithIssues: articles.length, issues: issueCount, byType },
+        articles
+    };
+}
+
+function printReport(report) {
+    for (const { file, issues } of report.articles) {
+        console.log(`  ${file}`);
+        for (const issue of issues) {
+            const where = issue.line ? `line ${issue.line}` : issue.entry ? `entry ${issue.entry}` : '';
+            console.log(`    ${issue.type}${where ? ` (${where})` : ''}: ${issue.message}`);
+        }
+    }
+
+    const { summary } = report;
+    if (summary.issues === 0) {
+        console.log(`✓ Citations OK: ${summary.articles} articles checked`);
+        return;
+    }
+
+    console.log(`\n✗ ${summary.issues} citation issues in ${summary.articlesWithIssues} of ${summary.articles} articles`);
+    Object.entries(summary.byType).forEach(([type, count]) => console.log(`  ${type}: ${count}`));
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const report = checkCitations();
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log('Checking citations...\n');
+        printReport(report);
+    }
+
+    if (args.includes('--strict') && report.summary.issues > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { checkArticle, checkCitations, printReport };
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+/**
+ * Internal link checker for dist/.
+ *
+ * Crawls every page and resolves each internal href and src — root-relative,
+ * page-relative, or an absolute URL on the site's own domain — the way
+ * Netlify would, through netlify.toml's [[redirects]] (netlify.js).
+ *
+ * Reports, with the dist/ file and line of each link:
+ * - broken-link: the URL resolves to a 404 (or a rewrite to another site)
+ * - missing-anchor: the page exists but has no element with the #fragment's id
+ * - redirect-loop: following redirects comes back to a URL already visited
+ * - redirect (warning): the link goes through one or more 3xx redirects;
+ *   link to the final URL instead
+ *
+ * Errors fail the step; warnings don't.
+ *
+ * Used by creatinepedia.js (`check-links`, after build).
+ *
+ * Run: node scripts/check-links.js [--json]
+ *   --json  print the machine-readable report instead of the console summary
+ *
+ * Exports: pageLinks, checkLinks, printReport
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadRedirects, resolveRequest } = require('./netlify');
+const { site } = require('./site-config');
+
+const DIST_DIR = site.paths.dist;
+
+// More hops than this is reported as a loop
+const MAX_REDIRECTS = 10;
+
+const ERROR_TYPES = ['broken-link', 'missing-anchor', 'redirect-loop'];
+
+function lineAt(html, offset) {
+    return html.slice(0, offset).split('\n').length;
+}
+
+function findHtmlFiles(dir, files = []) {
+    for (const item of fs.readdirSync(dir)) {
+        const fullPath = path.join(dir, item);
+        if (fs.statSync(fullPath).isDirectory()) {
+            findHtmlFiles(fullPath, files);
+        } else if (item.endsWith('.html')) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+function decodeEntities(value) {
+    return value
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>');
+}
+
+/**
+ * The URL a dist/ file is served at: pretty URLs for pages, "/" for an
+ * index.html's directory.
+ */
+function pageUrl(relativeFile) {
+    const urlPath = `/${relativeFile.split(path.sep).join('/')}`;
+    if (urlPath.endsWith('/index.html')) return urlPath.slice(0, -'index.html'.length);
+    return urlPath.replace(/\.html$/, '');
+}
+
+// ─── Links ─────────────────────────────────────────────────────────
+
+/**
+ * Internal links in a page: [{ href, pathname, fragment, line }].
+ * `base` is the page's own URL path, for relative links and bare
+ * fragments. Script and style bodies are skipped.
+ */
+function pageLinks(html, base) {
+    const origin = new URL(site.url).origin;
+    const links = [];
+    // Blank out script and style bodies, keeping their line breaks
+    const markup = html.replace(/(<(script|style)\b[^>]*>)([\s\S]*?)(<\/\2>)/gi, (m, open, tag, body, close) => open + body.replace(/[^\n]/g, ' ') + close);
+
+    for (const match of markup.matchAll(/<[a-zA-Z][^>]*?\s(?:href|src)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        const href = decodeEntities((match[1] !== undefined ? match[1] : match[2]).trim());
+        if (!href || href.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(href) && !href.startsWith(origin)) continue;
+
+        let url;
+        try {
+            url = new URL(href, origin + base);
+        } catch (e) {
+            continue;
+        }
+        if (url.origin !== origin) continue;
+
+        links.push({
+            href,
+            pathname: url.pathname,
+            fragment: url.hash ? decodeURIComponent(url.hash.slice(1)) : '',
+            line: lineAt(markup, match.index + match[0].length)
+        });
+    }
+    return links;
+}
+
+/**
+ * Element ids (and <a name>s) in a page, for fragment checks.
+ */
+function pageAnchors(html) {
+    const anchors = new Set();
+    for (const match of html.matchAll(/<[a-zA-Z][^>]*?\s(?:id|name)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        anchors.add(decodeEntities(match[1] !== undefined ? match[1] : match[2]));
+    }
+    return anchors;
+}
+
+// ─── Resolution ────────────────────────────────────────────────────
+
+/**
+ * Follow a URL path through the redirects to what Netlify finally serves.
+ * Returns { status, file, hops: [paths redirected through], loop }.
+ */
+function follow(pathname, redirects) {
+    const hops = [];
+    let current = pathname;
+    for (;;) {
+        const result = resolveRequest(current, DIST_DIR, redirects);
+        if (!result.location) return { ...result, hops, loop: false };
+
+        hops.push(current);
+        const next = new URL(result.location, `${site.url}${current}`);
+        if (next.origin !== new URL(site.url).origin) return { status: 200, file: null, hops, loop: false };
+        current = next.pathname;
+        if (hops.includes(current) || hops.length > MAX_REDIRECTS) return { status: result.status, file: null, hops: [...hops, current], loop: true };
+    }
+}
+
+// ─── Check ─────────────────────────────────────────────────────────
+
+/**
+ * Check every internal link on every page in dist/.
+ * Returns { summary, pages: [{ file, issues: [{ type, line, href, message }] }] }.
+ */
+function checkLinks() {
+    if (!fs.existsSync(DIST_DIR)) {
+        throw new Error(`${path.relative(process.cwd(), DIST_DIR) || DIST_DIR}/ not found — run the build first`);
+    }
+
+    const redirects = loadRedirects();
+    const resolved = new Map();
+    const anchors = new Map();
+    const pages = [];
+    const byType = {};
+    let linkCount = 0;
+    let pageCount = 0;
+
+    const resolve = pathname => {
+        if (!resolved.has(pathname)) resolved.set(pathname, follow(pathname, redirects));
+        return resolved.get(pathname);
+    };
+    const anchorsIn = file => {
+        if (!anchors.has(file)) anchors.set(file, pageAnchors(fs.readFileSync(file, 'utf8')));
+        return anchors.get(file);
+    };
+
+    for (const file of findHtmlFiles(DIST_DIR).sort()) {
+        const relative = path.relative(DIST_DIR, file);
+        const html = fs.readFileSync(file, 'utf8');
+        const issues = [];
+        pageCount++;
+
+        for (const link of pageLinks(html, pageUrl(relative))) {
+            linkCount++;
+            const target = resolve(link.pathname);
+            const issue = (type, message) => issues.push({ type, line: link.line, href: link.href, message });
+
+            if (target.loop) {
+                issue('redirect-loop', `${link.href} redirects in a loop: ${target.hops.join(' → ')}`);
+                continue;
+            }
+            if (target.status >= 400) {
+                issue('broken-link', `${link.href} is not found (${target.status})`);
+                continue;
+            }
+            if (target.hops.length > 0) {
+                const chain = target.hops.length > 1 ? `a chain of ${target.hops.length} redirects` : 'a redirect';
+                issue('redirect', `${link.href} goes through ${chain}: ${target.hops.join(' → ')} → ${resolvedPath(target)}`);
+            }
+            if (link.fragment && target.file && target.file.endsWith('.html') && !anchorsIn(target.file).has(link.fragment)) {
+                issue('missing-anchor', `${link.href} — no id="${link.fragment}" on ${path.relative(DIST_DIR, target.file)}`);
+            }
+        }
+
+        issues.forEach(issue => { byType[issue.type] = (byType[issue.type] || 0) + 1; });
+        if (issues.length > 0) pages.push({ file: path.join(path.basename(DIST_DIR), relative), issues });
+    }
+
+    const errors = ERROR_TYPES.reduce((sum, type) => sum + (byType[type] || 0), 0);
+    const warnings = Object.values(byType).reduce((a, b) => a + b, 0) - errors;
+    return {
+        summary: { pages: pageCount, links: linkCount, errors, warnings, byType },
+        pages
+    };
+}
+
+function resolvedPath(target) {
+    return target.file ? `/${path.relative(DIST_DIR, target.file).split(path.sep).join('/')}` : '(external)';
+}
+
+function printReport(report) {
+    for (const { file, issues } of report.pages) {
+        for (const issue of issues) {
+            const level = ERROR_TYPES.includes(issue.type) ? '✗' : '!';
+            console.log(`  ${level} ${file}:${issue.line}: ${issue.type}: ${issue.message}`);
+        }
+    }
+
+    const { summary } = report;
+    if (summary.errors === 0 && summary.warnings === 0) {
+        console.log(`✓ Links OK: ${summary.links} internal links on ${summary.pages} pages`);
+        return;
+    }
+
+    const counts = Object.entries(summary.byType).map(([type, count]) => `${type}: ${count}`).join(', ');
+    if (summary.errors > 0) {
+        console.log(`\n✗ ${summary.errors} link errors in ${summary.links} internal links on ${summary.pages} pages (${counts})`);
+    } else {
+        console.log(`\n✓ Links OK: ${summary.links} internal links on ${summary.pages} pages, ${summary.warnings} through redirects`);
+    }
+}
+
+function main() {
+    const report = checkLinks();
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log('Checking links...\n');
+        printReport(report);
+    }
+
+    if (report.summary.errors > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { pageLinks, checkLinks, printReport };
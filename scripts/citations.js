@@ -0,0 +1,182 @@
+/**
+ * In-text citation linking for Creatinepedia articles.
+ *
+ * Finds author–year mentions in article prose — "Harris et al. (1992)",
+ * "Hultman and colleagues (1996)", "Poortmans and Francaux (1999)",
+ * "(Kreider et al., 2017; Rawson et al., 2011)" — matches each one to an
+ * item in the article's own bibliography, and wraps it in an anchor to that
+ * item's id (rendered by generate-references.js). The hover/focus popover
+ * lives in shared.js as citationPopoverScript.
+ *
+ * Used by retemplate.js.
+ *
+ * Exports: findCitations, authorNames, matchCitation, linkCitations,
+ *          unlinkCitations, bibliographyRefs, mapText
+ */
+
+const { extractBibliography, parseReference } = require('./references');
+
+// Surname, allowing particles ("van Loon", "de Salles Painelli", "Op 't Eijnde")
+// and hyphenated or accented names ("Smith-Ryan", "Jäger"). Must contain a
+// lowercase letter so acronyms ("ISSN (2017)") are not read as authors.
+const NAME = "(?:(?:[Vv]an|[Dd]e|[Dd]en|[Dd]er|[Vv]on|[Dd]a|[Dd]os|[Oo]p)\\s+(?:'t\\s+)?)*\\p{Lu}[\\p{L}'’-]*\\p{Ll}[\\p{L}'’-]*";
+const QUALIFIER = `(?:\\s+et al\\.?|\\s+and colleagues|\\s+(?:and|&amp;|&)\\s+(${NAME}))`;
+const YEAR = '((?:19|20)\\d{2})[a-z]?';
+
+// Each alternative captures (author, coauthor, year):
+//   narrative      "Harris et al. (1992)", "Ostojic (2004)"
+//   parenthetical  "Kreider et al., 2017", "Branch, 2003" (without a qualifier,
+//                  only for a known author, so "reported in Nature, 2021" is not one)
+//   bare           "Hultman et al. 1996" (needs a qualifier, so "Since 2017" is not a citation)
+const CITATION_PATTERN = new RegExp([
+    `(${NAME})${QUALIFIER}?\\s+\\(${YEAR}\\)`,
+    `(${NAME})${QUALIFIER}?,\\s+${YEAR}\\b`,
+    `(${NAME})${QUALIFIER}\\s+${YEAR}\\b`
+].join('|'), 'gu');
+
+// Elements whose text is never linked
+const SKIP_ELEMENTS = /^(a|h[1-6]|script|style|code|pre|button)$/i;
+
+function foldName(name) {
+    return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Apply fn(text, offset) to every text run in html that is not inside a
+ * link, heading, script or code element. Tags are passed through unchanged.
+ */
+function mapText(html, fn) {
+    const tokens = html.split(/(<[^>]+>)/);
+    const stack = [];
+    let offset = 0;
+
+    return tokens.map(token => {
+        const start = offset;
+        offset += token.length;
+        if (token.startsWith('<')) {
+            const tag = token.match(/^<\/?([a-zA-Z0-9]+)/);
+            if (tag && SKIP_ELEMENTS.test(tag[1]) && !token.endsWith('/>')) {
+                if (token[1] === '/') stack.pop();
+                else stack.push(tag[1]);
+            }
+            return token;
+        }
+        return stack.length === 0 && token.trim() ? fn(token, start) : token;
+    }).join('');
+}
+
+/**
+ * Folded surnames of every author of `refs` (parsed records), for
+ * findCitations.
+ */
+function authorNames(refs) {
+    const names = new Set();
+    for (const ref of refs) {
+        (ref.authors || []).forEach(author => names.add(foldName(author.family)));
+        if (ref.raw) names.add(foldName(ref.raw.split(/[\s,]/)[0]));
+    }
+    names.delete('');
+    return names;
+}
+
+/**
+ * Find author–year mentions in a run of text. With `authors` (see
+ * authorNames), an unqualified parenthetical mention ("Branch, 2003")
+ * counts only when it names one of them.
+ * Returns [{ text, index, author, coauthor, year }].
+ */
+function findCitations(text, authors = null) {
+    const mentions = [];
+    CITATION_PATTERN.lastIndex = 0;
+    let m;
+
+    while ((m = CITATION_PATTERN.exec(text)) !== null) {
+        const group = [1, 4, 7].find(i => m[i] !== undefined);
+        const qualified = /\s(?:et al|and|&)/.test(m[0]);
+        if (authors && group === 4 && !qualified && !authors.has(foldName(m[4]))) continue;
+        mentions.push({
+            text: m[0],
+            index: m.index,
+            author: m[group],
+            coauthor: m[group + 1] || '',
+            year: m[group + 2]
+        });
+    }
+
+    return mentions;
+}
+
+/**
+ * Match a mention against the article's bibliography records.
+ * First author's surname and year must agree; when the mention names a
+ * second author ("Poortmans and Francaux"), prefer the record that has them.
+ */
+function matchCitation(mention, refs) {
+    const author = foldName(mention.author);
+    const candidates = refs.filter(ref => {
+        if (ref.year !== mention.year) return false;
+        // Entries kept verbatim have no parsed authors; use their first word
+        const family = foldName(ref.authors.length > 0 ? ref.authors[0].family : (ref.raw || '').split(/[\s,]/)[0]);
+        return family !== '' && (family === author || family.endsWith(author));
+    });
+
+    if (candidates.length <= 1 || !mention.coauthor) return candidates[0] || null;
+
+    const coauthor = foldName(mention.coauthor);
+    return candidates.find(ref => ref.authors[1] && foldName(ref.authors[1].family) === coauthor) || candidates[0];
+}
+
+/**
+ * Parsed bibliography records for an article, each with its element id.
+ */
+function bibliographyRefs(html) {
+    const bib = extractBibliography(html);
+    if (!bib) return [];
+    return bib.items.map((item, i) => ({ elementId: bib.ids[i], ...parseReference(item) }));
+}
+
+/**
+ * Remove anchors previously added by linkCitations so the transform can be
+ * re-run on already-retemplated articles.
+ */
+function unlinkCitations(html) {
+    return html.replace(/<a href="#[^"]*" class="cite-ref"[^>]*>([\s\S]*?)<\/a>/g, '$1');
+}
+
+/**
+ * Link every resolvable author–year mention in the article body (everything
+ * above the Bibliography heading) to its bibliography item.
+ */
+function linkCitations(html) {
+    html = unlinkCitations(html);
+    const bib = extractBibliography(html);
+    if (!bib) return html;
+
+    const refs = bibliographyRefs(html).filter(ref => ref.elementId);
+    if (refs.length === 0) return html;
+
+    const body = mapText(html.slice(0, bib.headingStart), text => {
+        let out = '';
+        let last = 0;
+        for (const mention of findCitations(text)) {
+            const ref = matchCitation(mention, refs);
+            if (!ref) continue;
+            out += text.slice(last, mention.index) +
+                `<a href="#${ref.elementId}" class="cite-ref">${mention.text}</a>`;
+            last = mention.index + mention.text.length;
+        }
+        return out + text.slice(last);
+    });
+
+    return body + html.slice(bib.headingStart);
+}
+
+module.exports = {
+    findCitations,
+    authorNames,
+    matchCitation,
+    linkCitations,
+    unlinkCitations,
+    bibliographyRefs,
+    mapText
+};
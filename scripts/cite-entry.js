@@ -0,0 +1,130 @@
+/**
+ * "Cite this entry" — citations for a Creatinepedia article itself.
+ *
+ * Builds APA, MLA, Vancouver and BibTeX strings from the article's title,
+ * canonical URL and publish date, plus the matching Highwire Press
+ * citation_* meta tags that Google Scholar reads.
+ *
+ * Used by retemplate.js.
+ *
+ * Exports: articleTitle, findPublishDate, entryCitations, highwireMetaTags
+ */
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+function escapeAttr(str) {
+    return str.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function decodeEntities(str) {
+    return str
+        .replace(/&#39;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Plain-text entry title: the article's <h1>, else the given <title> text.
+ */
+function articleTitle(articleHtml, fallback) {
+    const h1 = articleHtml.match(/<h1[^>]*>([\s\S]*?)<\/h1>/);
+    const text = h1 ? h1[1].replace(/<[^>]+>/g, '') : fallback;
+    return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Publish date (YYYY-MM-DD) from an article's HTML: the header
+ * <time datetime>, then a JSON-LD datePublished, then a
+ * "Published: January 28, 2026" byline. Returns '' when none is present.
+ */
+function findPublishDate(html) {
+    const time = html.match(/<time[^>]*\sdatetime="(\d{4}-\d{2}-\d{2})/);
+    if (time) return time[1];
+
+    const schema = html.match(/"datePublished":\s*"(\d{4}-\d{2}-\d{2})/);
+    if (schema) return schema[1];
+
+    const byline = html.match(/Published:\s*([A-Z][a-z]+) (\d{1,2}), (\d{4})/);
+    if (byline && MONTHS.includes(byline[1])) {
+        const month = String(MONTHS.indexOf(byline[1]) + 1).padStart(2, '0');
+        return `${byline[3]}-${month}-${byline[2].padStart(2, '0')}`;
+    }
+
+    return '';
+}
+
+// Titles ending in "?" or "!" don't take an extra full stop
+function sentence(str) {
+    return /[.?!]$/.test(str) ? str : `${str}.`;
+}
+
+function dateParts(date) {
+    if (!date) return null;
+    const [year, month, day] = date.split('-').map(Number);
+    return { year, month, day, monthName: MONTHS[month - 1] };
+}
+
+/**
+ * Citation strings for an entry.
+ * meta: { title, url, date, siteName, author, slug }
+ */
+function entryCitations(meta) {
+    const d = dateParts(meta.date);
+    const bareUrl = meta.url.replace(/^https?:\/\//, '');
+
+    const apaDate = d ? `${d.year}, ${d.monthName} ${d.day}` : 'n.d.';
+    const apa = `${meta.author}. (${apaDate}). ${sentence(meta.title)} ${meta.siteName}. ${meta.url}`;
+
+    const mlaMonth = d ? (d.monthName.length > 4 ? `${d.monthName.slice(0, 3)}.` : d.monthName) : '';
+    const mlaDate = d ? ` ${d.day} ${mlaMonth} ${d.year},` : '';
+    const mla = `${meta.author}. "${sentence(meta.title)}" ${meta.siteName},${mlaDate} ${bareUrl}.`;
+
+    const vancouverDate = d ? `${d.year} ${d.monthName.slice(0, 3)} ${d.day}` : '[date unknown]';
+    const vancouver = `${meta.author}. ${meta.title} [Internet]. ${meta.siteName}; ${vancouverDate}. Available from: ${meta.url}`;
+
+    const bibtexFields = [
+        `  author = {{${meta.author}}}`,
+        `  title = {{${meta.title.replace(/([&%$#_])/g, '\\$1')}}}`,
+        `  howpublished = {${meta.siteName}}`
+    ];
+    if (d) {
+        bibtexFields.push(`  year = {${d.year}}`);
+        bibtexFields.push(`  month = ${d.monthName.slice(0, 3).toLowerCase()}`);
+    }
+    bibtexFields.push(`  url = {${meta.url}}`);
+    const bibtex = `@misc{${meta.siteName.toLowerCase()}-${meta.slug},\n${bibtexFields.join(',\n')}\n}`;
+
+    return { apa, mla, vancouver, bibtex };
+}
+
+/**
+ * Highwire Press citation_* meta tags (Google Scholar inclusion guidelines).
+ */
+function highwireMetaTags(meta) {
+    const tags = [
+        ['citation_title', meta.title],
+        ['citation_author', meta.author]
+    ];
+    if (meta.date) {
+        tags.push(['citation_publication_date', meta.date.replace(/-/g, '/')]);
+    }
+    tags.push(
+        ['citation_publisher', meta.siteName],
+        ['citation_abstract_html_url', meta.url],
+        ['citation_fulltext_html_url', meta.url],
+        ['citation_language', 'en']
+    );
+
+    return tags.map(([name, content]) => `  <meta name="${name}" content="${escapeAttr(content)}">`).join('\n');
+}
+
+module.exports = {
+    articleTitle,
+    findPublishDate,
+    entryCitations,
+    highwireMetaTags
+};
@@ -0,0 +1,175 @@
+/**
+ * Pandoc-style citation keys for markdown articles in content/.
+ *
+ *   [@harris1992]                   → (Harris et al., 1992)
+ *   [@hultman1996; @green1996]      → (Hultman et al., 1996; Green et al., 1996)
+ *   [see @harris1992, p. 370]       → (see Harris et al., 1992, p. 370)
+ *   [-@harris1992]                  → (1992)
+ *   @harris1992 showed...           → Harris et al. (1992) showed...
+ *
+ * Keys are ids in references.json. Each citation links to its entry in an
+ * automatically numbered Bibliography, in the same markup
+ * generate-references.js writes for the hand-written articles, so the
+ * popovers, citation checker and BibTeX/RIS exports work unchanged.
+ *
+ * Bracketed keys that aren't in references.json are errors; a bare @word
+ * that isn't a known key is left alone (it may be a handle or a mention).
+ *
+ * Used by build.js, retemplate.js and migrate-to-markdown.js.
+ *
+ * Exports: resolveCitationKeys
+ */
+
+const { formatReference } = require('./references');
+
+const KEY = '[A-Za-z0-9_][\\w:.#$%&+?<>~/-]*[A-Za-z0-9_]|[A-Za-z0-9_]';
+const GROUP_PATTERN = /\[([^[\]\n]*@[^[\]]*)\](?![([])/g;
+const ITEM_PATTERN = new RegExp(`^\\s*([\\s\\S]*?)\\s*(-?)@(${KEY})([\\s\\S]*?)\\s*$`);
+const NARRATIVE_PATTERN = new RegExp(`(^|[^\\w@\\[-])@(${KEY})`, 'g');
+
+function escapeHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Same surname conventions as the hand-written prose: "Harris", "Harris and Hultman", "Harris et al."
+function authorLabel(ref) {
+    if (ref.authors.length === 0) return (ref.raw || '').split(/[\s,]/)[0] || 'Anonymous';
+    const families = ref.authors.map(a => a.family);
+    if (families.length === 1 && !ref.etAl) return families[0];
+    if (families.length === 2 && !ref.etAl) return `${families[0]} and ${families[1]}`;
+    return `${families[0]} et al.`;
+}
+
+/**
+ * Apply fn(text, offset) to the parts of a markdown source outside fenced
+ * code blocks and inline code spans.
+ */
+function mapProse(markdown, fn) {
+    const out = [];
+    let offset = 0;
+    let fence = null;
+
+    for (const line of markdown.split(/(?<=\n)/)) {
+        const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+        if (fence) {
+            if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length && /^\s*(`+|~+)\s*$/.test(line)) fence = null;
+            out.push(line);
+        } else if (marker) {
+            fence = marker[1];
+            out.push(line);
+        } else {
+            let last = 0;
+            let result = '';
+            for (const code of line.matchAll(/(`+)[^`][\s\S]*?\1(?!`)/g)) {
+                result += fn(line.slice(last, code.index), offset + last) + code[0];
+                last = code.index + code[0].length;
+            }
+            out.push(result + fn(line.slice(last), offset + last));
+        }
+        offset += line.length;
+    }
+
+    return out.join('');
+}
+
+/**
+ * Replace citation keys in a markdown body with linked in-text citations.
+ * `bodyLine` is the file line the body starts on, for error messages.
+ * `listed` are the frontmatter `references:` keys: they are in the
+ * bibliography even if never cited, in the order listed; keys cited but
+ * not listed follow in citation order.
+ *
+ * Returns { markdown, bibliography, errors: [{ line, key, message }] }.
+ */
+function resolveCitationKeys(markdown, refs, { bodyLine = 1, listed = [] } = {}) {
+    const order = [];
+    const errors = [];
+    const lineAt = offset => bodyLine + markdown.slice(0, offset).split('\n').length - 1;
+
+    const use = key => {
+        if (!order.includes(key)) order.push(key);
+        return key;
+    };
+
+    // First pass: collect cited keys in order, so labels can be disambiguated (1992a, 1992b)
+    const placeholders = [];
+    let text = mapProse(markdown, (prose, offset) => prose
+        .replace(GROUP_PATTERN, (match, inner, index) => {
+            const items = inner.split(';').map(part => part.match(ITEM_PATTERN));
+            if (items.some(item => !item)) return match;
+
+            const known = items.filter(item => {
+                if (refs[item[3]]) return true;
+                errors.push({
+                    line: lineAt(offset + index),
+                    key: item[3],
+                    message: `unknown citation key "@${item[3]}"`
+                });
+                return false;
+            });
+            if (known.length < items.length) return match;
+
+            placeholders.push({
+                type: 'group',
+                items: items.map(item => ({ prefix: item[1], suppress: item[2] === '-', key: use(item[3]), suffix: item[4] }))
+            });
+            return `\u0000${placeholders.length - 1}\u0000`;
+        })
+        .replace(NARRATIVE_PATTERN, (match, before, key) => {
+            if (!refs[key]) return match;
+            placeholders.push({ type: 'narrative', key: use(key) });
+            return `${before}\u0000${placeholders.length - 1}\u0000`;
+        }));
+
+    for (const key of listed) {
+        if (!refs[key]) {
+            errors.push({ line: null, key, message: `unknown key "${key}" in frontmatter references` });
+        } else {
+            use(key);
+        }
+    }
+
+    // Labels: "Harris et al.", with a/b suffixes when two cited works share author label and year
+    const labels = new Map();
+    const groups = new Map();
+    for (const key of order) {
+        const id = `${authorLabel(refs[key])}|${refs[key].year}`;
+        if (!groups.has(id)) groups.set(id, []);
+        groups.get(id).push(key);
+    }
+    for (const keys of groups.values()) {
+        keys.forEach((key, i) => {
+            const suffix = keys.length > 1 ? String.fromCharCode(97 + i) : '';
+            labels.set(key, { author: authorLabel(refs[key]), year: `${refs[key].year || 'n.d.'}${suffix}` });
+        });
+    }
+
+    const link = (key, content) => `<a href="#ref-${key}" class="cite-ref">${escapeHtml(content)}</a>`;
+
+    text = text.replace(/\u0000(\d+)\u0000/g, (match, n) => {
+        const p = placeholders[Number(n)];
+        if (p.type === 'narrative') {
+            const { author, year } = labels.get(p.key);
+            return link(p.key, `${author} (${year})`);
+        }
+        const parts = p.items.map(item => {
+            const { author, year } = labels.get(item.key);
+            const cite = link(item.key, item.suppress ? year : `${author}, ${year}`);
+            return `${item.prefix ? `${item.prefix} ` : ''}${cite}${item.suffix}`;
+        });
+        return `(${parts.join('; ')})`;
+    });
+
+    const entries = [...new Set(listed.filter(key => refs[key]).concat(order))];
+    const bibliography = entries.length === 0 ? '' : `
+<h2>Bibliography</h2>
+<ol>
+${entries.map(key => `  <li id="ref-${key}">${formatReference(refs[key])}</li>`).join('\n')}
+</ol>`;
+
+    return { markdown: text, bibliography, errors };
+}
+
+module.exports = {
+    resolveCitationKeys
+};
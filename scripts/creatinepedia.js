@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+/**
+ * Creatinepedia CLI — runs the site pipeline in dependency order.
+ *
+ *   references   generate-references.js  check references.json, record citedBy
+ *   retemplate   retemplate.js           content/ articles → generated/   (after references)
+ *   faqs         inject-faqs.js          curated FAQs + FAQPage schema    (after retemplate)
+ *   indexes      generate-indexes.js     hub + category index pages       (after faqs)
+ *   build        build.js                everything → dist/               (after indexes)
+ *   sitemap      generate-sitemap.js     dist/ sitemap index + sitemaps   (after build)
+ *   check-links  check-links.js          internal links and anchors       (after build)
+ *   check        check-citations.js      citation integrity report        (after faqs)
+ *   all          every step above
+ *   review-faqs  inject-faqs.js          generated FAQ drafts to approve  (after retemplate)
+ *   serve        serve.js                dev server with live reload      (after build)
+ *
+ * A command runs its prerequisites first; --only runs just the named steps.
+ * --strict fails the build and check on citation issues (also
+ * STRICT_CITATIONS=true); --clean makes build ignore its manifest and
+ * rebuild dist/ from scratch; --port=N sets the serve port (default 8888);
+ * --approve=cluster/slug,... (or all) makes review-faqs write the passing
+ * drafts into those articles' frontmatter as their curated FAQs.
+ * Each step's time is reported, and the run stops with exit code 1 at the
+ * first step that throws or sets process.exitCode.
+ *
+ * Run: node scripts/creatinepedia.js <command...> [--only] [--strict] [--clean] [--port=N] [--approve=ids]
+ */
+
+const { generateReferences } = require('./generate-references');
+const { retemplate } = require('./retemplate');
+const { injectFaqs, reviewFaqs } = require('./inject-faqs');
+const { generateIndexes } = require('./generate-indexes');
+const { build } = require('./build');
+const { generateSitemap, printSummary: printSitemapSummary } = require('./generate-sitemap');
+const { checkCitations, printReport } = require('./check-citations');
+const { checkLinks, printReport: printLinkReport } = require('./check-links');
+const { serve } = require('./serve');
+const { site } = require('./site-config');
+
+// ─── Steps ─────────────────────────────────────────────────────────
+
+const STEPS = {
+    references: {
+        description: 'check references.json, record citedBy',
+        after: [],
+        run: () => generateReferences()
+    },
+    retemplate: {
+        description: 'render content/ articles into generated/',
+        after: ['references'],
+        run: () => retemplate()
+    },
+    faqs: {
+        description: 'curated FAQ sections + FAQPage schema',
+        after: ['retemplate'],
+        run: () => injectFaqs()
+    },
+    indexes: {
+        description: 'hub + category index pages',
+        after: ['faqs'],
+        run: () => generateIndexes()
+    },
+    build: {
+        description: 'build dist/',
+        after: ['indexes'],
+        run: config => build({ strict: config.strict, clean: config.clean })
+    },
+    sitemap: {
+        description: 'dist/ sitemap index + per-cluster sitemaps',
+        after: ['build'],
+        run: () => printSitemapSummary(generateSitemap(site.paths.dist))
+    },
+    'check-links': {
+        description: 'internal links and anchors in dist/',
+        after: ['build'],
+        run: () => {
+            const report = checkLinks();
+            printLinkReport(report);
+            if (report.summary.errors > 0) process.exitCode = 1;
+        }
+    },
+    check: {
+        description: 'citation integrity',
+        after: ['faqs'],
+        run: config => {
+            const report = checkCitations();
+            printReport(report);
+            if (config.strict && report.summary.issues > 0) process.exitCode = 1;
+        }
+    },
+    'review-faqs': {
+        description: 'list generated FAQ drafts for approval',
+        after: ['retemplate'],
+        // A report for editors; not part of `all`
+        onDemand: true,
+        run: config => reviewFaqs({ approve: config.approve })
+    },
+    serve: {
+        description: 'serve dist/ with live reload',
+        after: ['build'],
+        // Keeps running; not part of `all`
+        longRunning: true,
+        run: config => serve({ port: config.port, strict: config.strict })
+    }
+};
+
+const ALL = Object.keys(STEPS).filter(name => !STEPS[name].longRunning && !STEPS[name].onDemand);
+
+function usage() {
+    const width = Math.max(...Object.keys(STEPS).map(name => name.length));
+    console.log('Usage: node scripts/creatinepedia.js <command...> [--only] [--strict] [--clean] [--port=N] [--approve=ids]\n');
+    console.log('Commands:');
+    for (const [name, step] of Object.entries(STEPS)) {
+        const after = step.after.length ? ` (after ${step.after.join(', ')})` : '';
+        console.log(`  ${name.padEnd(width)}  ${step.description}${after}`);
+    }
+    console.log(`  ${'all'.padEnd(width)}  every step except review-faqs and serve`);
+    console.log('\nOptions:');
+    console.log('  --only    skip prerequisites, run just the named steps');
+    console.log('  --strict  fail on citation issues (or STRICT_CITATIONS=true)');
+    console.log('  --clean   full rebuild of dist/ instead of an incremental one');
+    console.log('  --port=N  port for serve (default 8888, or PORT)');
+    console.log('  --approve=cluster/slug,...|all');
+    console.log('            review-faqs: save those articles\' passing drafts as their curated FAQs');
+}
+
+// ─── Planning ──────────────────────────────────────────────────────
+
+/**
+ * Steps to run for the requested commands, prerequisites first, each once.
+ */
+function plan(commands, only) {
+    const requested = commands.includes('all') ? ALL : commands;
+    if (only) return Object.keys(STEPS).filter(name => requested.includes(name));
+
+    const order = [];
+    const visit = name => {
+        if (order.includes(name)) return;
+        STEPS[name].after.forEach(visit);
+        order.push(name);
+    };
+    requested.forEach(visit);
+    return order;
+}
+
+// ─── Running ───────────────────────────────────────────────────────
+
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Run one step. A step fails if it throws or sets process.exitCode.
+ */
+function runStep(name, config) {
+    console.log(`\n━━━ ${name} — ${STEPS[name].description}\n`);
+    const start = Date.now();
+    process.exitCode = 0;
+
+    let ok = true;
+    try {
+        STEPS[name].run(config);
+        ok = !process.exitCode;
+    } catch (error) {
+        console.error(`\n${error.stack || error.message}`);
+        ok = false;
+    }
+
+    return { name, ok, ms: Date.now() - start };
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const commands = args.filter(arg => !arg.startsWith('-'));
+    const flags = args.filter(arg => arg.startsWith('-'));
+
+    if (commands.length === 0 || flags.includes('--help') || flags.includes('-h')) {
+        usage();
+        if (commands.length === 0 && !flags.includes('--help') && !flags.includes('-h')) process.exitCode = 1;
+        return;
+    }
+
+    const unknown = [
+        ...commands.filter(c => c !== 'all' && !STEPS[c]),
+        ...flags.filter(f => !['--only', '--strict', '--clean'].includes(f) && !/^--port=\d+$/.test(f) && !/^--approve=.+$/.test(f))
+    ];
+    if (unknown.length > 0) {
+        console.error(`Unknown ${unknown.length === 1 ? 'argument' : 'arguments'}: ${unknown.join(', ')}\n`);
+        usage();
+        process.exitCode = 1;
+        return;
+    }
+
+    // One config for every step
+    const config = {
+        strict: flags.includes('--strict') || process.env.STRICT_CITATIONS === 'true',
+        clean: flags.includes('--clean'),
+        port: Number((flags.find(f => f.startsWith('--port=')) || '').slice('--port='.length)) || undefined,
+        approve: (flags.find(f => f.startsWith('--approve=')) || '').slice('--approve='.length).split(',').filter(Boolean)
+    };
+
+    const steps = plan(commands, flags.includes('--only'));
+    console.log(`Creatinepedia — ${steps.join(' → ')}`);
+
+    // Batch steps first; a long-running step (serve) starts once they pass
+    const batch = steps.filter(name => !STEPS[name].longRunning);
+    const server = steps.find(name => STEPS[name].longRunning);
+
+    const results = [];
+    for (const name of batch) {
+        const result = runStep(name, config);
+        results.push(result);
+        if (!result.ok) break;
+    }
+
+    const failed = results.find(r => !r.ok);
+    if (batch.length > 0) {
+        const width = Math.max(...batch.map(name => name.length));
+        const total = results.reduce((sum, r) => sum + r.ms, 0);
+
+        console.log('\n━━━ Summary\n');
+        for (const r of results) {
+            console.log(`  ${r.ok ? '✓' : '✗'} ${r.name.padEnd(width)}  ${formatSeconds(r.ms)}`);
+        }
+        for (const name of batch.slice(results.length)) {
+            console.log(`  - ${name.padEnd(width)}  skipped`);
+        }
+
+        if (failed) {
+            console.error(`\n✗ ${failed.name} failed after ${formatSeconds(total)}`);
+        } else {
+            console.log(`\n✓ ${results.length} step${results.length === 1 ? '' : 's'} in ${formatSeconds(total)}`);
+        }
+    }
+
+    process.exitCode = failed ? 1 : 0;
+    if (server && !failed) {
+        console.log(`\n━━━ ${server} — ${STEPS[server].description}`);
+        STEPS[server].run(config);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { STEPS, plan };
@@ -0,0 +1,104 @@
+/**
+ * Content-Security-Policy for the built site, with no 'unsafe-inline'.
+ *
+ * Inline <script> and <style> blocks are allowed by their SHA-256 hash;
+ * build.js collects the hashes from every page in dist/ and writes the
+ * policy to dist/_headers. Inline code a hash can't allow — on* handler
+ * attributes, style attributes, javascript: URLs — fails the build instead
+ * (move it into a stylesheet or script).
+ *
+ * - inlineBlocks(html): inline scripts (executable types only; JSON-LD is
+ *   data and never runs) and styles, with their line numbers
+ * - hashSource(content): a block's CSP source, 'sha256-…'
+ * - unhashable(html): inline code no hash can allow, with line numbers
+ * - buildPolicy(hashes): CSP_DIRECTIVES plus the script and style hashes
+ *
+ * Used by build.js.
+ *
+ * Exports: CSP_DIRECTIVES, inlineBlocks, hashSource, unhashable, buildPolicy
+ */
+
+const crypto = require('crypto');
+
+// Everything the pages load besides their own inline blocks
+const CSP_DIRECTIVES = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'", 'https://cdnjs.cloudflare.com'],
+    'style-src': ["'self'", 'https://fonts.googleapis.com'],
+    'font-src': ["'self'", 'https://fonts.gstatic.com'],
+    'img-src': ["'self'", 'data:', 'https:'],
+    'connect-src': ["'self'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"],
+    'frame-ancestors': ["'none'"],
+    'object-src': ["'none'"]
+};
+
+const SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module'];
+
+function lineAt(html, index) {
+    return html.slice(0, index).split('\n').length;
+}
+
+/**
+ * Inline blocks in a page: [{ kind: 'script' | 'style', content, line }].
+ */
+function inlineBlocks(html) {
+    const blocks = [];
+    for (const match of html.matchAll(/<(script|style)\b([^>]*)>([\s\S]*?)<\/\1>/gi)) {
+        const kind = match[1].toLowerCase();
+        const attrs = match[2];
+        if (kind === 'script') {
+            if (/\ssrc\s*=/i.test(attrs)) continue;
+            const type = /\stype\s*=\s*["']?([^"'\s>]*)/i.exec(attrs);
+            if (!SCRIPT_TYPES.includes(type ? type[1].toLowerCase() : '')) continue;
+        }
+        blocks.push({ kind, content: match[3], line: lineAt(html, match.index) });
+    }
+    return blocks;
+}
+
+function hashSource(content) {
+    return `'sha256-${crypto.createHash('sha256').update(content, 'utf8').digest('base64')}'`;
+}
+
+/**
+ * Inline code a hash can't allow: [{ line, message }].
+ */
+function unhashable(html) {
+    const problems = [];
+    // Attributes of tags only, not text or the inside of scripts and styles
+    const tags = html.replace(/<(script|style)\b([^>]*)>[\s\S]*?<\/\1>/gi, (m, tag, attrs) => `<${tag}${attrs}>${'\n'.repeat(m.split('\n').length - 1)}`);
+    for (const tag of tags.matchAll(/<[a-zA-Z][^>]*>/g)) {
+        const line = lineAt(tags, tag.index);
+        for (const attr of tag[0].matchAll(/\s(on[a-z]+|style)\s*=|\s(?:href|src|action)\s*=\s*["']?\s*javascript:/gi)) {
+            problems.push({
+                line,
+                message: attr[1]
+                    ? `inline ${attr[1].toLowerCase() === 'style' ? 'style attribute' : `${attr[1].toLowerCase()} handler`}`
+                    : 'javascript: URL'
+            });
+        }
+    }
+    return problems;
+}
+
+/**
+ * The policy string. hashes: { script: [...sources], style: [...sources] }.
+ */
+function buildPolicy(hashes) {
+    const directives = {
+        ...CSP_DIRECTIVES,
+        'script-src': [...CSP_DIRECTIVES['script-src'], ...hashes.script],
+        'style-src': [...CSP_DIRECTIVES['style-src'], ...hashes.style]
+    };
+    return Object.entries(directives).map(([name, sources]) => `${name} ${sources.join(' ')}`).join('; ');
+}
+
+module.exports = {
+    CSP_DIRECTIVES,
+    inlineBlocks,
+    hashSource,
+    unhashable,
+    buildPolicy
+};
@@ -0,0 +1,406 @@
+/**
+ * Where each article's FAQ comes from, and the quality gate a generated
+ * one must pass. The questions become FAQPage rich results, so they have
+ * to read as real questions out of context.
+ *
+ * Curated: an article's frontmatter `faqs` ([{ question, answer }], plain
+ * text) is its FAQ. An empty list publishes none.
+ *
+ * Generated: without curated FAQs, a draft is made from the article's
+ * H2 sections — the heading turned into a question where it has a
+ * question's shape, the section's first paragraph trimmed to whole
+ * sentences as the answer. Drafts are not published: an editor approves
+ * them (review-faqs --approve), which writes them into the frontmatter.
+ *
+ * The gate (checkFaq) applies to both: a question must open with a
+ * question word, end in a single "?", agree in number ("What is the
+ * … origins"), name something specific (not "What is the verdict?"), and
+ * not lean on a vague subject ("When does each make sense?"); an answer
+ * must be whole sentences, at most MAX_ANSWER_LENGTH characters, and not
+ * open mid-argument ("However, …"). No question may appear twice on the
+ * site.
+ *
+ * - withFaqs(source, faqs): a markdown file with `faqs` added to its frontmatter
+ * - draftFaqs(articleHtml): generated [{ heading, question, answer, problem }]
+ * - checkFaq(faq): the first problem with a question/answer pair, or null
+ * - questionKey(question): the form duplicates are compared in
+ * - faqAnchor(question): the id of the question in its article's FAQ
+ * - groupQuestions(entries): near-duplicate questions grouped together
+ *
+ * Used by inject-faqs.js and generate-indexes.js (the /faq hub).
+ *
+ * Exports: MAX_FAQS, MAX_ANSWER_LENGTH, withFaqs, draftFaqs, checkFaq,
+ *          questionKey, faqAnchor, groupQuestions
+ */
+
+const { slugify } = require('./markdown');
+
+// Questions per article
+const MAX_FAQS = 5;
+
+// Rich results show a short answer; longer ones are cut off mid-thought
+const MAX_ANSWER_LENGTH = 300;
+const MIN_ANSWER_LENGTH = 40;
+
+const MAX_QUESTION_WORDS = 18;
+
+// Share of two questions' (IDF-weighted) words they must have in common
+// to count as the same question: "Do I need to cycle creatine?" and
+// "Should I cycle creatine?" do, "Does creatine cause bloating?" and
+// "Does creatine cause cramps?" don't
+const NEAR_DUPLICATE = 0.6;
+
+const QUESTION_START = /^(?:What|How|Why|When|Where|Which|Who|Is|Are|Does|Do|Did|Can|Could|Should|Will|Would)\b/;
+
+// Words that make a question about nothing in particular
+const GENERIC_WORDS = new Set((
+    'avoid background bottom case choose comparison conclusion consider considerations data difference differences ' +
+    'evidence expect findings happen introduction key know line matter mean need overview practical recommendations ' +
+    'research results say sense show study studies summary takeaway takeaways thing things use verdict work'
+).split(' '));
+
+const FUNCTION_WORDS = new Set((
+    'a about after an and any are as at be before between both by can could did do does during each for from how if in ' +
+    'into is it its more most much of on or other should than that the their them these they this those to up what when ' +
+    'where which who why will with would you your'
+).split(' '));
+
+// A wh-question needs its auxiliary early: "How long is …", not "How long until …"
+const WH_AUXILIARY = /^(?:What|Which|How|Why|When|Where|Who)(?:\s+\S+){0,3}?\s+(?:is|are|was|were|does|do|did|can|could|should|will|would|might|may|has|have)\b/;
+
+// Subjects that only make sense with the heading above them
+const VAGUE_SUBJECT = /\b(?:is|are|does|do|did|can|should|will)\s+(each|this|that|these|those|they|them|both|one)\b/i;
+const VAGUE_OBJECT = /\s(it|them|this|that|each|both)\?$/;
+
+// An answer opening like this continues an argument the FAQ doesn't show
+const DANGLING_OPENER = /^(?:However|But|And|Also|This|These|That|Those|They|Both|Here|Similarly|Instead|In contrast|Conversely)\b/;
+
+// "See the guide below" — the answer isn't in the answer
+const CROSS_REFERENCE = /\bsee\s+(?:[A-Z]|(?:the\s+)?(?:below|above|section|guide|article|table))/;
+
+// Abbreviations whose period doesn't end a sentence
+const ABBREVIATION = /(?:\bet al|\be\.g|\bi\.e|\bvs|\bapprox|\bca|\bDr|\bFig|\bNo|\b[A-Z])\.$/;
+
+function decodeEntities(str) {
+    return str
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&mdash;/g, '—')
+        .replace(/&ndash;/g, '–')
+        .replace(/&rarr;/g, '→')
+        .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function plainText(html) {
+    return decodeEntities(html.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+// ─── Curated ───────────────────────────────────────────────────────
+
+/**
+ * A markdown file's source with `faqs` appended to its frontmatter.
+ * Throws if it has no frontmatter or already sets `faqs`.
+ */
+function withFaqs(source, faqs) {
+    const match = source.match(/^---[ \t]*\r?\n[\s\S]*?\r?\n?^(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/m);
+    if (!match || match.index !== 0) throw new Error('no frontmatter to add faqs to');
+    if (/^faqs[ \t]*:/m.test(match[0])) throw new Error('frontmatter already sets faqs');
+
+    // Start of the closing "---" line
+    const close = match[0].lastIndexOf('\n', match[0].length - 2) + 1;
+    const lines = [
+        'faqs:',
+        ...faqs.flatMap(faq => [
+            `  - question: ${JSON.stringify(faq.question)}`,
+            `    answer: ${JSON.stringify(faq.answer)}`
+        ])
+    ];
+    return `${source.slice(0, close)}${lines.join('\n')}\n${source.slice(close)}`;
+}
+
+// ─── Quality gate ──────────────────────────────────────────────────
+
+/**
+ * Lowercase, punctuation dropped: "Is creatine safe?" and "is Creatine
+ * safe" are the same question.
+ */
+function questionKey(question) {
+    return question.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * The id a question's heading gets in its article's FAQ section, so the
+ * hub can link straight to it.
+ */
+function faqAnchor(question) {
+    return `faq-${slugify(question)}`;
+}
+
+function isPlural(word) {
+    return /[A-Z]s$/.test(word) || /[a-z][a-rt-z]s$/.test(word) && !/(?:us|is|ics)$/.test(word);
+}
+
+/**
+ * Number agreement in "What is the …" / "What are the …": the noun before
+ * the first preposition is the one the verb agrees with.
+ */
+function agreementProblem(question) {
+    const m = question.match(/^(?:What|Which)\s+(is|are)\s+(?:the\s+|a\s+|an\s+)?(.+?)\?$/);
+    if (!m) return null;
+    const phrase = m[2].split(/\s+(?:of|for|in|on|with|to|from|during|after|before|between|about|than|when|if)\s+/)[0];
+    if (/\band\b/.test(phrase)) return null;
+    const head = phrase.split(/\s+/).pop();
+    if (m[1] === 'is' && isPlural(head)) return `"is" with a plural subject ("${head}")`;
+    if (m[1] === 'are' && !isPlural(head)) return `"are" with a singular subject ("${head}")`;
+    return null;
+}
+
+/**
+ * The first problem with a question, or null when it passes.
+ */
+function questionProblem(question) {
+    const words = question.replace(/\?$/, '').split(/\s+/);
+    if (!QUESTION_START.test(question)) return 'does not open with a question word';
+    if (!/^[^?]+\?$/.test(question)) return 'is not a single question ending in "?"';
+    if (/[:;()[\]]|\bet al\b|\b(?:19|20)\d\d\b/.test(question)) return 'carries a subtitle, aside or citation';
+    if (/^(?:What|Which|How|Why|When|Where|Who)\b/.test(question) && !WH_AUXILIARY.test(question)) return 'has no auxiliary verb';
+    if (words.length < 4) return 'is too short to stand on its own';
+    if (words.length > MAX_QUESTION_WORDS) return `is over ${MAX_QUESTION_WORDS} words`;
+    const repeated = question.match(/\b(\w+)\s+\1\b/i);
+    if (repeated) return `repeats "${repeated[1]}"`;
+    const agreement = agreementProblem(question);
+    if (agreement) return agreement;
+    const vague = question.match(VAGUE_SUBJECT);
+    if (vague) return `has a vague subject ("${vague[1]}")`;
+    const object = question.match(VAGUE_OBJECT);
+    if (object) return `ends on a vague "${object[1]}"`;
+    const specific = words.map(word => word.toLowerCase().replace(/[^a-z0-9-]/g, ''))
+        .filter(word => word && !FUNCTION_WORDS.has(word) && !GENERIC_WORDS.has(word));
+    if (specific.length === 0) return 'is too generic to stand on its own';
+    return null;
+}
+
+/**
+ * The first problem with an answer, or null when it passes.
+ */
+function answerProblem(answer) {
+    if (answer.length > MAX_ANSWER_LENGTH) return `answer is ${answer.length} characters (max ${MAX_ANSWER_LENGTH})`;
+    if (answer.length < MIN_ANSWER_LENGTH) return `answer is under ${MIN_ANSWER_LENGTH} characters`;
+    if (!/[.!?]["”')]?$/.test(answer)) return 'answer does not end a sentence';
+    const opener = answer.match(DANGLING_OPENER);
+    if (opener) return `answer opens mid-argument ("${opener[0]}")`;
+    if (CROSS_REFERENCE.test(answer)) return 'answer refers the reader elsewhere';
+    return null;
+}
+
+/**
+ * The first problem with a { question, answer } pair, or null.
+ */
+function checkFaq(faq) {
+    const problem = questionProblem(faq.question);
+    return problem ? `question ${problem}` : answerProblem(faq.answer);
+}
+
+// ─── Near duplicates ───────────────────────────────────────────────
+
+function questionWords(question) {
+    return new Set((question.toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(word => !FUNCTION_WORDS.has(word))
+        .map(word => word.replace(/(?<=[^s])s$/, '')));
+}
+
+/**
+ * Group entries ([{ question, source, ... }], in order) whose questions
+ * ask the same thing. Words are weighted by inverse frequency across the
+ * entries, so "creatine" counts for little. A group takes one question
+ * per `source` (article): one article's questions are never duplicates
+ * of each other. Returns [[entry, ...]]; each group is led by its first
+ * entry, and groups keep the order of their leaders.
+ */
+function groupQuestions(entries) {
+    const words = entries.map(entry => questionWords(entry.question));
+    const df = new Map();
+    words.forEach(set => set.forEach(word => df.set(word, (df.get(word) || 0) + 1)));
+    const weight = word => Math.log(1 + entries.length / df.get(word));
+
+    const similarity = (a, b) => {
+        let shared = 0;
+        let union = 0;
+        new Set([...a, ...b]).forEach(word => {
+            union += weight(word);
+            if (a.has(word) && b.has(word)) shared += weight(word);
+        });
+        return union > 0 ? shared / union : 0;
+    };
+
+    const groups = [];
+    entries.forEach((entry, i) => {
+        const group = groups.find(g => !g.entries.some(other => other.source === entry.source)
+            && similarity(words[g.lead], words[i]) >= NEAR_DUPLICATE);
+        if (group) group.entries.push(entry);
+        else groups.push({ lead: i, entries: [entry] });
+    });
+    return groups.map(group => group.entries);
+}
+
+// ─── Drafts ────────────────────────────────────────────────────────
+
+function sentences(text) {
+    const result = [];
+    for (const part of text.split(/(?<=[.!?]["”')]?)\s+(?=["“(]?[A-Z0-9])/)) {
+        if (result.length > 0 && ABBREVIATION.test(result[result.length - 1])) result[result.length - 1] += ` ${part}`;
+        else result.push(part);
+    }
+    return result;
+}
+
+/**
+ * A paragraph cut to the whole sentences that fit in MAX_ANSWER_LENGTH.
+ * A first sentence that doesn't fit is returned whole, for the gate to
+ * reject.
+ */
+function trimAnswer(text) {
+    let answer = '';
+    for (const sentence of sentences(text)) {
+        if (!/[.!?]["”')]?$/.test(sentence)) break;
+        const next = answer ? `${answer} ${sentence}` : sentence;
+        if (answer && next.length > MAX_ANSWER_LENGTH) break;
+        answer = next;
+        if (answer.length > MAX_ANSWER_LENGTH) break;
+    }
+    return answer || text;
+}
+
+/**
+ * How each word is written mid-sentence in the article: "creatine"
+ * lowercase, "Cribb" and "HMB" as they are. A capitalised word the
+ * article never uses mid-sentence is title case, so lowercase.
+ */
+function vocabulary(text) {
+    const forms = new Map();
+    for (const [word] of text.matchAll(/(?<![.!?:]\s*|^\s*)\b[A-Za-z][\w-]*/g)) {
+        const key = word.toLowerCase();
+        if (!forms.has(key)) forms.set(key, new Map());
+        forms.get(key).set(word, (forms.get(key).get(word) || 0) + 1);
+    }
+    return word => {
+        const seen = forms.get(word.toLowerCase());
+        if (!seen) return /^[A-Z][a-z'’-]*$/.test(word) ? word.toLowerCase() : word;
+        if (seen.has(word.toLowerCase())) return word.toLowerCase();
+        return [...seen.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    };
+}
+
+// "Works" → "work", "Does" → "do"
+function baseForm(verb) {
+    const lc = verb.toLowerCase();
+    if (lc === 'does') return 'do';
+    return lc.replace(/(?<=(?:ch|sh|ss|x))es$|s$/, '');
+}
+
+/**
+ * A heading as a direct question, or null when it has no question's shape.
+ * `cased` gives a word its mid-sentence spelling.
+ */
+function headingToQuestion(heading, cased) {
+    const parts = heading.replace(/\s*\([^)]*\)/g, '').split(/\s*[:—–]\s+/);
+    const asked = parts.find(part => QUESTION_START.test(part) && part.endsWith('?'));
+    const h = (asked || parts[0]).replace(/^The\s+/, '').replace(/[?.]+$/, '').trim();
+    const lower = text => text.split(/\s+/).map(cased).join(' ');
+    const ask = (...words) => {
+        const question = `${words.filter(Boolean).join(' ')}?`;
+        return question.charAt(0).toUpperCase() + question.slice(1);
+    };
+    let m;
+
+    // Already a question: "Is Creatine Safe for Teenagers", "How Much Should You Take"
+    if ((m = h.match(/^(Is|Are|Does|Do|Can|Should|Will|Who Should|(?:What|Which|How|Why|When|Where)(?:\s+(?:Much|Many|Long|Often|Quickly|Soon))?\s+(?:Is|Are|Does|Do|Did|Can|Should|Will))\s+(.+)$/))) {
+        return ask(m[1].charAt(0) + m[1].slice(1).toLowerCase(), lower(m[2]));
+    }
+
+    // "How to Take Creatine" → "How should you take creatine?"
+    if ((m = h.match(/^(How|When|Where|Why|What|Which)\s+to\s+(.+)$/))) {
+        return ask(m[1], 'should you', lower(m[2]));
+    }
+
+    // "How Creatine Works" → "How does creatine work?", "What BCAAs Do" → "What do BCAAs do?",
+    // "What Testing Does Not Cover" → "What does testing not cover?",
+    // "Why Timing Might Matter" → "Why might timing matter?"
+    if ((m = h.match(/^(How|Why|What|When|Where)\s+(.+?)\s+(Works?|Does|Do|Matters?|Makes?|Helps?|Affects?|Changes?|Happens?|Compares?|Differs?|Fits?|Means?|Shows?|Says?|Causes?|Increases?|Improves?|Reduces?)(\s.+)?$/))) {
+        const [, wh, subject, verb, rest] = m;
+        if (/(?<![\w-])(?:is|are|was|were|how|what|why|when|until|if|long|much|many)(?![\w-])/i.test(subject)) return null;
+        const modal = subject.match(/^(.+?)\s+(Might|May|Could|Can|Should|Would|Will|Must)$/);
+        if (modal) return ask(wh, modal[2].toLowerCase(), lower(modal[1]), baseForm(verb), rest && lower(rest.trim()));
+        const aux = /s$/i.test(verb) ? 'does' : 'do';
+        // "Does" followed by a verb is the auxiliary itself
+        if (/^Do(?:es)?$/.test(verb) && rest && !/^(?:to|for|in|on|with|about|at|during|after|before)\b/i.test(rest.trim())) return ask(wh, aux, lower(subject), lower(rest.trim()));
+        return ask(wh, aux, lower(subject), baseForm(verb), rest && lower(rest.trim()));
+    }
+
+    // "Evidence for HMB" → "What is the evidence for HMB?"
+    if ((m = h.match(/^(?:Evidence|Research|Science|Data)\s+(for|on|behind|about)\s+(.+)$/i))) {
+        return m[1].toLowerCase() === 'for'
+            ? ask('What is the evidence for', lower(m[2]))
+            : ask('What does the research say about', lower(m[2]));
+    }
+
+    // "Benefits of Creatine for Women" → "What are the benefits of creatine for women?"
+    if ((m = h.match(/^(Benefits|Risks|Side Effects|Limitations|Advantages|Causes|Signs|Symptoms|Types|Forms|Sources)\s+of\s+(.+)$/i))) {
+        return ask('What are the', m[1].toLowerCase(), 'of', lower(m[2]));
+    }
+
+    return null;
+}
+
+/**
+ * A generated FAQ draft from an article's HTML, each candidate with the
+ * problem that keeps it out, if any: first the questions the article asks
+ * itself under a "Frequently Asked Questions" H2 (an H3 each), then one
+ * per other H2 section (not the Bibliography). Duplicates are checked by
+ * the caller.
+ */
+function draftFaqs(articleHtml) {
+    const html = articleHtml.replace(/<section class="faq-section">[\s\S]*?<\/section>/g, '');
+    const cased = vocabulary(plainText(html.replace(/<h[1-6][^>]*>[\s\S]*?<\/h[1-6]>/g, ' ')));
+    const asked = [];
+    const drafts = [];
+    const candidate = (heading, question, content, missing) => {
+        const paragraph = content.match(/<p[^>]*>([\s\S]*?)<\/p>/);
+        const answer = paragraph ? trimAnswer(plainText(paragraph[1])) : '';
+        const problem = !question ? missing
+            : !answer ? 'section has no paragraph to answer with'
+                : checkFaq({ question, answer });
+        return { heading, question: question || heading, answer, problem };
+    };
+
+    const h2Regex = /<h2[^>]*>([\s\S]*?)<\/h2>([\s\S]*?)(?=<h2|<\/article>|<section class="references|<div class="cta-box|$)/gi;
+    for (const match of html.matchAll(h2Regex)) {
+        const heading = plainText(match[1]);
+        if (/references|bibliography|sources|citations/i.test(heading)) continue;
+
+        if (/frequently asked|faq/i.test(heading)) {
+            for (const item of match[2].matchAll(/<h3[^>]*>([\s\S]*?)<\/h3>([\s\S]*?)(?=<h3|$)/g)) {
+                const question = plainText(item[1]);
+                asked.push(candidate(question, question, item[2]));
+            }
+            continue;
+        }
+        drafts.push(candidate(heading, headingToQuestion(heading, cased), match[2], 'heading has no question form'));
+    }
+    return asked.concat(drafts);
+}
+
+module.exports = {
+    MAX_FAQS,
+    MAX_ANSWER_LENGTH,
+    withFaqs,
+    draftFaqs,
+    checkFaq,
+    questionKey,
+    faqAnchor,
+    groupQuestions
+};
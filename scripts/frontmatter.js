@@ -0,0 +1,539 @@
+/**
+ * YAML frontmatter for markdown articles in content/.
+ *
+ * parseYaml() covers the YAML 1.2 subset frontmatter needs: block maps and
+ * sequences (nested to any depth), flow collections ([a, b], {k: v}),
+ * plain/single/double-quoted scalars, literal (|) and folded (>) block
+ * scalars, comments, and core-schema typing (null, booleans, numbers).
+ * Dates stay as "YYYY-MM-DD" strings; the schema checks they are real
+ * calendar dates. Anchors, aliases and tags are rejected.
+ *
+ * FRONTMATTER_SCHEMA declares every field an article may set;
+ * validateFrontmatter() reports missing, unknown and mistyped fields.
+ *
+ * Used by build.js; site-config.js validates the site configuration with
+ * the same schema rules (validateFields).
+ *
+ * Exports: FRONTMATTER_SCHEMA, parseYaml, parseFrontmatter, validateFields,
+ *          validateFrontmatter
+ */
+
+const FRONTMATTER_SCHEMA = {
+    title: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    date: { type: 'date', required: true },
+    modified: { type: 'date' },
+    cluster: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    // TechArticle proficiencyLevel
+    level: { type: 'string', enum: ['Beginner', 'Expert'] },
+    faqs: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                question: { type: 'string', required: true },
+                answer: { type: 'string', required: true }
+            }
+        }
+    },
+    reviewers: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', required: true },
+                credentials: { type: 'string' },
+                url: { type: 'string' },
+                date: { type: 'date' }
+            }
+        }
+    },
+    // Keys into references.json
+    references: { type: 'array', items: { type: 'string' } },
+    draft: { type: 'boolean' },
+    ogImage: { type: 'string' }
+};
+
+// ─── YAML ──────────────────────────────────────────────────────────
+
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{}[\],&*!|>%@`-][^#]*?|-[^\s#][^#]*?)[ \t]*:(?:[ \t]+|$)/;
+
+function yamlError(lineNo, message) {
+    return new Error(`line ${lineNo}: ${message}`);
+}
+
+function indentOf(line) {
+    return line.match(/^ */)[0].length;
+}
+
+function isIgnorable(line) {
+    return /^\s*(#.*)?$/.test(line);
+}
+
+// Drop a trailing " # comment" outside quotes
+function stripComment(text) {
+    let quote = '';
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === '\\' && quote === '"') i++;
+            else if (ch === quote) quote = '';
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i).trimEnd();
+        }
+    }
+    return text.trimEnd();
+}
+
+function resolvePlain(text) {
+    if (/^(?:~|null|Null|NULL|)$/.test(text)) return null;
+    if (/^(?:true|True|TRUE)$/.test(text)) return true;
+    if (/^(?:false|False|FALSE)$/.test(text)) return false;
+    if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+    if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+    if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+    if (/^[-+]?(?:\.\d+|\d+(?:\.\d*)?)(?:[eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+    if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+    if (/^\.(?:nan|NaN|NAN)$/.test(text)) return NaN;
+    return text;
+}
+
+function unquoteDouble(text, lineNo) {
+    const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', '0': '\0', ' ': ' ', b: '\b', e: '\x1b' };
+    return text.slice(1, -1).replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (m, esc) => {
+        if (/^[xuU]/.test(esc) && esc.length > 1) return String.fromCodePoint(parseInt(esc.slice(1), 16));
+        if (escapes[esc] === undefined) throw yamlError(lineNo, `unknown escape "\\${esc}"`);
+        return escapes[esc];
+    });
+}
+
+function parseScalar(text, lineNo) {
+    if (text.startsWith('"')) {
+        if (!/^"(?:[^"\\]|\\.)*"$/.test(text)) throw yamlError(lineNo, `unterminated or trailing text after quoted string: ${text}`);
+        return unquoteDouble(text, lineNo);
+    }
+    if (text.startsWith("'")) {
+        if (!/^'(?:[^']|'')*'$/.test(text)) throw yamlError(lineNo, `unterminated or trailing text after quoted string: ${text}`);
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (/^[&*!]/.test(text)) throw yamlError(lineNo, 'anchors, aliases and tags are not supported');
+    if (/^[@`%]/.test(text)) throw yamlError(lineNo, `plain value cannot start with "${text[0]}"`);
+    return resolvePlain(text);
+}
+
+// Flow collections: [a, "b", {c: 1}]
+function parseFlow(text, lineNo) {
+    let pos = 0;
+
+    const skip = () => { while (pos < text.length && /\s/.test(text[pos])) pos++; };
+
+    function value() {
+        skip();
+        const ch = text[pos];
+        if (ch === '[') {
+            pos++;
+            const list = [];
+            skip();
+            while (text[pos] !== ']') {
+                if (pos >= text.length) throw yamlError(lineNo, 'unterminated flow sequence');
+                list.push(value());
+                skip();
+                if (text[pos] === ',') pos++;
+                else if (text[pos] !== ']') throw yamlError(lineNo, `expected "," or "]" in flow sequence`);
+                skip();
+            }
+            pos++;
+            return list;
+        }
+        if (ch === '{') {
+            pos++;
+            const map = {};
+            skip();
+            while (text[pos] !== '}') {
+                if (pos >= text.length) throw yamlError(lineNo, 'unterminated flow mapping');
+                const key = scalar(true);
+                skip();
+                if (text[pos] !== ':') throw yamlError(lineNo, `expected ":" after flow mapping key "${key}"`);
+                pos++;
+                map[String(key)] = value();
+                skip();
+                if (text[pos] === ',') pos++;
+                else if (text[pos] !== '}') throw yamlError(lineNo, `expected "," or "}" in flow mapping`);
+                skip();
+            }
+            pos++;
+            return map;
+        }
+        return scalar(false);
+    }
+
+    function scalar(isKey) {
+        skip();
+        const start = pos;
+        if (text[pos] === '"' || text[pos] === "'") {
+            const quote = text[pos++];
+            while (pos < text.length) {
+                if (text[pos] === '\\' && quote === '"') pos += 2;
+                else if (quote === "'" && text.startsWith("''", pos)) pos += 2;
+                else if (text[pos] === quote) break;
+                else pos++;
+            }
+            pos++;
+            return parseScalar(text.slice(start, pos), lineNo);
+        }
+        const stop = isKey ? /[:,\]}]/ : /[,\]}]/;
+        while (pos < text.length && !stop.test(text[pos])) pos++;
+        return parseScalar(text.slice(start, pos).trim(), lineNo);
+    }
+
+    const result = value();
+    skip();
+    if (pos < text.length) throw yamlError(lineNo, `unexpected text after flow collection: ${text.slice(pos)}`);
+    return result;
+}
+
+/**
+ * Parse a YAML document into plain JS values. Errors carry the line
+ * number (relative to `firstLine`, default 1).
+ */
+function parseYaml(text, firstLine = 1) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    let i = 0;
+
+    lines.forEach((line, n) => {
+        if (/^\s*\t/.test(line) && !isIgnorable(line)) throw yamlError(firstLine + n, 'tabs are not allowed for indentation');
+    });
+
+    const lineNo = () => firstLine + i;
+
+    function skipIgnorable() {
+        while (i < lines.length && isIgnorable(lines[i])) i++;
+    }
+
+    // Block scalar body (| or >) for a value at parentIndent
+    function blockScalar(header, parentIndent) {
+        const m = header.match(/^([|>])([-+]?)([1-9]?)([-+]?)$/);
+        if (!m) throw yamlError(lineNo(), `invalid block scalar header "${header}"`);
+        const folded = m[1] === '>';
+        const chomp = m[2] || m[4];
+        const body = [];
+        i++;
+
+        let contentIndent = m[3] ? parentIndent + parseInt(m[3], 10) : 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (/^\s*$/.test(line)) {
+                body.push('');
+                i++;
+                continue;
+            }
+            const indent = indentOf(line);
+            if (!contentIndent) contentIndent = indent;
+            if (indent < contentIndent || indent <= parentIndent) break;
+            body.push(line.slice(contentIndent));
+            i++;
+        }
+
+        let trailing = 0;
+        while (body.length > 0 && body[body.length - 1] === '') {
+            body.pop();
+            trailing++;
+        }
+
+        let value;
+        if (folded) {
+            value = '';
+            // Single breaks fold to spaces; a blank line stands for one "\n"
+            body.forEach((line, n) => {
+                const prev = body[n - 1];
+                if (n === 0 || prev === '') value += line;
+                else if (line === '') value += '\n';
+                else if (/^\s/.test(line) || /^\s/.test(prev)) value += `\n${line}`;
+                else value += ` ${line}`;
+            });
+        } else {
+            value = body.join('\n');
+        }
+
+        if (body.length === 0) return chomp === '+' ? '\n'.repeat(trailing) : '';
+        if (chomp === '-') return value;
+        if (chomp === '+') return value + '\n'.repeat(trailing + 1);
+        return `${value}\n`;
+    }
+
+    // Inline value after "key:" or "- "; may continue onto following lines
+    function inlineValue(rest, parentIndent) {
+        const startLine = lineNo();
+        const text = stripComment(rest);
+
+        if (/^[|>]/.test(text)) return blockScalar(text, parentIndent);
+
+        // Multi-line flow collections and quoted strings
+        if (/^[[{]/.test(text) || (/^["']/.test(text) && !/^(["']).*\1$/.test(text))) {
+            let joined = text;
+            const open = () => {
+                if (/^["']/.test(joined)) return !/^(["'])[\s\S]*\1$/.test(joined) || joined.length === 1;
+                let depth = 0;
+                let quote = '';
+                for (const ch of joined) {
+                    if (quote) { if (ch === quote) quote = ''; }
+                    else if (ch === '"' || ch === "'") quote = ch;
+                    else if (ch === '[' || ch === '{') depth++;
+                    else if (ch === ']' || ch === '}') depth--;
+                }
+                return depth > 0;
+            };
+            while (open() && i + 1 < lines.length) {
+                i++;
+                const next = lines[i].trim();
+                joined += /^["']/.test(joined) ? (next === '' ? '\n' : ` ${next}`) : ` ${stripComment(next)}`;
+            }
+            i++;
+            if (/^[[{]/.test(joined)) return parseFlow(joined, startLine);
+            return parseScalar(joined.replace(/ \n /g, '\n'), startLine);
+        }
+
+        // Plain scalars may continue on more-indented lines
+        let value = text;
+        i++;
+        while (i < lines.length && !isIgnorable(lines[i]) && indentOf(lines[i]) > parentIndent &&
+            !KEY_PATTERN.test(lines[i].trim()) && !/^-( |$)/.test(lines[i].trim())) {
+            value += ` ${stripComment(lines[i].trim())}`;
+            i++;
+        }
+        return parseScalar(value, startLine);
+    }
+
+    function parseNode(indent) {
+        skipIgnorable();
+        if (i >= lines.length) return null;
+        const line = lines[i];
+        const content = line.slice(indentOf(line));
+        if (/^-( |$)/.test(content)) return parseSequence(indentOf(line));
+        if (KEY_PATTERN.test(content)) return parseMap(indentOf(line));
+        if (indentOf(line) < indent) return null;
+        return inlineValue(content, indent - 1);
+    }
+
+    function parseSequence(indent) {
+        const list = [];
+        while (true) {
+            skipIgnorable();
+            if (i >= lines.length) break;
+            const line = lines[i];
+            const lineIndent = indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) throw yamlError(lineNo(), 'bad indentation in sequence');
+            const content = line.slice(indent);
+            if (!/^-( |$)/.test(content)) {
+                if (KEY_PATTERN.test(content)) break;
+                throw yamlError(lineNo(), `expected "- " list item, got: ${content.trim()}`);
+            }
+
+            const rest = content.slice(1).replace(/^ +/, '');
+            if (rest === '' || rest.startsWith('#')) {
+                i++;
+                skipIgnorable();
+                list.push(i < lines.length && indentOf(lines[i]) > indent ? parseNode(indent + 1) : null);
+            } else if (KEY_PATTERN.test(rest) || /^-( |$)/.test(rest)) {
+                // "- key: value" opens a map (or nested list) at the item's content column
+                const itemIndent = indent + content.length - rest.length;
+                lines[i] = ' '.repeat(itemIndent) + rest;
+                list.push(parseNode(itemIndent));
+            } else {
+                list.push(inlineValue(rest, indent));
+            }
+        }
+        return list;
+    }
+
+    function parseMap(indent) {
+        const map = {};
+        while (true) {
+            skipIgnorable();
+            if (i >= lines.length) break;
+            const line = lines[i];
+            const lineIndent = indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) throw yamlError(lineNo(), 'bad indentation in mapping');
+
+            const content = line.slice(indent);
+            const m = content.match(KEY_PATTERN);
+            if (!m) {
+                if (/^-( |$)/.test(content)) break;
+                throw yamlError(lineNo(), `expected "key: value", got: ${content.trim()}`);
+            }
+
+            const key = String(/^["']/.test(m[1]) ? parseScalar(m[1], lineNo()) : m[1].trim());
+            if (Object.prototype.hasOwnProperty.call(map, key)) throw yamlError(lineNo(), `duplicate key "${key}"`);
+
+            const rest = content.slice(m[0].length);
+            if (stripComment(rest) === '') {
+                i++;
+                skipIgnorable();
+                if (i < lines.length && indentOf(lines[i]) > indent) {
+                    map[key] = parseNode(indent + 1);
+                } else if (i < lines.length && indentOf(lines[i]) === indent && /^-( |$)/.test(lines[i].slice(indent))) {
+                    // Sequences may sit at the same indent as their key
+                    map[key] = parseSequence(indent);
+                } else {
+                    map[key] = null;
+                }
+            } else {
+                map[key] = inlineValue(rest, indent);
+            }
+        }
+        return map;
+    }
+
+    skipIgnorable();
+    if (i >= lines.length) return null;
+    const root = parseNode(0);
+    skipIgnorable();
+    if (i < lines.length) throw yamlError(lineNo(), `unexpected content: ${lines[i].trim()}`);
+    return root;
+}
+
+// ─── Frontmatter ───────────────────────────────────────────────────
+
+/**
+ * Split a markdown file into frontmatter and body.
+ * Returns { metadata, body, bodyLine } where bodyLine is the 1-based line
+ * the body starts on (for error messages that point into the source).
+ * Throws on YAML syntax errors, with the line number in the file.
+ */
+function parseFrontmatter(content) {
+    const match = content.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n?^(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/m);
+    if (!match || match.index !== 0) {
+        return { metadata: {}, body: content, bodyLine: 1 };
+    }
+
+    const metadata = parseYaml(match[1], 2);
+    if (metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+        throw new Error('frontmatter must be a mapping of "key: value" fields');
+    }
+
+    return {
+        metadata: metadata || {},
+        body: content.slice(match[0].length),
+        bodyLine: match[0].split('\n').length
+    };
+}
+
+function isDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'a list';
+    if (typeof value === 'object') return 'a mapping';
+    if (typeof value === 'string') return `"${value.length > 40 ? `${value.slice(0, 37)}...` : value}"`;
+    return `${typeof value} ${value}`;
+}
+
+function validateValue(value, rule, name, errors) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string' || value.trim() === '') {
+                errors.push(`${name}: expected non-empty text, got ${describe(value)}`);
+            } else if (rule.enum && !rule.enum.includes(value)) {
+                errors.push(`${name}: expected one of ${rule.enum.join(', ')}, got ${describe(value)}`);
+            } else if (rule.pattern && !rule.pattern.test(value)) {
+                errors.push(`${name}: expected ${rule.format || `text matching ${rule.pattern}`}, got ${describe(value)}`);
+            }
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${name}: expected a number, got ${describe(value)}`);
+            } else if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                errors.push(`${name}: expected a number from ${rule.min} to ${rule.max}, got ${value}`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') errors.push(`${name}: expected true or false, got ${describe(value)}`);
+            break;
+        case 'date':
+            if (!isDate(value)) errors.push(`${name}: expected a YYYY-MM-DD date, got ${describe(value)}`);
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${name}: expected a list, got ${describe(value)}`);
+                break;
+            }
+            value.forEach((item, i) => validateValue(item, rule.items, `${name}[${i}]`, errors));
+            break;
+        case 'object':
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${name}: expected a mapping, got ${describe(value)}`);
+                break;
+            }
+            validateFields(value, rule.properties, `${name}.`, errors);
+            break;
+        case 'map':
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${name}: expected a mapping, got ${describe(value)}`);
+                break;
+            }
+            for (const [key, item] of Object.entries(value)) {
+                if (rule.keys && !rule.keys.pattern.test(key)) {
+                    errors.push(`${name}: key "${key}" is not ${rule.keys.format}`);
+                }
+                validateValue(item, rule.values, `${name}.${key}`, errors);
+            }
+            break;
+    }
+}
+
+/**
+ * Check `values` against a schema of { type, required, ... } rules, as
+ * FRONTMATTER_SCHEMA declares them. Strings may also set `enum`, or
+ * `pattern` with a `format` description; numbers may set `min` and `max`.
+ * A `map` has free-form keys (checked against `keys: { pattern, format }`)
+ * whose values all follow the `values` rule.
+ * Appends error strings to `errors`.
+ */
+function validateFields(values, schema, prefix, errors) {
+    for (const [field, rule] of Object.entries(schema)) {
+        if (values[field] === undefined || values[field] === null) {
+            if (rule.required) errors.push(`${prefix}${field}: required field is missing`);
+            continue;
+        }
+        validateValue(values[field], rule, `${prefix}${field}`, errors);
+    }
+    for (const field of Object.keys(values)) {
+        if (!schema[field]) errors.push(`${prefix}${field}: unknown field (allowed: ${Object.keys(schema).join(', ')})`);
+    }
+}
+
+/**
+ * Check metadata against FRONTMATTER_SCHEMA. `context.cluster` is the
+ * directory the file lives in; a `cluster:` field must agree with it.
+ * Returns a list of error strings (empty when valid).
+ */
+function validateFrontmatter(metadata, context = {}) {
+    const errors = [];
+    validateFields(metadata, FRONTMATTER_SCHEMA, '', errors);
+
+    if (isDate(metadata.date) && isDate(metadata.modified) && metadata.modified < metadata.date) {
+        errors.push(`modified: ${metadata.modified} is before date ${metadata.date}`);
+    }
+    if (context.cluster && typeof metadata.cluster === 'string' && metadata.cluster !== context.cluster) {
+        errors.push(`cluster: "${metadata.cluster}" does not match the file's directory "${context.cluster}"`);
+    }
+
+    return errors;
+}
+
+module.exports = {
+    FRONTMATTER_SCHEMA,
+    parseYaml,
+    parseFrontmatter,
+    validateFields,
+    validateFrontmatter
+};
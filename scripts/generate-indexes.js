@@ -3,94 +3,93 @@
 /**
  * Generate articles hub page + category index pages.
  *
- * Creates:
+ * Creates, under generated/ (git-ignored; build.js copies it into dist/):
  * - articles.html (root level hub listing all categories)
- * - index.html in each cluster directory (category listing)
+ * - <category>/index.html for each cluster directory (category listing)
+ * - faq.html (every published article FAQ, by cluster)
+ * - faq/<question>.html (a landing page per question)
+ *
+ * Listings come from the frontmatter of the articles in content/; drafts
+ * are left out. The FAQ hub reads the FAQ sections inject-faqs.js put in
+ * the rendered articles. Near-duplicate questions from different articles
+ * (faqs.js groupQuestions) are answered once, under the cluster of the
+ * first article to ask, with links to each article's own answer. The hub
+ * carries FAQPage and ItemList JSON-LD for the grouped questions; each
+ * question's page carries a FAQPage for its one question.
+ *
+ * A page is only rewritten when its listing (article titles, slugs and
+ * descriptions, or the FAQs) or the code that renders it, shared.js
+ * included, has changed since the last run (.cache/indexes-manifest.json,
+ * see build-manifest.js). Pages no longer generated (a question no longer
+ * asked) are removed.
  *
  * Run: node scripts/generate-indexes.js
+ *
+ * Exports: generateIndexes, pageShell
  */
 
 const fs = require('fs');
 const path = require('path');
-const { megaNavHtml, megaNavStyles, megaNavScript, footerHtml, headIncludes } = require('./shared');
-
-const ROOT_DIR = path.join(__dirname, '..');
-
-const CATEGORIES = {
-    'science': {
-        name: 'Science & Mechanisms',
-        description: 'How creatine works at the molecular level. ATP resynthesis, phosphocreatine, cell volumization, and more.',
-        color: 'sky'
-    },
-    'dosing': {
-        name: 'Dosing Protocols',
-        description: 'Evidence-based loading, maintenance, and timing protocols from peer-reviewed research.',
-        color: 'teal'
-    },
-    'sports': {
-        name: 'Sport Applications',
-        description: 'Sport-by-sport creatine application guides based on energy system demands.',
-        color: 'amber'
-    },
-    'safety': {
-        name: 'Safety & Concerns',
-        description: 'Clinical evidence on kidneys, liver, hair, dehydration, and long-term safety.',
-        color: 'rose'
-    },
-    'comparisons': {
-        name: 'Supplement Comparisons',
-        description: 'Head-to-head evidence: creatine vs protein, BCAAs, beta-alanine, and more.',
-        color: 'violet'
-    },
-    'quality': {
-        name: 'Product Quality',
-        description: 'Third-party testing, purity standards, and which forms actually work.',
-        color: 'emerald'
-    }
-};
+const { megaNavHtml, newsletterHtml, footerHtml, headIncludes } = require('./shared');
+const { hashContent, hashModuleTree, createManifest } = require('./build-manifest');
+const { breadcrumbSchema, faqSchema, itemListSchema, extractFaqs, toJsonLd } = require('./schema');
+const { groupQuestions } = require('./faqs');
+const { slugify } = require('./markdown');
+const { site } = require('./site-config');
+const { parseFrontmatter } = require('./frontmatter');
+const OUTPUT_DIR = site.paths.generated;
+const MANIFEST_FILE = path.join(site.paths.cache, 'indexes-manifest.json');
+const FAQ_PATH = '/faq';
 
-function escapeHtml(str) {
-    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
-}
-
-function extractTitle(html) {
-    const h1Match = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/);
-    if (h1Match) {
-        return h1Match[1].replace(/<[^>]*>/g, '').trim();
-    }
-    const titleMatch = html.match(/<title>([\s\S]*?)<\/title>/);
-    if (titleMatch) {
-        return titleMatch[1].replace(/\s*\|.*$/, '').trim();
-    }
-    return 'Untitled';
+/**
+ * Tailwind classes for a cluster's badges and cards, from its palette name.
+ */
+function colorClasses(color) {
+    return {
+        bg: `bg-${color}-500/10 dark:bg-${color}-500/10`,
+        text: `text-${color}-600 dark:text-${color}-400`,
+        border: `border-${color}-500/20`,
+        hover: `hover:border-${color}-500/40`
+    };
 }
 
-function extractDescription(html) {
-    const match = html.match(/<meta\s+name="description"\s+content="([\s\S]*?)"/);
-    return match ? match[1].trim() : '';
+function escapeHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
-function slugToTitle(slug) {
-    return slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+// HTML text as plain text, for titles and meta descriptions
+function plainText(html) {
+    return html.replace(/<[^>]*>/g, '')
+        .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ').trim();
 }
 
+/**
+ * An article listing for each published markdown article in
+ * content/<category>/, sorted by title.
+ */
 function getArticlesForCategory(category) {
-    const dirPath = path.join(ROOT_DIR, category);
+    const dirPath = path.join(site.paths.content, category);
     if (!fs.existsSync(dirPath)) return [];
 
     return fs.readdirSync(dirPath)
-        .filter(f => f.endsWith('.html') && f !== 'index.html')
+        .filter(f => f.endsWith('.md'))
         .map(file => {
-            const html = fs.readFileSync(path.join(dirPath, file), 'utf8');
-            const title = extractTitle(html);
-            const description = extractDescription(html);
-            const slug = file.replace('.html', '');
-            return { file, slug, title, description };
+            const { metadata } = parseFrontmatter(fs.readFileSync(path.join(dirPath, file), 'utf8'));
+            const slug = file.replace(/\.md$/, '');
+            return { slug, title: metadata.title || slug, description: metadata.description || '', draft: metadata.draft };
         })
+        .filter(article => !article.draft)
+        .map(({ draft, ...article }) => article)
         .sort((a, b) => a.title.localeCompare(b.title));
 }
 
-function pageShell(title, description, canonicalPath, bodyContent) {
+/**
+ * A full page around `bodyContent`: head, mega nav, newsletter and footer.
+ * `headExtra` goes at the end of <head> (JSON-LD blocks). Also used by
+ * glossary.js.
+ */
+function pageShell(title, description, canonicalPath, bodyContent, headExtra = '') {
     const safeTitle = escapeHtml(title);
     const safeDesc = escapeHtml(description);
 
@@ -99,20 +98,16 @@ function pageShell(title, description, canonicalPath, bodyContent) {
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${safeTitle} | Creatinepedia</title>
+  <title>${safeTitle} | ${site.name}</title>
   <meta name="description" content="${safeDesc}">
   <meta name="robots" content="index, follow">
-  <link rel="canonical" href="https://creatinepedia.com${canonicalPath}">
+  <link rel="canonical" href="${site.url}${canonicalPath}">
   <meta property="og:type" content="website">
-  <meta property="og:url" content="https://creatinepedia.com${canonicalPath}">
+  <meta property="og:url" content="${site.url}${canonicalPath}">
   <meta property="og:title" content="${safeTitle}">
   <meta property="og:description" content="${safeDesc}">
-  <meta property="og:site_name" content="Creatinepedia">
-${headIncludes}
-  <style>
-    ::selection { background: rgba(2, 132, 199, 0.3); }
-${megaNavStyles}
-  </style>
+  <meta property="og:site_name" content="${site.name}">
+${headIncludes}${headExtra ? `\n${headExtra}` : ''}
 </head>
 <body class="bg-slate-50 dark:bg-slate-950 font-sans antialiased">
 ${megaNavHtml}
@@ -120,10 +115,11 @@ ${megaNavHtml}
   <main class="pt-24 pb-16">
 ${bodyContent}
   </main>
+${newsletterHtml}
 
 ${footerHtml}
 
-${megaNavScript}
+  <script src="/js/site.js"></script>
 </body>
 </html>`;
 }
@@ -134,23 +130,15 @@ function generateHubPage() {
     let totalArticles = 0;
     const categoryData = {};
 
-    for (const [dir, meta] of Object.entries(CATEGORIES)) {
-        const articles = getArticlesForCategory(dir);
-        categoryData[dir] = { ...meta, articles, count: articles.length };
+    for (const cluster of site.clusters) {
+        const articles = getArticlesForCategory(cluster.slug);
+        categoryData[cluster.slug] = { ...cluster, articles, count: articles.length };
         totalArticles += articles.length;
     }
 
-    const colorMap = {
-        sky: { bg: 'bg-sky-500/10 dark:bg-sky-500/10', text: 'text-sky-600 dark:text-sky-400', border: 'border-sky-500/20', hover: 'hover:border-sky-500/40' },
-        teal: { bg: 'bg-teal-500/10 dark:bg-teal-500/10', text: 'text-teal-600 dark:text-teal-400', border: 'border-teal-500/20', hover: 'hover:border-teal-500/40' },
-        amber: { bg: 'bg-amber-500/10 dark:bg-amber-500/10', text: 'text-amber-600 dark:text-amber-400', border: 'border-amber-500/20', hover: 'hover:border-amber-500/40' },
-        rose: { bg: 'bg-rose-500/10 dark:bg-rose-500/10', text: 'text-rose-600 dark:text-rose-400', border: 'border-rose-500/20', hover: 'hover:border-rose-500/40' },
-        violet: { bg: 'bg-violet-500/10 dark:bg-violet-500/10', text: 'text-violet-600 dark:text-violet-400', border: 'border-violet-500/20', hover: 'hover:border-violet-500/40' },
-        emerald: { bg: 'bg-emerald-500/10 dark:bg-emerald-500/10', text: 'text-emerald-600 dark:text-emerald-400', border: 'border-emerald-500/20', hover: 'hover:border-emerald-500/40' }
-    };
 
     const categoryCards = Object.entries(categoryData).map(([dir, data]) => {
-        const c = colorMap[data.color] || colorMap.sky;
+        const c = colorClasses(data.color);
         return `
         <a href="/${dir}" class="block p-6 bg-white dark:bg-zinc-900/50 border ${c.border} ${c.hover} rounded-xl transition-colors group">
           <div class="flex items-center justify-between mb-3">
@@ -164,7 +152,7 @@ function generateHubPage() {
     // Latest articles from each category (3 per category, max 18)
     const featured = [];
     for (const [dir, data] of Object.entries(categoryData)) {
-        const c = colorMap[data.color] || colorMap.sky;
+        const c = colorClasses(data.color);
         data.articles.slice(0, 3).forEach(article => {
             featured.push({ ...article, dir, categoryName: data.name, colorClasses: c });
         });
@@ -210,21 +198,13 @@ ${articleGrid}
 // ---- Category Index Pages ----
 
 function generateCategoryIndex(category) {
-    const meta = CATEGORIES[category];
+    const meta = site.cluster(category);
     if (!meta) return null;
 
     const articles = getArticlesForCategory(category);
     if (articles.length === 0) return null;
 
-    const colorMap = {
-        sky: { bg: 'bg-sky-500/10', text: 'text-sky-600 dark:text-sky-400' },
-        teal: { bg: 'bg-teal-500/10', text: 'text-teal-600 dark:text-teal-400' },
-        amber: { bg: 'bg-amber-500/10', text: 'text-amber-600 dark:text-amber-400' },
-        rose: { bg: 'bg-rose-500/10', text: 'text-rose-600 dark:text-rose-400' },
-        violet: { bg: 'bg-violet-500/10', text: 'text-violet-600 dark:text-violet-400' },
-        emerald: { bg: 'bg-emerald-500/10', text: 'text-emerald-600 dark:text-emerald-400' }
-    };
-    const c = colorMap[meta.color] || colorMap.sky;
+    const c = colorClasses(meta.color);
 
     const articleList = articles.map(a => {
         const desc = a.description ? `<p class="text-sm text-slate-500 dark:text-zinc-600 mt-1 line-clamp-2">${escapeHtml(a.description)}</p>` : '';
@@ -264,38 +244,243 @@ ${articleList}
     </div>`;
 
     return pageShell(
-        `${meta.name} — Creatinepedia`,
+        `${meta.name} — ${site.name}`,
         `${articles.length} articles about ${meta.description.toLowerCase()}`,
         `/${category}`,
         body
     );
 }
 
+// ---- FAQ Hub (faq.html) and question pages (faq/) ----
+
+/**
+ * Every published FAQ, cluster by cluster and article by article, from
+ * the pages in generated/: [{ question, answer, url, anchor, cluster,
+ * source, title }], question and answer as HTML; `source` is the
+ * article's id.
+ */
+function collectFaqs() {
+    const entries = [];
+    for (const category of site.clusterSlugs) {
+        for (const article of getArticlesForCategory(category)) {
+            const page = path.join(OUTPUT_DIR, category, `${article.slug}.html`);
+            if (!fs.existsSync(page)) continue;
+            const html = fs.readFileSync(page, 'utf8');
+            for (const faq of extractFaqs(html)) {
+                entries.push({
+                    question: faq.question,
+                    answer: faq.answer,
+                    url: `/${category}/${article.slug}${faq.id ? `#${faq.id}` : ''}`,
+                    anchor: faq.id,
+                    cluster: category,
+                    source: `${category}/${article.slug}`,
+                    title: article.title
+                });
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * The FAQs as questions, near-duplicates grouped, in hub order (cluster,
+ * then the order first asked): [{ slug, cluster, lead, others }]. `slug`
+ * names the question's page, from its anchor in the article.
+ */
+function faqGroups(entries) {
+    const groups = groupQuestions(entries);
+    const taken = new Set();
+    return site.clusters.flatMap(cluster => groups
+        .filter(group => group[0].cluster === cluster.slug)
+        .map(([lead, ...others]) => {
+            const base = lead.anchor ? lead.anchor.replace(/^faq-/, '') : slugify(plainText(lead.question));
+            let slug = base;
+            for (let n = 1; taken.has(slug); n++) slug = `${base}-${n}`;
+            taken.add(slug);
+            return { slug, cluster, lead, others };
+        }));
+}
+
+function jsonLd(schemas) {
+    return schemas.map(schema => `  <script type="application/ld+json">\n${toJsonLd(schema)}\n  </script>`).join('\n');
+}
+
+function breadcrumbHtml(crumbs) {
+    return crumbs.map(([label, href]) => (href
+        ? `<a href="${href}" class="text-slate-400 dark:text-zinc-600 hover:text-slate-600 dark:hover:text-zinc-400 transition-colors">${label}</a>`
+        : `<span class="text-slate-600 dark:text-zinc-400">${label}</span>`
+    )).join('\n        <span class="text-slate-300 dark:text-zinc-700">/</span>\n        ');
+}
+
+const LINK = 'text-sky-600 dark:text-sky-400 hover:underline';
+
+function generateFaqHub(groups) {
+    const clusters = site.clusters
+        .map(cluster => ({ ...cluster, groups: groups.filter(group => group.cluster === cluster) }))
+        .filter(cluster => cluster.groups.length > 0);
+
+    const clusterNav = clusters.map(cluster => {
+        const c = colorClasses(cluster.color);
+        return `<a href="#${cluster.slug}" class="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${c.bg} ${c.text}">${cluster.name} (${cluster.groups.length})</a>`;
+    }).join('\n        ');
+
+    const sections = clusters.map(cluster => {
+        const items = cluster.groups.map(({ slug, lead, others }) => {
+            const alsoAsked = others.map(other => `
+            <p class="text-sm text-slate-500 dark:text-zinc-500 mt-1">Also asked as “${other.question}” in <a href="${other.url}" class="${LINK}">${escapeHtml(other.title)}</a></p>`).join('');
+            return `
+          <div${lead.anchor ? ` id="${lead.anchor}"` : ''} class="py-5 border-b border-slate-200 dark:border-zinc-800/60">
+            <h3 class="text-slate-800 dark:text-zinc-200 font-medium leading-snug"><a href="${FAQ_PATH}/${slug}" class="hover:text-sky-600 dark:hover:text-sky-400 transition-colors">${lead.question}</a></h3>
+            <p class="text-slate-600 dark:text-zinc-400 mt-2 leading-relaxed">${lead.answer}</p>
+            <p class="text-sm text-slate-500 dark:text-zinc-500 mt-2">Read more in <a href="${lead.url}" class="${LINK}">${escapeHtml(lead.title)}</a></p>${alsoAsked}
+          </div>`;
+        }).join('');
+        return `
+      <section id="${cluster.slug}" class="mb-12">
+        <h2 class="font-serif text-3xl text-slate-900 dark:text-zinc-100 mb-2">${cluster.name}</h2>${items}
+      </section>`;
+    }).join('\n');
+
+    const articleCount = new Set(groups.flatMap(group => [group.lead, ...group.others]).map(entry => entry.url.replace(/#.*$/, ''))).size;
+    const description = `${groups.length} common questions about creatine, answered from ${articleCount} ${site.name} articles. Every answer links to the full, cited entry.`;
+    const body = `
+    <div class="max-w-4xl mx-auto px-6">
+      <div class="flex items-center gap-2 text-sm mb-8">
+        ${breadcrumbHtml([['Home', '/'], ['FAQ']])}
+      </div>
+
+      <div class="mb-10">
+        <h1 class="font-serif text-4xl md:text-5xl leading-tight text-slate-900 dark:text-zinc-100 mb-4">Frequently Asked Questions</h1>
+        <p class="text-lg text-slate-600 dark:text-zinc-500">${escapeHtml(description)}</p>
+      </div>
+
+      <nav aria-label="FAQ clusters" class="flex flex-wrap gap-2 mb-12">
+        ${clusterNav}
+      </nav>
+${sections}
+    </div>`;
+
+    // Questions in page order: answers point at the articles, the list at the question pages
+    const schemas = [
+        faqSchema(groups.map(({ lead }) => ({ ...lead, url: `${site.url}${lead.url}` }))),
+        itemListSchema(`${site.name} FAQ`, groups.map(({ slug, lead }) => ({ name: lead.question, url: `${site.url}${FAQ_PATH}/${slug}` })))
+    ];
+
+    return pageShell('Frequently Asked Questions', description, FAQ_PATH, body, jsonLd(schemas));
+}
+
+/**
+ * A question's landing page: the answer, the other articles' answers to
+ * the same question, and the rest of its cluster's questions. Its FAQPage
+ * holds the one question, answered by the first article to ask it.
+ */
+function generateQuestionPage(group, groups) {
+    const { slug, cluster, lead, others } = group;
+    const pagePath = `${FAQ_PATH}/${slug}`;
+    const question = plainText(lead.question);
+    const c = colorClasses(cluster.color);
+
+    const otherAnswers = others.length > 0 ? `
+      <section class="mb-12">
+        <h2 class="font-serif text-2xl text-slate-900 dark:text-zinc-100 mb-4">Also answered in</h2>${others.map(other => `
+        <div class="py-4 border-b border-slate-200 dark:border-zinc-800/60">
+          <p class="text-sm text-slate-500 dark:text-zinc-500">Asked as “${other.question}” in <a href="${other.url}" class="${LINK}">${escapeHtml(other.title)}</a></p>
+          <p class="text-slate-600 dark:text-zinc-400 mt-2 leading-relaxed">${other.answer}</p>
+        </div>`).join('')}
+      </section>` : '';
+
+    const more = groups.filter(other => other.cluster === cluster && other !== group);
+    const moreQuestions = more.length > 0 ? `
+      <section class="mb-12">
+        <h2 class="font-serif text-2xl text-slate-900 dark:text-zinc-100 mb-4">More questions on ${cluster.name}</h2>
+        <ul class="space-y-2">${more.map(other => `
+          <li><a href="${FAQ_PATH}/${other.slug}" class="${LINK}">${other.lead.question}</a></li>`).join('')}
+        </ul>
+      </section>` : '';
+
+    const body = `
+    <div class="max-w-3xl mx-auto px-6">
+      <div class="flex items-center gap-2 text-sm mb-8">
+        ${breadcrumbHtml([['Home', '/'], ['FAQ', FAQ_PATH], [lead.question]])}
+      </div>
+
+      <div class="mb-12">
+        <a href="${FAQ_PATH}#${cluster.slug}" class="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${c.bg} ${c.text} mb-4">${cluster.name}</a>
+        <h1 class="font-serif text-4xl leading-tight text-slate-900 dark:text-zinc-100 mb-6">${lead.question}</h1>
+        <p class="text-lg text-slate-700 dark:text-zinc-300 leading-relaxed mb-4">${lead.answer}</p>
+        <p class="text-slate-600 dark:text-zinc-400">Read more in <a href="${lead.url}" class="${LINK}">${escapeHtml(lead.title)}</a></p>
+      </div>
+${otherAnswers}${moreQuestions}
+      <p><a href="${FAQ_PATH}" class="${LINK}">All questions &rarr;</a></p>
+    </div>`;
+
+    const schemas = [
+        faqSchema([{ ...lead, url: `${site.url}${lead.url}` }]),
+        breadcrumbSchema('faq', 'FAQ', question, `${site.url}${pagePath}`)
+    ];
+
+    return pageShell(question, plainText(lead.answer), pagePath, body, jsonLd(schemas));
+}
+
 // ---- Main ----
 
 function main() {
     console.log('Generating index pages...\n');
 
-    // Hub page
-    const hubHtml = generateHubPage();
-    fs.writeFileSync(path.join(ROOT_DIR, 'articles.html'), hubHtml);
-    console.log('  articles.html (hub page)');
+    const manifest = createManifest(MANIFEST_FILE, OUTPUT_DIR);
+    const code = hashModuleTree(module);
+    const listings = {};
+    for (const category of site.clusterSlugs) {
+        listings[category] = hashContent(JSON.stringify(getArticlesForCategory(category)));
+    }
+
+    // Hub page lists every category
+    const hubChanged = manifest.update('articles.html', { code, listings: hashContent(JSON.stringify(listings)) }, () => {
+        fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+        fs.writeFileSync(path.join(OUTPUT_DIR, 'articles.html'), generateHubPage());
+        return ['articles.html'];
+    });
+    console.log(`  articles.html (hub page)${hubChanged ? '' : ' — unchanged'}`);
 
     // Category indexes
     let catCount = 0;
-    for (const category of Object.keys(CATEGORIES)) {
-        const html = generateCategoryIndex(category);
-        if (!html) continue;
-
-        const dirPath = path.join(ROOT_DIR, category);
-        if (!fs.existsSync(dirPath)) continue;
+    for (const category of site.clusterSlugs) {
+        if (!fs.existsSync(path.join(site.paths.content, category))) continue;
+
+        const changed = manifest.update(`${category}/index.html`, { code, listing: listings[category] }, () => {
+            const html = generateCategoryIndex(category);
+            if (!html) return [];
+            const dirPath = path.join(OUTPUT_DIR, category);
+            fs.mkdirSync(dirPath, { recursive: true });
+            fs.writeFileSync(path.join(dirPath, 'index.html'), html);
+            return [`${category}/index.html`];
+        });
+        if (manifest.outputs(`${category}/index.html`).length === 0) continue;
 
-        fs.writeFileSync(path.join(dirPath, 'index.html'), html);
-        console.log(`  ${category}/index.html`);
+        console.log(`  ${category}/index.html${changed ? '' : ' — unchanged'}`);
         catCount++;
     }
 
-    console.log(`\n✓ Generated 1 hub + ${catCount} category index pages`);
+    // FAQ hub and question pages, when any article publishes an FAQ
+    const faqs = collectFaqs();
+    const faqChanged = manifest.update('faq', { code, faqs: hashContent(JSON.stringify(faqs)) }, () => {
+        const groups = faqs.length > 0 ? faqGroups(faqs) : [];
+        if (groups.length === 0) return [];
+        fs.mkdirSync(path.join(OUTPUT_DIR, 'faq'), { recursive: true });
+        fs.writeFileSync(path.join(OUTPUT_DIR, 'faq.html'), generateFaqHub(groups));
+        groups.forEach(group => fs.writeFileSync(path.join(OUTPUT_DIR, 'faq', `${group.slug}.html`), generateQuestionPage(group, groups)));
+        return ['faq.html', ...groups.map(group => `faq/${group.slug}.html`)];
+    });
+    const questionPages = Math.max(manifest.outputs('faq').length - 1, 0);
+    if (questionPages > 0) console.log(`  faq.html + ${questionPages} question pages (${faqs.length} FAQs)${faqChanged ? '' : ' — unchanged'}`);
+
+    const removed = manifest.prune();
+    manifest.save();
+    console.log(`\n✓ Generated 1 hub + ${catCount} category index pages${questionPages > 0 ? ` + the FAQ hub and ${questionPages} question pages` : ''} (${manifest.rebuilt.length} rewritten${removed.length ? `, ${removed.length} removed` : ''})`);
+}
+
+if (require.main === module) {
+    main();
 }
 
-main();
+module.exports = { generateIndexes: main, pageShell };
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Check the site-wide reference database against the articles that cite it.
+ *
+ * references.json (repo root) is the source of every reference record.
+ * Articles in content/<cluster>/<slug>.md cite its ids, as [@key]
+ * citations or in their frontmatter `references` list, and retemplate.js
+ * renders each bibliography from it in the house style. This step reports
+ * keys that aren't in the database and records, for each reference, the
+ * articles that cite it (`citedBy`). New references are added to
+ * references.json by hand; parseReference (references.js) turns a
+ * formatted entry into a record.
+ *
+ * Run: node scripts/generate-references.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { REFERENCES_FILE, loadReferences } = require('./references');
+const { resolveCitationKeys } = require('./cite-keys');
+const { parseFrontmatter } = require('./frontmatter');
+const { site } = require('./site-config');
+
+function run() {
+    console.log('Checking reference database...\n');
+    const refs = loadReferences();
+    const citedBy = new Map(Object.keys(refs).map(id => [id, new Set()]));
+    const errors = [];
+    let entryCount = 0;
+
+    for (const dir of site.clusterSlugs) {
+        const dirPath = path.join(site.paths.content, dir);
+        if (!fs.existsSync(dirPath)) {
+            console.log(`  Skipping ${dir}/ (not found)`);
+            continue;
+        }
+
+        const files = fs.readdirSync(dirPath).filter(f => f.endsWith('.md'));
+        let count = 0;
+
+        for (const file of files) {
+            const article = `${dir}/${file.replace(/\.md$/, '')}`;
+            try {
+                const { metadata, body, bodyLine } = parseFrontmatter(fs.readFileSync(path.join(dirPath, file), 'utf8'));
+                const cited = resolveCitationKeys(body, refs, { bodyLine, listed: metadata.references || [] });
+                cited.errors.forEach(e => errors.push(`${dir}/${file}: ${e.line ? `line ${e.line}: ` : ''}${e.message}`));
+
+                const ids = [...cited.bibliography.matchAll(/<li id="ref-([^"]+)">/g)].map(m => m[1]);
+                if (ids.length === 0) {
+                    errors.push(`${dir}/${file}: no references`);
+                    continue;
+                }
+                ids.forEach(id => citedBy.get(id).add(article));
+                entryCount += ids.length;
+                count++;
+            } catch (e) {
+                errors.push(`${dir}/${file}: ${e.message}`);
+            }
+        }
+
+        console.log(`  ${dir}/: ${count} bibliographies`);
+    }
+
+    const updated = {};
+    for (const [id, ref] of Object.entries(refs)) {
+        updated[id] = { ...ref, citedBy: [...citedBy.get(id)].sort() };
+    }
+    const json = JSON.stringify(updated, null, 2) + '\n';
+    const changed = !fs.existsSync(REFERENCES_FILE) || fs.readFileSync(REFERENCES_FILE, 'utf8') !== json;
+    if (changed) fs.writeFileSync(REFERENCES_FILE, json);
+
+    const uncited = [...citedBy.values()].filter(articles => articles.size === 0).length;
+    console.log(`\n  ${path.basename(REFERENCES_FILE)}: ${Object.keys(refs).length} references (${entryCount} entries` +
+        `${uncited ? `, ${uncited} not cited by any article` : ''})${changed ? ' — citedBy updated' : ''}`);
+
+    if (errors.length > 0) {
+        console.log(`\nErrors (${errors.length}):`);
+        errors.forEach(e => console.log(`  ${e}`));
+        process.exitCode = 1;
+    }
+
+    console.log(`\n✓ Checked ${entryCount} citations against ${path.basename(REFERENCES_FILE)}`);
+}
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = { generateReferences: run };
@@ -1,247 +1,264 @@
 #!/usr/bin/env node
 
 /**
- * Sitemap Generator for creatinepedia.com
+ * Sitemaps for the built site, written into dist/.
  *
- * Scans HTML files and generates sitemap.xml with:
- * - Priority scoring based on content type
- * - lastmod dates from file modification times
- * - changefreq settings based on content category
+ * - sitemap.xml: a sitemap index (robots.txt points here) listing
+ * - sitemaps/<cluster>.xml: one per cluster, its index page and articles
+ * - sitemaps/pages.xml: everything else (home, hubs, glossary, FAQ, pages/)
  *
- * Usage:
- *   node scripts/generate-sitemap.js
+ * Every HTML page in dist/ is listed except 404 pages, pages marked
+ * noindex and markdown drafts (frontmatter `draft: true`; the build skips
+ * them, but an output from before the flag was set may linger).
  *
- * Can be run on build or via cron:
- *   0 0 * * * cd /path/to/creatine-research && node scripts/generate-sitemap.js
+ * lastmod is the date the page says it was last changed: its article
+ * JSON-LD `dateModified`, else the <time datetime> in the article byline.
+ * A cluster index takes its newest article's date, and the home page and
+ * the articles hub the newest overall. Other pages have no date of their
+ * own and get no lastmod — a build date would tell crawlers every page
+ * changed on every deploy. Each sitemap's lastmod in the index is its
+ * newest page's.
+ *
+ * priority and changefreq come from site.config.js: `sitemap.home` and
+ * `sitemap.hub`, each cluster's `sitemap`, and `sitemap.default`.
+ *
+ * Files are only rewritten when their content changes.
+ *
+ * Used by build.js (every build) and creatinepedia.js (`sitemap`, after build).
+ *
+ * Run: node scripts/generate-sitemap.js   (regenerate for the current dist/)
+ *
+ * Exports: SITEMAP_DIR, pageUrl, pageDate, sitemapEntries, generateSitemap,
+ *          printSummary
  */
 
 const fs = require('fs');
 const path = require('path');
+const { extractSchemas } = require('./schema');
+const { parseFrontmatter } = require('./frontmatter');
+const { site } = require('./site-config');
+
+// Child sitemaps, under dist/
+const SITEMAP_DIR = 'sitemaps';
+
+const ISO_DAY = /^(\d{4}-\d{2}-\d{2})(?:$|T)/;
+
+function escapeXml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// 1 → "1.0", 0.75 → "0.75"
+function formatPriority(priority) {
+    return Number.isInteger(priority) ? priority.toFixed(1) : String(priority);
+}
 
-// Configuration
-const CONFIG = {
-  baseUrl: 'https://creatinepedia.com',
-  contentDir: path.resolve(__dirname, '..'),
-  outputFile: path.resolve(__dirname, '..', 'sitemap.xml'),
-  indexFile: path.resolve(__dirname, '..', 'sitemap-index.xml'),
-
-  // Directories to exclude from sitemap
-  excludeDirs: [
-    'node_modules',
-    'components',
-    'templates',
-    'dist',
-    'scripts',
-    '.git'
-  ],
-
-  // Files to exclude
-  excludeFiles: [],
-
-  // Priority and changefreq mappings
-  priorities: {
-    'index.html': { priority: 1.0, changefreq: 'weekly' },
-    'articles.html': { priority: 0.9, changefreq: 'weekly' },
-    'science': { priority: 0.8, changefreq: 'monthly' },
-    'dosing': { priority: 0.8, changefreq: 'monthly' },
-    'sports': { priority: 0.7, changefreq: 'monthly' },
-    'safety': { priority: 0.8, changefreq: 'monthly' },
-    'comparisons': { priority: 0.7, changefreq: 'monthly' },
-    'quality': { priority: 0.7, changefreq: 'monthly' },
-    'default': { priority: 0.5, changefreq: 'monthly' }
-  }
-};
+// ─── Pages ─────────────────────────────────────────────────────────
 
 /**
- * Get all HTML files recursively from a directory
+ * A dist/-relative page path as its URL path: "science/index.html" →
+ * "/science", "index.html" → "/".
  */
-function getHtmlFiles(dir, fileList = []) {
-  const files = fs.readdirSync(dir);
-
-  files.forEach(file => {
-    const filePath = path.join(dir, file);
-    const stat = fs.statSync(filePath);
-
-    if (stat.isDirectory()) {
-      // Skip excluded directories
-      if (!CONFIG.excludeDirs.includes(file)) {
-        getHtmlFiles(filePath, fileList);
-      }
-    } else if (file.endsWith('.html') && !CONFIG.excludeFiles.includes(file)) {
-      fileList.push(filePath);
-    }
-  });
-
-  return fileList;
+function pageUrl(relativePath) {
+    const url = `/${relativePath.split(path.sep).join('/')}`.replace(/\.html$/, '').replace(/\/index$/, '');
+    return url || '/';
 }
 
 /**
- * Get priority and changefreq for a file based on its path
+ * The day (YYYY-MM-DD) a page was last changed, or null: the article
+ * JSON-LD dateModified, else the first <time datetime> in the <article>.
  */
-function getPriorityConfig(filePath) {
-  const relativePath = path.relative(CONFIG.contentDir, filePath);
-  const fileName = path.basename(filePath);
-
-  // Check for exact file matches first
-  if (CONFIG.priorities[fileName]) {
-    return CONFIG.priorities[fileName];
-  }
-
-  // Check for directory-based priority
-  for (const [key, value] of Object.entries(CONFIG.priorities)) {
-    if (relativePath.includes(key + '/') || relativePath.startsWith(key)) {
-      return value;
-    }
-  }
+function pageDate(html) {
+    const modified = extractSchemas(html).find(schema => typeof schema.dateModified === 'string');
+    const fromSchema = modified && modified.dateModified.match(ISO_DAY);
+    if (fromSchema) return fromSchema[1];
+
+    const article = html.match(/<article\b[\s\S]*?<\/article>/);
+    const time = article && article[0].match(/<time\b[^>]*\sdatetime="([^"]*)"/);
+    const fromTime = time && time[1].match(ISO_DAY);
+    return fromTime ? fromTime[1] : null;
+}
 
-  return CONFIG.priorities.default;
+function isNoindex(html) {
+    const robots = html.match(/<meta\s+name="robots"\s+content="([^"]*)"/i);
+    return Boolean(robots && /\bnoindex\b/i.test(robots[1]));
 }
 
 /**
- * Convert file path to URL
+ * dist/-relative paths of the markdown drafts' outputs.
  */
-function filePathToUrl(filePath) {
-  let relativePath = path.relative(CONFIG.contentDir, filePath);
+function draftPaths() {
+    const drafts = new Set();
+    const visit = dir => {
+        if (!fs.existsSync(dir)) return;
+        for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, item.name);
+            if (item.isDirectory()) visit(fullPath);
+            else if (item.name.endsWith('.md') && parseFrontmatter(fs.readFileSync(fullPath, 'utf8')).metadata.draft) {
+                drafts.add(path.relative(site.paths.content, fullPath).replace(/\.md$/, '.html'));
+            }
+        }
+    };
+    visit(site.paths.content);
+    return drafts;
+}
 
-  // Handle dist folder files - they go to root
-  if (relativePath.startsWith('dist/')) {
-    relativePath = relativePath.replace('dist/', '');
-  }
+/**
+ * Every page to list, by sitemap: Map name ("pages" or a cluster slug) →
+ * [{ url, lastmod, priority, changefreq }], highest priority first. Also
+ * returns the pages left out, as { file, reason }.
+ */
+function sitemapEntries(distDir = site.paths.dist) {
+    const drafts = draftPaths();
+    const pages = [];
+    const excluded = [];
+
+    const visit = dir => {
+        for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, item.name);
+            if (item.isDirectory()) {
+                visit(fullPath);
+                continue;
+            }
+            if (!item.name.endsWith('.html')) continue;
+
+            const file = path.relative(distDir, fullPath);
+            const html = fs.readFileSync(fullPath, 'utf8');
+            if (item.name === '404.html') excluded.push({ file, reason: '404 page' });
+            else if (drafts.has(file)) excluded.push({ file, reason: 'draft' });
+            else if (isNoindex(html)) excluded.push({ file, reason: 'noindex' });
+            else {
+                const top = file.split(path.sep)[0];
+                const cluster = file.includes(path.sep) ? site.cluster(top) : null;
+                pages.push({ url: pageUrl(file), cluster, date: pageDate(html) });
+            }
+        }
+    };
+    if (fs.existsSync(distDir)) visit(distDir);
+
+    // Listing pages change with what they list
+    const newest = dates => dates.filter(Boolean).sort().pop() || null;
+    const newestOverall = newest(pages.filter(page => page.cluster).map(page => page.date));
+    for (const page of pages) {
+        if (page.cluster && page.url === `/${page.cluster.slug}`) {
+            page.date = newest(pages.filter(other => other.cluster === page.cluster).map(other => other.date));
+        } else if (page.url === '/' || page.url === '/articles') {
+            page.date = newestOverall;
+        }
+    }
+
+    const sitemaps = new Map([['pages', []]]);
+    site.clusters.forEach(cluster => sitemaps.set(cluster.slug, []));
+    for (const page of pages) {
+        const entry = page.url === '/' ? site.sitemap.home
+            : page.url === '/articles' ? site.sitemap.hub
+                : page.cluster ? page.cluster.sitemap : site.sitemap.default;
+        sitemaps.get(page.cluster ? page.cluster.slug : 'pages').push({
+            url: `${site.url}${page.url}`,
+            lastmod: page.date,
+            priority: entry.priority,
+            changefreq: entry.changefreq
+        });
+    }
+    for (const [name, entries] of sitemaps) {
+        if (entries.length === 0) sitemaps.delete(name);
+        else entries.sort((a, b) => b.priority - a.priority || a.url.localeCompare(b.url));
+    }
 
-  // Remove .html extension for clean URLs
-  let url = relativePath.replace('.html', '');
+    return { sitemaps, excluded };
+}
+
+// ─── XML ───────────────────────────────────────────────────────────
 
-  // Handle index.html -> /
-  if (url === 'index') {
-    url = '';
-  }
+function urlsetXml(entries) {
+    const urls = entries.map(entry => `  <url>
+    <loc>${escapeXml(entry.url)}</loc>${entry.lastmod ? `
+    <lastmod>${entry.lastmod}</lastmod>` : ''}
+    <changefreq>${entry.changefreq}</changefreq>
+    <priority>${formatPriority(entry.priority)}</priority>
+  </url>`).join('\n');
 
-  return `${CONFIG.baseUrl}/${url}`.replace(/\/$/, '/');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
 }
 
-/**
- * Get file modification date in YYYY-MM-DD format
- */
-function getLastMod(filePath) {
-  const stat = fs.statSync(filePath);
-  const date = stat.mtime;
-  return date.toISOString().split('T')[0];
+function sitemapIndexXml(children) {
+    const items = children.map(child => `  <sitemap>
+    <loc>${escapeXml(child.url)}</loc>${child.lastmod ? `
+    <lastmod>${child.lastmod}</lastmod>` : ''}
+  </sitemap>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${items}
+</sitemapindex>
+`;
 }
 
 /**
- * Generate XML for a single URL entry
+ * Write a file unless it already holds `content`. Returns whether it did.
  */
-function generateUrlEntry(filePath) {
-  const url = filePathToUrl(filePath);
-  const lastmod = getLastMod(filePath);
-  const { priority, changefreq } = getPriorityConfig(filePath);
-
-  return `  <url>
-    <loc>${url}</loc>
-    <lastmod>${lastmod}</lastmod>
-    <changefreq>${changefreq}</changefreq>
-    <priority>${priority.toFixed(1)}</priority>
-  </url>`;
+function writeIfChanged(filePath, content) {
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) return false;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return true;
 }
 
 /**
- * Generate the complete sitemap.xml
+ * Write dist/sitemap.xml and dist/sitemaps/*.xml, removing child sitemaps
+ * no longer needed. Returns { sitemaps: [{ name, urls }], urls, excluded,
+ * written } (written: files rewritten).
  */
-function generateSitemap() {
-  console.log('Scanning for HTML files...');
-
-  const htmlFiles = getHtmlFiles(CONFIG.contentDir);
-
-  // Also include dist files for built pages
-  const distDir = path.join(CONFIG.contentDir, 'dist');
-  if (fs.existsSync(distDir)) {
-    const distFiles = fs.readdirSync(distDir)
-      .filter(f => f.endsWith('.html'))
-      .map(f => path.join(distDir, f));
-
-    // Add dist files, avoiding duplicates
-    distFiles.forEach(distFile => {
-      const baseName = path.basename(distFile);
-      const hasSourceVersion = htmlFiles.some(f => path.basename(f) === baseName);
-
-      // For dist files, always prefer them over source versions
-      if (hasSourceVersion) {
-        const sourceIndex = htmlFiles.findIndex(f => path.basename(f) === baseName);
-        if (sourceIndex > -1) {
-          htmlFiles.splice(sourceIndex, 1);
+function generateSitemap(distDir = site.paths.dist) {
+    const { sitemaps, excluded } = sitemapEntries(distDir);
+    const childDir = path.join(distDir, SITEMAP_DIR);
+    const children = [];
+    let written = 0;
+
+    for (const [name, entries] of sitemaps) {
+        if (writeIfChanged(path.join(childDir, `${name}.xml`), urlsetXml(entries))) written++;
+        children.push({
+            name,
+            urls: entries.length,
+            url: `${site.url}/${SITEMAP_DIR}/${name}.xml`,
+            lastmod: entries.map(entry => entry.lastmod).filter(Boolean).sort().pop() || null
+        });
+    }
+
+    if (fs.existsSync(childDir)) {
+        for (const file of fs.readdirSync(childDir)) {
+            if (file.endsWith('.xml') && !sitemaps.has(file.replace(/\.xml$/, ''))) {
+                fs.rmSync(path.join(childDir, file));
+            }
         }
-      }
-      htmlFiles.push(distFile);
-    });
-  }
-
-  console.log(`Found ${htmlFiles.length} HTML files`);
-
-  // Sort files for consistent output
-  htmlFiles.sort((a, b) => {
-    const priorityA = getPriorityConfig(a).priority;
-    const priorityB = getPriorityConfig(b).priority;
-    if (priorityA !== priorityB) {
-      return priorityB - priorityA; // Higher priority first
     }
-    return a.localeCompare(b);
-  });
 
-  // Generate sitemap XML
-  const urlEntries = htmlFiles.map(generateUrlEntry).join('\n');
+    if (writeIfChanged(path.join(distDir, 'sitemap.xml'), sitemapIndexXml(children))) written++;
 
-  const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-${urlEntries}
-</urlset>`;
+    return {
+        sitemaps: children.map(({ name, urls }) => ({ name, urls })),
+        urls: children.reduce((sum, child) => sum + child.urls, 0),
+        excluded,
+        written
+    };
+}
 
-  // Write sitemap
-  fs.writeFileSync(CONFIG.outputFile, sitemap);
-  console.log(`Generated: ${CONFIG.outputFile}`);
+function printSummary(report) {
+    report.sitemaps.forEach(child => console.log(`  ${SITEMAP_DIR}/${child.name}.xml: ${child.urls} URLs`));
+    report.excluded.forEach(page => console.log(`  left out ${page.file} (${page.reason})`));
+    console.log(`  sitemap.xml: ${report.sitemaps.length} sitemaps, ${report.urls} URLs (${report.written} files written)`);
+}
 
-  // Update sitemap index with current date
-  const today = new Date().toISOString().split('T')[0];
-  const sitemapIndex = `<?xml version="1.0" encoding="UTF-8"?>
-<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <sitemap>
-    <loc>${CONFIG.baseUrl}/sitemap.xml</loc>
-    <lastmod>${today}</lastmod>
-  </sitemap>
-  <!--
-    Ready for expansion. Add additional sitemaps as needed:
-
-    <sitemap>
-      <loc>${CONFIG.baseUrl}/sitemap-blog.xml</loc>
-      <lastmod>${today}</lastmod>
-    </sitemap>
-
-    <sitemap>
-      <loc>${CONFIG.baseUrl}/sitemap-resources.xml</loc>
-      <lastmod>${today}</lastmod>
-    </sitemap>
-  -->
-</sitemapindex>`;
-
-  fs.writeFileSync(CONFIG.indexFile, sitemapIndex);
-  console.log(`Generated: ${CONFIG.indexFile}`);
-
-  // Print summary
-  console.log('\nSitemap Summary:');
-  console.log('================');
-
-  const byCat = {};
-  htmlFiles.forEach(f => {
-    const config = getPriorityConfig(f);
-    const cat = `Priority ${config.priority.toFixed(1)}`;
-    byCat[cat] = (byCat[cat] || 0) + 1;
-  });
-
-  Object.entries(byCat).sort().forEach(([cat, count]) => {
-    console.log(`  ${cat}: ${count} pages`);
-  });
-
-  console.log(`\nTotal: ${htmlFiles.length} URLs`);
+if (require.main === module) {
+    if (!fs.existsSync(site.paths.dist)) {
+        console.error('✗ No dist/ to map; run the build first');
+        process.exitCode = 1;
+    } else {
+        printSummary(generateSitemap());
+    }
 }
 
-// Run the generator
-generateSitemap();
+module.exports = { SITEMAP_DIR, pageUrl, pageDate, sitemapEntries, generateSitemap, printSummary };
@@ -0,0 +1,309 @@
+/**
+ * The glossary: specialist terms defined once, in glossary.json, and used
+ * three ways:
+ * - in articles, the first mention of each term links to its glossary page
+ *   and carries the definition as an accessible tooltip (markTerms)
+ * - /glossary lists every term A–Z; /glossary/<slug> defines one and links
+ *   to every article that uses it (glossaryPages, in generate-indexes.js
+ *   pageShell)
+ * - those pages carry DefinedTermSet / DefinedTerm JSON-LD (schema.js)
+ *
+ * glossary.json maps a slug to { term, aliases, definition, entry }:
+ * `aliases` are other names matched in articles ("PCr"), `entry` the
+ * "cluster/slug" of the article covering the term in depth. Names match
+ * whole words, plurals too, in prose only (not headings, links, code or
+ * the Bibliography); a name with two or more capitals ("ATP", "eGFR")
+ * matches case-sensitively.
+ *
+ * - loadGlossary(file, articleIds): the validated glossary
+ * - markTerms(html, glossary): the page with terms marked, and which
+ * - glossaryPages(glossary, usage, articles): the /glossary pages to write
+ *
+ * Used by build.js.
+ *
+ * Exports: GLOSSARY_SCHEMA, validateGlossary, loadGlossary, markTerms, glossaryPages
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateFields } = require('./frontmatter');
+const { extractBibliography } = require('./references');
+const { mapText } = require('./citations');
+const { breadcrumbSchema, definedTermSchema, definedTermSetSchema, toJsonLd } = require('./schema');
+const { pageShell } = require('./generate-indexes');
+const { site } = require('./site-config');
+
+const SLUG = { pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/, format: 'a lowercase slug like "creatine-kinase"' };
+
+const GLOSSARY_SCHEMA = {
+    glossary: {
+        type: 'map',
+        keys: SLUG,
+        values: {
+            type: 'object',
+            properties: {
+                term: { type: 'string', required: true },
+                aliases: { type: 'array', items: { type: 'string' } },
+                definition: { type: 'string', required: true },
+                entry: { type: 'string', pattern: /^[a-z0-9-]+\/[a-z0-9-]+$/, format: 'an article id like "safety/creatine-and-kidneys"' }
+            }
+        }
+    }
+};
+
+const GLOSSARY_PATH = '/glossary';
+
+function escapeHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function termUrl(slug) {
+    return `${GLOSSARY_PATH}/${slug}`;
+}
+
+function names(entry) {
+    return [entry.term, ...(entry.aliases || [])];
+}
+
+/**
+ * Check a parsed glossary.json. `articleIds`, when given, are the articles
+ * an `entry` may name. Returns a list of error strings (empty when valid).
+ */
+function validateGlossary(glossary, articleIds = null) {
+    const errors = [];
+    validateFields({ glossary }, GLOSSARY_SCHEMA, '', errors);
+    if (errors.length > 0) return errors;
+
+    const ids = articleIds && new Set(articleIds);
+    const claimed = new Map();
+    for (const [slug, entry] of Object.entries(glossary)) {
+        if (ids && entry.entry && !ids.has(entry.entry)) errors.push(`glossary.${slug}.entry: no article "${entry.entry}"`);
+        for (const name of names(entry)) {
+            const key = name.toLowerCase();
+            if (claimed.has(key) && claimed.get(key) !== slug) errors.push(`glossary.${slug}: "${name}" is also a name of ${claimed.get(key)}`);
+            claimed.set(key, slug);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Load and validate glossary.json. Throws listing every problem.
+ */
+function loadGlossary(file = site.paths.glossary, articleIds = null) {
+    const glossary = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateGlossary(glossary, articleIds);
+    if (errors.length > 0) {
+        throw new Error(`${path.relative(process.cwd(), file) || file} is invalid:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    }
+    return glossary;
+}
+
+// ─── Articles ──────────────────────────────────────────────────────
+
+// Compiled name matchers, per glossary object
+const matchers = new WeakMap();
+
+function matcher(glossary) {
+    if (!matchers.has(glossary)) {
+        const byName = new Map();
+        for (const [slug, entry] of Object.entries(glossary)) {
+            for (const name of names(entry)) {
+                byName.set(name.toLowerCase(), { slug, name, exact: /[A-Z].*[A-Z]/.test(name) });
+            }
+        }
+        // Longest names first, so "creatine kinase" wins over a shorter name inside it
+        const alternatives = [...byName.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+        matchers.set(glossary, {
+            byName,
+            pattern: alternatives.length > 0 ? new RegExp(`(?<![\\w-])(${alternatives.join('|')})s?(?![\\w-])`, 'gi') : null
+        });
+    }
+    return matchers.get(glossary);
+}
+
+/**
+ * Mark the first mention of each glossary term in a page's <article>: a
+ * link to the term's page, described (aria-describedby) by its definition
+ * in a hidden block after the article, which shared.js glossaryScript
+ * shows as a tooltip. Returns { html, terms: [slugs marked] }.
+ */
+function markTerms(html, glossary) {
+    const articleStart = html.search(/<article\b/);
+    const articleEnd = html.indexOf('</article>', articleStart);
+    const { byName, pattern } = matcher(glossary);
+    if (articleStart === -1 || articleEnd === -1 || !pattern) return { html, terms: [] };
+
+    const article = html.slice(articleStart, articleEnd);
+    const bib = extractBibliography(article);
+    const prose = bib ? article.slice(0, bib.headingStart) : article;
+
+    const terms = [];
+    const markedProse = mapText(prose, text => text.replace(pattern, (match, name) => {
+        const candidate = byName.get(name.toLowerCase());
+        if (candidate.exact && name !== candidate.name) return match;
+        if (terms.includes(candidate.slug)) return match;
+        terms.push(candidate.slug);
+        return `<a href="${termUrl(candidate.slug)}" class="glossary-term" aria-describedby="glossary-tip-${candidate.slug}">${match}</a>`;
+    }));
+    if (terms.length === 0) return { html, terms };
+
+    const tips = terms.map(slug => {
+        const entry = glossary[slug];
+        return `        <p id="glossary-tip-${slug}" role="tooltip"><strong>${escapeHtml(entry.term)}</strong>: ${escapeHtml(entry.definition)}</p>`;
+    });
+    const end = articleEnd + '</article>'.length;
+    return {
+        html: `${html.slice(0, articleStart)}${markedProse}${article.slice(prose.length)}${html.slice(articleEnd, end)}
+      <div class="glossary-tips" hidden>
+${tips.join('\n')}
+      </div>${html.slice(end)}`,
+        terms
+    };
+}
+
+// ─── Pages ─────────────────────────────────────────────────────────
+
+function sortedSlugs(glossary) {
+    return Object.keys(glossary).sort((a, b) => glossary[a].term.localeCompare(glossary[b].term, 'en', { sensitivity: 'base' }));
+}
+
+function definedTerm(slug, entry) {
+    return {
+        name: entry.term,
+        alternateName: entry.aliases || [],
+        description: entry.definition,
+        url: `${site.url}${termUrl(slug)}`
+    };
+}
+
+function breadcrumbHtml(crumbs) {
+    return crumbs.map(([label, href]) => (href
+        ? `<a href="${href}" class="text-slate-400 dark:text-zinc-600 hover:text-slate-600 dark:hover:text-zinc-400 transition-colors">${escapeHtml(label)}</a>`
+        : `<span class="text-slate-600 dark:text-zinc-400">${escapeHtml(label)}</span>`
+    )).join('\n        <span class="text-slate-300 dark:text-zinc-700">/</span>\n        ');
+}
+
+function jsonLd(schemas) {
+    return schemas.map(schema => `  <script type="application/ld+json">\n${toJsonLd(schema)}\n  </script>`).join('\n');
+}
+
+function indexPage(glossary) {
+    const slugs = sortedSlugs(glossary);
+    const byLetter = new Map();
+    for (const slug of slugs) {
+        const letter = /^[a-z]/i.test(glossary[slug].term) ? glossary[slug].term[0].toUpperCase() : '#';
+        if (!byLetter.has(letter)) byLetter.set(letter, []);
+        byLetter.get(letter).push(slug);
+    }
+    const anchor = letter => (letter === '#' ? 'letter-0-9' : `letter-${letter.toLowerCase()}`);
+
+    const letters = [...byLetter.keys()].map(letter =>
+        `<a href="#${anchor(letter)}" class="w-9 h-9 flex items-center justify-center rounded-md border border-slate-200 dark:border-zinc-800 text-sm text-slate-600 dark:text-zinc-400 hover:border-sky-500/50 hover:text-sky-600 dark:hover:text-sky-400 transition-colors">${letter}</a>`
+    ).join('\n        ');
+
+    const sections = [...byLetter.entries()].map(([letter, group]) => {
+        const items = group.map(slug => `
+          <div class="py-4 border-b border-slate-200 dark:border-zinc-800/60">
+            <dt><a href="${termUrl(slug)}" class="text-slate-800 dark:text-zinc-200 font-medium hover:text-sky-600 dark:hover:text-sky-400 transition-colors">${escapeHtml(glossary[slug].term)}</a></dt>
+            <dd class="text-sm text-slate-600 dark:text-zinc-500 mt-1 leading-relaxed">${escapeHtml(glossary[slug].definition)}</dd>
+          </div>`).join('');
+        return `
+      <section id="${anchor(letter)}" class="mb-10">
+        <h2 class="font-serif text-3xl text-slate-900 dark:text-zinc-100 mb-2">${letter}</h2>
+        <dl>${items}
+        </dl>
+      </section>`;
+    }).join('\n');
+
+    const description = `Definitions of ${slugs.length} specialist terms used across ${site.name}, from phosphocreatine to non-responders.`;
+    const body = `
+    <div class="max-w-4xl mx-auto px-6">
+      <div class="flex items-center gap-2 text-sm mb-8">
+        ${breadcrumbHtml([['Home', '/'], ['Glossary']])}
+      </div>
+
+      <div class="mb-10">
+        <h1 class="font-serif text-4xl md:text-5xl leading-tight text-slate-900 dark:text-zinc-100 mb-4">Glossary</h1>
+        <p class="text-lg text-slate-600 dark:text-zinc-500">${escapeHtml(description)}</p>
+      </div>
+
+      <nav aria-label="Glossary letters" class="flex flex-wrap gap-2 mb-12">
+        ${letters}
+      </nav>
+${sections}
+    </div>`;
+
+    const schema = definedTermSetSchema(`${site.name} Glossary`, `${site.url}${GLOSSARY_PATH}`, description,
+        slugs.map(slug => definedTerm(slug, glossary[slug])));
+    return pageShell('Glossary', description, GLOSSARY_PATH, body, jsonLd([schema]));
+}
+
+function termPage(slug, glossary, usage, articles) {
+    const entry = glossary[slug];
+    const usedIn = (usage.get(slug) || []).map(id => articles.get(id)).sort((a, b) => a.title.localeCompare(b.title));
+    const article = entry.entry && articles.get(entry.entry);
+
+    const aliases = (entry.aliases || []).length > 0
+        ? `\n        <p class="text-sm text-slate-500 dark:text-zinc-500 mb-6">Also called ${entry.aliases.map(alias => `<span class="text-slate-700 dark:text-zinc-300">${escapeHtml(alias)}</span>`).join(', ')}</p>`
+        : '';
+    const fullEntry = article
+        ? `\n        <p class="text-slate-600 dark:text-zinc-400">Full entry: <a href="/${article.id}" class="text-sky-600 dark:text-sky-400 hover:underline">${escapeHtml(article.title)}</a></p>`
+        : '';
+    const usedInList = usedIn.length > 0 ? `
+      <section class="mb-12">
+        <h2 class="font-serif text-2xl text-slate-900 dark:text-zinc-100 mb-4">Used in ${usedIn.length} ${usedIn.length === 1 ? 'article' : 'articles'}</h2>
+        <div class="grid gap-3">${usedIn.map(a => `
+          <a href="/${a.id}" class="block p-4 bg-white dark:bg-zinc-900/30 border border-slate-200 dark:border-zinc-800/60 hover:border-slate-300 dark:hover:border-zinc-700 rounded-lg transition-colors">
+            <span class="text-xs text-slate-400 dark:text-zinc-600">${escapeHtml(a.cluster)}</span>
+            <span class="block text-slate-800 dark:text-zinc-200 font-medium leading-snug mt-1">${escapeHtml(a.title)}</span>
+          </a>`).join('')}
+        </div>
+      </section>` : '';
+
+    const body = `
+    <div class="max-w-3xl mx-auto px-6">
+      <div class="flex items-center gap-2 text-sm mb-8">
+        ${breadcrumbHtml([['Home', '/'], ['Glossary', GLOSSARY_PATH], [entry.term]])}
+      </div>
+
+      <div class="mb-12">
+        <p class="text-xs text-sky-600 dark:text-sky-400 uppercase tracking-wider mb-3">Glossary</p>
+        <h1 class="font-serif text-4xl md:text-5xl leading-tight text-slate-900 dark:text-zinc-100 mb-4">${escapeHtml(entry.term)}</h1>${aliases}
+        <p class="text-lg text-slate-700 dark:text-zinc-300 leading-relaxed mb-6">${escapeHtml(entry.definition)}</p>${fullEntry}
+      </div>
+${usedInList}
+      <a href="${GLOSSARY_PATH}" class="text-sm font-medium text-sky-600 dark:text-sky-400 hover:underline">&larr; All ${Object.keys(glossary).length} terms</a>
+    </div>`;
+
+    const url = `${site.url}${termUrl(slug)}`;
+    const schemas = [
+        definedTermSchema(definedTerm(slug, entry), { name: `${site.name} Glossary`, url: `${site.url}${GLOSSARY_PATH}` }),
+        breadcrumbSchema('glossary', 'Glossary', entry.term, url)
+    ];
+    return pageShell(`${entry.term} — Glossary`, entry.definition, termUrl(slug), body, jsonLd(schemas));
+}
+
+/**
+ * The glossary pages: [{ file, html }], file relative to dist/.
+ * usage: Map slug → ids of the articles the term is marked in;
+ * articles: Map id → { id, title, cluster } for every article.
+ */
+function glossaryPages(glossary, usage, articles) {
+    return [
+        { file: 'glossary/index.html', html: indexPage(glossary) },
+        ...sortedSlugs(glossary).map(slug => ({ file: `glossary/${slug}.html`, html: termPage(slug, glossary, usage, articles) }))
+    ];
+}
+
+module.exports = {
+    GLOSSARY_SCHEMA,
+    validateGlossary,
+    loadGlossary,
+    markTerms,
+    glossaryPages
+};
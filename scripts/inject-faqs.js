@@ -1,128 +1,46 @@
 #!/usr/bin/env node
 
 /**
- * Inject FAQ sections into all cluster articles.
+ * Publish each cluster article's FAQ: a section before </article> of the
+ * page retemplate.js rendered (generated/<cluster>/<slug>.html) and
+ * FAQPage JSON-LD (schema.js) in <head>.
  *
- * Strategy: Extract H2 headings + first paragraph after each H2.
- * Convert top 5 into Q&A format. Inject FAQ HTML before </article>.
- * Also injects FAQPage JSON-LD schema into <head>.
+ * An article's FAQ is its curated frontmatter `faqs` (faqs.js); an article
+ * without them publishes none. Curated questions go through the same
+ * quality gate as generated ones, and no question may be asked on two
+ * pages — either fails the step. Each question's heading gets a stable id
+ * (faqs.js faqAnchor) for the /faq hub to link to.
  *
- * Run: node scripts/inject-faqs.js
+ * reviewFaqs() lists the generated drafts for articles with no curated
+ * FAQ: the questions that pass the gate, and why the others don't. A
+ * question already asked elsewhere (curated, or in an earlier draft) is
+ * rejected as a duplicate. `approve` ("cluster/slug" ids, or "all") writes
+ * the passing questions into those articles' frontmatter, for editors to
+ * adjust.
+ *
+ * Run: node scripts/inject-faqs.js [--review] [--approve=cluster/slug,...|all]
+ *
+ * Exports: injectFaqs, reviewFaqs
  */
 
 const fs = require('fs');
 const path = require('path');
+const { faqSchema, toJsonLd } = require('./schema');
+const { parseFrontmatter } = require('./frontmatter');
+const { MAX_FAQS, withFaqs, draftFaqs, checkFaq, questionKey, faqAnchor } = require('./faqs');
+const { site } = require('./site-config');
 
 const ROOT_DIR = path.join(__dirname, '..');
 
-const HTML_SOURCE_DIRS = [
-    'science',
-    'dosing',
-    'sports',
-    'safety',
-    'comparisons',
-    'quality'
-];
-
-
-function stripTags(html) {
-    return html.replace(/<[^>]+>/g, '').trim();
-}
-
-function escapeJsonString(str) {
-    return str
-        .replace(/\\/g, '\\\\')
-        .replace(/"/g, '\\"')
-        .replace(/\n/g, '\\n')
-        .replace(/\r/g, '\\r')
-        .replace(/\t/g, '\\t');
-}
-
-function extractH2Sections(articleHtml) {
-    const sections = [];
-    // Match H2 headings and capture everything until the next H2 or end
-    const h2Regex = /<h2[^>]*>([\s\S]*?)<\/h2>([\s\S]*?)(?=<h2|<\/article>|<section class="references|<div class="cta-box|$)/gi;
-    let match;
-
-    while ((match = h2Regex.exec(articleHtml)) !== null) {
-        const heading = stripTags(match[1]).trim();
-        const content = match[2];
-
-        // Skip references/bibliography sections
-        if (/references|bibliography|sources|citations/i.test(heading)) continue;
-        // Skip FAQ sections that already exist
-        if (/frequently asked|faq/i.test(heading)) continue;
-
-        // Extract first paragraph
-        const pMatch = content.match(/<p[^>]*>([\s\S]*?)<\/p>/);
-        if (pMatch) {
-            const answer = stripTags(pMatch[1]).trim();
-            if (answer.length > 30) {
-                sections.push({ heading, answer });
-            }
-        }
-    }
-
-    return sections;
-}
-
-function headingToQuestion(heading, category) {
-    const h = heading.toLowerCase().trim();
-
-    // If it's already a question, keep it
-    if (h.endsWith('?')) return heading;
-
-    // Clean common heading patterns
-    let cleaned = heading
-        .replace(/^(the|an?)\s+/i, '')
-        .replace(/\s*[:–—]\s*.*$/, ''); // Remove subtitle after colon/em-dash
-
-    const lc = cleaned.toLowerCase();
-
-    // Already starts like a question word — just add ?
-    if (/^(how|what|why|when|where|which|does|is|can|should|do)\s/i.test(h)) {
-        return heading + '?';
-    }
-
-    // Pattern: contains "vs" or "versus" → comparison question
-    if (/\bvs\.?\b|versus|compared/i.test(h)) {
-        return `How does ${lc} compare?`;
-    }
-
-    // Pattern: contains action verbs → "How" question
-    if (/\b(effect|impact|influence|affect|interact|deplet|resynthes|recover|adapt|respond|contribut|work)\b/i.test(h)) {
-        return `How does ${lc} work?`;
-    }
-
-    // Pattern: plural nouns or lists → "What are" question
-    if (/\b(benefits|advantages|risks|dangers|side effects|concerns|differences|types|forms|factors|contributions|strategies|recommendations|guidelines|considerations)\b/i.test(h)) {
-        return `What are the ${lc}?`;
-    }
-
-    // Pattern: contains "and" connecting topics → "What is the relationship between"
-    if (/\band\b/i.test(h) && !(/dosing|dose|protocol/i.test(h))) {
-        return `What is the relationship between ${lc}?`;
-    }
-
-    // Pattern: dosing/protocol headings → "What is the recommended"
-    if (/dosing|dose|protocol|timing|loading|cycle|schedul/i.test(h)) {
-        return `What is the recommended ${lc}?`;
-    }
-
-    // Pattern: safety/concern headings → "Is ... safe?"
-    if (/safe|kidney|liver|hair|blood|heart|health/i.test(h)) {
-        return `Is ${lc} safe?`;
-    }
-
-    // Default: "What is the [heading]?" — works for noun phrase headings
-    return `What is the ${lc}?`;
+function escapeHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
 function buildFaqHtml(qaPairs) {
     const items = qaPairs.map(qa => `
         <div class="faq-item">
-          <h3>${qa.question}</h3>
-          <p>${qa.answer}</p>
+          <h3 id="${faqAnchor(qa.question)}">${escapeHtml(qa.question)}</h3>
+          <p>${escapeHtml(qa.answer)}</p>
         </div>`).join('');
 
     return `
@@ -132,117 +50,227 @@ function buildFaqHtml(qaPairs) {
       </section>`;
 }
 
-function buildFaqSchema(qaPairs, url) {
-    const mainEntity = qaPairs.map(qa => ({
-        "@type": "Question",
-        "name": qa.question,
-        "acceptedAnswer": {
-            "@type": "Answer",
-            "text": qa.answer
-        }
-    }));
-
-    return JSON.stringify({
-        "@context": "https://schema.org",
-        "@type": "FAQPage",
-        "mainEntity": mainEntity
-    }, null, 2);
-}
-
 function stripExistingFaq(html) {
     // Remove existing FAQ HTML section
     let cleaned = html.replace(/\s*<section class="faq-section">[\s\S]*?<\/section>/g, '');
-    // Remove existing FAQPage schema
-    cleaned = cleaned.replace(/\s*<script type="application\/ld\+json">\s*\{[\s\S]*?"@type":\s*"FAQPage"[\s\S]*?\}\s*<\/script>\n?/g, '');
+    // Remove existing FAQPage schema (without running into neighbouring blocks)
+    cleaned = cleaned.replace(/\s*<script type="application\/ld\+json">\s*\{(?:(?!<\/script>)[\s\S])*?"@type":\s*"FAQPage"(?:(?!<\/script>)[\s\S])*<\/script>\n?/g, '');
     return cleaned;
 }
 
-function injectFaq(html, category, slug) {
+/**
+ * The page with its FAQ replaced by qaPairs ([{ question, answer }], plain
+ * text); an empty list only removes the old one.
+ */
+function injectFaq(html, qaPairs) {
     // Strip any existing FAQ content first (allows re-run)
     html = stripExistingFaq(html);
-
-    // Extract article content to find H2 sections
-    const articleMatch = html.match(/<article[^>]*>([\s\S]*?)<\/article>/);
-    if (!articleMatch) return { html, injected: false };
-
-    const articleContent = articleMatch[1];
-    const sections = extractH2Sections(articleContent);
-
-    if (sections.length < 3) return { html, injected: false };
-
-    // Take top 5 sections (or fewer)
-    const topSections = sections.slice(0, 5);
-    const qaPairs = topSections.map(s => ({
-        question: headingToQuestion(s.heading, category),
-        answer: s.answer
-    }));
-
-    // Build FAQ HTML
-    const faqHtml = buildFaqHtml(qaPairs);
-
-    // Build FAQ schema
-    const url = `https://creatinepedia.com/${category}/${slug}`;
-    const faqSchema = buildFaqSchema(qaPairs, url);
+    if (qaPairs.length === 0 || !html.includes('</article>')) return html;
 
     // Inject FAQ HTML before </article>
     let newHtml = html.replace(
         '</article>',
-        `${faqHtml}\n      </article>`
+        `${buildFaqHtml(qaPairs)}\n      </article>`
     );
 
-    // Inject FAQ schema after last existing schema block
-    const schemaInsertPoint = newHtml.lastIndexOf('</script>\n${');
-    // Simpler: inject before </head>
-    const faqSchemaTag = `  <script type="application/ld+json">\n  ${faqSchema}\n  </script>\n`;
+    // Inject FAQ schema before </head>
+    const faqSchemaTag = `  <script type="application/ld+json">\n  ${toJsonLd(faqSchema(qaPairs))}\n  </script>\n`;
     newHtml = newHtml.replace('</head>', `${faqSchemaTag}</head>`);
 
-    return { html: newHtml, injected: true };
+    return newHtml;
 }
 
-function run() {
-    console.log('Injecting FAQ sections into articles...\n');
-    let total = 0;
-    let skipped = 0;
-    const errors = [];
+// ─── Articles ──────────────────────────────────────────────────────
+
+/**
+ * Every published markdown page in content/: [{ id, dir, sourcePath,
+ * pagePath, faqs }]. `dir` is the cluster (null for pages outside one),
+ * `faqs` the curated FAQs or null. Throws on invalid frontmatter.
+ */
+function findArticles() {
+    const articles = [];
+    const visit = dir => {
+        if (!fs.existsSync(dir)) return;
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            const sourcePath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                visit(sourcePath);
+                continue;
+            }
+            if (!entry.name.endsWith('.md')) continue;
 
-    for (const dir of HTML_SOURCE_DIRS) {
-        const dirPath = path.join(ROOT_DIR, dir);
-        if (!fs.existsSync(dirPath)) {
-            console.log(`  Skipping ${dir}/ (not found)`);
-            continue;
+            const id = path.relative(site.paths.content, sourcePath).replace(/\.md$/, '').split(path.sep).join('/');
+            let metadata;
+            try {
+                ({ metadata } = parseFrontmatter(fs.readFileSync(sourcePath, 'utf8')));
+            } catch (e) {
+                throw new Error(`${path.relative(ROOT_DIR, sourcePath)}: ${e.message}`);
+            }
+            if (metadata.draft) continue;
+
+            const cluster = id.includes('/') && site.clusterSlugs.includes(id.split('/')[0]) ? id.split('/')[0] : null;
+            articles.push({
+                id,
+                dir: cluster,
+                sourcePath,
+                pagePath: cluster ? path.join(site.paths.generated, `${id}.html`) : null,
+                faqs: Array.isArray(metadata.faqs)
+                    ? metadata.faqs.map(faq => ({ question: String(faq.question).trim(), answer: String(faq.answer).trim() }))
+                    : null
+            });
         }
+    };
+    visit(site.paths.content);
+    return articles;
+}
 
-        const files = fs.readdirSync(dirPath).filter(f => f.endsWith('.html') && f !== 'index.html');
-        let count = 0;
+/**
+ * Check every curated FAQ: the problems found. `asked` (Map key → id)
+ * gains every curated question.
+ */
+function checkCurated(articles, asked) {
+    const errors = [];
+    for (const article of articles) {
+        const file = path.relative(ROOT_DIR, article.sourcePath);
+        (article.faqs || []).forEach((faq, i) => {
+            const problem = checkFaq(faq);
+            if (problem) errors.push(`${file}, question ${i + 1}: ${problem}`);
+            const key = questionKey(faq.question);
+            if (asked.has(key)) errors.push(`${file}, question ${i + 1}: "${faq.question}" is also asked on ${asked.get(key)}`);
+            else asked.set(key, article.id);
+        });
+    }
+    return errors;
+}
 
-        for (const file of files) {
-            const filePath = path.join(dirPath, file);
-            const html = fs.readFileSync(filePath, 'utf8');
-            const slug = file.replace('.html', '');
+// ─── Publish ───────────────────────────────────────────────────────
 
-            try {
-                const { html: newHtml, injected } = injectFaq(html, dir, slug);
-                if (injected) {
-                    fs.writeFileSync(filePath, newHtml);
-                    count++;
-                } else {
-                    skipped++;
-                }
-            } catch (e) {
-                errors.push(`${dir}/${file}: ${e.message}`);
+function run() {
+    console.log('Publishing curated FAQs...\n');
+    const articles = findArticles();
+    const errors = checkCurated(articles, new Map());
+    let published = 0;
+    let missing = 0;
+
+    for (const dir of site.clusterSlugs) {
+        const inDir = articles.filter(article => article.dir === dir);
+        let count = 0;
+
+        for (const article of inDir) {
+            if (!fs.existsSync(article.pagePath)) {
+                errors.push(`${article.id}: not rendered (run retemplate.js first)`);
+                continue;
             }
+            const html = fs.readFileSync(article.pagePath, 'utf8');
+            const newHtml = injectFaq(html, article.faqs || []);
+            if (newHtml !== html) fs.writeFileSync(article.pagePath, newHtml);
+            if (article.faqs && article.faqs.length > 0) count++;
+            if (!article.faqs) missing++;
         }
 
-        console.log(`  ${dir}/: ${count} injected, ${files.length - count} skipped`);
-        total += count;
+        console.log(`  ${dir}/: ${count} with an FAQ, ${inDir.length - count} without`);
+        published += count;
     }
 
     if (errors.length > 0) {
         console.log(`\nErrors (${errors.length}):`);
         errors.forEach(e => console.log(`  ${e}`));
+        process.exitCode = 1;
     }
 
-    console.log(`\n✓ Injected FAQs into ${total} articles (${skipped} skipped — already had FAQ or too few sections)`);
+    console.log(`\n✓ Published FAQs for ${published} articles`);
+    if (missing > 0) {
+        console.log(`  ${missing} articles have no curated FAQ; review their drafts with: node scripts/creatinepedia.js review-faqs`);
+    }
+}
+
+// ─── Review ────────────────────────────────────────────────────────
+
+/**
+ * List the generated drafts awaiting approval, and approve some.
+ * options: { approve: ["cluster/slug", ...] or ["all"] }
+ */
+function review(options = {}) {
+    const approve = options.approve || [];
+    const articles = findArticles();
+    const unknown = approve.filter(id => id !== 'all' && !articles.some(article => article.dir && article.id === id));
+    if (unknown.length > 0) {
+        console.error(`✗ No article ${unknown.join(', ')} to approve`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const asked = new Map();
+    const errors = checkCurated(articles, asked);
+    if (errors.length > 0) {
+        console.log(`Curated FAQs have problems — fix them first (${errors.length}):`);
+        errors.forEach(e => console.log(`  ${e}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('Generated FAQ drafts awaiting approval\n');
+    const pending = articles.filter(article => article.dir && article.faqs === null);
+    const approved = [];
+    let withDrafts = 0;
+    let questions = 0;
+
+    for (const article of pending) {
+        const html = fs.existsSync(article.pagePath) ? fs.readFileSync(article.pagePath, 'utf8') : '';
+        const articleMatch = html.match(/<article[^>]*>([\s\S]*?)<\/article>/);
+        const drafts = articleMatch ? draftFaqs(articleMatch[1]) : [];
+
+        // A question asked elsewhere, or past the limit, is out too
+        const passing = [];
+        for (const draft of drafts.filter(d => !d.problem)) {
+            const key = questionKey(draft.question);
+            if (asked.has(key)) draft.problem = `already asked on ${asked.get(key)}`;
+            else if (passing.length >= MAX_FAQS) draft.problem = `over ${MAX_FAQS} questions`;
+            else {
+                asked.set(key, article.id);
+                passing.push(draft);
+            }
+        }
+
+        const shapeless = drafts.filter(d => d.problem === 'heading has no question form').length;
+        console.log(`${article.id}: ${passing.length} of ${drafts.length} sections pass`);
+        passing.forEach(d => console.log(`  ✓ ${d.question}\n      ${d.answer}`));
+        drafts.filter(d => d.problem && d.problem !== 'heading has no question form')
+            .forEach(d => console.log(`  ✗ ${d.question} — ${d.problem}`));
+        if (shapeless > 0) console.log(`  ✗ ${shapeless} heading${shapeless === 1 ? ' has' : 's have'} no question form`);
+
+        if (passing.length > 0) {
+            withDrafts++;
+            questions += passing.length;
+            if (approve.includes('all') || approve.includes(article.id)) {
+                const source = fs.readFileSync(article.sourcePath, 'utf8');
+                fs.writeFileSync(article.sourcePath, withFaqs(source, passing.map(d => ({ question: d.question, answer: d.answer }))));
+                approved.push(article.id);
+            }
+        }
+    }
+
+    const skipped = approve.filter(id => id !== 'all' && !approved.includes(id));
+    console.log(`\n${pending.length} articles without a curated FAQ: ${withDrafts} with a draft to approve (${questions} questions), ${pending.length - withDrafts} with none passing`);
+    if (approved.length > 0) {
+        console.log(`✓ Approved ${approved.length} draft${approved.length === 1 ? '' : 's'} into their frontmatter \`faqs\` — edit them there`);
+    }
+    if (skipped.length > 0) {
+        console.log(`  Not approved (curated already, or nothing passes): ${skipped.join(', ')}`);
+    }
+    if (approve.length === 0 && withDrafts > 0) {
+        console.log('  Approve with: node scripts/creatinepedia.js review-faqs --approve=cluster/slug,... (or --approve=all)');
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const approve = args.find(arg => arg.startsWith('--approve='));
+    if (args.includes('--review') || approve) {
+        review({ approve: approve ? approve.slice('--approve='.length).split(',').filter(Boolean) : [] });
+    } else {
+        run();
+    }
 }
 
-run();
+module.exports = { injectFaqs: run, reviewFaqs: review };
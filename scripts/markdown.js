@@ -0,0 +1,926 @@
+/**
+ * Markdown → HTML for Creatinepedia articles (CommonMark + GFM).
+ *
+ * Two passes, as in the CommonMark reference implementation: lines are
+ * parsed into a block tree (headings, lists, blockquotes, code, HTML,
+ * tables, footnote and link reference definitions), then each block's
+ * inline content is rendered once every reference is known.
+ *
+ * GFM extensions: tables, task list items, strikethrough, bare URL
+ * autolinks and footnotes. Headings get GitHub-style ids. Elements carry
+ * the Tailwind class hooks the article template styles, unless
+ * { classes: false } asks for plain markup (retemplate.js styles the
+ * article body with its own stylesheet).
+ *
+ * Used by build.js, retemplate.js and migrate-to-markdown.js.
+ *
+ * Exports: markdownToHtml, slugify
+ */
+
+// Tailwind class hooks used by templates/build-template.html
+const CLASSES = {
+    h2: 'text-2xl sm:text-3xl font-bold mb-6',
+    h3: 'text-xl font-semibold mt-8 mb-4',
+    a: 'text-accent hover:text-accent-light',
+    blockquote: 'my-8',
+    ul: 'space-y-2 my-6 text-text-muted',
+    ol: 'list-decimal pl-6 space-y-2 my-6 text-text-muted',
+    hr: 'my-8 border-border',
+    tableWrapper: 'overflow-x-auto my-8',
+    table: 'w-full text-sm text-left',
+    footnotes: 'footnotes mt-12 pt-6 border-t border-border text-sm text-text-muted'
+};
+
+const ATX_HEADING = /^(#{1,6})(?:[ \t]+|$)(.*)$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+const FENCE = /^(`{3,}|~{3,})(.*)$/;
+const TABLE_DELIMITER = /^\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const FOOTNOTE_DEF = /^\[\^([^\]\s]+)\]:[ \t]?(.*)$/;
+const LINK_DEF = /^ {0,3}\[((?:[^\\[\]]|\\.){1,999})\]:[ \t]*\n?[ \t]*(<[^<>\n]*>|[^\s<]\S*)(?:(?:[ \t]+|[ \t]*\n[ \t]*)("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*(?:\n|$)/;
+
+const HTML_BLOCK_TAGS = 'address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[1-6]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul';
+const ATTRIBUTE = '(?:\\s+[a-zA-Z_:][a-zA-Z0-9_.:-]*(?:\\s*=\\s*(?:[^\\s"\'=<>`]+|\'[^\']*\'|"[^"]*"))?)';
+const OPEN_TAG = `<[A-Za-z][A-Za-z0-9-]*${ATTRIBUTE}*\\s*\\/?>`;
+const CLOSE_TAG = '<\\/[A-Za-z][A-Za-z0-9-]*\\s*>';
+
+// [start pattern, end pattern] — end null means "ends at a blank line"
+const HTML_BLOCKS = [
+    [/^<(?:script|pre|style|textarea)(?:\s|>|$)/i, /<\/(?:script|pre|style|textarea)>/i],
+    [/^<!--/, /-->/],
+    [/^<\?/, /\?>/],
+    [/^<![A-Za-z]/, />/],
+    [/^<!\[CDATA\[/, /\]\]>/],
+    [new RegExp(`^<\\/?(?:${HTML_BLOCK_TAGS})(?:\\s|\\/?>|$)`, 'i'), null],
+    [new RegExp(`^(?:${OPEN_TAG}|${CLOSE_TAG})\\s*$`), null]
+];
+
+const INLINE_HTML = new RegExp(`^(?:${OPEN_TAG}|${CLOSE_TAG}|<!---->|<!--(?:-?[^>-])(?:-?[^-])*-->|<\\?[\\s\\S]*?\\?>|<![A-Za-z]+[^>]*>|<!\\[CDATA\\[[\\s\\S]*?\\]\\]>)`);
+const ENTITY = /^&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/;
+const ESCAPABLE = /^[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]$/;
+const PUNCTUATION = /[\p{P}\p{S}]/u;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function escapeHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function decodeEntities(str) {
+    return str.replace(/&(#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/g, (m, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+        }
+        return NAMED_ENTITIES[name] !== undefined ? NAMED_ENTITIES[name] : m;
+    });
+}
+
+function unescapeMarkdown(str) {
+    return decodeEntities(str.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1'));
+}
+
+function encodeUrl(url) {
+    try {
+        return encodeURI(url).replace(/%25([0-9a-fA-F]{2})/g, '%$1');
+    } catch (e) {
+        return url;
+    }
+}
+
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase().toUpperCase();
+}
+
+/**
+ * GitHub-style heading slug: lowercase, punctuation dropped, spaces → hyphens.
+ */
+function slugify(text) {
+    return text.toLowerCase().trim().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+}
+
+// ─── Block parsing ─────────────────────────────────────────────────
+
+function isBlank(line) {
+    return /^[ \t]*$/.test(line);
+}
+
+function indentOf(line) {
+    return line.match(/^ */)[0].length;
+}
+
+// Tabs in leading whitespace become spaces (tab stop 4)
+function expandTabs(line) {
+    const lead = line.match(/^[ \t]*/)[0];
+    if (!lead.includes('\t')) return line;
+    let col = 0;
+    for (const ch of lead) col = ch === '\t' ? col + 4 - (col % 4) : col + 1;
+    return ' '.repeat(col) + line.slice(lead.length);
+}
+
+function htmlBlockType(s, inParagraph) {
+    const last = inParagraph ? 6 : 7;
+    for (let i = 0; i < last; i++) {
+        if (HTML_BLOCKS[i][0].test(s)) return i;
+    }
+    return -1;
+}
+
+function listMarker(line) {
+    const indent = indentOf(line);
+    if (indent >= 4) return null;
+    const s = line.slice(indent);
+
+    let m = s.match(/^([-+*])(?=[ \t]|$)/);
+    let item;
+    if (m) {
+        item = { ordered: false, marker: m[1], start: 1 };
+    } else {
+        m = s.match(/^(\d{1,9})([.)])(?=[ \t]|$)/);
+        if (!m) return null;
+        item = { ordered: true, marker: m[2], start: parseInt(m[1], 10) };
+    }
+
+    const after = s.slice(m[0].length);
+    const spaces = indentOf(after);
+    item.empty = isBlank(after);
+    // More than four spaces after the marker: content is an indented code block
+    const gap = item.empty || spaces > 4 ? 1 : spaces;
+    item.contentOffset = indent + m[0].length + gap;
+    item.content = item.empty ? '' : line.slice(item.contentOffset);
+    return item;
+}
+
+function splitTableRow(line) {
+    let s = line.trim();
+    if (s.startsWith('|')) s = s.slice(1);
+    if (s.endsWith('|') && !s.endsWith('\\|')) s = s.slice(0, -1);
+
+    const cells = [];
+    let cell = '';
+    for (let i = 0; i < s.length; i++) {
+        if (s[i] === '\\' && s[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (s[i] === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += s[i];
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function tableStart(lines, i) {
+    const header = lines[i];
+    const delimiter = lines[i + 1];
+    if (delimiter === undefined || indentOf(header) >= 4 || indentOf(delimiter) >= 4) return null;
+    if (!TABLE_DELIMITER.test(delimiter) || !(header.includes('|') || delimiter.includes('|'))) return null;
+
+    const head = splitTableRow(header);
+    const align = splitTableRow(delimiter).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+    });
+    return head.length === align.length ? { head, align } : null;
+}
+
+// Can this line end a paragraph (or refuse a lazy continuation)?
+function interruptsParagraph(line) {
+    const indent = indentOf(line);
+    if (indent >= 4) return false;
+    const s = line.slice(indent);
+    if (ATX_HEADING.test(s) || FENCE.test(s) || s.startsWith('>') || THEMATIC_BREAK.test(s)) return true;
+    if (htmlBlockType(s, true) >= 0) return true;
+    const item = listMarker(line);
+    return item !== null && !item.empty && (!item.ordered || item.start === 1);
+}
+
+/**
+ * Parse lines into blocks. Link reference and footnote definitions are
+ * collected into ctx. The returned array has `blankBetween` set when a
+ * blank line separates two of its blocks (used for loose lists).
+ */
+function parseBlocks(lines, ctx) {
+    const blocks = [];
+    let pendingBlank = false;
+    let i = 0;
+
+    function push(block) {
+        if (pendingBlank && blocks.length > 0) blocks.blankBetween = true;
+        pendingBlank = false;
+        blocks.push(block);
+    }
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (isBlank(line)) {
+            pendingBlank = true;
+            i++;
+            continue;
+        }
+
+        const indent = indentOf(line);
+
+        // Indented code
+        if (indent >= 4) {
+            const code = [];
+            while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) {
+                code.push(lines[i].slice(4));
+                i++;
+            }
+            while (code.length > 0 && isBlank(code[code.length - 1])) code.pop();
+            push({ type: 'code', lang: '', text: code.join('\n') });
+            continue;
+        }
+
+        const s = line.slice(indent);
+        let m;
+
+        // Fenced code
+        if ((m = s.match(FENCE)) && !(m[1][0] === '`' && m[2].includes('`'))) {
+            const fence = m[1];
+            const code = [];
+            i++;
+            while (i < lines.length) {
+                const close = lines[i].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+                if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+                    i++;
+                    break;
+                }
+                code.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+                i++;
+            }
+            push({ type: 'code', lang: unescapeMarkdown(m[2].trim().split(/\s+/)[0] || ''), text: code.join('\n') });
+            continue;
+        }
+
+        // ATX heading
+        if ((m = s.match(ATX_HEADING))) {
+            const text = m[2].replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim();
+            push({ type: 'heading', level: m[1].length, text });
+            i++;
+            continue;
+        }
+
+        // Thematic break (before lists: "* * *" is a rule, not an item)
+        if (THEMATIC_BREAK.test(s)) {
+            push({ type: 'hr' });
+            i++;
+            continue;
+        }
+
+        // Blockquote
+        if (s.startsWith('>')) {
+            const quoted = [];
+            while (i < lines.length) {
+                const l = lines[i];
+                const ind = indentOf(l);
+                if (ind < 4 && l.slice(ind).startsWith('>')) {
+                    const rest = expandTabs(l.slice(ind + 1));
+                    quoted.push(rest.startsWith(' ') ? rest.slice(1) : rest);
+                } else if (!isBlank(l) && quoted.length > 0 && !isBlank(quoted[quoted.length - 1]) && !interruptsParagraph(l)) {
+                    quoted.push(l); // lazy continuation
+                } else {
+                    break;
+                }
+                i++;
+            }
+            push({ type: 'blockquote', children: parseBlocks(quoted, ctx) });
+            continue;
+        }
+
+        // HTML block
+        const htmlType = htmlBlockType(s, false);
+        if (htmlType >= 0) {
+            const end = HTML_BLOCKS[htmlType][1];
+            const html = [];
+            while (i < lines.length) {
+                const l = lines[i];
+                if (!end && isBlank(l)) break;
+                html.push(l);
+                i++;
+                if (end && end.test(l)) break;
+            }
+            push({ type: 'html', text: html.join('\n') });
+            continue;
+        }
+
+        // List
+        const first = listMarker(line);
+        if (first) {
+            const list = { type: 'list', ordered: first.ordered, start: first.start, items: [], loose: false };
+            let marker = first;
+
+            while (marker) {
+                const itemLines = [marker.content];
+                i++;
+                while (i < lines.length) {
+                    const l = lines[i];
+                    if (isBlank(l)) {
+                        // An item can begin with at most one blank line
+                        if (itemLines.every(isBlank) && marker.empty) break;
+                        itemLines.push('');
+                    } else if (indentOf(l) >= marker.contentOffset) {
+                        itemLines.push(l.slice(marker.contentOffset));
+                    } else if (!isBlank(itemLines[itemLines.length - 1]) && !interruptsParagraph(l) && !listMarker(l)) {
+                        itemLines.push(l); // lazy continuation
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+
+                let trailingBlank = false;
+                while (itemLines.length > 0 && isBlank(itemLines[itemLines.length - 1])) {
+                    itemLines.pop();
+                    trailingBlank = true;
+                }
+
+                const children = parseBlocks(itemLines, ctx);
+                if (children.blankBetween) list.loose = true;
+                list.items.push(children);
+
+                const next = i < lines.length && !THEMATIC_BREAK.test(lines[i].trim()) ? listMarker(lines[i]) : null;
+                if (next && next.ordered === first.ordered && next.marker === first.marker) {
+                    if (trailingBlank) list.loose = true;
+                    marker = next;
+                } else {
+                    if (trailingBlank) pendingBlank = true;
+                    marker = null;
+                }
+            }
+
+            push(list);
+            continue;
+        }
+
+        // Footnote definition
+        if ((m = s.match(FOOTNOTE_DEF))) {
+            const noteLines = [m[2]];
+            i++;
+            while (i < lines.length) {
+                const l = lines[i];
+                if (isBlank(l)) {
+                    noteLines.push('');
+                } else if (indentOf(l) >= 4) {
+                    noteLines.push(l.slice(4));
+                } else if (!isBlank(noteLines[noteLines.length - 1]) && !interruptsParagraph(l) && !FOOTNOTE_DEF.test(l.trim())) {
+                    noteLines.push(l);
+                } else {
+                    break;
+                }
+                i++;
+            }
+            const label = normalizeLabel(m[1]);
+            if (!ctx.footnotes.has(label)) {
+                ctx.footnotes.set(label, { blocks: parseBlocks(noteLines, ctx), refs: 0 });
+            }
+            pendingBlank = true;
+            continue;
+        }
+
+        // GFM table
+        const table = tableStart(lines, i);
+        if (table) {
+            const rows = [];
+            i += 2;
+            while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i])) {
+                const cells = splitTableRow(lines[i]);
+                rows.push(table.head.map((_, c) => cells[c] || ''));
+                i++;
+            }
+            push({ type: 'table', head: table.head, align: table.align, rows });
+            continue;
+        }
+
+        // Paragraph (possibly a setext heading)
+        const para = [line.replace(/^[ \t]+/, '')];
+        let setext = 0;
+        i++;
+        while (i < lines.length) {
+            const l = lines[i];
+            if (isBlank(l)) break;
+            const underline = l.match(SETEXT_UNDERLINE);
+            if (underline) {
+                setext = underline[1][0] === '=' ? 1 : 2;
+                i++;
+                break;
+            }
+            if (interruptsParagraph(l) || tableStart(lines, i)) break;
+            para.push(l.replace(/^[ \t]+/, ''));
+            i++;
+        }
+
+        let text = para.join('\n').replace(/[ \t]+$/, '');
+        while ((m = text.match(LINK_DEF))) {
+            const label = normalizeLabel(m[1]);
+            if (!label) break;
+            if (!ctx.refs.has(label)) {
+                const dest = m[2].startsWith('<') ? m[2].slice(1, -1) : m[2];
+                ctx.refs.set(label, { href: unescapeMarkdown(dest), title: m[3] ? unescapeMarkdown(m[3].slice(1, -1)) : '' });
+            }
+            text = text.slice(m[0].length);
+        }
+
+        if (text.trim() === '') {
+            // Only definitions; a lone "---" underline is then a thematic break
+            if (setext === 2) push({ type: 'hr' });
+            continue;
+        }
+        push(setext ? { type: 'heading', level: setext, text } : { type: 'paragraph', text });
+    }
+
+    return blocks;
+}
+
+// ─── Inline parsing ────────────────────────────────────────────────
+
+function isWhitespace(ch) {
+    return ch === undefined || /\s/.test(ch);
+}
+
+function isPunctuation(ch) {
+    return ch !== undefined && PUNCTUATION.test(ch);
+}
+
+function delimiterRun(text, pos) {
+    const ch = text[pos];
+    let end = pos;
+    while (text[end] === ch) end++;
+    const before = pos > 0 ? text[pos - 1] : undefined;
+    const after = text[end];
+
+    const leftFlanking = !isWhitespace(after) && (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+    const rightFlanking = !isWhitespace(before) && (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+
+    let open = leftFlanking;
+    let close = rightFlanking;
+    if (ch === '_') {
+        // No intraword emphasis with underscores (snake_case_words)
+        open = leftFlanking && (!rightFlanking || isPunctuation(before));
+        close = rightFlanking && (!leftFlanking || isPunctuation(after));
+    }
+    if (ch === '~' && end - pos > 2) open = close = false;
+
+    return { t: 'delim', ch, n: end - pos, orig: end - pos, open, close, end };
+}
+
+// Inline link tail "(dest "title")" starting at text[pos] === '('
+function parseInlineLink(text, pos) {
+    let p = pos + 1;
+    const skipSpace = () => {
+        let newlines = 0;
+        while (p < text.length && /[ \t\n]/.test(text[p])) {
+            if (text[p] === '\n' && ++newlines > 1) return false;
+            p++;
+        }
+        return true;
+    };
+
+    if (!skipSpace()) return null;
+    let dest = '';
+    if (text[p] === '<') {
+        const close = text.slice(p + 1).search(/[<>\n]/);
+        if (close < 0 || text[p + 1 + close] !== '>') return null;
+        dest = text.slice(p + 1, p + 1 + close);
+        p += close + 2;
+    } else {
+        let depth = 0;
+        const start = p;
+        while (p < text.length) {
+            const c = text[p];
+            if (c === '\\' && ESCAPABLE.test(text[p + 1] || '')) {
+                p += 2;
+                continue;
+            }
+            if (/[\s\x00-\x1f]/.test(c)) break;
+            if (c === '(') depth++;
+            if (c === ')') {
+                if (depth === 0) break;
+                depth--;
+            }
+            p++;
+        }
+        if (depth !== 0) return null;
+        dest = text.slice(start, p);
+    }
+
+    const beforeTitle = p;
+    if (!skipSpace()) return null;
+    let title = '';
+    const opener = text[p];
+    if (p > beforeTitle && (opener === '"' || opener === "'" || opener === '(')) {
+        const closer = opener === '(' ? ')' : opener;
+        let q = p + 1;
+        while (q < text.length && text[q] !== closer) {
+            if (text[q] === '\\') q++;
+            else if (opener === '(' && text[q] === '(') return null;
+            q++;
+        }
+        if (q >= text.length) return null;
+        title = text.slice(p + 1, q);
+        p = q + 1;
+        if (!skipSpace()) return null;
+    }
+
+    if (text[p] !== ')') return null;
+    return { href: unescapeMarkdown(dest), title: unescapeMarkdown(title), end: p + 1 };
+}
+
+function processEmphasis(nodes) {
+    for (let c = 0; c < nodes.length; c++) {
+        const closer = nodes[c];
+        if (closer.t !== 'delim' || !closer.close || closer.n === 0) continue;
+
+        let o = c - 1;
+        for (; o >= 0; o--) {
+            const opener = nodes[o];
+            if (opener.t !== 'delim' || opener.ch !== closer.ch || !opener.open || opener.n === 0) continue;
+            if (opener.ch === '~') {
+                if (opener.n === closer.n) break;
+                continue;
+            }
+            // "Rule of three" for runs that can both open and close
+            const sumOfThree = (opener.close || closer.open) && (opener.orig + closer.orig) % 3 === 0 &&
+                !(opener.orig % 3 === 0 && closer.orig % 3 === 0);
+            if (!sumOfThree) break;
+        }
+        if (o < 0) continue;
+
+        const opener = nodes[o];
+        const use = opener.ch === '~' ? opener.n : opener.n >= 2 && closer.n >= 2 ? 2 : 1;
+        const type = opener.ch === '~' ? 'del' : use === 2 ? 'strong' : 'em';
+        const inner = nodes.splice(o + 1, c - o - 1);
+        nodes.splice(o + 1, 0, { t: type, children: inner });
+        opener.n -= use;
+        closer.n -= use;
+
+        // Closer now sits at o + 2; drop spent delimiters and revisit the closer
+        let closerIndex = o + 2;
+        if (opener.n === 0) {
+            nodes.splice(o, 1);
+            closerIndex--;
+        }
+        if (closer.n === 0) nodes.splice(closerIndex, 1);
+        c = closerIndex - 1;
+    }
+    return nodes;
+}
+
+function parseInline(text, ctx) {
+    const nodes = [];
+    const brackets = [];
+    let buf = '';
+    let pos = 0;
+
+    const flush = () => {
+        if (buf) nodes.push({ t: 'text', v: buf });
+        buf = '';
+    };
+
+    while (pos < text.length) {
+        const ch = text[pos];
+        const rest = text.slice(pos);
+        let m;
+
+        if (ch === '\\') {
+            if (text[pos + 1] === '\n') {
+                flush();
+                nodes.push({ t: 'br' });
+                pos += 2;
+                while (text[pos] === ' ') pos++;
+            } else if (ESCAPABLE.test(text[pos + 1] || '')) {
+                buf += text[pos + 1];
+                pos += 2;
+            } else {
+                buf += ch;
+                pos++;
+            }
+            continue;
+        }
+
+        if (ch === '\n') {
+            const hard = / {2,}$/.test(buf);
+            buf = buf.replace(/ +$/, '');
+            flush();
+            nodes.push({ t: hard ? 'br' : 'soft' });
+            pos++;
+            while (text[pos] === ' ') pos++;
+            continue;
+        }
+
+        if (ch === '`') {
+            m = rest.match(/^`+/);
+            const ticks = m[0];
+            const closeRe = new RegExp(`(?<!\`)${ticks}(?!\`)`, 'g');
+            closeRe.lastIndex = ticks.length;
+            const close = closeRe.exec(rest);
+            if (close) {
+                let code = rest.slice(ticks.length, close.index).replace(/\n/g, ' ');
+                if (/^ [\s\S]*[^ ][\s\S]* $/.test(code)) code = code.slice(1, -1);
+                flush();
+                nodes.push({ t: 'code', v: code });
+                pos += close.index + ticks.length;
+            } else {
+                buf += ticks;
+                pos += ticks.length;
+            }
+            continue;
+        }
+
+        if (ch === '*' || ch === '_' || ch === '~') {
+            const run = delimiterRun(text, pos);
+            flush();
+            nodes.push(run);
+            pos = run.end;
+            continue;
+        }
+
+        if (ch === '&' && (m = rest.match(ENTITY))) {
+            flush();
+            nodes.push({ t: 'raw', v: m[0] });
+            pos += m[0].length;
+            continue;
+        }
+
+        if (ch === '<') {
+            if ((m = rest.match(/^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/))) {
+                flush();
+                nodes.push({ t: 'link', href: m[1], title: '', children: [{ t: 'text', v: m[1] }] });
+                pos += m[0].length;
+                continue;
+            }
+            if ((m = rest.match(/^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/))) {
+                flush();
+                nodes.push({ t: 'link', href: `mailto:${m[1]}`, title: '', children: [{ t: 'text', v: m[1] }] });
+                pos += m[0].length;
+                continue;
+            }
+            if ((m = rest.match(INLINE_HTML))) {
+                flush();
+                nodes.push({ t: 'raw', v: m[0] });
+                pos += m[0].length;
+                continue;
+            }
+        }
+
+        // GFM bare autolinks: www.example.com, https://example.com
+        if ((ch === 'w' || ch === 'h') && /[\s*_~(]/.test(text[pos - 1] || ' ') &&
+            (m = rest.match(/^(?:https?:\/\/|www\.)[^\s<]*[^\s<?!.,:*_~'"]/))) {
+            let url = m[0];
+            while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) url = url.slice(0, -1);
+            url = url.replace(/&[A-Za-z0-9]+;$/, '');
+            flush();
+            nodes.push({ t: 'link', href: url.startsWith('www.') ? `http://${url}` : url, title: '', autolink: true, children: [{ t: 'text', v: url }] });
+            pos += url.length;
+            continue;
+        }
+
+        if (ch === '[' && (m = rest.match(/^\[\^([^\]\s]+)\]/)) && ctx.footnotes.has(normalizeLabel(m[1]))) {
+            flush();
+            nodes.push({ t: 'fnref', label: normalizeLabel(m[1]) });
+            pos += m[0].length;
+            continue;
+        }
+
+        if (ch === '[' || (ch === '!' && text[pos + 1] === '[')) {
+            const image = ch === '!';
+            flush();
+            const node = { t: 'text', v: image ? '![' : '[' };
+            nodes.push(node);
+            pos += image ? 2 : 1;
+            brackets.push({ node, image, active: true, start: pos });
+            continue;
+        }
+
+        if (ch === ']') {
+            const opener = brackets.pop();
+            if (!opener || !opener.active) {
+                buf += ']';
+                pos++;
+                continue;
+            }
+
+            let link = text[pos + 1] === '(' ? parseInlineLink(text, pos + 1) : null;
+            if (!link) {
+                const bracketText = text.slice(opener.start, pos);
+                const ref = text.slice(pos + 1).match(/^\[((?:[^\\[\]]|\\.){0,999})\]/);
+                const label = ref && ref[1].trim() ? ref[1] : bracketText;
+                const def = ctx.refs.get(normalizeLabel(label));
+                if (def) link = { href: def.href, title: def.title, end: pos + 1 + (ref ? ref[0].length : 0) };
+            }
+
+            if (!link) {
+                buf += ']';
+                pos++;
+                continue;
+            }
+
+            flush();
+            const index = nodes.indexOf(opener.node);
+            const children = processEmphasis(nodes.splice(index + 1));
+            nodes.pop();
+            if (opener.image) {
+                nodes.push({ t: 'img', href: link.href, title: link.title, children });
+            } else {
+                // No links inside links: unwrap nested autolinks, disable outer brackets
+                const flat = children.map(n => n.autolink ? n.children[0] : n);
+                nodes.push({ t: 'link', href: link.href, title: link.title, children: flat });
+                brackets.forEach(b => { if (!b.image) b.active = false; });
+            }
+            pos = link.end;
+            continue;
+        }
+
+        buf += ch;
+        pos++;
+    }
+
+    flush();
+    return processEmphasis(nodes);
+}
+
+function plainText(nodes) {
+    return nodes.map(n => {
+        if (n.t === 'text' || n.t === 'code') return n.v;
+        if (n.t === 'raw') return decodeEntities(n.v.startsWith('&') ? n.v : '');
+        if (n.t === 'delim') return n.ch.repeat(n.n);
+        if (n.t === 'soft' || n.t === 'br') return ' ';
+        return n.children ? plainText(n.children) : '';
+    }).join('');
+}
+
+function renderInline(nodes, ctx) {
+    return nodes.map(n => {
+        switch (n.t) {
+            case 'text': return escapeHtml(n.v);
+            case 'raw': return n.v;
+            case 'code': return `<code>${escapeHtml(n.v)}</code>`;
+            case 'soft': return '\n';
+            case 'br': return '<br>\n';
+            case 'delim': return escapeHtml(n.ch.repeat(n.n));
+            case 'em': return `<em>${renderInline(n.children, ctx)}</em>`;
+            case 'strong': return `<strong>${renderInline(n.children, ctx)}</strong>`;
+            case 'del': return `<del>${renderInline(n.children, ctx)}</del>`;
+            case 'link': {
+                const title = n.title ? ` title="${escapeHtml(n.title)}"` : '';
+                return `<a href="${escapeHtml(encodeUrl(n.href))}" ${classAttr('a', ctx)}${title}>${renderInline(n.children, ctx)}</a>`;
+            }
+            case 'img': {
+                const title = n.title ? ` title="${escapeHtml(n.title)}"` : '';
+                return `<img src="${escapeHtml(encodeUrl(n.href))}" alt="${escapeHtml(plainText(n.children))}"${title} loading="lazy">`;
+            }
+            case 'fnref': {
+                const note = ctx.footnotes.get(n.label);
+                if (!note.number) {
+                    ctx.footnoteOrder.push(n.label);
+                    note.number = ctx.footnoteOrder.length;
+                }
+                note.refs++;
+                const id = `fnref-${note.number}${note.refs > 1 ? `-${note.refs}` : ''}`;
+                return `<sup class="footnote-ref"><a href="#fn-${note.number}" id="${id}" data-footnote-ref aria-describedby="footnote-label">${note.number}</a></sup>`;
+            }
+            default: return '';
+        }
+    }).join('');
+}
+
+// ─── Rendering ─────────────────────────────────────────────────────
+
+function classAttr(name, ctx) {
+    return ctx.classes[name] ? ` class="${ctx.classes[name]}"` : '';
+}
+
+function renderCode(block) {
+    const language = block.lang || 'text';
+    return `<div class="code-block my-6">
+    <div class="code-header">
+        <div class="code-dots">
+            <span class="code-dot red"></span>
+            <span class="code-dot yellow"></span>
+            <span class="code-dot green"></span>
+        </div>
+        <div class="flex items-center gap-3">
+            <span class="text-text-dim text-sm font-mono">${escapeHtml(language)}</span>
+            <button class="copy-button text-text-muted hover:text-text text-sm" type="button">Copy</button>
+        </div>
+    </div>
+    <pre class="p-4 overflow-x-auto"><code class="text-sm font-mono${block.lang ? ` language-${escapeHtml(block.lang)}` : ''}">${escapeHtml(block.text)}</code></pre>
+</div>`;
+}
+
+function renderTable(block, ctx) {
+    const cell = (tag, text, i) => {
+        const align = block.align[i] ? ` class="text-${block.align[i]}"` : '';
+        return `<${tag}${align}>${renderInline(parseInline(text, ctx), ctx)}</${tag}>`;
+    };
+    const head = `<tr>${block.head.map((text, i) => cell('th', text, i)).join('')}</tr>`;
+    const body = block.rows.map(row => `<tr>${row.map((text, i) => cell('td', text, i)).join('')}</tr>`).join('\n');
+
+    const table = `<table${classAttr('table', ctx)}>
+<thead>
+${head}
+</thead>${body ? `\n<tbody>\n${body}\n</tbody>` : ''}
+</table>`;
+    return ctx.classes.tableWrapper ? `<div class="${ctx.classes.tableWrapper}">\n${table}\n</div>` : table;
+}
+
+function renderListItem(children, ctx, loose) {
+    let prefix = '';
+    const first = children[0];
+    const task = first && first.type === 'paragraph' && first.text.match(/^\[([ xX])\][ \t]+/);
+    if (task) {
+        children = [{ ...first, text: first.text.slice(task[0].length) }, ...children.slice(1)];
+        prefix = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+    }
+
+    const inner = renderBlocks(children, ctx, !loose);
+    const attr = task ? ' class="task-list-item"' : '';
+    if (!loose && children.length > 0 && children[0].type === 'paragraph') {
+        return `<li${attr}>${prefix}${inner}</li>`;
+    }
+    return `<li${attr}>${prefix}${inner ? `\n${inner}\n` : ''}</li>`;
+}
+
+function renderBlocks(blocks, ctx, tight) {
+    return blocks.map(block => {
+        switch (block.type) {
+            case 'paragraph': {
+                const html = renderInline(parseInline(block.text, ctx), ctx);
+                return tight ? html : `<p>${html}</p>`;
+            }
+            case 'heading': {
+                const nodes = parseInline(block.text, ctx);
+                const base = slugify(plainText(nodes)) || 'section';
+                const seen = ctx.headingIds.get(base) || 0;
+                ctx.headingIds.set(base, seen + 1);
+                const id = seen ? `${base}-${seen}` : base;
+                const tag = `h${block.level}`;
+                return `<${tag} id="${id}"${classAttr(tag, ctx)}>${renderInline(nodes, ctx)}</${tag}>`;
+            }
+            case 'hr':
+                return `<hr${classAttr('hr', ctx)}>`;
+            case 'code':
+                return renderCode(block);
+            case 'html':
+                return block.text;
+            case 'blockquote':
+                return `<blockquote${classAttr('blockquote', ctx)}>\n${renderBlocks(block.children, ctx, false)}\n</blockquote>`;
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                const items = block.items.map(children => renderListItem(children, ctx, block.loose)).join('\n');
+                return `<${tag}${start}${classAttr(tag, ctx)}>\n${items}\n</${tag}>`;
+            }
+            case 'table':
+                return renderTable(block, ctx);
+            default:
+                return '';
+        }
+    }).join('\n');
+}
+
+function renderFootnotes(ctx) {
+    if (ctx.footnoteOrder.length === 0) return '';
+
+    // Footnote bodies can reference further footnotes, so the list may grow
+    const items = [];
+    for (let i = 0; i < ctx.footnoteOrder.length; i++) {
+        const note = ctx.footnotes.get(ctx.footnoteOrder[i]);
+        let html = renderBlocks(note.blocks, ctx, false);
+        const backrefs = Array.from({ length: note.refs }, (_, r) => {
+            const id = `fnref-${note.number}${r > 0 ? `-${r + 1}` : ''}`;
+            return `<a href="#${id}" class="footnote-backref" aria-label="Back to reference ${note.number}">↩</a>`;
+        }).join(' ');
+        html = html.endsWith('</p>') ? `${html.slice(0, -4)} ${backrefs}</p>` : `${html}\n<p>${backrefs}</p>`;
+        items.push(`<li id="fn-${note.number}">\n${html}\n</li>`);
+    }
+
+    return `\n<section${classAttr('footnotes', ctx)} data-footnotes>
+<h2 id="footnote-label" class="sr-only">Footnotes</h2>
+<ol>
+${items.join('\n')}
+</ol>
+</section>`;
+}
+
+/**
+ * Render a markdown document (frontmatter already removed) to HTML.
+ * options.classes: false leaves out the Tailwind class hooks.
+ */
+function markdownToHtml(markdown, options = {}) {
+    const classes = options.classes === false ? {} : CLASSES;
+    const ctx = { refs: new Map(), footnotes: new Map(), footnoteOrder: [], headingIds: new Map(), classes };
+    const lines = markdown.replace(/\r\n?/g, '\n').replace(/\0/g, '�').split('\n').map(expandTabs);
+
+    const blocks = parseBlocks(lines, ctx);
+    return renderBlocks(blocks, ctx, false) + renderFootnotes(ctx);
+}
+
+module.exports = {
+    markdownToHtml,
+    slugify
+};
@@ -0,0 +1,663 @@
+#!/usr/bin/env node
+
+/**
+ * One-shot migration of the hand-written cluster articles to markdown.
+ *
+ * Converts each article's <article> body to CommonMark + GFM with YAML
+ * frontmatter and writes it to content/<cluster>/<slug>.md:
+ * - title from the <h1>, description from the meta description, date from
+ *   <time datetime> (or the published date, see cite-entry.js), modified
+ *   from the TechArticle schema
+ * - headings, paragraphs, emphasis, links, nested lists, blockquotes and
+ *   GFM tables; markup markdown can't express (callouts, tables with
+ *   rowspan, classed spans) is kept as HTML
+ * - author–year citations that match the bibliography become [@key]
+ *   citations (cite-keys.js), but only where the rendered text is
+ *   unchanged; the bibliography becomes the `references` list
+ * - TechArticle keywords and proficiencyLevel become `tags` and `level`
+ * - breadcrumbs, the <h1> and the meta line inside <article> are page
+ *   chrome and are dropped (retemplate.js renders them from frontmatter);
+ *   a standfirst paragraph in the <header> is prose and is kept. The FAQ
+ *   section is inject-faqs.js output and is dropped too
+ *
+ * Every article is verified by rendering its markdown the way retemplate.js
+ * does and comparing headings, text and bibliography ids with the source.
+ * Only articles that verify are written; existing markdown is kept unless
+ * --force is given.
+ *
+ * This was run once, with --date=2026-01-28 (see STATE.md): content/ is
+ * now the source of every article and the cluster HTML it read is gone.
+ *
+ * Run: node scripts/migrate-to-markdown.js [--dry-run] [--force] [--date=YYYY-MM-DD] [cluster/slug ...]
+ *   --dry-run  convert and verify, write nothing
+ *   --force    overwrite markdown that already exists in content/
+ *   --date     publish date for articles that don't state one (frontmatter
+ *              requires a date; without this they fail verification)
+ *
+ * Exports: parseHtml, migrateArticle, verifyMigration
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { site } = require('./site-config');
+const { extractBibliography, loadReferences } = require('./references');
+const { findCitations, matchCitation, unlinkCitations, bibliographyRefs } = require('./citations');
+const { articleTitle, findPublishDate } = require('./cite-entry');
+const { extractSchemas } = require('./schema');
+const { markdownToHtml } = require('./markdown');
+const { parseFrontmatter, validateFrontmatter } = require('./frontmatter');
+const { resolveCitationKeys } = require('./cite-keys');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const INLINE_ELEMENTS = new Set(['a', 'abbr', 'b', 'br', 'cite', 'code', 'em', 'i', 'img', 'mark', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u']);
+
+// Wrappers whose class only styles the article body; their content is migrated
+const TRANSPARENT_CLASSES = ['article-body', 'prose'];
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ndash: '–', mdash: '—', middot: '·', hellip: '…', ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’',
+    aacute: 'á', eacute: 'é', times: '×', deg: '°', plusmn: '±', micro: 'µ', le: '≤', ge: '≥',
+    larr: '←', rarr: '→', harr: '↔'
+};
+
+const TOKEN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|[^<]+|</g;
+const ATTRIBUTE = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+// ─── HTML ──────────────────────────────────────────────────────────
+
+function decodeEntities(str) {
+    return str.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[A-Za-z][A-Za-z0-9]*);/g, (match, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(/^#x/i.test(name) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        return ENTITIES[name] !== undefined ? ENTITIES[name] : match;
+    });
+}
+
+function parseAttributes(text) {
+    const attrs = {};
+    ATTRIBUTE.lastIndex = 0;
+    let m;
+    while ((m = ATTRIBUTE.exec(text)) !== null) {
+        attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+    }
+    return attrs;
+}
+
+/**
+ * Minimal HTML tree: elements are { tag, attrs, openTag, children, start,
+ * end } with offsets into `html`, text runs are { text }. Enough for the
+ * well-formed markup the articles use; an end tag closes any elements
+ * left open inside it.
+ */
+function parseHtml(html) {
+    const root = { tag: '#root', attrs: {}, openTag: '', children: [], start: 0, end: html.length };
+    const stack = [root];
+    TOKEN.lastIndex = 0;
+    let m;
+
+    while ((m = TOKEN.exec(html)) !== null) {
+        const parent = stack[stack.length - 1];
+        if (m[0].startsWith('<!--')) continue;
+        if (!m[2]) {
+            parent.children.push({ text: m[0] });
+            continue;
+        }
+
+        const tag = m[2].toLowerCase();
+        if (m[1]) {
+            const open = stack.map(node => node.tag).lastIndexOf(tag);
+            if (open > 0) {
+                stack.slice(open + 1).forEach(node => { node.end = m.index; });
+                stack[open].end = m.index + m[0].length;
+                stack.length = open;
+            }
+            continue;
+        }
+
+        const node = { tag, attrs: parseAttributes(m[3]), openTag: m[0], children: [], start: m.index, end: m.index + m[0].length };
+        parent.children.push(node);
+        if (!VOID_ELEMENTS.has(tag) && !m[4]) stack.push(node);
+    }
+
+    return root;
+}
+
+const isText = node => node.text !== undefined;
+const elements = node => node.children.filter(child => !isText(child));
+const hasAttributes = node => Object.keys(node.attrs).length > 0;
+const hasClass = (node, name) => (node.attrs.class || '').split(/\s+/).includes(name);
+
+function textOf(node) {
+    return isText(node) ? node.text : node.children.map(textOf).join('');
+}
+
+function plainText(node) {
+    return decodeEntities(textOf(node)).replace(/\s+/g, ' ').trim();
+}
+
+// ─── Article structure ─────────────────────────────────────────────
+
+function isBibliographyHeading(node) {
+    return node.tag === 'h2' && /^(?:Bibliography|References)$/i.test(plainText(node));
+}
+
+/**
+ * What an element inside <article> is: prose ('content'), or a part the
+ * migration carries over differently ('bibliography') or drops ('chrome',
+ * 'faqs').
+ */
+function role(node) {
+    if (isText(node)) return 'content';
+    if (['h1', 'header', 'nav'].includes(node.tag) || hasClass(node, 'article-meta')) return 'chrome';
+    if (hasClass(node, 'faq-section')) return 'faqs';
+    if (node.tag === 'section' && elements(node).length > 0 && isBibliographyHeading(elements(node)[0])) return 'bibliography';
+    return 'content';
+}
+
+/**
+ * The prose children of a node. A bare Bibliography heading takes
+ * everything up to the next <h2> with it; the paragraphs of a <header>
+ * (its standfirst) are kept as plain paragraphs.
+ */
+function contentChildren(node) {
+    const children = [];
+    let inBibliography = false;
+    for (const child of node.children) {
+        if (child.tag === 'h2') inBibliography = isBibliographyHeading(child);
+        if (inBibliography) continue;
+        if (child.tag === 'header') {
+            elements(child).filter(el => el.tag === 'p').forEach(p => children.push({ ...p, attrs: {} }));
+            continue;
+        }
+        if (role(child) !== 'content') continue;
+        children.push(child);
+    }
+    return children;
+}
+
+// ─── Markdown ──────────────────────────────────────────────────────
+
+function escapeText(text, ctx) {
+    return text
+        .replace(/[\\`*_[\]<]/g, '\\$&')
+        .replace(/&(?=#?[A-Za-z0-9]+;)/g, '&amp;')
+        // A bare @key would be read as a citation
+        .replace(/@(?=[A-Za-z0-9_])/g, (match, offset, str) =>
+            (ctx.keys.some(key => str.startsWith(key, offset + 1)) ? '&#64;' : match));
+}
+
+// Characters that would start a heading, blockquote, list or setext underline
+function escapeLineStart(line) {
+    return line
+        .replace(/^(#{1,6})(?=\s|$)/, '\\$1')
+        .replace(/^([>+=-])/, '\\$1')
+        .replace(/^(\d{1,9})([.)])(?=\s|$)/, '$1\\$2');
+}
+
+function paragraph(markdown) {
+    return markdown
+        .replace(/[ \t]+/g, ' ')
+        .split('\n')
+        .map(line => escapeLineStart(line.trim()))
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Cite-keys markdown for an author–year citation, if it renders to exactly
+ * the same text.
+ */
+function citationMarkdown(candidate, original, ctx) {
+    const rendered = resolveCitationKeys(candidate, ctx.references, {});
+    if (rendered.errors.length > 0) return null;
+    const text = decodeEntities(rendered.markdown.replace(/<[^>]+>/g, ''));
+    return text === original ? candidate : null;
+}
+
+function citationKey(mention, ctx) {
+    const ref = matchCitation(mention, ctx.refs);
+    const key = ref && ref.elementId.replace(/^ref-/, '');
+    return key && ctx.references[key] ? key : null;
+}
+
+/**
+ * Escape a run of prose, turning author–year citations into [@key] and
+ * @key citations.
+ */
+function prose(text, ctx) {
+    if (!ctx.citations) return escapeText(text, ctx);
+
+    const spans = [];
+    const overlaps = (start, end) => spans.some(span => start < span.end && end > span.start);
+
+    // "(Kreider et al., 2017; Rawson et al., 2011)"
+    for (const group of text.matchAll(/\(([^()]+)\)/g)) {
+        const keys = group[1].split(';').map(item => {
+            const trimmed = item.trim();
+            const mentions = findCitations(trimmed);
+            if (mentions.length !== 1 || mentions[0].text !== trimmed || /\)$/.test(trimmed)) return null;
+            return citationKey(mentions[0], ctx);
+        });
+        if (keys.some(key => !key)) continue;
+        const markdown = citationMarkdown(`[${keys.map(key => `@${key}`).join('; ')}]`, group[0], ctx);
+        if (markdown) spans.push({ start: group.index, end: group.index + group[0].length, markdown });
+    }
+
+    // "Harris et al. (1992)"
+    for (const mention of findCitations(text)) {
+        const end = mention.index + mention.text.length;
+        if (!mention.text.endsWith(')') || overlaps(mention.index, end)) continue;
+        if (/[\w@[-]$/.test(text.slice(0, mention.index))) continue;
+        const key = citationKey(mention, ctx);
+        const markdown = key && citationMarkdown(`@${key}`, mention.text, ctx);
+        if (markdown) spans.push({ start: mention.index, end, markdown });
+    }
+
+    spans.sort((a, b) => a.start - b.start);
+    let out = '';
+    let last = 0;
+    for (const span of spans) {
+        out += escapeText(text.slice(last, span.start), ctx) + span.markdown;
+        last = span.end;
+    }
+    ctx.cited += spans.length;
+    return out + escapeText(text.slice(last), ctx);
+}
+
+const isSpaceOrPunctuation = ch => /[\s\p{P}\p{S}]/u.test(ch);
+
+/**
+ * *text*, or <em>text</em> where CommonMark wouldn't read the delimiters as
+ * emphasis: punctuation just inside them needs whitespace or punctuation
+ * just outside (`before` and `after` are the neighbouring characters).
+ */
+function emphasis(delimiter, tag, inner, before, after) {
+    const [, lead, core, trail] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) return inner;
+    const opens = !isSpaceOrPunctuation(core[0]) || isSpaceOrPunctuation(lead ? ' ' : before);
+    const closes = !isSpaceOrPunctuation(core[core.length - 1]) || isSpaceOrPunctuation(trail ? ' ' : after);
+    if (!opens || !closes) return `${lead}<${tag}>${core}</${tag}>${trail}`;
+    return `${lead}${delimiter}${core}${delimiter}${trail}`;
+}
+
+function linkDestination(href) {
+    return /[\s()<>]/.test(href) ? `<${href.replace(/[<>]/g, encodeURIComponent)}>` : href;
+}
+
+function inline(nodes, ctx, inCell = false) {
+    const text = node => decodeEntities(textOf(node));
+    return nodes.map((node, i) => {
+        if (isText(node)) return prose(decodeEntities(node.text).replace(/\s+/g, ' '), ctx);
+
+        const before = i > 0 ? text(nodes[i - 1]).slice(-1) || ' ' : ' ';
+        const after = i < nodes.length - 1 ? text(nodes[i + 1])[0] || ' ' : ' ';
+
+        const inner = (context = ctx) => inline(node.children, context, inCell);
+        const bare = !hasAttributes(node);
+        switch (node.tag) {
+            case 'em':
+            case 'i':
+                if (bare) return emphasis('*', node.tag, inner(), before, after);
+                break;
+            case 'strong':
+            case 'b':
+                if (bare) return emphasis('**', node.tag, inner(), before, after);
+                break;
+            case 'code': {
+                const code = decodeEntities(textOf(node));
+                const fence = '`'.repeat(Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length)) + 1);
+                if (bare) return `${fence}${/^`|`$/.test(code) ? ` ${code} ` : code}${fence}`;
+                break;
+            }
+            case 'br':
+                return inCell ? '<br>' : '\\\n';
+            case 'a':
+                // Link text is never a citation (citations.js skips links too)
+                if (Object.keys(node.attrs).join() === 'href') {
+                    return `[${inner({ ...ctx, citations: false })}](${linkDestination(node.attrs.href)})`;
+                }
+                break;
+        }
+        return VOID_ELEMENTS.has(node.tag) ? node.openTag : `${node.openTag}${inner()}</${node.tag}>`;
+    }).join('');
+}
+
+// Markup markdown can't express, kept as one HTML block
+function verbatim(node, ctx) {
+    return ctx.html.slice(node.start, node.end).replace(/\s*\n\s*/g, ' ');
+}
+
+function blocks(nodes, ctx) {
+    const out = [];
+    let run = [];
+    const flush = () => {
+        const md = paragraph(inline(run, ctx));
+        if (md) out.push(md);
+        run = [];
+    };
+
+    for (const node of nodes) {
+        if (isText(node) || INLINE_ELEMENTS.has(node.tag)) {
+            run.push(node);
+            continue;
+        }
+        flush();
+        const md = block(node, ctx);
+        if (md) out.push(md);
+    }
+    flush();
+    return out;
+}
+
+function list(node, ctx) {
+    const items = elements(node);
+    const attrs = Object.keys(node.attrs).filter(name => !(node.tag === 'ol' && name === 'start'));
+    if (attrs.length > 0 || items.some(item => item.tag !== 'li' || hasAttributes(item))) return null;
+
+    const loose = items.some(item => elements(item).some(el => el.tag === 'p'));
+    let number = Number(node.attrs.start) || 1;
+
+    return items.map(item => {
+        const marker = node.tag === 'ol' ? `${number++}. ` : '- ';
+        const body = blocks(item.children, ctx).join(loose ? '\n\n' : '\n');
+        const indent = ' '.repeat(marker.length);
+        return marker + body.split('\n').map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n');
+    }).join(loose ? '\n\n' : '\n');
+}
+
+function table(node, ctx) {
+    const rows = [];
+    for (const part of elements(node)) {
+        if (hasAttributes(part)) return null;
+        if (part.tag === 'tr') rows.push(part);
+        else if (['thead', 'tbody', 'tfoot'].includes(part.tag)) rows.push(...elements(part));
+        else return null;
+    }
+
+    const cells = rows.map(elements);
+    const header = cells[0];
+    const simple = rows.length > 0
+        && header.length > 0 && header.every(cell => cell.tag === 'th')
+        && rows.every(row => row.tag === 'tr' && !hasAttributes(row))
+        && cells.every(row => row.length === header.length && row.every(cell =>
+            ['th', 'td'].includes(cell.tag) && !hasAttributes(cell) && elements(cell).every(el => INLINE_ELEMENTS.has(el.tag))));
+    if (!simple) return null;
+
+    const line = row => `| ${row.map(cell => inline(cell.children, ctx, true).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|')).join(' | ')} |`;
+    return [line(header), `| ${header.map(() => '---').join(' | ')} |`, ...cells.slice(1).map(line)].join('\n');
+}
+
+function block(node, ctx) {
+    const bare = !hasAttributes(node);
+    const heading = node.tag.match(/^h([2-6])$/);
+
+    if (heading && bare) {
+        return `${'#'.repeat(Number(heading[1]))} ${paragraph(inline(node.children, { ...ctx, citations: false }))}`;
+    }
+    switch (node.tag) {
+        case 'p':
+            if (bare) return paragraph(inline(node.children, ctx));
+            break;
+        case 'ul':
+        case 'ol':
+            return list(node, ctx) || verbatim(node, ctx);
+        case 'table':
+            return table(node, ctx) || verbatim(node, ctx);
+        case 'blockquote':
+            if (bare) {
+                return blocks(node.children, ctx).join('\n\n').split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+            }
+            break;
+        case 'hr':
+            return '---';
+        case 'div':
+        case 'section':
+            if (bare || TRANSPARENT_CLASSES.some(name => node.attrs.class === name)) {
+                return blocks(contentChildren(node), ctx).join('\n\n');
+            }
+            break;
+    }
+    return verbatim(node, ctx);
+}
+
+// ─── Frontmatter ───────────────────────────────────────────────────
+
+function yamlScalar(value) {
+    return /^[\w-]+$/.test(value) && !/^(?:true|false|null|~|[\d.-]+)$/i.test(value) ? value : JSON.stringify(value);
+}
+
+function frontmatter(meta) {
+    const lines = [
+        '---',
+        `title: ${JSON.stringify(meta.title)}`,
+        `description: ${JSON.stringify(meta.description)}`,
+        `date: ${meta.date}`
+    ];
+    if (meta.modified) lines.push(`modified: ${meta.modified}`);
+    if (meta.tags.length > 0) lines.push(`tags: [${meta.tags.map(tag => JSON.stringify(tag)).join(', ')}]`);
+    if (meta.level) lines.push(`level: ${meta.level}`);
+    if (meta.references.length > 0) {
+        lines.push('references:', ...meta.references.map(key => `  - ${yamlScalar(key)}`));
+    }
+    lines.push('---');
+    return lines.join('\n');
+}
+
+function articleMeta(html, articleHtml, options) {
+    const description = html.match(/<meta\s+name="description"\s+content="([^"]*)"/);
+    const titleTag = html.match(/<title>([\s\S]*?)<\/title>/);
+    const date = findPublishDate(articleHtml) || findPublishDate(html) || options.date || '';
+    const schema = extractSchemas(html).find(s => s['@type'] === 'TechArticle') || {};
+    const modified = schema.dateModified ? String(schema.dateModified).slice(0, 10) : '';
+    const keywords = schema.keywords || [];
+    const bib = extractBibliography(articleHtml);
+
+    return {
+        title: articleTitle(articleHtml, titleTag ? titleTag[1].replace(/\s*\|.*$/, '') : ''),
+        description: description ? decodeEntities(description[1]).trim() : '',
+        date,
+        modified: modified > date ? modified : '',
+        references: bib ? bib.ids.filter(Boolean).map(id => id.replace(/^ref-/, '')) : [],
+        tags: Array.isArray(keywords) ? keywords : String(keywords).split(/\s*,\s*/).filter(Boolean),
+        level: schema.proficiencyLevel || ''
+    };
+}
+
+// ─── Verification ──────────────────────────────────────────────────
+
+/**
+ * Headings and words of an article's prose (chrome, FAQs and the
+ * bibliography left out), for comparing a migration with its source.
+ */
+function outline(html) {
+    const headings = [];
+    let text = '';
+    const visit = node => {
+        for (const child of contentChildren(node)) {
+            if (isText(child)) {
+                text += decodeEntities(child.text);
+                continue;
+            }
+            if (/^h[2-6]$/.test(child.tag)) headings.push(`${child.tag} ${plainText(child)}`);
+            // Words run on through inline markup; block elements separate them
+            const block = !INLINE_ELEMENTS.has(child.tag);
+            if (block) text += ' ';
+            visit(child);
+            if (block) text += ' ';
+        }
+    };
+    visit(parseHtml(html));
+    return { headings, words: text.split(/\s+/).filter(Boolean) };
+}
+
+function firstDifference(a, b) {
+    const length = Math.max(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        if (a[i] !== b[i]) return i;
+    }
+    return -1;
+}
+
+/**
+ * Render `markdown` the way retemplate.js does and compare it with the source
+ * <article>. Returns a list of problems (empty when the migration is
+ * faithful).
+ */
+function verifyMigration(articleHtml, markdown, references) {
+    const problems = [];
+    const { metadata, body, bodyLine } = parseFrontmatter(markdown);
+    validateFrontmatter(metadata).forEach(error => problems.push(`frontmatter: ${error}`));
+
+    const cited = resolveCitationKeys(body, references, { bodyLine, listed: metadata.references || [] });
+    cited.errors.forEach(error => problems.push(`citation: ${error.line ? `line ${error.line}: ` : ''}${error.message}`));
+    const rebuilt = markdownToHtml(cited.markdown, { classes: false }) + cited.bibliography;
+
+    const source = outline(articleHtml);
+    const target = outline(rebuilt);
+
+    const heading = firstDifference(source.headings, target.headings);
+    if (heading !== -1) {
+        problems.push(`headings differ: "${source.headings[heading] || '(none)'}" became "${target.headings[heading] || '(none)'}"`);
+    }
+
+    const word = firstDifference(source.words, target.words);
+    if (word !== -1) {
+        const context = words => words.slice(Math.max(0, word - 6), word + 6).join(' ');
+        problems.push(`text differs at word ${word + 1}:\n        source:   …${context(source.words)}…\n        markdown: …${context(target.words)}…`);
+    }
+
+    const sourceBib = extractBibliography(articleHtml);
+    const targetBib = extractBibliography(rebuilt);
+    const sourceIds = (sourceBib ? sourceBib.ids : []).slice().sort();
+    const targetIds = (targetBib ? targetBib.ids : []).slice().sort();
+    if (sourceIds.join() !== targetIds.join()) {
+        const missing = sourceIds.filter(id => !targetIds.includes(id));
+        const extra = targetIds.filter(id => !sourceIds.includes(id));
+        problems.push(`bibliography differs (missing: ${missing.join(', ') || 'none'}; added: ${extra.join(', ') || 'none'})`);
+    }
+
+    return problems;
+}
+
+// ─── Migration ─────────────────────────────────────────────────────
+
+function convert(html, articleHtml, references, options, citations) {
+    const tree = parseHtml(articleHtml);
+    const article = tree.children.find(node => node.tag === 'article');
+    const ctx = {
+        html: articleHtml,
+        refs: bibliographyRefs(articleHtml).filter(ref => ref.elementId),
+        references,
+        keys: Object.keys(references),
+        citations,
+        cited: 0
+    };
+
+    const body = blocks(contentChildren(article), ctx).join('\n\n');
+    const markdown = `${frontmatter(articleMeta(html, articleHtml, options))}\n\n${body}\n`;
+    return { markdown, cited: ctx.cited };
+}
+
+/**
+ * Convert one cluster article to markdown and verify it. options.date is
+ * the publish date for articles that don't carry one. Returns
+ * { markdown, cited, authorYear, problems }; `authorYear` is true when
+ * citations had to stay as written for the text to round-trip.
+ */
+function migrateArticle(html, references, options = {}) {
+    html = unlinkCitations(html);
+    const match = html.match(/<article[^>]*>[\s\S]*<\/article>/);
+    if (!match) return { markdown: '', cited: 0, authorYear: false, problems: ['no <article> element'] };
+    const articleHtml = match[0];
+
+    const result = convert(html, articleHtml, references, options, true);
+    const problems = verifyMigration(articleHtml, result.markdown, references);
+    if (problems.length === 0 || result.cited === 0) return { ...result, authorYear: false, problems };
+
+    // Keys that render differently in context (a/b suffixes) change the
+    // text; keep every citation as written rather than lose the article
+    const fallback = convert(html, articleHtml, references, options, false);
+    const fallbackProblems = verifyMigration(articleHtml, fallback.markdown, references);
+    return fallbackProblems.length === 0
+        ? { ...fallback, authorYear: true, problems: [] }
+        : { ...result, authorYear: false, problems };
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const force = args.includes('--force');
+    const dateFlag = args.find(arg => arg.startsWith('--date='));
+    const options = { date: dateFlag ? dateFlag.slice('--date='.length) : '' };
+    const targets = args.filter(arg => !arg.startsWith('--'));
+
+    const articles = [];
+    for (const cluster of site.clusterSlugs) {
+        const dir = path.join(ROOT_DIR, cluster);
+        if (!fs.existsSync(dir)) continue;
+        for (const file of fs.readdirSync(dir).sort()) {
+            if (!file.endsWith('.html') || file === 'index.html') continue;
+            const id = `${cluster}/${file.replace(/\.html$/, '')}`;
+            if (targets.length === 0 || targets.includes(id)) articles.push({ id, cluster, file });
+        }
+    }
+    const unknown = targets.filter(target => !articles.some(article => article.id === target));
+    if (unknown.length > 0) {
+        console.error(`✗ No such article: ${unknown.join(', ')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`Migrating ${articles.length} articles to markdown${dryRun ? ' (dry run)' : ''}...\n`);
+    const references = loadReferences();
+    let written = 0;
+    let kept = 0;
+    let authorYear = 0;
+    const failed = [];
+
+    for (const article of articles) {
+        const html = fs.readFileSync(path.join(ROOT_DIR, article.cluster, article.file), 'utf8');
+        const result = migrateArticle(html, references, options);
+        if (result.problems.length > 0) {
+            console.error(`  ✗ ${article.id}\n      ${result.problems.join('\n      ')}`);
+            failed.push(article.id);
+            continue;
+        }
+
+        const outputPath = path.join(site.paths.content, article.cluster, article.file.replace(/\.html$/, '.md'));
+        const note = result.authorYear ? 'author–year text kept' : `${result.cited} citation${result.cited === 1 ? '' : 's'} as keys`;
+        if (result.authorYear) authorYear++;
+
+        if (dryRun) {
+            console.log(`  ✓ ${article.id} (${note})`);
+        } else if (fs.existsSync(outputPath) && !force) {
+            console.log(`  - ${article.id} → ${path.relative(ROOT_DIR, outputPath)} exists, kept (--force to overwrite)`);
+            kept++;
+        } else {
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.writeFileSync(outputPath, result.markdown);
+            console.log(`  ✓ ${article.id} → ${path.relative(ROOT_DIR, outputPath)} (${note})`);
+            written++;
+        }
+    }
+
+    const verified = articles.length - failed.length;
+    console.log(`\n${failed.length === 0 ? '✓' : '✗'} ${verified}/${articles.length} articles verified` +
+        (dryRun ? '' : `, ${written} written${kept ? `, ${kept} kept` : ''}`) +
+        (authorYear ? ` (${authorYear} with author–year citations kept as text)` : ''));
+    if (failed.length > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    parseHtml,
+    migrateArticle,
+    verifyMigration
+};
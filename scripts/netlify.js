@@ -0,0 +1,238 @@
+/**
+ * Netlify's URL handling, for serving and checking dist/ locally.
+ *
+ * Reads the [[redirects]] rules from netlify.toml and resolves a request
+ * path the way Netlify does:
+ * - a file at the path (or a directory's index.html) is served as-is,
+ *   unless the first matching rule has force = true
+ * - otherwise the first matching rule wins: 200 rewrites, 3xx redirects,
+ *   404 serves its target with a 404 status
+ * - :placeholders match one path segment, * matches the rest (:splat)
+ * - Language conditions are checked against the request's languages
+ *
+ * Used by serve.js and check-links.js.
+ *
+ * Exports: parseRedirects, loadRedirects, resolveRequest
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const NETLIFY_TOML = path.join(__dirname, '..', 'netlify.toml');
+
+// ─── netlify.toml ──────────────────────────────────────────────────
+
+/**
+ * Parse one TOML value: strings, numbers, booleans, arrays and inline
+ * tables — everything the [[redirects]] tables use.
+ */
+function parseValue(text) {
+    let pos = 0;
+
+    const skip = () => { while (/\s/.test(text[pos] || '')) pos++; };
+
+    function value() {
+        skip();
+        const ch = text[pos];
+        if (ch === '"') {
+            const match = text.slice(pos).match(/^"(?:[^"\\]|\\.)*"/);
+            if (!match) throw new Error(`unterminated string: ${text}`);
+            pos += match[0].length;
+            return JSON.parse(match[0]);
+        }
+        if (ch === "'") {
+            const end = text.indexOf("'", pos + 1);
+            if (end === -1) throw new Error(`unterminated string: ${text}`);
+            const str = text.slice(pos + 1, end);
+            pos = end + 1;
+            return str;
+        }
+        if (ch === '[') {
+            pos++;
+            const items = [];
+            for (skip(); text[pos] !== ']'; skip()) {
+                items.push(value());
+                skip();
+                if (text[pos] === ',') pos++;
+                else if (text[pos] !== ']') throw new Error(`expected , or ] in ${text}`);
+                skip();
+            }
+            pos++;
+            return items;
+        }
+        if (ch === '{') {
+            pos++;
+            const table = {};
+            for (skip(); text[pos] !== '}'; skip()) {
+                const key = text.slice(pos).match(/^("[^"]*"|[\w-]+)\s*=/);
+                if (!key) throw new Error(`expected key = value in ${text}`);
+                pos += key[0].length;
+                table[key[1].replace(/^"|"$/g, '')] = value();
+                skip();
+                if (text[pos] === ',') pos++;
+                else if (text[pos] !== '}') throw new Error(`expected , or } in ${text}`);
+            }
+            pos++;
+            return table;
+        }
+        const bare = text.slice(pos).match(/^[^,\]}\s]+/);
+        if (!bare) throw new Error(`unexpected "${ch}" in ${text}`);
+        pos += bare[0].length;
+        if (bare[0] === 'true' || bare[0] === 'false') return bare[0] === 'true';
+        if (/^[+-]?\d[\d_]*(\.\d+)?$/.test(bare[0])) return Number(bare[0].replace(/_/g, ''));
+        return bare[0];
+    }
+
+    const result = value();
+    skip();
+    if (pos < text.length) throw new Error(`unexpected "${text.slice(pos)}" after value`);
+    return result;
+}
+
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch === '\\' && quote === '"') i++;
+            else if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '#') {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+/**
+ * The [[redirects]] tables of a netlify.toml, in file order, as
+ * { from, to, status, force, conditions }.
+ */
+function parseRedirects(toml) {
+    const rules = [];
+    let current = null;
+
+    toml.split('\n').forEach((raw, i) => {
+        const line = stripComment(raw).trim();
+        if (!line) return;
+
+        if (line.startsWith('[')) {
+            current = line === '[[redirects]]' ? {} : null;
+            if (current) rules.push(current);
+            return;
+        }
+        if (!current) return;
+
+        const match = line.match(/^([\w.-]+)\s*=\s*(.+)$/);
+        if (!match) throw new Error(`netlify.toml line ${i + 1}: expected key = value`);
+        try {
+            current[match[1]] = parseValue(match[2]);
+        } catch (e) {
+            throw new Error(`netlify.toml line ${i + 1}: ${e.message}`);
+        }
+    });
+
+    return rules.map((rule, i) => {
+        if (!rule.from || !rule.to) throw new Error(`netlify.toml: redirect ${i + 1} needs from and to`);
+        return {
+            from: rule.from,
+            to: rule.to,
+            status: rule.status || 301,
+            force: rule.force === true,
+            conditions: rule.conditions || {}
+        };
+    });
+}
+
+function loadRedirects(file = NETLIFY_TOML) {
+    return fs.existsSync(file) ? parseRedirects(fs.readFileSync(file, 'utf8')) : [];
+}
+
+// ─── Resolution ────────────────────────────────────────────────────
+
+/**
+ * Placeholder values if `pathname` matches a rule's `from`, else null.
+ */
+function matchRule(from, pathname) {
+    const strip = p => (p.length > 1 ? p.replace(/\/+$/, '') : p);
+    const pattern = strip(from).split('/');
+    const parts = strip(pathname).split('/');
+    const params = {};
+
+    for (let i = 0; i < pattern.length; i++) {
+        if (pattern[i] === '*' && i === pattern.length - 1) {
+            params.splat = parts.slice(i).join('/');
+            return params;
+        }
+        if (i >= parts.length) return null;
+        if (pattern[i].startsWith(':')) {
+            if (!parts[i]) return null;
+            params[pattern[i].slice(1)] = parts[i];
+        } else if (pattern[i] !== parts[i]) {
+            return null;
+        }
+    }
+    return parts.length === pattern.length ? params : null;
+}
+
+function conditionsMatch(conditions, request) {
+    const languages = conditions.Language;
+    if (!languages || !request.languages) return true;
+    return languages.some(lang => request.languages.some(l => l === lang || l.startsWith(`${lang}-`)));
+}
+
+/**
+ * The file under `root` a URL path refers to: the file itself, or a
+ * directory's index.html. Null if neither exists or the path escapes root.
+ */
+function staticFile(root, urlPath) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath);
+    } catch (e) {
+        return null;
+    }
+    const file = path.join(root, path.normalize(decoded));
+    if (file !== root && !file.startsWith(root + path.sep)) return null;
+    if (!fs.existsSync(file)) return null;
+    if (fs.statSync(file).isFile()) return file;
+    const index = path.join(file, 'index.html');
+    return fs.existsSync(index) ? index : null;
+}
+
+/**
+ * How Netlify would answer a request for `pathname` from `root`.
+ * request: { languages } (from Accept-Language; omit to match any).
+ * Returns { status, file } or { status, location } (redirects); file is
+ * null for a 404 with no page to show.
+ */
+function resolveRequest(pathname, root, redirects, request = {}) {
+    const shadow = staticFile(root, pathname);
+
+    for (const rule of redirects) {
+        const params = matchRule(rule.from, pathname);
+        if (!params || !conditionsMatch(rule.conditions, request)) continue;
+        if (shadow && !rule.force) break;
+
+        const target = rule.to.replace(/:(\w+)/g, (match, name) => (name in params ? params[name] : match));
+        if (rule.status >= 300 && rule.status < 400) {
+            return { status: rule.status, location: target };
+        }
+        if (/^https?:/.test(target)) {
+            return { status: 502, file: null };
+        }
+        const file = staticFile(root, target);
+        if (file) return { status: rule.status, file };
+        return { status: 404, file: staticFile(root, '/404.html') };
+    }
+
+    if (shadow) return { status: 200, file: shadow };
+    return { status: 404, file: staticFile(root, '/404.html') };
+}
+
+module.exports = {
+    parseRedirects,
+    loadRedirects,
+    resolveRequest
+};
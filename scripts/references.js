@@ -0,0 +1,442 @@
+/**
+ * Reference database for Creatinepedia bibliographies.
+ *
+ * Every article ends with a hand-typed Bibliography (or References) list,
+ * written either as <ol><li> items or as <div class="bib-entry"> blocks, in
+ * a mix of AMA/Vancouver ("Harris RC, Soderlund K. Title. <em>J</em>.
+ * 1992;83(3):367-374.") and APA-like ("Harris, R.C. (1992). Title. <em>J</em>,
+ * 83(3), 367-374.") styles. This module parses those entries into structured
+ * records, merges the same paper across articles by DOI, PMID or title, and
+ * renders records back out in a single house style.
+ *
+ * Used by generate-references.js, citations.js and check-citations.js.
+ *
+ * Exports: PMID_PATTERN, extractBibliography, parseReference, formatReference,
+ *          createReferenceDatabase, renderBibliography, loadReferences
+ */
+
+const fs = require('fs');
+const { site } = require('./site-config');
+
+const REFERENCES_FILE = site.paths.references;
+
+// A PubMed ID: 1–8 digits (new ones are around 40 million). Shared with
+// check-citations.js so extraction and the malformed-pmid check agree
+const PMID_PATTERN = /^\d{1,8}$/;
+
+// Headings that introduce an article's reference list
+const BIBLIOGRAPHY_HEADING = /<h2[^>]*>\s*(?:Bibliography|References)\s*<\/h2>/i;
+
+// ─── Text helpers ──────────────────────────────────────────────────
+
+function decodeEntities(str) {
+    return str
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&ndash;/g, '–')
+        .replace(/&mdash;/g, '—')
+        .replace(/&amp;/g, '&');
+}
+
+function escapeHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Only strip real tags. DOIs such as 10.1002/...(200011)48:5<723::AID-ANA5>3.0.CO;2-W
+// contain angle brackets that must survive.
+function stripTags(html) {
+    return html.replace(/<\/?[a-z][a-z0-9]*(?:\s[^>]*)?>/gi, '');
+}
+
+function normalizeWhitespace(str) {
+    return str.replace(/\s+/g, ' ').trim();
+}
+
+function asciiFold(str) {
+    return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function titleKey(title) {
+    return asciiFold(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().slice(0, 80);
+}
+
+// ─── Extraction ────────────────────────────────────────────────────
+
+/**
+ * Locate the bibliography list in an article's HTML.
+ * Returns null when the article has no Bibliography/References heading,
+ * otherwise the raw entry HTML (and any existing <li id>) plus offsets for
+ * the heading and list so callers can splice a re-rendered list back in.
+ */
+function extractBibliography(html) {
+    const headingMatch = BIBLIOGRAPHY_HEADING.exec(html);
+    if (!headingMatch) return null;
+
+    const headingStart = headingMatch.index;
+    const headingEnd = headingStart + headingMatch[0].length;
+    const lineStart = html.lastIndexOf('\n', headingStart) + 1;
+    const indent = html.slice(lineStart, headingStart).match(/^\s*/)[0];
+
+    const rest = html.slice(headingEnd);
+    let listMatch = rest.match(/^(\s*(?:<!--[\s\S]*?-->\s*)*)(<ol[^>]*>)([\s\S]*?)<\/ol>/);
+    let items = [];
+    let ids = [];
+    let openTag = '<ol>';
+
+    if (listMatch) {
+        openTag = listMatch[2];
+        const itemRegex = /<li([^>]*)>([\s\S]*?)<\/li>/g;
+        let m;
+        while ((m = itemRegex.exec(listMatch[3])) !== null) {
+            const idMatch = m[1].match(/\bid="([^"]+)"/);
+            ids.push(idMatch ? idMatch[1] : '');
+            items.push(m[2].trim());
+        }
+    } else {
+        listMatch = rest.match(/^(\s*(?:<!--[\s\S]*?-->\s*)*)((?:<div class="bib-entry">[\s\S]*?<\/div>\s*)+)/);
+        if (!listMatch) return null;
+        const itemRegex = /<div class="bib-entry">([\s\S]*?)<\/div>/g;
+        let m;
+        while ((m = itemRegex.exec(listMatch[2])) !== null) {
+            ids.push('');
+            items.push(m[1].trim());
+        }
+    }
+
+    const listStart = headingEnd + listMatch[1].length;
+    const listEnd = headingEnd + listMatch[0].replace(/\s+$/, '').length;
+
+    return { headingStart, headingEnd, listStart, listEnd, indent, openTag, items, ids };
+}
+
+// ─── Parsing ───────────────────────────────────────────────────────
+
+// "Harris RC" / "de Salles Painelli V" / "Lemon PWR"
+function parseVancouverAuthors(str) {
+    const authors = [];
+    let etAl = false;
+
+    for (let part of str.split(/,\s*/)) {
+        part = part.trim();
+        if (!part) continue;
+        if (/^et al\.?$/i.test(part)) {
+            etAl = true;
+            continue;
+        }
+        const m = part.match(/^(.+?)\s+([A-Z]{1,4})(?:\s+(Jr|Sr|II|III))?$/);
+        if (m) {
+            authors.push(m[3] ? { family: m[1], given: m[2], suffix: m[3] } : { family: m[1], given: m[2] });
+        } else {
+            authors.push({ family: part, given: '' });
+        }
+    }
+
+    return { authors, etAl };
+}
+
+// "Harris, R.C., Soderlund, K. and Hultman, E."
+function parseApaAuthors(str) {
+    const authors = [];
+    let etAl = false;
+    const tokens = str
+        .replace(/,?\s+(?:and|&)\s+/g, ', ')
+        .split(/,\s*/)
+        .map(t => t.trim())
+        .filter(Boolean);
+
+    for (let i = 0; i < tokens.length; i++) {
+        if (/^et al\.?$/i.test(tokens[i])) {
+            etAl = true;
+            continue;
+        }
+        const next = tokens[i + 1];
+        if (next && /^(?:[A-Z]\.\s?-?)+$/.test(next)) {
+            authors.push({ family: tokens[i], given: next.replace(/[.\s-]/g, '') });
+            i++;
+        } else {
+            authors.push({ family: tokens[i], given: '' });
+        }
+    }
+
+    return { authors, etAl };
+}
+
+// Page ranges: "367-374", "E31-37", "618S-623S", "431.e1-431.e6"
+const PAGES = '[A-Za-z0-9]+(?:\\.[A-Za-z0-9]+)*(?:[-–][A-Za-z0-9]+(?:\\.[A-Za-z0-9]+)*)?';
+
+// "1992;83(3):367-374" or "2017;14:18"
+function parseVancouverSource(str) {
+    const m = str.match(new RegExp(`^(\\d{4})[a-z]?(?:\\s*;\\s*([^(:.\\s]+(?:\\s+Suppl\\s*\\d*)?)?(?:\\(([^)]*)\\))?)?(?:\\s*:\\s*(${PAGES}))?`));
+    if (!m) return {};
+    return { year: m[1], volume: m[2] || '', issue: m[3] || '', pages: (m[4] || '').replace('–', '-'), consumed: m[0].length };
+}
+
+// "83(3), 367-374"
+function parseApaSource(str) {
+    const m = str.match(new RegExp(`^([^(,\\s]+)?(?:\\(([^)]*)\\))?(?:,\\s*(${PAGES}))?`));
+    if (!m) return {};
+    return { volume: m[1] || '', issue: m[2] || '', pages: (m[3] || '').replace('–', '-'), consumed: m[0].length };
+}
+
+function extractIdentifiers(text) {
+    const doiMatch = text.match(/\bdoi:\s*(10\.\d{4,9}\/\S+)/i) || text.match(/doi\.org\/(10\.\d{4,9}\/\S+)/i);
+    const pmidMatch = text.match(/\bPMID:?\s*(\d+)\b/i);
+    return {
+        doi: doiMatch ? doiMatch[1].replace(/[.,;]+$/, '') : '',
+        pmid: pmidMatch && PMID_PATTERN.test(pmidMatch[1]) ? pmidMatch[1] : ''
+    };
+}
+
+/**
+ * Parse one bibliography entry (inner HTML of the <li> or .bib-entry) into
+ * a structured record. Entries that match neither citation style keep their
+ * text in `raw` and are rendered back unchanged.
+ */
+function parseReference(entryHtml) {
+    const html = normalizeWhitespace(entryHtml);
+    const text = normalizeWhitespace(decodeEntities(stripTags(html)));
+    const { doi, pmid } = extractIdentifiers(text);
+
+    const ref = {
+        authors: [],
+        etAl: false,
+        year: '',
+        title: '',
+        journal: '',
+        volume: '',
+        issue: '',
+        pages: '',
+        doi,
+        pmid,
+        raw: ''
+    };
+
+    const emMatch = html.match(/^([\s\S]*?)<em>([\s\S]*?)<\/em>([\s\S]*)$/);
+    const yearMatch = text.match(/\b(1[89]\d{2}|20\d{2})\b/);
+    if (yearMatch) ref.year = yearMatch[1];
+
+    if (!emMatch) {
+        ref.raw = text;
+        return ref;
+    }
+
+    const before = normalizeWhitespace(decodeEntities(stripTags(emMatch[1])));
+    const journal = normalizeWhitespace(decodeEntities(stripTags(emMatch[2])));
+    const after = normalizeWhitespace(decodeEntities(stripTags(emMatch[3])))
+        .replace(/^[.,]\s*/, '');
+
+    // APA-like: "Authors (1992). Title."
+    const apa = before.match(/^(.+?)\s*\((\d{4})[a-z]?\)\.\s*(.+?)\s*$/);
+    // AMA/Vancouver: "Authors. Title." — the author block ends at the first
+    // period that follows a run of initials or "et al".
+    const vancouver = before.match(/^(.+?(?:\s[A-Z]{1,4}|et al))\.\s+(.+?)\s*$/);
+
+    let source;
+    if (apa) {
+        Object.assign(ref, parseApaAuthors(apa[1]));
+        ref.year = apa[2];
+        ref.title = apa[3];
+        source = parseApaSource(after);
+    } else if (vancouver) {
+        Object.assign(ref, parseVancouverAuthors(vancouver[1]));
+        ref.title = vancouver[2];
+        source = parseVancouverSource(after);
+    }
+
+    // Anything left after the volume/pages besides the identifiers means the
+    // entry is not a plain journal citation; keep it verbatim rather than
+    // silently dropping text.
+    const leftover = source ? after.slice(source.consumed || 0)
+        .replace(/\bdoi:\s*\S+/i, '')
+        .replace(/\bPMID:?\s*\d+/i, '')
+        .replace(/[\s.,;]+/g, '') : 'unparsed';
+    if (leftover) {
+        return { ...ref, authors: [], etAl: false, title: '', raw: text };
+    }
+    const { consumed, ...fields } = source;
+    Object.assign(ref, fields);
+    if (!ref.year && apa) ref.year = apa[2];
+
+    // "Title. In: <em>Proceedings</em>"
+    if (/\.\s*In:$/.test(ref.title)) {
+        ref.title = ref.title.replace(/\.\s*In:$/, '');
+        ref.container = 'In';
+    }
+    ref.title = ref.title.replace(/\.$/, '');
+    ref.journal = journal.replace(/[.,]$/, '');
+    return ref;
+}
+
+// ─── Rendering ─────────────────────────────────────────────────────
+
+function formatAuthors(ref) {
+    const names = ref.authors.map(a => [a.family, a.given, a.suffix].filter(Boolean).join(' '));
+    // AMA: list up to six authors, otherwise the first three followed by et al.
+    if (names.length > 6) return `${names.slice(0, 3).join(', ')}, et al`;
+    if (ref.etAl) return `${names.join(', ')}, et al`;
+    return names.join(', ');
+}
+
+function formatSource(ref) {
+    let source = ref.year;
+    if (ref.volume) source += `;${ref.volume}`;
+    if (ref.issue) source += `(${ref.issue})`;
+    if (ref.pages) source += `${ref.volume || ref.issue ? ':' : ';'}${ref.pages}`;
+    return source;
+}
+
+/**
+ * Render a reference record as HTML in the house (AMA) style, e.g.
+ * Harris RC, Soderlund K, Hultman E. Title. <em>Clinical Science</em>. 1992;83(3):367-374. doi:10.1042/cs0830367. PMID: 1327657.
+ */
+function formatReference(ref) {
+    if (ref.raw) return escapeHtml(ref.raw);
+
+    const parts = [];
+    if (ref.authors.length > 0) parts.push(formatAuthors(ref));
+    parts.push(ref.title);
+    parts.push(ref.container ? `In: <em>${ref.journal}</em>` : `<em>${ref.journal}</em>`);
+    if (ref.year) parts.push(formatSource(ref));
+    if (ref.doi) parts.push(`doi:${ref.doi}`);
+    if (ref.pmid) parts.push(`PMID: ${ref.pmid}`);
+
+    return escapeHtml(parts.join('. ').replace(/([?!])\./g, '$1') + '.')
+        .replace(/&lt;(\/?)em&gt;/g, '<$1em>');
+}
+
+/**
+ * Replace an article's bibliography heading and list with a freshly
+ * rendered <ol> built from reference records (in the article's order).
+ * Each <li> gets id="ref-<id>" so in-text citations can link to it.
+ */
+function renderBibliography(html, refs) {
+    const bib = extractBibliography(html);
+    if (!bib) return html;
+
+    // A paper listed twice in one article still needs unique element ids
+    const seen = new Map();
+    const items = refs.map(ref => {
+        const n = (seen.get(ref.id) || 0) + 1;
+        seen.set(ref.id, n);
+        const elementId = n > 1 ? `ref-${ref.id}-${n}` : `ref-${ref.id}`;
+        return `${bib.indent}  <li id="${elementId}">${formatReference(ref)}</li>`;
+    }).join('\n');
+    const list = `${bib.openTag}\n${items}\n${bib.indent}</ol>`;
+
+    return html.slice(0, bib.headingStart) +
+        '<h2>Bibliography</h2>' +
+        html.slice(bib.headingEnd, bib.listStart) +
+        list +
+        html.slice(bib.listEnd);
+}
+
+// ─── Database ──────────────────────────────────────────────────────
+
+function citationKey(ref) {
+    const family = ref.authors.length > 0 ? ref.authors[0].family : (ref.raw || ref.title).split(/\s+/)[0];
+    const name = asciiFold(family).toLowerCase().replace(/[^a-z]/g, '') || 'anon';
+    return `${name}${ref.year || 'nd'}`;
+}
+
+function fieldCount(ref) {
+    return ['title', 'journal', 'year', 'volume', 'issue', 'pages', 'doi', 'pmid']
+        .filter(f => ref[f]).length + ref.authors.length;
+}
+
+/**
+ * Site-wide reference store. add() merges a parsed entry into any existing
+ * record sharing its DOI, PMID or normalised first-author/year/title, and
+ * returns the stable id (e.g. "harris1992", "kreider2017b").
+ */
+function createReferenceDatabase() {
+    const records = new Map(); // id -> { ref, citedBy:Set, journals:Map }
+    const index = new Map();   // lookup key -> id
+
+    function lookupKeys(ref) {
+        const keys = [];
+        if (ref.doi) keys.push(`doi:${ref.doi.toLowerCase()}`);
+        if (ref.pmid) keys.push(`pmid:${ref.pmid}`);
+        const tk = titleKey(ref.title || ref.raw);
+        if (tk) keys.push(`title:${citationKey(ref)}:${tk}`);
+        return keys;
+    }
+
+    function add(ref, article) {
+        const keys = lookupKeys(ref);
+        let id = keys.map(k => index.get(k)).find(Boolean);
+
+        if (!id) {
+            const base = citationKey(ref);
+            id = base;
+            let suffix = 1;
+            while (records.has(id)) {
+                id = base + String.fromCharCode(97 + suffix++);
+            }
+            records.set(id, { ref: { ...ref }, citedBy: new Set(), journals: new Map() });
+        } else {
+            const existing = records.get(id).ref;
+            // Keep the richer author list and fill in any missing fields
+            if (fieldCount(ref) > fieldCount(existing) && !ref.raw) {
+                records.get(id).ref = { ...ref, doi: ref.doi || existing.doi, pmid: ref.pmid || existing.pmid };
+            } else {
+                for (const field of ['title', 'volume', 'issue', 'pages', 'doi', 'pmid']) {
+                    if (!existing[field] && ref[field]) existing[field] = ref[field];
+                }
+            }
+        }
+
+        const record = records.get(id);
+        if (article) record.citedBy.add(article);
+        if (ref.journal) record.journals.set(ref.journal, (record.journals.get(ref.journal) || 0) + 1);
+        for (const key of lookupKeys(record.ref).concat(keys)) {
+            index.set(key, id);
+        }
+
+        return id;
+    }
+
+    function get(id) {
+        const record = records.get(id);
+        if (!record) return null;
+        const ref = { ...record.ref };
+        // Most common spelling of the journal wins; ties go to the fuller name
+        if (record.journals.size > 0) {
+            ref.journal = [...record.journals.entries()]
+                .sort((a, b) => b[1] - a[1] || b[0].length - a[0].length)[0][0];
+        }
+        return { id, ...ref, citedBy: [...record.citedBy].sort() };
+    }
+
+    function toJSON() {
+        const out = {};
+        for (const id of [...records.keys()].sort()) {
+            const { id: _id, ...ref } = get(id);
+            out[id] = ref;
+        }
+        return out;
+    }
+
+    return { add, get, toJSON, get size() { return records.size; } };
+}
+
+/**
+ * Load the generated references.json (id -> record).
+ */
+function loadReferences(file = REFERENCES_FILE) {
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {
+    REFERENCES_FILE,
+    PMID_PATTERN,
+    extractBibliography,
+    parseReference,
+    formatReference,
+    createReferenceDatabase,
+    renderBibliography,
+    loadReferences
+};
@@ -0,0 +1,181 @@
+/**
+ * Related entries: which articles to suggest at the end of each article.
+ *
+ * Similarity is computed offline from the articles themselves:
+ * - text: TF-IDF cosine over the body, with headings counted
+ *   HEADING_WEIGHT times (words in every article carry no weight)
+ * - sources: TF-IDF cosine over the bibliography, so sharing a paper few
+ *   articles cite counts for more than sharing a review everyone cites
+ * The score mixes the two by SCORE_WEIGHTS. Candidates come from every
+ * cluster; an article's own pillar page is skipped (it is linked already).
+ *
+ * Editors adjust the lists in site.config.js `related.overrides`, keyed by
+ * "cluster/slug": `pin` entries go first in the given order, `exclude`
+ * entries never appear.
+ *
+ * - articleDocument(id, articleHtml): the terms and sources of one article
+ * - relatedEntries(documents, options): Map id → [{ id, score }], pins first
+ *
+ * Used by retemplate.js.
+ *
+ * Exports: articleDocument, relatedEntries
+ */
+
+const { extractBibliography, parseReference } = require('./references');
+
+// Headings say what an article is about more than any one paragraph
+const HEADING_WEIGHT = 3;
+
+const SCORE_WEIGHTS = { text: 0.7, sources: 0.3 };
+
+// Function words and the site-wide vocabulary of every article's prose
+const STOP_WORDS = new Set((
+    'a about above after again against all also am an and any are as at be because been before being below between both but by ' +
+    'can could did do does doing down during each few for from further had has have having he her here hers him his how however ' +
+    'i if in into is it its itself just may me might more most much must my no nor not now of off on once only or other our ours ' +
+    'out over own per same she should so some such than that the their theirs them then there these they this those through to ' +
+    'too under until up upon us very via was we were what when where whether which while who whom why will with within without ' +
+    'would yet you your yours et al vs'
+).split(' '));
+
+function decodeEntities(str) {
+    return str
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&[a-z]+;|&#\d+;/g, ' ');
+}
+
+/**
+ * Lowercase word stems: plain English plurals fold to the singular so
+ * "kidneys" and "kidney" count as one term.
+ */
+function terms(text) {
+    return (decodeEntities(text.replace(/<[^>]+>/g, ' ')).toLowerCase().match(/[a-z][a-z0-9-]*[a-z0-9]/g) || [])
+        .filter(word => !STOP_WORDS.has(word) && !/^\d/.test(word))
+        .map(word => word.replace(/(?<=[^aeious])s$/, ''));
+}
+
+/**
+ * The terms and bibliography of one article, from its <article> HTML.
+ * The FAQ section (generated from the body) and the bibliography are left
+ * out of the text.
+ */
+function articleDocument(id, articleHtml) {
+    const html = articleHtml.replace(/<section class="faq-section">[\s\S]*?<\/section>/g, '');
+    const bib = extractBibliography(html);
+    const body = bib ? html.slice(0, bib.headingStart) : html;
+
+    const counts = new Map();
+    const add = (text, weight) => terms(text).forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+    add(body.replace(/<h([1-6])[^>]*>[\s\S]*?<\/h\1>/g, ' '), 1);
+    for (const heading of body.matchAll(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/g)) add(heading[2], HEADING_WEIGHT);
+
+    // A source is its references.json id when the bibliography has been
+    // normalised, else its DOI or title
+    const sources = new Map();
+    if (bib) {
+        bib.items.forEach((item, i) => {
+            const ref = parseReference(item);
+            const key = bib.ids[i] || (ref.doi && `doi:${ref.doi.toLowerCase()}`) || (ref.title && `title:${ref.title.toLowerCase()}`);
+            if (key) sources.set(key, 1);
+        });
+    }
+
+    return { id, terms: counts, sources };
+}
+
+// ─── Similarity ────────────────────────────────────────────────────
+
+/**
+ * Unit-length TF-IDF vectors for one feature (terms or sources) of every
+ * document. Term frequency is log-scaled; a feature in every document
+ * gets no weight.
+ */
+function tfidfVectors(documents, feature) {
+    const df = new Map();
+    documents.forEach(doc => doc[feature].forEach((count, key) => df.set(key, (df.get(key) || 0) + 1)));
+
+    return documents.map(doc => {
+        const vector = new Map();
+        let norm = 0;
+        doc[feature].forEach((count, key) => {
+            const weight = (1 + Math.log(count)) * Math.log(documents.length / df.get(key));
+            if (weight <= 0) return;
+            vector.set(key, weight);
+            norm += weight * weight;
+        });
+        norm = Math.sqrt(norm);
+        vector.forEach((weight, key) => vector.set(key, weight / norm));
+        return vector;
+    });
+}
+
+function cosine(a, b) {
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    let sum = 0;
+    small.forEach((weight, key) => {
+        if (large.has(key)) sum += weight * large.get(key);
+    });
+    return sum;
+}
+
+/**
+ * Related entries for every document.
+ * options: {
+ *   count: entries per article,
+ *   skip: id → ids never to suggest for it (e.g. its pillar page),
+ *   overrides: { id: { pin: [ids], exclude: [ids] } }
+ * }
+ * Returns Map id → [{ id, score }]; pinned entries come first (score null).
+ * Throws if an override names an article that doesn't exist.
+ */
+function relatedEntries(documents, options = {}) {
+    const count = options.count || 5;
+    const overrides = options.overrides || {};
+    const skip = options.skip || (() => []);
+    const ids = new Set(documents.map(doc => doc.id));
+
+    const unknown = [];
+    for (const [id, override] of Object.entries(overrides)) {
+        [id, ...(override.pin || []), ...(override.exclude || [])].forEach(ref => {
+            if (!ids.has(ref)) unknown.push(ref === id ? `${id} (overridden)` : `${ref} (in ${id})`);
+        });
+    }
+    if (unknown.length > 0) {
+        throw new Error(`related.overrides in site.config.js name unknown articles: ${unknown.join(', ')}`);
+    }
+
+    const text = tfidfVectors(documents, 'terms');
+    const sources = tfidfVectors(documents, 'sources');
+    const result = new Map();
+
+    documents.forEach((doc, i) => {
+        const override = overrides[doc.id] || {};
+        const pinned = (override.pin || []).filter(id => id !== doc.id);
+        const excluded = new Set([doc.id, ...pinned, ...(override.exclude || []), ...skip(doc.id)]);
+
+        const ranked = documents
+            .map((other, j) => ({
+                id: other.id,
+                score: SCORE_WEIGHTS.text * cosine(text[i], text[j]) + SCORE_WEIGHTS.sources * cosine(sources[i], sources[j])
+            }))
+            .filter(entry => !excluded.has(entry.id) && entry.score > 0)
+            .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+
+        result.set(doc.id, [
+            ...pinned.map(id => ({ id, score: null })),
+            ...ranked
+        ].slice(0, Math.max(count, pinned.length)));
+    });
+
+    return result;
+}
+
+module.exports = {
+    articleDocument,
+    relatedEntries
+};
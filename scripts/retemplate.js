@@ -1,47 +1,46 @@
 #!/usr/bin/env node
 
 /**
- * Retemplate all cluster article HTML files to match root page design system.
+ * Render every cluster article from content/<cluster>/<slug>.md into the
+ * site template, at generated/<cluster>/<slug>.html (git-ignored; build.js
+ * copies it into dist/).
  *
- * Extracts: title, meta description, schema JSON-LD, article body
- * Wraps in: Tailwind CDN + DM Sans + Instrument Serif + mega nav/footer
+ * Renders: header (title and dates from frontmatter), markdown body with
+ *   [@key] citations resolved against references.json, bibliography
+ * Generates TechArticle (with citations) and BreadcrumbList schema
+ * Links in-text author–year citations to their bibliography entries
+ * Adds a "Cite this entry" panel and citation_* (Highwire) meta tags
+ * Lists related entries from every cluster (related.js), ranked by shared
+ * terms and sources, with editor pins/excludes from site.config.js
+ * Wraps in: DM Sans + Instrument Serif + mega nav/footer, linking the shared
+ * stylesheets and scripts (shared.js sharedAssets) instead of inlining them
+ *
+ * Drafts are not rendered; a page whose markdown is gone or became a draft
+ * is removed. FAQ sections are added afterwards by inject-faqs.js.
  *
  * Run: node scripts/retemplate.js
  */
 
 const fs = require('fs');
 const path = require('path');
-const { megaNavHtml, megaNavStyles, megaNavScript, footerHtml, headIncludes } = require('./shared');
-
-const ROOT_DIR = path.join(__dirname, '..');
-
-const HTML_SOURCE_DIRS = [
-    'science',
-    'dosing',
-    'sports',
-    'safety',
-    'comparisons',
-    'quality'
+const { megaNavHtml, newsletterHtml, footerHtml, headIncludes } = require('./shared');
+const { linkCitations, bibliographyRefs } = require('./citations');
+const { entryCitations, highwireMetaTags } = require('./cite-entry');
+const { articleDocument, relatedEntries } = require('./related');
+const { site } = require('./site-config');
+const { SITE, articleSchema, breadcrumbSchema, toJsonLd, validateHtml } = require('./schema');
+const { loadReferences } = require('./references');
+const { resolveCitationKeys } = require('./cite-keys');
+const { markdownToHtml } = require('./markdown');
+const { parseFrontmatter, validateFrontmatter } = require('./frontmatter');
+
+const CITE_FORMATS = [
+    { key: 'apa', label: 'APA' },
+    { key: 'mla', label: 'MLA' },
+    { key: 'vancouver', label: 'Vancouver' },
+    { key: 'bibtex', label: 'BibTeX' }
 ];
 
-const CATEGORY_NAMES = {
-    'science': 'Science & Mechanisms',
-    'dosing': 'Dosing Protocols',
-    'sports': 'Sport Applications',
-    'safety': 'Safety & Concerns',
-    'comparisons': 'Supplement Comparisons',
-    'quality': 'Product Quality'
-};
-
-const PILLAR_PAGES = {
-    'science': { slug: 'creatine-mechanisms-summary', label: 'Complete Science Guide' },
-    'dosing': { slug: 'creatine-dosing-protocols-summary', label: 'Complete Dosing Guide' },
-    'sports': { slug: 'creatine-for-sport-summary', label: 'Every Sport Guide' },
-    'safety': { slug: 'creatine-safety-complete-guide', label: 'Complete Safety Guide' },
-    'comparisons': { slug: 'creatine-supplement-hierarchy', label: 'Supplement Hierarchy Guide' },
-    'quality': { slug: 'creatine-buying-guide', label: 'Complete Buying Guide' }
-};
-
 function truncateText(str, maxLen) {
     if (!str || str.length <= maxLen) return str;
     const truncated = str.slice(0, maxLen - 3).replace(/\s+\S*$/, '');
@@ -65,35 +64,109 @@ function escapeAttr(str) {
         .replace(/>/g, '&gt;');
 }
 
-function extractFromHtml(html) {
-    const titleMatch = html.match(/<title>([\s\S]*?)<\/title>/);
-    const title = titleMatch ? titleMatch[1].trim() : 'Creatinepedia';
+// "2026-01-28" → "January 28, 2026"
+function formatDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
 
-    const descMatch = html.match(/<meta\s+name="description"\s+content="([\s\S]*?)"/);
-    const description = descMatch ? descMatch[1].trim() : '';
+/**
+ * Render one article's markdown to the content of its <article>: a header
+ * with the title and dates, the body and the bibliography. Returns
+ * { metadata, content }, or null for a draft. Throws on invalid
+ * frontmatter and on citations that don't resolve.
+ */
+function renderArticle(markdown, category, references) {
+    const { metadata, body, bodyLine } = parseFrontmatter(markdown);
+    const errors = validateFrontmatter(metadata, { cluster: category });
+    if (errors.length > 0) {
+        throw new Error(`invalid frontmatter\n      ${errors.join('\n      ')}`);
+    }
+    if (metadata.draft) return null;
 
-    const schemaBlocks = [];
-    const schemaRegex = /<script\s+type="application\/ld\+json">\s*([\s\S]*?)\s*<\/script>/g;
-    let match;
-    while ((match = schemaRegex.exec(html)) !== null) {
-        schemaBlocks.push(match[1].trim());
+    const cited = resolveCitationKeys(body, references, { bodyLine, listed: metadata.references || [] });
+    if (cited.errors.length > 0) {
+        const lines = cited.errors.map(e => e.line ? `line ${e.line}: ${e.message}` : `frontmatter: ${e.message}`);
+        throw new Error(`unresolved citations\n      ${lines.join('\n      ')}`);
     }
 
-    const articleMatch = html.match(/<article[^>]*>([\s\S]*?)<\/article>/);
-    const articleContent = articleMatch ? articleMatch[1] : '';
+    const updated = metadata.modified && metadata.modified > metadata.date
+        ? ` &middot; Updated <time datetime="${metadata.modified}">${formatDate(metadata.modified)}</time>`
+        : '';
+    const header = `
+    <header>
+      <h1>${escapeAttr(metadata.title)}</h1>
+      <p class="meta"><time datetime="${metadata.date}">${formatDate(metadata.date)}</time>${updated}</p>
+    </header>
+
+`;
+    return { metadata, content: header + markdownToHtml(cited.markdown, { classes: false }) + cited.bibliography };
+}
 
-    return { title, description, schemaBlocks, articleContent };
+/**
+ * TechArticle and BreadcrumbList for an article, from its frontmatter and
+ * rendered content.
+ */
+function buildSchemas(metadata, meta, articleContent, category, categoryName) {
+    const extra = {};
+    if (metadata.tags) extra.keywords = metadata.tags;
+    if (metadata.level) extra.proficiencyLevel = metadata.level;
+
+    return [
+        articleSchema({
+            title: meta.title,
+            description: metadata.description,
+            url: meta.url,
+            datePublished: metadata.date,
+            dateModified: metadata.modified || metadata.date,
+            references: bibliographyRefs(articleContent),
+            extra
+        }),
+        breadcrumbSchema(category, categoryName, meta.title, meta.url)
+    ];
 }
 
-function buildTemplate(title, description, schemaBlocks, articleContent, category, slug) {
-    const categoryName = CATEGORY_NAMES[category] || category;
-    const pillar = PILLAR_PAGES[category];
-    const safeTitle = escapeAttr(truncateText(title, 65));
-    const safeDesc = escapeAttr(truncateText(description, 160));
+/**
+ * The pillar link and "Related entries" list closing an article.
+ * related: [{ url, title, clusterName }].
+ */
+function relatedArticles(category, categoryName, pillar, related) {
+    if (!pillar && related.length === 0) return '';
+    const items = related.map(entry => `
+          <li><a href="${entry.url}">${escapeAttr(entry.title)}</a> <span class="related-cluster">${escapeAttr(entry.clusterName)}</span></li>`).join('');
+    return `
+      <div class="related-articles">${pillar ? `
+        <h3>Read the Full Guide</h3>
+        <p><a href="/${category}/${pillar.slug}">${pillar.label}: ${categoryName}</a> — comprehensive overview with all cited sources.</p>` : ''}${items ? `
+        <h3>Related Entries</h3>
+        <ul>${items}
+        </ul>` : ''}
+      </div>`;
+}
 
-    const schemaScripts = schemaBlocks.map(s =>
-        `  <script type="application/ld+json">\n  ${s}\n  </script>`
+function buildTemplate(metadata, articleContent, category, slug, related = []) {
+    const cluster = site.cluster(category);
+    const categoryName = cluster ? cluster.name : category;
+    const pillar = cluster && cluster.pillar;
+    const safeTitle = escapeAttr(truncateText(metadata.title, 65));
+    const safeDesc = escapeAttr(truncateText(metadata.description, 160));
+
+    const citeMeta = {
+        title: metadata.title,
+        url: `${SITE.url}/${category}/${slug}`,
+        date: metadata.date,
+        siteName: SITE.name,
+        author: SITE.author,
+        slug
+    };
+
+    const schemaScripts = buildSchemas(metadata, citeMeta, articleContent, category, categoryName).map(s =>
+        `  <script type="application/ld+json">\n  ${s.error ? s.source : toJsonLd(s)}\n  </script>`
     ).join('\n');
+    const citations = entryCitations(citeMeta);
+    const citeFormats = CITE_FORMATS.map(({ key, label }) => `
+          <dt>${label}</dt>
+          <dd><pre id="cite-${key}">${escapeAttr(citations[key])}</pre><button type="button" class="cite-copy" data-copy="cite-${key}" data-format="${label}" aria-label="Copy ${label} citation">Copy</button></dd>`
+    ).join('');
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -103,90 +176,19 @@ function buildTemplate(title, description, schemaBlocks, articleContent, categor
   <title>${safeTitle}</title>
   <meta name="description" content="${safeDesc}">
   <meta name="robots" content="index, follow">
-  <link rel="canonical" href="https://creatinepedia.com/${category}/${slug}">
+  <link rel="canonical" href="${SITE.url}/${category}/${slug}">
   <meta property="og:type" content="article">
-  <meta property="og:url" content="https://creatinepedia.com/${category}/${slug}">
+  <meta property="og:url" content="${SITE.url}/${category}/${slug}">
   <meta property="og:title" content="${safeTitle}">
   <meta property="og:description" content="${safeDesc}">
-  <meta property="og:site_name" content="Creatinepedia">
+  <meta property="og:site_name" content="${SITE.name}">
   <meta name="twitter:card" content="summary_large_image">
   <meta name="twitter:title" content="${safeTitle}">
   <meta name="twitter:description" content="${safeDesc}">
+${highwireMetaTags(citeMeta)}
 ${schemaScripts}
 ${headIncludes}
-  <style>
-    ::selection { background: rgba(2, 132, 199, 0.3); }
-    ::-webkit-scrollbar { width: 8px; }
-    ::-webkit-scrollbar-track { background: var(--bg-secondary, #18181b); }
-    ::-webkit-scrollbar-thumb { background: var(--border, #27272a); border-radius: 4px; }
-    ::-webkit-scrollbar-thumb:hover { background: #3f3f46; }
-
-    /* Article body — light mode */
-    .article-body { max-width: 720px; margin: 0 auto; padding: 0 1rem; }
-    .article-body h1 { font-family: 'Instrument Serif', Georgia, serif; font-size: 2.75rem; line-height: 1.15; margin-bottom: 1rem; color: #0f172a; }
-    .article-body h2 { font-family: 'Instrument Serif', Georgia, serif; font-size: 1.875rem; margin: 2.5rem 0 1rem; color: #0f172a; }
-    .article-body h3 { font-size: 1.25rem; font-weight: 600; margin: 2rem 0 0.75rem; color: #0f172a; }
-    .article-body p { margin-bottom: 1.5rem; color: #475569; line-height: 1.8; }
-    .article-body a { color: #0284c7; text-decoration: none; }
-    .article-body a:hover { text-decoration: underline; }
-    .article-body ul, .article-body ol { margin: 1.5rem 0; padding-left: 1.5rem; color: #475569; }
-    .article-body li { margin-bottom: 0.75rem; line-height: 1.7; }
-    .article-body strong { color: #1e293b; }
-    .article-body blockquote { border-left: 3px solid #0284c7; padding-left: 1.5rem; margin: 2rem 0; font-style: italic; color: #334155; }
-    .article-body .meta { color: #64748b; font-size: 0.9rem; margin-bottom: 2rem; }
-    .article-body table { width: 100%; border-collapse: collapse; margin: 2rem 0; }
-    .article-body th, .article-body td { text-align: left; padding: 0.75rem 1rem; border-bottom: 1px solid #e2e8f0; color: #475569; }
-    .article-body th { color: #0f172a; font-weight: 600; border-bottom: 2px solid #cbd5e1; }
-    .article-body .cta-box {
-      background: linear-gradient(135deg, rgba(2, 132, 199, 0.08), rgba(13, 148, 136, 0.04));
-      border: 1px solid rgba(2, 132, 199, 0.2);
-      border-radius: 16px; padding: 2.5rem; margin: 3rem 0; text-align: center;
-    }
-    .article-body .cta-box h3 { margin-top: 0; font-family: 'Instrument Serif', Georgia, serif; font-size: 1.5rem; }
-    .article-body .cta-box p { color: #64748b; margin-bottom: 1.5rem; }
-    .article-body .cta-button {
-      display: inline-block; background: #0284c7; color: #ffffff;
-      padding: 1rem 2rem; border-radius: 8px; font-weight: 600;
-      text-decoration: none; transition: background 0.2s;
-    }
-    .article-body .cta-button:hover { background: #0ea5e9; text-decoration: none; }
-    .article-body .related-articles { margin-top: 3rem; padding-top: 2rem; border-top: 1px solid #e2e8f0; }
-    .article-body .related-articles h3 { margin-bottom: 1rem; }
-    .article-body .related-articles ul { list-style: none; padding: 0; }
-    .article-body .related-articles li { margin-bottom: 0.5rem; }
-    .article-body .faq-section { margin-top: 3rem; padding-top: 2rem; border-top: 1px solid #e2e8f0; }
-    .article-body .faq-section > h2 { margin-top: 0; }
-    .article-body .faq-item { margin-bottom: 2rem; }
-    .article-body .faq-item h3 { color: #0f172a; margin-bottom: 0.5rem; }
-    .article-body .faq-item p { margin-bottom: 0; }
-
-    /* Article body — dark mode */
-    .dark .article-body h1, .dark .article-body h2, .dark .article-body h3 { color: #fafaf9; }
-    .dark .article-body p { color: #a1a1aa; }
-    .dark .article-body ul, .dark .article-body ol { color: #a1a1aa; }
-    .dark .article-body strong { color: #e4e4e7; }
-    .dark .article-body a { color: #38bdf8; }
-    .dark .article-body blockquote { color: #d4d4d8; }
-    .dark .article-body .meta { color: #71717a; }
-    .dark .article-body th, .dark .article-body td { border-bottom-color: #27272a; color: #a1a1aa; }
-    .dark .article-body th { color: #fafaf9; border-bottom-color: #3f3f46; }
-    .dark .article-body .cta-box { background: linear-gradient(135deg, rgba(2, 132, 199, 0.12), rgba(13, 148, 136, 0.06)); }
-    .dark .article-body .cta-box p { color: #a1a1aa; }
-    .dark .article-body .related-articles { border-top-color: #27272a; }
-    .dark .article-body .faq-section { border-top-color: #27272a; }
-    .dark .article-body .faq-item h3 { color: #fafaf9; }
-
-    /* Newsletter section */
-    #newsletter input::placeholder { color: #94a3b8; }
-    .dark #newsletter input::placeholder { color: #52525b; }
-
-${megaNavStyles}
-
-    @media (max-width: 768px) {
-      .article-body h1 { font-size: 2rem; }
-      .article-body h2 { font-size: 1.5rem; }
-    }
-  </style>
+  <link rel="stylesheet" href="/css/article.css">
 </head>
 <body class="bg-slate-50 dark:bg-slate-950 font-sans antialiased">
 ${megaNavHtml}
@@ -202,21 +204,25 @@ ${megaNavHtml}
       </div>
     </div>
     <div class="article-body">
-      <article>${articleContent}
+      <article>${articleContent.trimEnd()}
       </article>
 
+      <!-- Cite this entry -->
+      <section class="cite-entry" aria-labelledby="cite-entry-heading">
+        <h3 id="cite-entry-heading">Cite this entry</h3>
+        <dl>${citeFormats}
+        </dl>
+        <p id="cite-copy-status" class="sr-only" aria-live="polite"></p>
+      </section>
+
       <!-- In-article CTA -->
       <div class="cta-box">
-        <h3>Stay Current with Creatinepedia</h3>
+        <h3>Stay Current with ${SITE.name}</h3>
         <p>Get notified when new entries are published. No hype, no marketing — just what the science shows.</p>
         <a href="#newsletter" class="cta-button">Get New Entries</a>
       </div>
 
-      <!-- Pillar page link -->${pillar ? `
-      <div class="related-articles">
-        <h3>Read the Full Guide</h3>
-        <p style="margin-bottom: 0.75rem;"><a href="/${category}/${pillar.slug}">${pillar.label}: ${categoryName}</a> — comprehensive overview with all cited sources.</p>
-      </div>` : ''}
+      <!-- Pillar page link and related entries -->${relatedArticles(category, categoryName, pillar, related)}
     </div>
 
     <!-- Category nav -->
@@ -231,67 +237,115 @@ ${megaNavHtml}
     </div>
   </main>
 
-  <!-- Newsletter section -->
-  <section id="newsletter" class="py-16 bg-slate-100 dark:bg-zinc-900/30 border-t border-slate-200 dark:border-zinc-800/60">
-    <div class="max-w-xl mx-auto px-6 text-center">
-      <h2 class="font-serif text-3xl text-slate-900 dark:text-zinc-100 mb-3">New Entries & Updates</h2>
-      <p class="text-slate-600 dark:text-zinc-400 mb-6">New encyclopedia entries and updates — delivered when they matter. No spam. Unsubscribe anytime.</p>
-      <form class="flex flex-col sm:flex-row gap-3 justify-center" onsubmit="return false;">
-        <input type="email" placeholder="your@email.com" class="px-4 py-3 rounded-lg border border-slate-300 dark:border-zinc-700 bg-white dark:bg-zinc-800 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-sky-500 w-full sm:w-72">
-        <button type="submit" class="px-6 py-3 bg-sky-600 hover:bg-sky-500 text-white font-semibold rounded-lg transition-colors cta-glow">Subscribe</button>
-      </form>
-      <p class="text-xs text-slate-500 dark:text-zinc-600 mt-3">100% evidence-based. Every claim cited.</p>
-    </div>
-  </section>
+${newsletterHtml}
 
 ${footerHtml}
 
-${megaNavScript}
+  <script src="/js/site.js"></script>
+  <script src="/js/article.js"></script>
 </body>
 </html>`;
 }
 
 function retemplate() {
     console.log('Retemplating cluster articles...\n');
-    let total = 0;
+    const references = loadReferences();
+    let drafts = 0;
+    let removed = 0;
+    let schemaWarnings = 0;
     const errors = [];
 
-    for (const dir of HTML_SOURCE_DIRS) {
-        const dirPath = path.join(ROOT_DIR, dir);
-        if (!fs.existsSync(dirPath)) {
+    // Render every article first: related entries compare each with all the others
+    const articles = [];
+    const pages = new Map();
+    for (const dir of site.clusterSlugs) {
+        const srcDir = path.join(site.paths.content, dir);
+        if (!fs.existsSync(srcDir)) {
             console.log(`  Skipping ${dir}/ (not found)`);
             continue;
         }
 
-        const files = fs.readdirSync(dirPath).filter(f => f.endsWith('.html') && f !== 'index.html');
-        let count = 0;
-
-        for (const file of files) {
-            const filePath = path.join(dirPath, file);
-            const html = fs.readFileSync(filePath, 'utf8');
-            const { title, description, schemaBlocks, articleContent } = extractFromHtml(html);
-
-            if (!articleContent) {
-                errors.push(`${dir}/${file}: no <article> tag found`);
+        pages.set(dir, new Set());
+        for (const file of fs.readdirSync(srcDir).filter(f => f.endsWith('.md'))) {
+            const slug = file.replace(/\.md$/, '');
+            let article;
+            try {
+                article = renderArticle(fs.readFileSync(path.join(srcDir, file), 'utf8'), dir, references);
+            } catch (e) {
+                // Keep the last good page; the run fails
+                errors.push(`${dir}/${file}: ${e.message}`);
+                pages.get(dir).add(`${slug}.html`);
+                continue;
+            }
+            if (!article) {
+                drafts++;
                 continue;
             }
+            articles.push({ ...article, dir, file, slug, id: `${dir}/${slug}` });
+        }
+    }
 
-            const slug = file.replace('.html', '');
-            const newHtml = buildTemplate(title, description, schemaBlocks, articleContent, dir, slug);
-            fs.writeFileSync(filePath, newHtml);
-            count++;
+    const byId = new Map(articles.map(article => [article.id, article]));
+    const related = relatedEntries(articles.map(article => articleDocument(article.id, article.content)), {
+        count: site.related && site.related.count,
+        overrides: site.related && site.related.overrides,
+        // The pillar page is linked from every article in its cluster already
+        skip: id => {
+            const cluster = site.cluster(byId.get(id).dir);
+            return cluster && cluster.pillar ? [`${cluster.slug}/${cluster.pillar.slug}`] : [];
         }
+    });
+
+    const counts = new Map([...pages.keys()].map(dir => [dir, 0]));
+    for (const article of articles) {
+        const { metadata, content, dir, file, slug } = article;
+        const entries = related.get(article.id).map(({ id }) => {
+            const other = byId.get(id);
+            const cluster = site.cluster(other.dir);
+            return { url: `/${id}`, title: other.metadata.title, clusterName: cluster ? cluster.name : other.dir };
+        });
+
+        const outDir = path.join(site.paths.generated, dir);
+        fs.mkdirSync(outDir, { recursive: true });
+        const newHtml = buildTemplate(metadata, linkCitations(content), dir, slug, entries);
+        fs.writeFileSync(path.join(outDir, `${slug}.html`), newHtml);
+        pages.get(dir).add(`${slug}.html`);
+
+        const { errors: schemaErrors, warnings } = validateHtml(newHtml);
+        schemaErrors.forEach(e => errors.push(`${dir}/${file}: schema ${e}`));
+        schemaWarnings += warnings.length;
+        counts.set(dir, counts.get(dir) + 1);
+    }
 
-        console.log(`  ${dir}/: ${count} files`);
-        total += count;
+    // Pages whose markdown was deleted or turned into a draft
+    for (const [dir, kept] of pages) {
+        const outDir = path.join(site.paths.generated, dir);
+        if (!fs.existsSync(outDir)) continue;
+        for (const file of fs.readdirSync(outDir)) {
+            if (file.endsWith('.html') && file !== 'index.html' && !kept.has(file)) {
+                fs.rmSync(path.join(outDir, file));
+                removed++;
+            }
+        }
     }
 
+    counts.forEach((count, dir) => console.log(`  ${dir}/: ${count} files`));
+    const total = [...counts.values()].reduce((a, b) => a + b, 0);
+
     if (errors.length > 0) {
         console.log(`\nErrors (${errors.length}):`);
         errors.forEach(e => console.log(`  ${e}`));
+        process.exitCode = 1;
     }
 
-    console.log(`\n✓ Retemplated ${total} articles`);
+    const notes = [`${schemaWarnings} schema warnings`];
+    if (drafts) notes.push(`${drafts} drafts skipped`);
+    if (removed) notes.push(`${removed} stale pages removed`);
+    console.log(`\n✓ Retemplated ${total} articles (${notes.join(', ')})`);
+}
+
+if (require.main === module) {
+    retemplate();
 }
 
-retemplate();
+module.exports = { retemplate, renderArticle };
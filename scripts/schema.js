@@ -0,0 +1,441 @@
+/**
+ * schema.org JSON-LD for Creatinepedia pages.
+ *
+ * One place for the structured data every script emits:
+ * - TechArticle, with a `citation` array built from the bibliography
+ * - BreadcrumbList (Home → cluster → article)
+ * - FAQPage
+ * - ItemList (the /faq hub's questions)
+ * - DefinedTermSet / DefinedTerm (the glossary)
+ *
+ * validateSchema() checks a block against the properties schema.org and
+ * Google's rich results require (errors) or recommend (warnings).
+ *
+ * Used by build.js, retemplate.js, inject-faqs.js, generate-indexes.js and
+ * glossary.js.
+ *
+ * Exports: SITE, articleSchema, breadcrumbSchema, faqSchema, itemListSchema,
+ *          definedTermSchema, definedTermSetSchema, extractFaqs, extractSchemas, toJsonLd,
+ *          validateSchema, validateHtml
+ */
+
+const { site } = require('./site-config');
+
+const SITE = {
+    url: site.url,
+    name: site.name,
+    author: site.author.name,
+    authorUrl: site.author.url,
+    logo: site.logo
+};
+
+const ARTICLE_TYPES = ['Article', 'TechArticle', 'ScholarlyArticle', 'NewsArticle', 'BlogPosting'];
+
+// Properties articleSchema() owns; anything else on an existing block is kept
+const ARTICLE_FIELDS = ['@context', '@type', 'headline', 'description', 'url', 'image', 'author',
+    'publisher', 'datePublished', 'dateModified', 'mainEntityOfPage', 'citation'];
+
+const ISO_DATE = /^\d{4}(-\d{2}(-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?)?)?$/;
+
+function plainText(str) {
+    return String(str || '')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&#39;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// ─── Builders ──────────────────────────────────────────────────────
+
+/**
+ * A bibliography record (see references.js) as a schema.org citation.
+ */
+function citationItem(ref) {
+    if (ref.raw) {
+        return { "@type": "CreativeWork", "name": plainText(ref.raw) };
+    }
+
+    const item = {
+        "@type": "ScholarlyArticle",
+        "name": plainText(ref.title),
+        "author": ref.authors.map(a => ({
+            "@type": "Person",
+            "name": [a.family, a.given, a.suffix].filter(Boolean).join(' ')
+        }))
+    };
+    if (ref.year) item.datePublished = ref.year;
+    if (ref.journal) item.isPartOf = { "@type": "Periodical", "name": plainText(ref.journal) };
+    if (ref.doi) item.sameAs = `https://doi.org/${ref.doi}`;
+    if (ref.pmid) item.identifier = `PMID:${ref.pmid}`;
+
+    return item;
+}
+
+/**
+ * TechArticle for an entry.
+ * article: { title, description, url, datePublished, dateModified, image, references, extra }
+ * `references` are parsed bibliography records; `extra` carries properties
+ * from an existing block (keywords, proficiencyLevel) that should survive.
+ */
+function articleSchema(article) {
+    const schema = {
+        "@context": "https://schema.org",
+        "@type": "TechArticle",
+        "headline": plainText(article.title)
+    };
+
+    if (article.description) schema.description = plainText(article.description);
+    schema.url = article.url;
+    if (article.image) schema.image = article.image;
+    schema.author = {
+        "@type": "Organization",
+        "name": SITE.author,
+        "url": SITE.authorUrl
+    };
+    schema.publisher = {
+        "@type": "Organization",
+        "name": SITE.name,
+        "url": SITE.url,
+        "logo": {
+            "@type": "ImageObject",
+            "url": `${SITE.url}${SITE.logo}`
+        }
+    };
+    if (article.datePublished) schema.datePublished = article.datePublished;
+    if (article.dateModified || article.datePublished) {
+        schema.dateModified = article.dateModified || article.datePublished;
+    }
+    schema.mainEntityOfPage = {
+        "@type": "WebPage",
+        "@id": article.url
+    };
+
+    for (const [key, value] of Object.entries(article.extra || {})) {
+        if (!ARTICLE_FIELDS.includes(key)) schema[key] = value;
+    }
+
+    const references = article.references || [];
+    if (references.length > 0) schema.citation = references.map(citationItem);
+
+    return schema;
+}
+
+/**
+ * BreadcrumbList: Home → cluster → article.
+ */
+function breadcrumbSchema(cluster, clusterName, title, url) {
+    return {
+        "@context": "https://schema.org",
+        "@type": "BreadcrumbList",
+        "itemListElement": [
+            {
+                "@type": "ListItem",
+                "position": 1,
+                "name": "Home",
+                "item": `${SITE.url}/`
+            },
+            {
+                "@type": "ListItem",
+                "position": 2,
+                "name": clusterName,
+                "item": `${SITE.url}/${cluster}`
+            },
+            {
+                "@type": "ListItem",
+                "position": 3,
+                "name": plainText(title),
+                "item": url
+            }
+        ]
+    };
+}
+
+/**
+ * FAQPage from [{ question, answer, url }] (`url` optional: where the
+ * question is answered in full). Returns null when there are none.
+ */
+function faqSchema(faqs) {
+    if (!faqs || faqs.length === 0) return null;
+
+    return {
+        "@context": "https://schema.org",
+        "@type": "FAQPage",
+        "mainEntity": faqs.map(faq => {
+            const question = {
+                "@type": "Question",
+                "name": plainText(faq.question),
+                "acceptedAnswer": {
+                    "@type": "Answer",
+                    "text": plainText(faq.answer)
+                }
+            };
+            if (faq.url) question.acceptedAnswer.url = faq.url;
+            return question;
+        })
+    };
+}
+
+/**
+ * ItemList of links, in order, from [{ name, url }].
+ */
+function itemListSchema(name, items) {
+    return {
+        "@context": "https://schema.org",
+        "@type": "ItemList",
+        "name": plainText(name),
+        "numberOfItems": items.length,
+        "itemListElement": items.map((item, i) => ({
+            "@type": "ListItem",
+            "position": i + 1,
+            "name": plainText(item.name),
+            "url": item.url
+        }))
+    };
+}
+
+/**
+ * One DefinedTerm. term: { name, alternateName: [], description, url }.
+ */
+function definedTermItem(term) {
+    const item = {
+        "@type": "DefinedTerm",
+        "@id": term.url,
+        "name": plainText(term.name)
+    };
+    if (term.alternateName && term.alternateName.length > 0) item.alternateName = term.alternateName.map(plainText);
+    item.description = plainText(term.description);
+    item.url = term.url;
+    return item;
+}
+
+/**
+ * DefinedTerm for a glossary term's own page, in the set `set` ({ name, url }).
+ */
+function definedTermSchema(term, set) {
+    return {
+        "@context": "https://schema.org",
+        ...definedTermItem(term),
+        "inDefinedTermSet": {
+            "@type": "DefinedTermSet",
+            "@id": set.url,
+            "name": plainText(set.name),
+            "url": set.url
+        }
+    };
+}
+
+/**
+ * DefinedTermSet listing every term, for the glossary index page.
+ */
+function definedTermSetSchema(name, url, description, terms) {
+    return {
+        "@context": "https://schema.org",
+        "@type": "DefinedTermSet",
+        "@id": url,
+        "name": plainText(name),
+        "description": plainText(description),
+        "url": url,
+        "hasDefinedTerm": terms.map(definedTermItem)
+    };
+}
+
+// ─── Parsing ───────────────────────────────────────────────────────
+
+/**
+ * Q&A pairs from an injected <section class="faq-section"> (see inject-faqs.js):
+ * [{ question, answer, id }], as HTML; `id` is the question heading's, or ''.
+ */
+function extractFaqs(html) {
+    const section = html.match(/<section class="faq-section">([\s\S]*?)<\/section>/);
+    if (!section) return [];
+
+    const faqs = [];
+    const itemRegex = /<div class="faq-item">\s*<h3([^>]*)>([\s\S]*?)<\/h3>\s*<p>([\s\S]*?)<\/p>/g;
+    let match;
+    while ((match = itemRegex.exec(section[1])) !== null) {
+        const id = match[1].match(/\sid="([^"]*)"/);
+        faqs.push({ question: match[2].trim(), answer: match[3].trim(), id: id ? id[1] : '' });
+    }
+    return faqs;
+}
+
+/**
+ * Every JSON-LD block in a page, flattened (a top-level array becomes its
+ * items). Blocks that fail to parse are returned as { error, source }.
+ */
+function extractSchemas(html) {
+    const schemas = [];
+    const schemaRegex = /<script\s+type="application\/ld\+json">\s*([\s\S]*?)\s*<\/script>/g;
+    let match;
+    while ((match = schemaRegex.exec(html)) !== null) {
+        try {
+            const parsed = JSON.parse(match[1]);
+            schemas.push(...(Array.isArray(parsed) ? parsed : [parsed]));
+        } catch (e) {
+            schemas.push({ error: e.message, source: match[1] });
+        }
+    }
+    return schemas;
+}
+
+/**
+ * Serialize for a <script type="application/ld+json"> block. "<" is escaped
+ * so text like "</script>" inside a value can't end the block early.
+ */
+function toJsonLd(schema) {
+    return JSON.stringify(schema, null, 2).replace(/</g, '\\u003c');
+}
+
+// ─── Validation ────────────────────────────────────────────────────
+
+function hasText(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+function hasName(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values.length > 0 && values.every(v => v && hasText(v.name));
+}
+
+function validateArticle(schema, errors, warnings) {
+    const type = schema['@type'];
+    if (!hasText(schema.headline)) errors.push(`${type}: missing headline`);
+    else if (schema.headline.length > 110) warnings.push(`${type}: headline longer than 110 characters`);
+    if (!hasName(schema.author)) errors.push(`${type}: author needs a name`);
+    if (!hasName(schema.publisher)) errors.push(`${type}: publisher needs a name`);
+    if (!schema.mainEntityOfPage && !schema.url) errors.push(`${type}: missing mainEntityOfPage or url`);
+
+    for (const field of ['datePublished', 'dateModified']) {
+        if (!schema[field]) warnings.push(`${type}: missing ${field}`);
+        else if (!ISO_DATE.test(schema[field])) errors.push(`${type}: ${field} "${schema[field]}" is not ISO 8601`);
+    }
+    if (!schema.image) warnings.push(`${type}: missing image`);
+    if (!hasText(schema.description)) warnings.push(`${type}: missing description`);
+
+    (schema.citation || []).forEach((item, i) => {
+        if (!item || !hasText(item.name)) errors.push(`${type}: citation ${i + 1} has no name`);
+    });
+}
+
+function validateBreadcrumb(schema, errors) {
+    const items = schema.itemListElement;
+    if (!Array.isArray(items) || items.length < 2) {
+        errors.push('BreadcrumbList: needs at least two ListItems');
+        return;
+    }
+    items.forEach((item, i) => {
+        if (item.position !== i + 1) errors.push(`BreadcrumbList: item ${i + 1} has position ${item.position}`);
+        if (!hasText(item.name)) errors.push(`BreadcrumbList: item ${i + 1} has no name`);
+        // The last crumb may omit item (it is the current page)
+        if (i < items.length - 1 && !hasText(item.item)) errors.push(`BreadcrumbList: item ${i + 1} has no item URL`);
+    });
+}
+
+function validateFaqPage(schema, errors) {
+    const questions = schema.mainEntity;
+    if (!Array.isArray(questions) || questions.length === 0) {
+        errors.push('FAQPage: mainEntity has no questions');
+        return;
+    }
+    questions.forEach((q, i) => {
+        if (q['@type'] !== 'Question') errors.push(`FAQPage: entity ${i + 1} is not a Question`);
+        if (!hasText(q.name)) errors.push(`FAQPage: question ${i + 1} has no name`);
+        if (!q.acceptedAnswer || !hasText(q.acceptedAnswer.text)) errors.push(`FAQPage: question ${i + 1} has no acceptedAnswer text`);
+    });
+}
+
+function validateItemList(schema, errors) {
+    const items = schema.itemListElement;
+    if (!Array.isArray(items) || items.length === 0) {
+        errors.push('ItemList: itemListElement has no items');
+        return;
+    }
+    items.forEach((item, i) => {
+        if (item.position !== i + 1) errors.push(`ItemList: item ${i + 1} has position ${item.position}`);
+        if (!hasText(item.url) && !hasText(item.item)) errors.push(`ItemList: item ${i + 1} has no url`);
+    });
+}
+
+function validateDefinedTerm(term, label, errors, warnings) {
+    if (term['@type'] !== 'DefinedTerm') errors.push(`${label} is not a DefinedTerm`);
+    if (!hasText(term.name)) errors.push(`${label} has no name`);
+    if (!hasText(term.description)) warnings.push(`${label} has no description`);
+}
+
+function validateDefinedTermSet(schema, errors, warnings) {
+    if (!hasText(schema.name)) errors.push('DefinedTermSet: missing name');
+    const terms = schema.hasDefinedTerm;
+    if (!Array.isArray(terms) || terms.length === 0) {
+        errors.push('DefinedTermSet: hasDefinedTerm has no terms');
+        return;
+    }
+    terms.forEach((term, i) => validateDefinedTerm(term || {}, `DefinedTermSet: term ${i + 1}`, errors, warnings));
+}
+
+/**
+ * Check one JSON-LD object. Returns { errors, warnings } (string lists).
+ */
+function validateSchema(schema) {
+    const errors = [];
+    const warnings = [];
+
+    if (schema.error) {
+        errors.push(`invalid JSON: ${schema.error}`);
+        return { errors, warnings };
+    }
+    if (!/^https?:\/\/schema\.org\/?$/.test(schema['@context'] || '')) errors.push('missing @context "https://schema.org"');
+    if (!schema['@type']) errors.push('missing @type');
+
+    if (ARTICLE_TYPES.includes(schema['@type'])) validateArticle(schema, errors, warnings);
+    else if (schema['@type'] === 'BreadcrumbList') validateBreadcrumb(schema, errors);
+    else if (schema['@type'] === 'FAQPage') validateFaqPage(schema, errors);
+    else if (schema['@type'] === 'ItemList') validateItemList(schema, errors);
+    else if (schema['@type'] === 'DefinedTermSet') validateDefinedTermSet(schema, errors, warnings);
+    else if (schema['@type'] === 'DefinedTerm') {
+        validateDefinedTerm(schema, 'DefinedTerm', errors, warnings);
+        if (!schema.inDefinedTermSet) errors.push('DefinedTerm: missing inDefinedTermSet');
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Validate every JSON-LD block in a page, plus page-level rules (one
+ * FAQPage at most). Returns { errors, warnings }.
+ */
+function validateHtml(html) {
+    const errors = [];
+    const warnings = [];
+    const schemas = extractSchemas(html);
+
+    for (const schema of schemas) {
+        const result = validateSchema(schema);
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+    }
+    if (schemas.filter(s => s['@type'] === 'FAQPage').length > 1) {
+        errors.push('more than one FAQPage block');
+    }
+
+    return { errors, warnings };
+}
+
+module.exports = {
+    SITE,
+    articleSchema,
+    breadcrumbSchema,
+    faqSchema,
+    itemListSchema,
+    definedTermSchema,
+    definedTermSetSchema,
+    extractFaqs,
+    extractSchemas,
+    toJsonLd,
+    validateSchema,
+    validateHtml
+};
@@ -0,0 +1,236 @@
+/**
+ * Build-time index for the site search (shared.js searchScript).
+ *
+ * Every article page in dist/ is split into sections: the introduction,
+ * one per <h2>/<h3> that has an id (results deep-link to it), and one per
+ * FAQ question whose answer isn't already in one of those. The index written to /search-index.json holds:
+ *
+ *   docs      [[url, title, cluster name]]
+ *   sections  [[doc, anchor, heading, snippet]]   (anchor '' = the page top)
+ *   terms     { term: postings }
+ *   stop      words left out of terms, so the browser drops them from queries too
+ *
+ * Weights favour where a term appears: the title and description count for
+ * a page's first section, a heading or FAQ question for its own section, and
+ * body text by log-scaled frequency. The bibliography is not indexed.
+ *
+ * To keep the index small, a section where a term is only mentioned once in
+ * passing (weight below MIN_WEIGHT) is left out of that term's postings,
+ * unless the term has fewer than MIN_POSTINGS stronger ones: every term
+ * still finds something, and a rare word still finds the page it is on.
+ *
+ * Postings are a string, decoded only for the terms a query matches: one
+ * space-separated entry per section, its id as the base-36 gap from the
+ * previous entry's, then "*weight" unless the weight is 1 ("0 3*6 a").
+ *
+ * - pageSections(html): a page's title, description and sections
+ * - buildSearchIndex(pages): the index for [{ url, cluster, html }]
+ * - addHeadingIds(html): give the article's h2/h3 headings ids to link to
+ *
+ * Used by build.js.
+ *
+ * Exports: STOP_WORDS, tokenize, pageSections, buildSearchIndex, addHeadingIds
+ */
+
+const { extractBibliography } = require('./references');
+const { slugify } = require('./markdown');
+
+const WEIGHTS = { title: 12, heading: 6, description: 4 };
+
+// Postings below MIN_WEIGHT (one mention in body text; every boost above is
+// higher) are dropped once a term has MIN_POSTINGS others
+const MIN_WEIGHT = 2;
+const MIN_POSTINGS = 3;
+
+// Characters of section text kept for the result snippet
+const SNIPPET_LENGTH = 120;
+
+const STOP_WORDS = [
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+    'how', 'if', 'in', 'into', 'is', 'it', 'its', 'not', 'of', 'on', 'or', 'so', 'than', 'that', 'the', 'their', 'them',
+    'then', 'there', 'these', 'they', 'this', 'those', 'to', 'was', 'were', 'what', 'when', 'which', 'while', 'who',
+    'why', 'will', 'with', 'you', 'your'
+];
+const STOP_SET = new Set(STOP_WORDS);
+
+function decodeEntities(str) {
+    return str
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&mdash;/g, '—')
+        .replace(/&ndash;/g, '–')
+        .replace(/&rarr;/g, '→')
+        .replace(/&middot;/g, '·')
+        .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// Inline tags join their text to the words around them; any other tag separates
+const INLINE_TAG = /<\/?(?:a|abbr|b|cite|code|em|i|mark|small|span|strong|sub|sup)\b[^>]*>/g;
+
+function plainText(html) {
+    return decodeEntities(html.replace(INLINE_TAG, '').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Search terms in text: lowercase, accents folded, split on anything that
+ * isn't a letter or digit, without stop words and single characters.
+ */
+function tokenize(text) {
+    return (text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').match(/[a-z0-9]+/g) || [])
+        .filter(token => token.length > 1 && !STOP_SET.has(token));
+}
+
+function snippet(text) {
+    if (text.length <= SNIPPET_LENGTH) return text;
+    return `${text.slice(0, SNIPPET_LENGTH).replace(/\s+\S*$/, '')}…`;
+}
+
+// ─── Pages ─────────────────────────────────────────────────────────
+
+/**
+ * Ids for the h2/h3 headings in a page's <article> that have none, from
+ * their text (markdown.js slugify), kept unique within the page.
+ */
+function addHeadingIds(html) {
+    const start = html.search(/<article\b/);
+    const end = html.indexOf('</article>', start);
+    if (start === -1 || end === -1) return html;
+
+    const taken = new Set([...html.matchAll(/\sid="([^"]*)"/g)].map(m => m[1]));
+    const article = html.slice(start, end).replace(/<(h[23])((?:\s[^>]*)?)>([\s\S]*?)<\/\1>/g, (match, tag, attrs, inner) => {
+        if (/\sid=/.test(attrs)) return match;
+        const base = slugify(plainText(inner)) || 'section';
+        let id = base;
+        for (let n = 1; taken.has(id); n++) id = `${base}-${n}`;
+        taken.add(id);
+        return `<${tag} id="${id}"${attrs}>${inner}</${tag}>`;
+    });
+    return html.slice(0, start) + article + html.slice(end);
+}
+
+/**
+ * A page's title, description and sections ([{ anchor, heading, text, faq }]).
+ * Null for a page with no <article>.
+ */
+function pageSections(html) {
+    const articleMatch = html.match(/<article\b[^>]*>([\s\S]*?)<\/article>/);
+    if (!articleMatch) return null;
+
+    const titleMatch = articleMatch[1].match(/<h1[^>]*>([\s\S]*?)<\/h1>/) || html.match(/<title>([\s\S]*?)<\/title>/);
+    const descMatch = html.match(/<meta\s+name="description"\s+content="([^"]*)"/);
+
+    let body = articleMatch[1];
+    const faqs = [];
+    body = body.replace(/<section class="faq-section">([\s\S]*?)<\/section>/g, (m, inner) => {
+        for (const item of inner.matchAll(/<h3([^>]*)>([\s\S]*?)<\/h3>\s*([\s\S]*?)(?=<h3|$)/g)) {
+            const id = item[1].match(/\sid="([^"]*)"/);
+            faqs.push({ anchor: id ? id[1] : '', heading: plainText(item[2]), text: plainText(item[3]), faq: true });
+        }
+        return '';
+    });
+    const bib = extractBibliography(body);
+    if (bib) body = body.slice(0, bib.headingStart);
+    body = body
+        .replace(/<(script|style|nav|button)\b[\s\S]*?<\/\1>/g, ' ')
+        .replace(/<h1[^>]*>[\s\S]*?<\/h1>/, ' ');
+
+    // Split at headings with an id; the text before the first is the introduction
+    const sections = [];
+    const parts = body.split(/<(h[23])\s[^>]*?id="([^"]*)"[^>]*>([\s\S]*?)<\/\1>/);
+    sections.push({ anchor: '', heading: '', text: plainText(parts[0]), faq: false });
+    for (let i = 1; i < parts.length; i += 4) {
+        sections.push({ anchor: parts[i + 1], heading: plainText(parts[i + 2]), text: plainText(parts[i + 3] || ''), faq: false });
+    }
+
+    // A FAQ answer quoting the page's own section (most are approved
+    // drafts: a section's opening sentences) would only be indexed twice
+    const ownFaqs = faqs.filter(faq => !sections.some(section => section.text.includes(faq.text)));
+
+    return {
+        title: titleMatch ? plainText(titleMatch[1]) : '',
+        description: descMatch ? decodeEntities(descMatch[1]) : '',
+        sections: sections.concat(ownFaqs).filter((section, i) => i === 0 || section.heading)
+    };
+}
+
+// ─── Index ─────────────────────────────────────────────────────────
+
+/**
+ * The postings worth keeping ([[section, weight]], ascending): the ones
+ * with weight MIN_WEIGHT or more, topped up to MIN_POSTINGS with the rest
+ * in section order.
+ */
+function keptPostings(entries) {
+    const strong = entries.filter(([, weight]) => weight >= MIN_WEIGHT);
+    if (strong.length >= MIN_POSTINGS) return strong;
+    const weak = entries.filter(([, weight]) => weight < MIN_WEIGHT).slice(0, MIN_POSTINGS - strong.length);
+    return strong.concat(weak).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * [[section, weight]] in ascending section order as a postings string.
+ */
+function encodePostings(entries) {
+    let previous = 0;
+    return entries.map(([section, weight]) => {
+        const gap = (section - previous).toString(36);
+        previous = section;
+        return weight === 1 ? gap : `${gap}*${weight}`;
+    }).join(' ');
+}
+
+/**
+ * The search index for pages ([{ url, cluster, html }], cluster being a
+ * display name). Pages without an <article> are left out.
+ */
+function buildSearchIndex(pages) {
+    const docs = [];
+    const sections = [];
+    const postings = new Map();
+
+    const add = (sectionId, weights) => weights.forEach((weight, term) => {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push([sectionId, weight]);
+    });
+
+    for (const page of pages) {
+        const parsed = pageSections(page.html);
+        if (!parsed) continue;
+        const docId = docs.push([page.url, parsed.title, page.cluster]) - 1;
+
+        parsed.sections.forEach((section, i) => {
+            // The introduction opens with the byline; the description says more
+            const text = i === 0 && parsed.description ? parsed.description : section.text;
+            const sectionId = sections.push([docId, section.anchor, section.heading, snippet(text)]) - 1;
+
+            const counts = new Map();
+            tokenize(section.text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+            const weights = new Map();
+            counts.forEach((count, term) => weights.set(term, Math.round(1 + Math.log2(count))));
+
+            const boost = (text, weight) => new Set(tokenize(text)).forEach(term => weights.set(term, (weights.get(term) || 0) + weight));
+            boost(section.heading, WEIGHTS.heading);
+            if (i === 0) {
+                boost(parsed.title, WEIGHTS.title);
+                boost(parsed.description, WEIGHTS.description);
+            }
+            add(sectionId, weights);
+        });
+    }
+
+    const terms = {};
+    [...postings.keys()].sort().forEach(term => { terms[term] = encodePostings(keptPostings(postings.get(term))); });
+    return { docs, sections, terms, stop: STOP_WORDS };
+}
+
+module.exports = {
+    STOP_WORDS,
+    tokenize,
+    pageSections,
+    buildSearchIndex,
+    addHeadingIds
+};
@@ -0,0 +1,263 @@
+/**
+ * Local dev server for dist/, with Netlify's URL rewrites and live reload.
+ *
+ * - Applies netlify.toml's [[redirects]] (netlify.js), so /dosing/<slug>,
+ *   /science and the 404 fallback behave as they do in production
+ * - Watches content/, root pages, references.json, scripts/shared.js
+ *   and site.config.js; on a change, re-runs only the
+ *   pipeline steps it affects (through the CLI, in a fresh process) and
+ *   reloads open pages
+ * - Live reload is a Server-Sent Events stream at /__livereload; a small
+ *   script is added to every HTML response (never to dist/ itself)
+ *
+ * Used by creatinepedia.js (`serve`).
+ *
+ * Exports: serve, stepsFor
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { loadRedirects, resolveRequest } = require('./netlify');
+const { hashFile } = require('./build-manifest');
+const { SITE_CONFIG_FILE, site } = require('./site-config');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DIST_DIR = site.paths.dist;
+const CONTENT_DIR = site.paths.content;
+const CONTENT_REL = path.relative(ROOT_DIR, CONTENT_DIR);
+const CLI = path.join(__dirname, 'creatinepedia.js');
+const SHARED_JS = path.join('scripts', 'shared.js');
+const SITE_CONFIG = path.relative(ROOT_DIR, SITE_CONFIG_FILE);
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.bib': 'application/x-bibtex; charset=utf-8',
+    '.ris': 'application/x-research-info-systems; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2'
+};
+
+const LIVE_RELOAD_PATH = '/__livereload';
+const LIVE_RELOAD_SCRIPT = `<script>
+  (function () {
+    var source = new EventSource('${LIVE_RELOAD_PATH}');
+    source.addEventListener('reload', function () { location.reload(); });
+  })();
+</script>`;
+
+// ─── Change → steps ────────────────────────────────────────────────
+
+/**
+ * Pipeline steps to re-run after `relPath` (relative to the repo root)
+ * changes. Incremental builds keep `build` cheap.
+ */
+function stepsFor(relPath) {
+    const parts = relPath.split(path.sep);
+
+    if (relPath === SITE_CONFIG) return ['references', 'retemplate', 'faqs', 'indexes', 'build'];
+    if (relPath === SHARED_JS) return ['retemplate', 'indexes', 'build'];
+    if (relPath === 'references.json') return ['references', 'retemplate', 'faqs', 'build'];
+    if (relPath.startsWith(CONTENT_REL + path.sep)) {
+        // An article's frontmatter also feeds its cluster's index page
+        const inCluster = site.clusterSlugs.includes(parts[1]) && parts.length === 3 && parts[2].endsWith('.md');
+        return inCluster ? ['retemplate', 'faqs', 'indexes', 'build'] : ['build'];
+    }
+    if (parts.length === 1 && /\.(html|css|txt|json)$/.test(relPath) && relPath !== 'references.json') return ['build'];
+    return [];
+}
+
+// ─── Server ────────────────────────────────────────────────────────
+
+function requestLanguages(req) {
+    const header = req.headers['accept-language'];
+    if (!header) return null;
+    return header.split(',').map(part => part.split(';')[0].trim().toLowerCase()).filter(Boolean);
+}
+
+function createServer(clients, redirects) {
+    return http.createServer((req, res) => {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+
+        if (pathname === LIVE_RELOAD_PATH) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-store',
+                'Connection': 'keep-alive'
+            });
+            res.write(': connected\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+
+        const result = resolveRequest(pathname, DIST_DIR, redirects, { languages: requestLanguages(req) });
+
+        if (result.location) {
+            res.writeHead(result.status, { Location: result.location });
+            res.end();
+        } else if (!result.file) {
+            res.writeHead(result.status, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(`${result.status} ${http.STATUS_CODES[result.status]}\n`);
+        } else {
+            const ext = path.extname(result.file).toLowerCase();
+            let body = fs.readFileSync(result.file);
+            if (ext === '.html') {
+                const html = body.toString('utf8');
+                body = html.includes('</body>')
+                    ? html.replace(/<\/body>(?![\s\S]*<\/body>)/, `${LIVE_RELOAD_SCRIPT}\n</body>`)
+                    : html + LIVE_RELOAD_SCRIPT;
+            }
+            res.writeHead(result.status, {
+                'Content-Type': CONTENT_TYPES[ext] || 'application/octet-stream',
+                'Cache-Control': 'no-store'
+            });
+            res.end(req.method === 'HEAD' ? undefined : body);
+        }
+
+        const target = result.location ? ` → ${result.location}` : '';
+        console.log(`  ${result.status} ${req.method} ${pathname}${target}`);
+    });
+}
+
+// ─── Watcher ───────────────────────────────────────────────────────
+
+/**
+ * Hashes of every watched file, so a change is only acted on when content
+ * actually differs (editors often save twice; the pipeline rewrites files).
+ */
+function snapshot() {
+    const hashes = new Map();
+    const add = file => hashes.set(file, hashFile(file));
+    const addDir = (dir, recursive) => {
+        if (!fs.existsSync(dir)) return;
+        for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+            const full = path.join(dir, item.name);
+            if (item.isDirectory()) {
+                if (recursive) addDir(full, true);
+            } else {
+                add(full);
+            }
+        }
+    };
+
+    addDir(ROOT_DIR, false);
+    addDir(CONTENT_DIR, true);
+    add(path.join(ROOT_DIR, SHARED_JS));
+    return hashes;
+}
+
+function watch(onChange) {
+    const watchers = [];
+    const add = (dir, options = {}) => {
+        if (!fs.existsSync(dir)) return false;
+        watchers.push(fs.watch(dir, options, (event, filename) => {
+            if (filename) onChange(path.join(dir, filename.toString()));
+        }));
+        return true;
+    };
+
+    let watchingContent = add(CONTENT_DIR, { recursive: true });
+    add(__dirname);
+    // The root watcher also notices content/ being created; anything
+    // written into it before its watcher started counts as changed
+    add(ROOT_DIR);
+    watchers[watchers.length - 1].on('change', (event, filename) => {
+        if (watchingContent || String(filename) !== CONTENT_REL) return;
+        watchingContent = add(CONTENT_DIR, { recursive: true });
+        if (watchingContent) {
+            fs.readdirSync(CONTENT_DIR, { recursive: true }).forEach(item => onChange(path.join(CONTENT_DIR, String(item))));
+        }
+    });
+
+    return watchers;
+}
+
+// ─── Serve ─────────────────────────────────────────────────────────
+
+/**
+ * Start the server and watcher. options: { port, strict }.
+ */
+function serve(options = {}) {
+    const port = options.port || Number(process.env.PORT) || 8888;
+    const redirects = loadRedirects();
+    const clients = new Set();
+
+    let hashes = snapshot();
+    let pending = new Set();
+    let running = false;
+    let timer = null;
+
+    function reload() {
+        for (const res of clients) res.write('event: reload\ndata: {}\n\n');
+    }
+
+    function run() {
+        if (running || pending.size === 0) return;
+        const steps = [...new Set([...pending].flatMap(stepsFor))];
+        const changed = [...pending];
+        pending = new Set();
+        if (steps.length === 0) return;
+
+        running = true;
+        console.log(`\n↻ ${changed.slice(0, 3).join(', ')}${changed.length > 3 ? ` (+${changed.length - 3} more)` : ''} → ${steps.join(', ')}`);
+        const args = [CLI, ...steps, '--only'];
+        if (options.strict) args.push('--strict');
+
+        spawn(process.execPath, args, { stdio: 'inherit' }).on('exit', code => {
+            running = false;
+            // Files the pipeline itself wrote (retemplated articles) are not
+            // changes; it never writes content/, shared.js or the site
+            // config, so keep those
+            pending = new Set([...pending].filter(p => p.startsWith(`${CONTENT_REL}${path.sep}`) || p === SHARED_JS || p === SITE_CONFIG));
+            hashes = snapshot();
+            if (code === 0) {
+                console.log(`\n✓ Rebuilt — reloading ${clients.size} page${clients.size === 1 ? '' : 's'}`);
+                reload();
+            } else {
+                console.error('\n✗ Rebuild failed — fix the error and save again');
+            }
+            run();
+        });
+    }
+
+    watch(file => {
+        const relPath = path.relative(ROOT_DIR, file);
+        if (stepsFor(relPath).length === 0) return;
+        if (fs.existsSync(file) && fs.statSync(file).isDirectory()) return;
+        const hash = hashFile(file);
+        if (hashes.get(file) === hash) return;
+        hashes.set(file, hash);
+
+        pending.add(relPath);
+        clearTimeout(timer);
+        timer = setTimeout(run, 150);
+    });
+
+    const server = createServer(clients, redirects);
+    server.on('error', error => {
+        console.error(`\n✗ Could not start the server: ${error.message}`);
+        process.exit(1);
+    });
+    server.listen(port, () => {
+        console.log(`\nServing dist/ at http://localhost:${port} (${redirects.length} redirect rules from netlify.toml)`);
+        console.log(`Watching ${CONTENT_REL}/, root pages, references.json, scripts/shared.js and ${SITE_CONFIG} — Ctrl+C to stop\n`);
+    });
+}
+
+module.exports = {
+    serve,
+    stepsFor
+};
@@ -3,9 +3,12 @@
  * Encyclopedia design. Blue/teal palette. SWS attribution.
  *
  * Forked from aifirstsearch-content/scripts/shared.js
- * Used by retemplate.js, generate-indexes.js, and root page updates.
+ * Used by retemplate.js, generate-indexes.js, build.js, and root page updates.
  *
- * Exports: megaNavHtml, footerHtml, headIncludes, megaNavStyles, megaNavScript
+ * Exports: megaNavHtml, footerHtml, headIncludes, megaNavStyles, megaNavScript, searchStyles, searchScript,
+ *          citationPopoverStyles, citationPopoverScript, glossaryStyles, glossaryScript,
+ *          citeEntryStyles, citeEntryScript,
+ *          newsletterHtml, newsletterStyles, newsletterScript, articleStyles, tailwindConfig, stylesheetPath, sharedAssets
  */
 
 // ─── Mega Navigation ───────────────────────────────────────────────
@@ -43,6 +46,9 @@ const megaNavHtml = `
             </button>
           </div>
 
+          <!-- Search -->
+${searchBox('search-results', 'mx-2')}
+
           <!-- All Articles link -->
           <a href="/articles" class="nav-link px-4 py-2 text-sm text-slate-600 dark:text-zinc-500 hover:text-slate-900 dark:hover:text-zinc-200 transition-colors">All Articles</a>
 
@@ -188,6 +194,9 @@ const megaNavHtml = `
       <!-- ═══ Mobile Menu ═══ -->
       <div id="mobile-menu" class="hidden lg:hidden border-t border-slate-200 dark:border-zinc-800 bg-white dark:bg-slate-950 max-h-[80vh] overflow-y-auto">
         <div class="px-6 py-4 space-y-1">
+          <!-- Search -->
+${searchBox('mobile-search-results', 'site-search-mobile mb-3')}
+
           <!-- Research -->
           <button class="mobile-section-toggle w-full flex items-center justify-between py-3 text-slate-800 dark:text-zinc-200 font-medium">
             Research
@@ -226,6 +235,8 @@ const megaNavHtml = `
 
           <!-- Direct links -->
           <a href="/articles" class="block py-3 text-slate-800 dark:text-zinc-200 font-medium">All Articles</a>
+          <a href="/glossary" class="block py-3 text-slate-800 dark:text-zinc-200 font-medium">Glossary</a>
+          <a href="/faq" class="block py-3 text-slate-800 dark:text-zinc-200 font-medium">FAQ</a>
 
           <!-- CTA -->
           <a href="#newsletter" class="block mt-4 py-3 bg-sky-600 text-white text-center font-semibold rounded-lg">Get New Entries</a>
@@ -384,6 +395,614 @@ const megaNavScript = `
   </script>`;
 
 
+// ─── Site Search ───────────────────────────────────────────────────
+
+// A search combobox; the nav has one for desktop and one in the mobile menu.
+// searchScript fills the listbox from /search-index.json (build.js)
+function searchBox(listId, className) {
+    return `          <div class="site-search ${className}" data-search>
+            <input type="search" placeholder="Search entries" aria-label="Search Creatinepedia" autocomplete="off" spellcheck="false"
+              role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="${listId}" class="site-search-input">
+            <ul id="${listId}" role="listbox" aria-label="Search results" class="site-search-results" hidden></ul>
+          </div>`;
+}
+
+const searchStyles = `
+    /* Site search */
+    .site-search { position: relative; }
+    .site-search-input {
+      width: 13rem; padding: 0.4375rem 0.75rem; border-radius: 8px;
+      border: 1px solid #e2e8f0; background: #f8fafc; color: #0f172a;
+      font-size: 0.875rem; transition: border-color 0.15s, width 0.2s;
+    }
+    .site-search-input::placeholder { color: #94a3b8; }
+    .site-search-input:focus { outline: none; border-color: #0284c7; width: 17rem; }
+    .site-search-results {
+      position: absolute; top: calc(100% + 8px); right: 0; z-index: 60;
+      width: min(28rem, calc(100vw - 2rem)); max-height: 70vh; overflow-y: auto;
+      margin: 0; padding: 0.375rem; list-style: none; border-radius: 12px;
+      background: #ffffff; border: 1px solid #e2e8f0;
+      box-shadow: 0 10px 30px rgba(15, 23, 42, 0.12);
+    }
+    .site-search-results[hidden] { display: none; }
+    .site-search-results a { display: block; padding: 0.625rem 0.75rem; border-radius: 8px; text-decoration: none; }
+    .site-search-results a:hover, .site-search-results [aria-selected="true"] a { background: #f1f5f9; }
+    .site-search-title { display: block; font-size: 0.875rem; font-weight: 600; color: #0f172a; }
+    .site-search-meta { display: block; margin-top: 0.125rem; font-size: 0.75rem; color: #0284c7; }
+    .site-search-snippet { display: block; margin-top: 0.25rem; font-size: 0.8125rem; line-height: 1.5; color: #475569; }
+    .site-search-results mark { background: rgba(2, 132, 199, 0.15); color: inherit; border-radius: 2px; }
+    .site-search-empty { padding: 0.625rem 0.75rem; font-size: 0.875rem; color: #64748b; }
+    .site-search-mobile .site-search-input, .site-search-mobile .site-search-input:focus { width: 100%; }
+    .site-search-mobile .site-search-results { position: static; width: auto; margin-top: 0.5rem; box-shadow: none; }
+    .dark .site-search-input { background: #18181b; border-color: #3f3f46; color: #fafaf9; }
+    .dark .site-search-input::placeholder { color: #52525b; }
+    .dark .site-search-input:focus { border-color: #38bdf8; }
+    .dark .site-search-results { background: #18181b; border-color: #3f3f46; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5); }
+    .dark .site-search-results a:hover, .dark .site-search-results [aria-selected="true"] a { background: #27272a; }
+    .dark .site-search-title { color: #fafaf9; }
+    .dark .site-search-meta { color: #38bdf8; }
+    .dark .site-search-snippet { color: #a1a1aa; }
+    .dark .site-search-results mark { background: rgba(56, 189, 248, 0.2); }
+    .dark .site-search-empty { color: #71717a; }
+`;
+
+const searchScript = `
+  <script>
+    // Site search: the index (search-index.js) loads on first focus; results
+    // match every query word, the last one as a prefix while it is typed,
+    // and tolerate a typo or two in longer words
+    (function() {
+      const boxes = document.querySelectorAll('[data-search]');
+      if (!boxes.length) return;
+      const MAX_RESULTS = 8;
+      let index = null;
+      let loading = null;
+
+      function load() {
+        if (!loading) {
+          loading = fetch('/search-index.json')
+            .then(res => {
+              if (!res.ok) throw new Error('search index: ' + res.status);
+              return res.json();
+            })
+            .then(data => {
+              index = { docs: data.docs, sections: data.sections, terms: data.terms, keys: Object.keys(data.terms), stop: new Set(data.stop), postings: new Map() };
+            })
+            .catch(() => { loading = null; });
+        }
+        return loading;
+      }
+
+      function tokenize(text) {
+        return (text.toLowerCase().normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').match(/[a-z0-9]+/g) || [])
+          .filter(word => word.length > 1 && !index.stop.has(word));
+      }
+
+      // Section → weight for an index term, decoded on first use
+      function postings(term) {
+        if (!index.postings.has(term)) {
+          const sections = new Map();
+          let section = 0;
+          index.terms[term].split(' ').forEach(entry => {
+            const parts = entry.split('*');
+            section += parseInt(parts[0], 36);
+            sections.set(section, parts[1] ? Number(parts[1]) : 1);
+          });
+          index.postings.set(term, sections);
+        }
+        return index.postings.get(term);
+      }
+
+      // Edit distance, or max + 1 as soon as it must exceed max
+      function distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let previous = [];
+        for (let j = 0; j <= b.length; j++) previous[j] = j;
+        for (let i = 1; i <= a.length; i++) {
+          const row = [i];
+          let best = i;
+          for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            best = Math.min(best, row[j]);
+          }
+          if (best > max) return max + 1;
+          previous = row;
+        }
+        return previous[b.length];
+      }
+
+      // Index terms a query word stands for, with how much a match counts
+      function expand(word, typing) {
+        const typos = word.length < 4 ? 0 : word.length < 8 ? 1 : 2;
+        const matches = [];
+        index.keys.forEach(key => {
+          if (key === word) matches.push([key, 1]);
+          else if (typing && key.startsWith(word)) matches.push([key, 0.8]);
+          else if (typos && distance(word, key, typos) <= typos) matches.push([key, 0.5]);
+          else if (typing && typos && key.length > word.length && distance(word, key.slice(0, word.length), 1) <= 1) matches.push([key, 0.4]);
+        });
+        return matches;
+      }
+
+      // The best pages for a query, each with its best-matching section
+      function search(query) {
+        const words = tokenize(query);
+        const pages = new Map();
+        words.forEach((word, w) => {
+          const scores = new Map();
+          expand(word, w === words.length - 1 && !/\\s$/.test(query)).forEach(([term, factor]) => {
+            postings(term).forEach((weight, section) => {
+              scores.set(section, Math.max(scores.get(section) || 0, weight * factor));
+            });
+          });
+          scores.forEach((score, section) => {
+            const doc = index.sections[section][0];
+            let page = pages.get(doc);
+            if (!page) {
+              // A page missing an earlier word can't match
+              if (w > 0) return;
+              page = { doc, words: [], sections: new Map() };
+              pages.set(doc, page);
+            }
+            page.words[w] = Math.max(page.words[w] || 0, score);
+            page.sections.set(section, (page.sections.get(section) || 0) + score);
+          });
+        });
+
+        const results = [];
+        pages.forEach(page => {
+          if (!words.every((word, w) => page.words[w])) return;
+          let best = -1;
+          page.sections.forEach((score, section) => {
+            if (best === -1 || score > page.sections.get(best)) best = section;
+          });
+          results.push({ doc: page.doc, section: best, score: page.words.reduce((a, b) => a + b, 0) + page.sections.get(best) / 10 });
+        });
+        return results.sort((a, b) => b.score - a.score).slice(0, MAX_RESULTS);
+      }
+
+      function highlight(el, text, pattern) {
+        let last = 0;
+        if (pattern) {
+          for (const match of text.matchAll(pattern)) {
+            el.appendChild(document.createTextNode(text.slice(last, match.index)));
+            const mark = document.createElement('mark');
+            mark.textContent = match[0];
+            el.appendChild(mark);
+            last = match.index + match[0].length;
+          }
+        }
+        el.appendChild(document.createTextNode(text.slice(last)));
+      }
+
+      function part(className, text, pattern) {
+        const span = document.createElement('span');
+        span.className = className;
+        highlight(span, text, pattern);
+        return span;
+      }
+
+      boxes.forEach(box => {
+        const input = box.querySelector('input');
+        const list = box.querySelector('[role="listbox"]');
+        let active = -1;
+
+        function close() {
+          list.hidden = true;
+          input.setAttribute('aria-expanded', 'false');
+          input.removeAttribute('aria-activedescendant');
+          active = -1;
+        }
+
+        function setActive(i) {
+          const options = list.querySelectorAll('[role="option"]');
+          if (!options.length) return;
+          active = (i + options.length) % options.length;
+          options.forEach((option, j) => option.setAttribute('aria-selected', j === active ? 'true' : 'false'));
+          input.setAttribute('aria-activedescendant', options[active].id);
+          options[active].scrollIntoView({ block: 'nearest' });
+        }
+
+        function render() {
+          const query = input.value.trim();
+          list.textContent = '';
+          if (!query || !index) { close(); return; }
+          active = -1;
+          input.removeAttribute('aria-activedescendant');
+
+          const words = tokenize(query);
+          const pattern = words.length ? new RegExp('\\\\b(?:' + words.join('|') + ')', 'gi') : null;
+          const results = search(input.value);
+          results.forEach((result, i) => {
+            const [doc, anchor, heading, snippet] = index.sections[result.section];
+            const [url, title, cluster] = index.docs[doc];
+            const option = document.createElement('li');
+            option.id = list.id + '-' + i;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            const link = document.createElement('a');
+            link.href = anchor ? url + '#' + anchor : url;
+            link.tabIndex = -1;
+            link.appendChild(part('site-search-title', title, pattern));
+            link.appendChild(part('site-search-meta', heading ? cluster + ' › ' + heading : cluster, null));
+            link.appendChild(part('site-search-snippet', snippet, pattern));
+            option.appendChild(link);
+            list.appendChild(option);
+          });
+          if (!results.length) {
+            const empty = document.createElement('li');
+            empty.className = 'site-search-empty';
+            empty.textContent = 'No entries match “' + query + '”';
+            list.appendChild(empty);
+          }
+          list.hidden = false;
+          input.setAttribute('aria-expanded', 'true');
+        }
+
+        input.addEventListener('focus', () => load().then(render));
+        input.addEventListener('input', () => (index ? render() : load().then(render)));
+        input.addEventListener('keydown', (e) => {
+          if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !list.hidden) {
+            e.preventDefault();
+            setActive(e.key === 'ArrowDown' ? active + 1 : Math.max(active, 0) - 1);
+          } else if (e.key === 'Enter' && !list.hidden) {
+            const links = list.querySelectorAll('[role="option"] a');
+            const target = links[Math.max(active, 0)];
+            if (target) {
+              e.preventDefault();
+              close();
+              window.location.href = target.href;
+            }
+          } else if (e.key === 'Escape') {
+            if (list.hidden) input.blur();
+            close();
+          }
+        });
+        // Keep focus in the input while a result is clicked
+        list.addEventListener('mousedown', (e) => e.preventDefault());
+        list.addEventListener('click', close);
+        box.addEventListener('focusout', (e) => {
+          if (!box.contains(e.relatedTarget)) close();
+        });
+      });
+
+      // "/" focuses the visible search box
+      document.addEventListener('keydown', (e) => {
+        if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest('input, textarea, select') || e.target.isContentEditable) return;
+        const input = Array.from(boxes).map(box => box.querySelector('input')).find(el => el.offsetParent !== null);
+        if (input) {
+          e.preventDefault();
+          input.focus();
+        }
+      });
+    })();
+  </script>`;
+
+
+// ─── Newsletter ────────────────────────────────────────────────────
+
+// Signup section above the footer; the nav and CTAs link to #newsletter,
+// so every page carries it
+const newsletterHtml = `
+  <!-- Newsletter section -->
+  <section id="newsletter" class="py-16 bg-slate-100 dark:bg-zinc-900/30 border-t border-slate-200 dark:border-zinc-800/60">
+    <div class="max-w-xl mx-auto px-6 text-center">
+      <h2 class="font-serif text-3xl text-slate-900 dark:text-zinc-100 mb-3">New Entries & Updates</h2>
+      <p class="text-slate-600 dark:text-zinc-400 mb-6">New encyclopedia entries and updates — delivered when they matter. No spam. Unsubscribe anytime.</p>
+      <form class="flex flex-col sm:flex-row gap-3 justify-center">
+        <input type="email" placeholder="your@email.com" class="px-4 py-3 rounded-lg border border-slate-300 dark:border-zinc-700 bg-white dark:bg-zinc-800 text-slate-900 dark:text-zinc-100 focus:outline-none focus:ring-2 focus:ring-sky-500 w-full sm:w-72">
+        <button type="submit" class="px-6 py-3 bg-sky-600 hover:bg-sky-500 text-white font-semibold rounded-lg transition-colors cta-glow">Subscribe</button>
+      </form>
+      <p class="text-xs text-slate-500 dark:text-zinc-600 mt-3">100% evidence-based. Every claim cited.</p>
+    </div>
+  </section>`;
+
+const newsletterStyles = `
+    #newsletter input::placeholder { color: #94a3b8; }
+    .dark #newsletter input::placeholder { color: #52525b; }
+`;
+
+const newsletterScript = `
+  <script>
+    // Newsletter signup has no backend yet
+    document.querySelectorAll('#newsletter form').forEach(form => {
+      form.addEventListener('submit', (e) => e.preventDefault());
+    });
+  </script>`;
+
+
+// ─── Citation Popover ──────────────────────────────────────────────
+
+const citationPopoverStyles = `
+    /* In-text citations */
+    .cite-ref { border-bottom: 1px dotted currentColor; }
+    .cite-ref:hover { text-decoration: none; }
+    .cite-popover {
+      position: absolute; z-index: 60; max-width: 26rem;
+      padding: 0.875rem 1rem; border-radius: 10px;
+      background: #ffffff; border: 1px solid #e2e8f0;
+      box-shadow: 0 10px 30px rgba(15, 23, 42, 0.12);
+      font-size: 0.8125rem; line-height: 1.6; color: #334155;
+    }
+    .cite-popover[hidden] { display: none; }
+    .dark .cite-popover { background: #18181b; border-color: #3f3f46; color: #d4d4d8; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5); }
+    [id^="ref-"] { scroll-margin-top: 6rem; }
+    [id^="ref-"]:target { background: rgba(2, 132, 199, 0.08); border-radius: 6px; }
+`;
+
+const citationPopoverScript = `
+  <script>
+    // Citation popovers
+    (function() {
+      const links = document.querySelectorAll('a.cite-ref');
+      if (!links.length) return;
+
+      const popover = document.createElement('div');
+      popover.id = 'cite-popover';
+      popover.className = 'cite-popover';
+      popover.setAttribute('role', 'tooltip');
+      popover.hidden = true;
+      document.body.appendChild(popover);
+      let hideTimeout = null;
+
+      function show(link) {
+        const entry = document.getElementById(link.getAttribute('href').slice(1));
+        if (!entry) return;
+        clearTimeout(hideTimeout);
+        popover.innerHTML = entry.innerHTML;
+        popover.hidden = false;
+        link.setAttribute('aria-describedby', 'cite-popover');
+
+        const rect = link.getBoundingClientRect();
+        const width = popover.offsetWidth;
+        const left = Math.max(8, Math.min(rect.left + window.scrollX, window.scrollX + document.documentElement.clientWidth - width - 8));
+        popover.style.left = left + 'px';
+        popover.style.top = (rect.bottom + window.scrollY + 8) + 'px';
+      }
+
+      function hide(link) {
+        hideTimeout = setTimeout(() => {
+          popover.hidden = true;
+          if (link) link.removeAttribute('aria-describedby');
+        }, 150);
+      }
+
+      links.forEach(link => {
+        link.addEventListener('mouseenter', () => show(link));
+        link.addEventListener('focus', () => show(link));
+        link.addEventListener('mouseleave', () => hide(link));
+        link.addEventListener('blur', () => hide(link));
+      });
+
+      popover.addEventListener('mouseenter', () => clearTimeout(hideTimeout));
+      popover.addEventListener('mouseleave', () => hide(document.querySelector('[aria-describedby="cite-popover"]')));
+
+      document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') popover.hidden = true;
+      });
+    })();
+  </script>`;
+
+
+// ─── Glossary Tooltips ─────────────────────────────────────────────
+
+// Terms glossary.js marks in articles: a link to the term's page, described
+// by its definition in a hidden .glossary-tips block
+const glossaryStyles = `
+    /* Glossary terms */
+    .article-body a.glossary-term { color: inherit; border-bottom: 1px dashed #0284c7; }
+    .article-body a.glossary-term:hover { color: #0284c7; text-decoration: none; }
+    .glossary-popover {
+      position: absolute; z-index: 60; max-width: 22rem;
+      padding: 0.75rem 1rem; border-radius: 10px;
+      background: #ffffff; border: 1px solid #e2e8f0;
+      box-shadow: 0 10px 30px rgba(15, 23, 42, 0.12);
+      font-size: 0.8125rem; line-height: 1.6; color: #334155;
+    }
+    .glossary-popover[hidden] { display: none; }
+    .glossary-popover strong { color: #0f172a; }
+    .dark .article-body a.glossary-term { border-bottom-color: #38bdf8; }
+    .dark .article-body a.glossary-term:hover { color: #38bdf8; }
+    .dark .glossary-popover { background: #18181b; border-color: #3f3f46; color: #d4d4d8; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5); }
+    .dark .glossary-popover strong { color: #fafaf9; }
+`;
+
+const glossaryScript = `
+  <script>
+    // Glossary tooltips: the definition a term's aria-describedby names,
+    // shown on hover and keyboard focus (screen readers read it already)
+    (function() {
+      const terms = document.querySelectorAll('a.glossary-term');
+      if (!terms.length) return;
+
+      const popover = document.createElement('div');
+      popover.className = 'glossary-popover';
+      popover.setAttribute('aria-hidden', 'true');
+      popover.hidden = true;
+      document.body.appendChild(popover);
+      let hideTimeout = null;
+
+      function show(term) {
+        const tip = document.getElementById(term.getAttribute('aria-describedby'));
+        if (!tip) return;
+        clearTimeout(hideTimeout);
+        popover.innerHTML = tip.innerHTML;
+        popover.hidden = false;
+
+        const rect = term.getBoundingClientRect();
+        const width = popover.offsetWidth;
+        const left = Math.max(8, Math.min(rect.left + window.scrollX, window.scrollX + document.documentElement.clientWidth - width - 8));
+        popover.style.left = left + 'px';
+        popover.style.top = (rect.bottom + window.scrollY + 8) + 'px';
+      }
+
+      function hide() {
+        hideTimeout = setTimeout(() => { popover.hidden = true; }, 150);
+      }
+
+      terms.forEach(term => {
+        term.addEventListener('mouseenter', () => show(term));
+        term.addEventListener('focus', () => show(term));
+        term.addEventListener('mouseleave', hide);
+        term.addEventListener('blur', hide);
+      });
+
+      popover.addEventListener('mouseenter', () => clearTimeout(hideTimeout));
+      popover.addEventListener('mouseleave', hide);
+
+      document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') popover.hidden = true;
+      });
+    })();
+  </script>`;
+
+
+// ─── Cite This Entry ───────────────────────────────────────────────
+
+const citeEntryStyles = `
+    /* Cite this entry */
+    .cite-entry { margin: 3rem 0 0; padding: 1.5rem; border: 1px solid #e2e8f0; border-radius: 12px; background: #ffffff; }
+    .cite-entry h3 { margin-top: 0; }
+    .cite-entry dl { margin: 0; }
+    .cite-entry dt { font-size: 0.75rem; font-weight: 600; text-transform: uppercase; letter-spacing: 0.05em; color: #64748b; margin-top: 1rem; }
+    .cite-entry dd { display: flex; gap: 0.75rem; align-items: flex-start; margin: 0.375rem 0 0; }
+    .cite-entry pre {
+      flex: 1; margin: 0; padding: 0.625rem 0.75rem; border-radius: 8px;
+      background: #f8fafc; border: 1px solid #e2e8f0; color: #334155;
+      font-size: 0.8125rem; line-height: 1.6; white-space: pre-wrap; word-break: break-word;
+    }
+    .cite-copy {
+      flex-shrink: 0; padding: 0.5rem 0.875rem; border-radius: 8px;
+      border: 1px solid #cbd5e1; background: #ffffff; color: #0284c7;
+      font-size: 0.8125rem; font-weight: 600; cursor: pointer;
+    }
+    .cite-copy:hover { border-color: #0284c7; }
+    .dark .cite-entry { background: #18181b; border-color: #27272a; }
+    .dark .cite-entry dt { color: #71717a; }
+    .dark .cite-entry pre { background: #09090b; border-color: #27272a; color: #d4d4d8; }
+    .dark .cite-copy { background: #18181b; border-color: #3f3f46; color: #38bdf8; }
+`;
+
+const citeEntryScript = `
+  <script>
+    // Cite this entry — copy buttons
+    (function() {
+      const buttons = document.querySelectorAll('.cite-copy');
+      if (!buttons.length) return;
+      const status = document.getElementById('cite-copy-status');
+
+      function copy(text) {
+        if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+        const area = document.createElement('textarea');
+        area.value = text;
+        area.style.position = 'fixed';
+        area.style.opacity = '0';
+        document.body.appendChild(area);
+        area.select();
+        let copied = false;
+        try { copied = document.execCommand('copy'); } catch (e) {}
+        area.remove();
+        return copied ? Promise.resolve() : Promise.reject(new Error('copy failed'));
+      }
+
+      function show(btn, label, message) {
+        btn.textContent = label;
+        if (status) status.textContent = message;
+        setTimeout(() => { btn.textContent = 'Copy'; }, 2000);
+      }
+
+      buttons.forEach(btn => {
+        btn.addEventListener('click', () => {
+          const source = document.getElementById(btn.dataset.copy);
+          if (!source) return;
+          copy(source.textContent)
+            .then(() => show(btn, 'Copied', btn.dataset.format + ' citation copied to clipboard'))
+            .catch(() => show(btn, 'Copy failed', 'Could not copy the ' + btn.dataset.format + ' citation; select it and copy it by hand'));
+        });
+      });
+    })();
+  </script>`;
+
+
+// ─── Article Styles ────────────────────────────────────────────────
+
+const articleStyles = `
+    ::-webkit-scrollbar { width: 8px; }
+    ::-webkit-scrollbar-track { background: var(--bg-secondary, #18181b); }
+    ::-webkit-scrollbar-thumb { background: var(--border, #27272a); border-radius: 4px; }
+    ::-webkit-scrollbar-thumb:hover { background: #3f3f46; }
+
+    /* Article body — light mode */
+    .article-body { max-width: 720px; margin: 0 auto; padding: 0 1rem; }
+    .article-body h1 { font-family: 'Instrument Serif', Georgia, serif; font-size: 2.75rem; line-height: 1.15; margin-bottom: 1rem; color: #0f172a; }
+    .article-body h2 { font-family: 'Instrument Serif', Georgia, serif; font-size: 1.875rem; margin: 2.5rem 0 1rem; color: #0f172a; }
+    .article-body h3 { font-size: 1.25rem; font-weight: 600; margin: 2rem 0 0.75rem; color: #0f172a; }
+    /* Search results link to headings; keep them clear of the fixed nav */
+    .article-body h2[id], .article-body h3[id] { scroll-margin-top: 5rem; }
+    .article-body p { margin-bottom: 1.5rem; color: #475569; line-height: 1.8; }
+    .article-body a { color: #0284c7; text-decoration: none; }
+    .article-body a:hover { text-decoration: underline; }
+    .article-body ul, .article-body ol { margin: 1.5rem 0; padding-left: 1.5rem; color: #475569; }
+    .article-body li { margin-bottom: 0.75rem; line-height: 1.7; }
+    .article-body strong { color: #1e293b; }
+    .article-body blockquote { border-left: 3px solid #0284c7; padding-left: 1.5rem; margin: 2rem 0; font-style: italic; color: #334155; }
+    .article-body .meta { color: #64748b; font-size: 0.9rem; margin-bottom: 2rem; }
+    .article-body table { width: 100%; border-collapse: collapse; margin: 2rem 0; }
+    .article-body th, .article-body td { text-align: left; padding: 0.75rem 1rem; border-bottom: 1px solid #e2e8f0; color: #475569; }
+    .article-body th { color: #0f172a; font-weight: 600; border-bottom: 2px solid #cbd5e1; }
+    .article-body .cta-box {
+      background: linear-gradient(135deg, rgba(2, 132, 199, 0.08), rgba(13, 148, 136, 0.04));
+      border: 1px solid rgba(2, 132, 199, 0.2);
+      border-radius: 16px; padding: 2.5rem; margin: 3rem 0; text-align: center;
+    }
+    .article-body .cta-box h3 { margin-top: 0; font-family: 'Instrument Serif', Georgia, serif; font-size: 1.5rem; }
+    .article-body .cta-box p { color: #64748b; margin-bottom: 1.5rem; }
+    .article-body .cta-button {
+      display: inline-block; background: #0284c7; color: #ffffff;
+      padding: 1rem 2rem; border-radius: 8px; font-weight: 600;
+      text-decoration: none; transition: background 0.2s;
+    }
+    .article-body .cta-button:hover { background: #0ea5e9; text-decoration: none; }
+    .article-body .related-articles { margin-top: 3rem; padding-top: 2rem; border-top: 1px solid #e2e8f0; }
+    .article-body .related-articles h3 { margin-bottom: 1rem; }
+    .article-body .related-articles * + h3 { margin-top: 2rem; }
+    .article-body .related-articles ul { list-style: none; padding: 0; }
+    .article-body .related-articles li { margin-bottom: 0.5rem; }
+    .article-body .related-articles .related-cluster { font-size: 0.75rem; color: #64748b; margin-left: 0.25rem; }
+    .article-body .related-articles p { margin-bottom: 0.75rem; }
+    .article-body .bib-export { font-size: 0.875rem; color: #64748b; margin-bottom: 1rem; }
+    .article-body .faq-section { margin-top: 3rem; padding-top: 2rem; border-top: 1px solid #e2e8f0; }
+    .article-body .faq-section > h2 { margin-top: 0; }
+    .article-body .faq-item { margin-bottom: 2rem; }
+    .article-body .faq-item h3 { color: #0f172a; margin-bottom: 0.5rem; }
+    .article-body .faq-item p { margin-bottom: 0; }
+
+    /* Article body — dark mode */
+    .dark .article-body h1, .dark .article-body h2, .dark .article-body h3 { color: #fafaf9; }
+    .dark .article-body p { color: #a1a1aa; }
+    .dark .article-body ul, .dark .article-body ol { color: #a1a1aa; }
+    .dark .article-body strong { color: #e4e4e7; }
+    .dark .article-body a { color: #38bdf8; }
+    .dark .article-body blockquote { color: #d4d4d8; }
+    .dark .article-body .meta { color: #71717a; }
+    .dark .article-body th, .dark .article-body td { border-bottom-color: #27272a; color: #a1a1aa; }
+    .dark .article-body th { color: #fafaf9; border-bottom-color: #3f3f46; }
+    .dark .article-body .cta-box { background: linear-gradient(135deg, rgba(2, 132, 199, 0.12), rgba(13, 148, 136, 0.06)); }
+    .dark .article-body .cta-box p { color: #a1a1aa; }
+    .dark .article-body .related-articles { border-top-color: #27272a; }
+    .dark .article-body .related-articles .related-cluster { color: #71717a; }
+    .dark .article-body .bib-export { color: #71717a; }
+    .dark .article-body .faq-section { border-top-color: #27272a; }
+    .dark .article-body .faq-item h3 { color: #fafaf9; }
+
+    @media (max-width: 768px) {
+      .article-body h1 { font-size: 2rem; }
+      .article-body h2 { font-size: 1.5rem; }
+    }
+`;
+
+
 // ─── Footer ────────────────────────────────────────────────────────
 
 const footerHtml = `
@@ -430,6 +1049,8 @@ const footerHtml = `
           <ul class="space-y-2 text-sm">
             <li><a href="/" class="text-slate-600 dark:text-zinc-500 hover:text-slate-900 dark:hover:text-white transition-colors">Home</a></li>
             <li><a href="/articles" class="text-slate-600 dark:text-zinc-500 hover:text-slate-900 dark:hover:text-white transition-colors">All Articles</a></li>
+            <li><a href="/glossary" class="text-slate-600 dark:text-zinc-500 hover:text-slate-900 dark:hover:text-white transition-colors">Glossary</a></li>
+            <li><a href="/faq" class="text-slate-600 dark:text-zinc-500 hover:text-slate-900 dark:hover:text-white transition-colors">FAQ</a></li>
             <li><a href="https://scalewithsearch.com" target="_blank" class="text-slate-600 dark:text-zinc-500 hover:text-slate-900 dark:hover:text-white transition-colors">Scale With Search</a></li>
           </ul>
         </div>
@@ -444,34 +1065,81 @@ const footerHtml = `
 
 // ─── Head Includes ─────────────────────────────────────────────────
 
+// Theme for the build-time Tailwind stylesheet (tailwind.js)
+const tailwindConfig = {
+    darkMode: 'class',
+    theme: {
+        extend: {
+            fontFamily: {
+                sans: ['DM Sans', 'system-ui', 'sans-serif'],
+                serif: ['Instrument Serif', 'Georgia', 'serif'],
+            },
+            colors: {
+                slate: { 925: '#0c0f14', 950: '#090b10' },
+                // Markdown article fallback template (build.js)
+                void: '#0a0a0f',
+                surface: { DEFAULT: '#1e1e2e', light: '#262636' },
+                border: 'rgba(255, 255, 255, 0.08)',
+                accent: { DEFAULT: '#0284c7', light: '#0ea5e9', dim: 'rgba(2, 132, 199, 0.15)' },
+                text: { DEFAULT: '#f0f0f5', muted: '#8888a0', dim: '#5a5a70' }
+            }
+        }
+    }
+};
+
+// Pages link the stylesheet here; build.js compiles it from the classes
+// the pages use and rewrites the link to its fingerprinted name
+const stylesheetPath = '/css/tailwind.css';
+
 const headIncludes = `
   <link rel="icon" type="image/svg+xml" href="data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'><rect fill='%230f172a' width='100' height='100' rx='12'/><text x='50' y='68' font-family='monospace' font-size='40' fill='%230284c7' text-anchor='middle'>Cr</text></svg>">
   <link rel="preconnect" href="https://fonts.googleapis.com">
   <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
   <link href="https://fonts.googleapis.com/css2?family=DM+Sans:wght@400;500;600;700&family=Instrument+Serif:ital@0;1&display=swap" rel="stylesheet">
-  <script src="https://cdn.tailwindcss.com"></script>
-  <script>
-    tailwind.config = {
-      darkMode: 'class',
-      theme: {
-        extend: {
-          fontFamily: {
-            sans: ['DM Sans', 'system-ui', 'sans-serif'],
-            serif: ['Instrument Serif', 'Georgia', 'serif'],
-          },
-          colors: {
-            slate: { 925: '#0c0f14', 950: '#090b10' }
-          }
-        }
-      }
-    }
-  </script>`;
+  <link rel="stylesheet" href="${stylesheetPath}">
+  <link rel="stylesheet" href="/css/site.css">`;
+
+
+// ─── Shared Assets ─────────────────────────────────────────────────
+
+// Inner source of a <script> block
+function scriptSource(block) {
+    return block.replace(/^\s*<script>\n?/, '').replace(/\s*<\/script>\s*$/, '\n');
+}
+
+// Stylesheets and scripts pages link instead of inlining, by URL path.
+// build.js writes them to dist/ minified under fingerprinted names.
+// site.* is on every page (headIncludes, generate-indexes); article.* on
+// retemplated articles
+const sharedAssets = {
+    '/css/site.css': `
+    ::selection { background: rgba(2, 132, 199, 0.3); }
+${megaNavStyles}${searchStyles}${newsletterStyles}`,
+    '/css/article.css': articleStyles + citationPopoverStyles + glossaryStyles + citeEntryStyles,
+    '/js/site.js': scriptSource(megaNavScript) + scriptSource(searchScript) + scriptSource(newsletterScript),
+    '/js/article.js': scriptSource(citationPopoverScript) + scriptSource(glossaryScript) + scriptSource(citeEntryScript)
+};
 
 
 module.exports = {
     megaNavHtml,
     megaNavStyles,
     megaNavScript,
+    searchStyles,
+    searchScript,
+    newsletterHtml,
+    newsletterStyles,
+    newsletterScript,
+    citationPopoverStyles,
+    citationPopoverScript,
+    glossaryStyles,
+    glossaryScript,
+    citeEntryStyles,
+    citeEntryScript,
+    articleStyles,
     footerHtml,
-    headIncludes
+    tailwindConfig,
+    stylesheetPath,
+    headIncludes,
+    sharedAssets
 };
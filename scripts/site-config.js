@@ -0,0 +1,194 @@
+/**
+ * Loads and validates site.config.js, the single definition of the site's
+ * URL, name, clusters and paths.
+ *
+ * `site` is the validated configuration, with:
+ * - paths resolved to absolute paths from the repository root
+ * - clusterSlugs, the cluster directories in configured order
+ * - cluster(slug), a cluster's entry (undefined for an unknown slug)
+ *
+ * An invalid configuration throws when this module is first required, with
+ * every problem listed, so no script runs against a half-valid config.
+ *
+ * Used by every pipeline script.
+ *
+ * Exports: SITE_CONFIG_FILE, SITE_CONFIG_SCHEMA, validateSiteConfig,
+ *          loadSiteConfig, site
+ */
+
+const path = require('path');
+const { validateFields } = require('./frontmatter');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SITE_CONFIG_FILE = path.join(ROOT_DIR, 'site.config.js');
+
+// Palette names Tailwind generates bg-/text-/border- classes for
+const TAILWIND_COLORS = [
+    'slate', 'gray', 'zinc', 'neutral', 'stone', 'red', 'orange', 'amber', 'yellow', 'lime', 'green',
+    'emerald', 'teal', 'cyan', 'sky', 'blue', 'indigo', 'violet', 'purple', 'fuchsia', 'pink', 'rose'
+];
+
+const CHANGEFREQS = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+const SLUG = { type: 'string', required: true, pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/, format: 'a lowercase slug like "my-cluster"' };
+const SITE_PATH = { type: 'string', required: true, pattern: /^\/\S*$/, format: 'a site path starting with /' };
+const FILE_PATH = { type: 'string', required: true };
+const ARTICLE_ID = { pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*\/[a-z0-9]+(?:-[a-z0-9]+)*$/, format: 'an article id like "safety/creatine-and-kidneys"' };
+
+const SITEMAP_ENTRY = {
+    type: 'object',
+    required: true,
+    properties: {
+        priority: { type: 'number', required: true, min: 0, max: 1 },
+        changefreq: { type: 'string', required: true, enum: CHANGEFREQS }
+    }
+};
+
+const SITE_CONFIG_SCHEMA = {
+    url: { type: 'string', required: true, pattern: /^https?:\/\/[^/\s]+$/, format: 'an origin like https://example.com (no trailing slash)' },
+    name: { type: 'string', required: true },
+    author: {
+        type: 'object',
+        required: true,
+        properties: {
+            name: { type: 'string', required: true },
+            url: { type: 'string', required: true, pattern: /^https?:\/\/\S+$/, format: 'an http(s) URL' }
+        }
+    },
+    logo: SITE_PATH,
+    defaultOgImage: SITE_PATH,
+    paths: {
+        type: 'object',
+        required: true,
+        properties: {
+            content: FILE_PATH,
+            dist: FILE_PATH,
+            templates: FILE_PATH,
+            cache: FILE_PATH,
+            generated: FILE_PATH,
+            references: FILE_PATH,
+            glossary: FILE_PATH
+        }
+    },
+    sitemap: {
+        type: 'object',
+        required: true,
+        properties: {
+            home: SITEMAP_ENTRY,
+            hub: SITEMAP_ENTRY,
+            default: SITEMAP_ENTRY
+        }
+    },
+    related: {
+        type: 'object',
+        properties: {
+            count: { type: 'number', min: 1, max: 20 },
+            overrides: {
+                type: 'map',
+                keys: ARTICLE_ID,
+                values: {
+                    type: 'object',
+                    properties: {
+                        pin: { type: 'array', items: { type: 'string', ...ARTICLE_ID } },
+                        exclude: { type: 'array', items: { type: 'string', ...ARTICLE_ID } }
+                    }
+                }
+            }
+        }
+    },
+    autolink: {
+        type: 'object',
+        properties: {
+            maxLinks: { type: 'number', min: 0, max: 50 },
+            terms: { type: 'map', values: { type: 'string', ...ARTICLE_ID } },
+            exclude: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    clusters: {
+        type: 'array',
+        required: true,
+        items: {
+            type: 'object',
+            properties: {
+                slug: SLUG,
+                name: { type: 'string', required: true },
+                description: { type: 'string', required: true },
+                color: { type: 'string', required: true, enum: TAILWIND_COLORS },
+                pillar: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        slug: SLUG,
+                        label: { type: 'string', required: true }
+                    }
+                },
+                sitemap: SITEMAP_ENTRY
+            }
+        }
+    }
+};
+
+/**
+ * Check a configuration object. Returns a list of error strings (empty
+ * when valid).
+ */
+function validateSiteConfig(config) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        return ['expected module.exports to be an object'];
+    }
+
+    const errors = [];
+    validateFields(config, SITE_CONFIG_SCHEMA, '', errors);
+
+    if (Array.isArray(config.clusters)) {
+        if (config.clusters.length === 0) errors.push('clusters: at least one cluster is required');
+
+        // Cluster slugs are top-level directories; they can't be reused or
+        // collide with the directories the pipeline itself owns
+        const reserved = new Set(['scripts', 'pages', 'js', 'images', 'glossary', 'faq', '.well-known']);
+        if (config.paths && typeof config.paths === 'object') {
+            Object.values(config.paths).forEach(p => typeof p === 'string' && reserved.add(p.split(/[\\/]/)[0]));
+        }
+        const seen = new Set();
+        config.clusters.forEach((cluster, i) => {
+            if (!cluster || typeof cluster.slug !== 'string') return;
+            if (seen.has(cluster.slug)) errors.push(`clusters[${i}].slug: "${cluster.slug}" is used by an earlier cluster`);
+            if (reserved.has(cluster.slug)) errors.push(`clusters[${i}].slug: "${cluster.slug}" is a reserved directory`);
+            seen.add(cluster.slug);
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Load, validate and resolve the configuration at `file`. Throws listing
+ * every problem if it is invalid.
+ */
+function loadSiteConfig(file = SITE_CONFIG_FILE) {
+    const config = require(file);
+    const errors = validateSiteConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`${path.relative(process.cwd(), file) || file} is invalid:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    }
+
+    const root = path.dirname(file);
+    const clusters = new Map(config.clusters.map(cluster => [cluster.slug, cluster]));
+
+    return {
+        ...config,
+        paths: Object.fromEntries(Object.entries(config.paths).map(([key, p]) => [key, path.resolve(root, p)])),
+        clusterSlugs: [...clusters.keys()],
+        cluster: slug => clusters.get(slug)
+    };
+}
+
+const site = loadSiteConfig();
+
+module.exports = {
+    SITE_CONFIG_FILE,
+    SITE_CONFIG_SCHEMA,
+    validateSiteConfig,
+    loadSiteConfig,
+    site
+};
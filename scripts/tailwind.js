@@ -0,0 +1,746 @@
+/**
+ * Build-time Tailwind — compiles the utility classes the site's pages use
+ * into one minified stylesheet, instead of shipping the cdn.tailwindcss.com
+ * runtime that compiles them in every visitor's browser.
+ *
+ * - collectClasses(html) finds class names in class attributes and in
+ *   classList calls in inline scripts (the mega nav toggles `hidden`)
+ * - compileTailwind(classes, config) emits Preflight followed by a rule for
+ *   every class, in the order Tailwind v3 would: base utilities by plugin,
+ *   then variants (placeholder, hover, focus, group-hover, dark, sm–2xl)
+ *
+ * Covers the part of Tailwind v3 the templates use: layout, spacing,
+ * sizing, flex and grid, typography, palette colors with /opacity, borders,
+ * gradients, rings, shadows, transforms and transitions, plus arbitrary
+ * values like max-h-[80vh]. A class that gets no rule and isn't one of the
+ * site's own classes (siteClasses: the ones its stylesheets and scripts
+ * name) is returned in `unknown`, so the build can report it rather than
+ * ship it unstyled — a typo, or a utility this file doesn't cover yet.
+ *
+ * config is the object the CDN took as tailwind.config (shared.js
+ * tailwindConfig): darkMode 'class', theme.extend.colors / fontFamily.
+ *
+ * Used by build.js.
+ *
+ * Exports: collectClasses, siteClasses, compileTailwind, PALETTE
+ */
+
+// ─── Theme ─────────────────────────────────────────────────────────
+
+const SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+// Tailwind v3 default palette, 50 → 950
+const PALETTE_HEX = {
+    slate: 'f8fafc f1f5f9 e2e8f0 cbd5e1 94a3b8 64748b 475569 334155 1e293b 0f172a 020617',
+    gray: 'f9fafb f3f4f6 e5e7eb d1d5db 9ca3af 6b7280 4b5563 374151 1f2937 111827 030712',
+    zinc: 'fafafa f4f4f5 e4e4e7 d4d4d8 a1a1aa 71717a 52525b 3f3f46 27272a 18181b 09090b',
+    neutral: 'fafafa f5f5f5 e5e5e5 d4d4d4 a3a3a3 737373 525252 404040 262626 171717 0a0a0a',
+    stone: 'fafaf9 f5f5f4 e7e5e4 d6d3d1 a8a29e 78716c 57534e 44403c 292524 1c1917 0c0a09',
+    red: 'fef2f2 fee2e2 fecaca fca5a5 f87171 ef4444 dc2626 b91c1c 991b1b 7f1d1d 450a0a',
+    orange: 'fff7ed ffedd5 fed7aa fdba74 fb923c f97316 ea580c c2410c 9a3412 7c2d12 431407',
+    amber: 'fffbeb fef3c7 fde68a fcd34d fbbf24 f59e0b d97706 b45309 92400e 78350f 451a03',
+    yellow: 'fefce8 fef9c3 fef08a fde047 facc15 eab308 ca8a04 a16207 854d0e 713f12 422006',
+    lime: 'f7fee7 ecfccb d9f99d bef264 a3e635 84cc16 65a30d 4d7c0f 3f6212 365314 1a2e05',
+    green: 'f0fdf4 dcfce7 bbf7d0 86efac 4ade80 22c55e 16a34a 15803d 166534 14532d 052e16',
+    emerald: 'ecfdf5 d1fae5 a7f3d0 6ee7b7 34d399 10b981 059669 047857 065f46 064e3b 022c22',
+    teal: 'f0fdfa ccfbf1 99f6e4 5eead4 2dd4bf 14b8a6 0d9488 0f766e 115e59 134e4a 042f2e',
+    cyan: 'ecfeff cffafe a5f3fc 67e8f9 22d3ee 06b6d4 0891b2 0e7490 155e75 164e63 083344',
+    sky: 'f0f9ff e0f2fe bae6fd 7dd3fc 38bdf8 0ea5e9 0284c7 0369a1 075985 0c4a6e 082f49',
+    blue: 'eff6ff dbeafe bfdbfe 93c5fd 60a5fa 3b82f6 2563eb 1d4ed8 1e40af 1e3a8a 172554',
+    indigo: 'eef2ff e0e7ff c7d2fe a5b4fc 818cf8 6366f1 4f46e5 4338ca 3730a3 312e81 1e1b4b',
+    violet: 'f5f3ff ede9fe ddd6fe c4b5fd a78bfa 8b5cf6 7c3aed 6d28d9 5b21b6 4c1d95 2e1065',
+    purple: 'faf5ff f3e8ff e9d5ff d8b4fe c084fc a855f7 9333ea 7e22ce 6b21a8 581c87 3b0764',
+    fuchsia: 'fdf4ff fae8ff f5d0fe f0abfc e879f9 d946ef c026d3 a21caf 86198f 701a75 4a044e',
+    pink: 'fdf2f8 fce7f3 fbcfe8 f9a8d4 f472b6 ec4899 db2777 be185d 9d174d 831843 500724',
+    rose: 'fff1f2 ffe4e6 fecdd3 fda4af fb7185 f43f5e e11d48 be123c 9f1239 881337 4c0519'
+};
+
+const PALETTE = {
+    inherit: 'inherit',
+    current: 'currentColor',
+    transparent: 'transparent',
+    black: '#000',
+    white: '#fff',
+    ...Object.fromEntries(Object.entries(PALETTE_HEX).map(([name, hexes]) => [
+        name,
+        Object.fromEntries(hexes.split(' ').map((hex, i) => [SHADES[i], `#${hex}`]))
+    ]))
+};
+
+const FONT_FAMILIES = {
+    sans: ['ui-sans-serif', 'system-ui', 'sans-serif', 'Apple Color Emoji', 'Segoe UI Emoji', 'Segoe UI Symbol', 'Noto Color Emoji'],
+    serif: ['ui-serif', 'Georgia', 'Cambria', 'Times New Roman', 'Times', 'serif'],
+    mono: ['ui-monospace', 'SFMono-Regular', 'Menlo', 'Monaco', 'Consolas', 'Liberation Mono', 'Courier New', 'monospace']
+};
+
+const SCREENS = { sm: '640px', md: '768px', lg: '1024px', xl: '1280px', '2xl': '1536px' };
+
+// [font-size, line-height]
+const FONT_SIZES = {
+    xs: ['0.75rem', '1rem'], sm: ['0.875rem', '1.25rem'], base: ['1rem', '1.5rem'],
+    lg: ['1.125rem', '1.75rem'], xl: ['1.25rem', '1.75rem'], '2xl': ['1.5rem', '2rem'],
+    '3xl': ['1.875rem', '2.25rem'], '4xl': ['2.25rem', '2.5rem'], '5xl': ['3rem', '1'],
+    '6xl': ['3.75rem', '1'], '7xl': ['4.5rem', '1'], '8xl': ['6rem', '1'], '9xl': ['8rem', '1']
+};
+
+const FONT_WEIGHTS = {
+    thin: '100', extralight: '200', light: '300', normal: '400', medium: '500',
+    semibold: '600', bold: '700', extrabold: '800', black: '900'
+};
+
+const LINE_HEIGHTS = {
+    none: '1', tight: '1.25', snug: '1.375', normal: '1.5', relaxed: '1.625', loose: '2',
+    3: '.75rem', 4: '1rem', 5: '1.25rem', 6: '1.5rem', 7: '1.75rem', 8: '2rem', 9: '2.25rem', 10: '2.5rem'
+};
+
+const LETTER_SPACING = {
+    tighter: '-0.05em', tight: '-0.025em', normal: '0em', wide: '0.025em', wider: '0.05em', widest: '0.1em'
+};
+
+const MAX_WIDTHS = {
+    none: 'none', 0: '0rem', xs: '20rem', sm: '24rem', md: '28rem', lg: '32rem', xl: '36rem',
+    '2xl': '42rem', '3xl': '48rem', '4xl': '56rem', '5xl': '64rem', '6xl': '72rem', '7xl': '80rem',
+    full: '100%', min: 'min-content', max: 'max-content', fit: 'fit-content', prose: '65ch'
+};
+
+const RADII = {
+    none: '0px', sm: '0.125rem', '': '0.25rem', md: '0.375rem', lg: '0.5rem',
+    xl: '0.75rem', '2xl': '1rem', '3xl': '1.5rem', full: '9999px'
+};
+
+const SHADOWS = {
+    sm: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
+    '': '0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+    md: '0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)',
+    lg: '0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1)',
+    xl: '0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)',
+    '2xl': '0 25px 50px -12px rgb(0 0 0 / 0.25)',
+    inner: 'inset 0 2px 4px 0 rgb(0 0 0 / 0.05)',
+    none: '0 0 #0000'
+};
+
+const BLURS = { none: '0', sm: '4px', '': '8px', md: '12px', lg: '16px', xl: '24px', '2xl': '40px', '3xl': '64px' };
+
+const GRADIENT_DIRECTIONS = {
+    t: 'to top', tr: 'to top right', r: 'to right', br: 'to bottom right',
+    b: 'to bottom', bl: 'to bottom left', l: 'to left', tl: 'to top left'
+};
+
+const TRANSITIONS = {
+    '': 'color, background-color, border-color, text-decoration-color, fill, stroke, opacity, box-shadow, transform, filter, backdrop-filter',
+    all: 'all',
+    colors: 'color, background-color, border-color, text-decoration-color, fill, stroke',
+    opacity: 'opacity',
+    shadow: 'box-shadow',
+    transform: 'transform'
+};
+
+const TRANSFORM = 'translate(var(--tw-translate-x), var(--tw-translate-y)) rotate(var(--tw-rotate)) skewX(var(--tw-skew-x)) skewY(var(--tw-skew-y)) scaleX(var(--tw-scale-x)) scaleY(var(--tw-scale-y))';
+const EASE = 'cubic-bezier(0.4, 0, 0.2, 1)';
+
+const SIDES = {
+    '': [''], x: ['-left', '-right'], y: ['-top', '-bottom'],
+    t: ['-top'], r: ['-right'], b: ['-bottom'], l: ['-left']
+};
+
+const CORNERS = {
+    '': ['border-radius'],
+    t: ['border-top-left-radius', 'border-top-right-radius'],
+    r: ['border-top-right-radius', 'border-bottom-right-radius'],
+    b: ['border-bottom-right-radius', 'border-bottom-left-radius'],
+    l: ['border-top-left-radius', 'border-bottom-left-radius'],
+    tl: ['border-top-left-radius'], tr: ['border-top-right-radius'],
+    br: ['border-bottom-right-radius'], bl: ['border-bottom-left-radius']
+};
+
+/**
+ * The theme a config resolves to: the default palette and fonts, with
+ * theme.extend merged in (a color object extends its palette entry).
+ */
+function resolveTheme(config = {}) {
+    const extend = (config.theme && config.theme.extend) || {};
+    const colors = { ...PALETTE };
+    for (const [name, value] of Object.entries(extend.colors || {})) {
+        colors[name] = typeof value === 'object' && typeof colors[name] === 'object' ? { ...colors[name], ...value } : value;
+    }
+
+    // Flatten to "sky-500" → "#0ea5e9"
+    const flat = {};
+    for (const [name, value] of Object.entries(colors)) {
+        if (typeof value === 'string') {
+            flat[name] = value;
+        } else {
+            for (const [shade, color] of Object.entries(value)) flat[shade === 'DEFAULT' ? name : `${name}-${shade}`] = color;
+        }
+    }
+
+    return {
+        darkMode: config.darkMode,
+        colors: flat,
+        fontFamily: { ...FONT_FAMILIES, ...(extend.fontFamily || {}) }
+    };
+}
+
+// ─── Values ────────────────────────────────────────────────────────
+
+function rem(n) {
+    return `${Number((n / 4).toFixed(4))}rem`;
+}
+
+// Arbitrary value: w-[42rem], max-h-[80vh], leading-[1.1]; _ is a space
+function arbitrary(value) {
+    const match = /^\[(.+)\]$/.exec(value);
+    return match ? match[1].replace(/_/g, ' ') : null;
+}
+
+/**
+ * Spacing scale value: 0, px, 0.5 … 96 (steps of 0.5 up to 12), or arbitrary.
+ */
+function spacing(value) {
+    if (value === 'px') return '1px';
+    if (value === '0') return '0px';
+    const n = Number(value);
+    if (/^\d+(\.5)?$/.test(value) && (n <= 12 || (Number.isInteger(n) && n <= 96 && (n <= 16 ? n % 2 === 0 : n <= 64 ? n % 4 === 0 : n % 8 === 0)))) {
+        return rem(n);
+    }
+    return arbitrary(value);
+}
+
+function fraction(value) {
+    const match = /^(\d+)\/(\d+)$/.exec(value);
+    if (!match || Number(match[2]) === 0 || Number(match[1]) >= Number(match[2])) return null;
+    return `${Number((Number(match[1]) / Number(match[2]) * 100).toFixed(6))}%`;
+}
+
+// Widths and heights: spacing, fractions and keywords
+function size(value, axis) {
+    const keywords = {
+        auto: 'auto', full: '100%', screen: axis === 'x' ? '100vw' : '100vh',
+        min: 'min-content', max: 'max-content', fit: 'fit-content'
+    };
+    return keywords[value] || spacing(value) || fraction(value);
+}
+
+function negate(value, negative) {
+    if (!negative || value === null) return value;
+    return value === '0px' ? '0px' : `calc(${value} * -1)`;
+}
+
+function hexToRgb(hex) {
+    let digits = hex.slice(1);
+    if (digits.length === 3) digits = digits.split('').map(d => d + d).join('');
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).join(' ');
+}
+
+/**
+ * A theme color, with an optional /opacity modifier (sky-500/10 →
+ * rgb(14 165 233 / 0.1)). Opacity works on hex colors only.
+ */
+function color(value, theme) {
+    const match = /^(.+?)(?:\/(\d+|\[[\d.]+\]))?$/.exec(value);
+    const base = theme.colors[match[1]] || (/^\[#[0-9a-fA-F]{3,6}\]$/.test(match[1]) ? arbitrary(match[1]) : null);
+    if (!base || !match[2]) return base;
+    if (!/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(base)) return null;
+    const alpha = arbitrary(match[2]) || String(Number(match[2]) / 100);
+    return `rgb(${hexToRgb(base)} / ${alpha})`;
+}
+
+// Same color at zero opacity, where gradients fade to
+function transparentOf(value) {
+    const match = /^rgb\((\d+ \d+ \d+) \/ [\d.]+\)$/.exec(value);
+    if (match) return `rgb(${match[1]} / 0)`;
+    return /^#/.test(value) ? `rgb(${hexToRgb(value)} / 0)` : 'transparent';
+}
+
+function fontStack(families) {
+    return families.map(f => /\s/.test(f) && !/^["']/.test(f) ? `"${f}"` : f).join(', ');
+}
+
+// ─── Utilities ─────────────────────────────────────────────────────
+
+/*
+ * One entry per Tailwind core plugin the site uses, in Tailwind's plugin
+ * order (later entries win when two classes set the same property).
+ * `match` is an exact class name table or a regex; `css` returns the
+ * declarations as [property, value] pairs, or null if the value isn't valid.
+ * `children` targets the element's children (space-y-*).
+ */
+const UTILITIES = [
+    {
+        match: {
+            'sr-only': [['position', 'absolute'], ['width', '1px'], ['height', '1px'], ['padding', '0'], ['margin', '-1px'], ['overflow', 'hidden'], ['clip', 'rect(0, 0, 0, 0)'], ['white-space', 'nowrap'], ['border-width', '0']],
+            'not-sr-only': [['position', 'static'], ['width', 'auto'], ['height', 'auto'], ['padding', '0'], ['margin', '0'], ['overflow', 'visible'], ['clip', 'auto'], ['white-space', 'normal']]
+        }
+    },
+    { match: { 'pointer-events-none': [['pointer-events', 'none']], 'pointer-events-auto': [['pointer-events', 'auto']] } },
+    { match: { visible: [['visibility', 'visible']], invisible: [['visibility', 'hidden']] } },
+    { match: Object.fromEntries(['static', 'fixed', 'absolute', 'relative', 'sticky'].map(p => [p, [['position', p]]])) },
+    {
+        match: /^(-?)(inset|inset-x|inset-y|top|right|bottom|left)-(.+)$/,
+        css: ([, neg, side, value]) => {
+            const v = negate(value === 'auto' ? 'auto' : value === 'full' ? '100%' : spacing(value) || fraction(value), neg);
+            const props = { inset: ['inset'], 'inset-x': ['left', 'right'], 'inset-y': ['top', 'bottom'] }[side] || [side];
+            return v && props.map(p => [p, v]);
+        }
+    },
+    {
+        match: /^z-(.+)$/,
+        css: ([, value]) => {
+            const v = ['0', '10', '20', '30', '40', '50', 'auto'].includes(value) ? value : arbitrary(value);
+            return v && [['z-index', v]];
+        }
+    },
+    {
+        match: /^col-span-(\d+|full)$/,
+        css: ([, n]) => [['grid-column', n === 'full' ? '1 / -1' : `span ${n} / span ${n}`]]
+    },
+    { match: /^(-?)m-(.+)$/, css: ([, neg, value]) => margin('', value, neg) },
+    { match: /^(-?)m([xy])-(.+)$/, css: ([, neg, side, value]) => margin(side, value, neg) },
+    { match: /^(-?)m([trbl])-(.+)$/, css: ([, neg, side, value]) => margin(side, value, neg) },
+    {
+        match: /^line-clamp-(\d+|none)$/,
+        css: ([, n]) => n === 'none'
+            ? [['overflow', 'visible'], ['display', 'block'], ['-webkit-box-orient', 'horizontal'], ['-webkit-line-clamp', 'none']]
+            : [['overflow', 'hidden'], ['display', '-webkit-box'], ['-webkit-box-orient', 'vertical'], ['-webkit-line-clamp', n]]
+    },
+    {
+        match: {
+            ...Object.fromEntries(['block', 'inline-block', 'inline', 'flex', 'inline-flex', 'table', 'table-row', 'table-cell', 'grid', 'inline-grid', 'contents', 'list-item', 'flow-root'].map(d => [d, [['display', d]]])),
+            hidden: [['display', 'none']]
+        }
+    },
+    { match: /^h-(.+)$/, css: ([, value]) => { const v = size(value, 'y'); return v && [['height', v]]; } },
+    {
+        match: /^max-h-(.+)$/,
+        css: ([, value]) => {
+            const v = { none: 'none', full: '100%', screen: '100vh', min: 'min-content', max: 'max-content', fit: 'fit-content' }[value] || spacing(value);
+            return v && [['max-height', v]];
+        }
+    },
+    {
+        match: /^min-h-(.+)$/,
+        css: ([, value]) => {
+            const v = { 0: '0px', full: '100%', screen: '100vh', min: 'min-content', max: 'max-content', fit: 'fit-content' }[value] || arbitrary(value);
+            return v && [['min-height', v]];
+        }
+    },
+    { match: /^w-(.+)$/, css: ([, value]) => { const v = size(value, 'x'); return v && [['width', v]]; } },
+    {
+        match: /^min-w-(.+)$/,
+        css: ([, value]) => {
+            const v = { 0: '0px', full: '100%', min: 'min-content', max: 'max-content', fit: 'fit-content' }[value] || arbitrary(value);
+            return v && [['min-width', v]];
+        }
+    },
+    { match: /^max-w-(.+)$/, css: ([, value]) => { const v = MAX_WIDTHS[value] || arbitrary(value); return v && [['max-width', v]]; } },
+    { match: { 'flex-1': [['flex', '1 1 0%']], 'flex-auto': [['flex', '1 1 auto']], 'flex-initial': [['flex', '0 1 auto']], 'flex-none': [['flex', 'none']] } },
+    { match: { 'flex-shrink': [['flex-shrink', '1']], 'flex-shrink-0': [['flex-shrink', '0']], shrink: [['flex-shrink', '1']], 'shrink-0': [['flex-shrink', '0']] } },
+    { match: { 'flex-grow': [['flex-grow', '1']], 'flex-grow-0': [['flex-grow', '0']], grow: [['flex-grow', '1']], 'grow-0': [['flex-grow', '0']] } },
+    {
+        match: /^(-?)translate-([xy])-(.+)$/,
+        css: ([, neg, axis, value]) => {
+            const v = negate(value === 'full' ? '100%' : spacing(value) || fraction(value), neg);
+            return v && [[`--tw-translate-${axis}`, v], ['transform', TRANSFORM]];
+        }
+    },
+    {
+        match: /^(-?)rotate-(\d+)$/,
+        css: ([, neg, deg]) => [['--tw-rotate', `${neg}${deg}deg`], ['transform', TRANSFORM]]
+    },
+    {
+        match: /^scale-(\d+)$/,
+        css: ([, n]) => [['--tw-scale-x', String(Number(n) / 100)], ['--tw-scale-y', String(Number(n) / 100)], ['transform', TRANSFORM]]
+    },
+    { match: Object.fromEntries(['auto', 'default', 'pointer', 'wait', 'text', 'move', 'help', 'not-allowed'].map(c => [`cursor-${c}`, [['cursor', c]]])) },
+    { match: Object.fromEntries(['none', 'text', 'all', 'auto'].map(s => [`select-${s}`, [['user-select', s]]])) },
+    { match: { 'list-none': [['list-style-type', 'none']], 'list-disc': [['list-style-type', 'disc']], 'list-decimal': [['list-style-type', 'decimal']] } },
+    { match: { 'appearance-none': [['appearance', 'none']] } },
+    {
+        match: /^grid-cols-(\d+|none)$/,
+        css: ([, n]) => [['grid-template-columns', n === 'none' ? 'none' : `repeat(${n}, minmax(0, 1fr))`]]
+    },
+    {
+        match: {
+            'flex-row': [['flex-direction', 'row']], 'flex-row-reverse': [['flex-direction', 'row-reverse']],
+            'flex-col': [['flex-direction', 'column']], 'flex-col-reverse': [['flex-direction', 'column-reverse']]
+        }
+    },
+    { match: { 'flex-wrap': [['flex-wrap', 'wrap']], 'flex-wrap-reverse': [['flex-wrap', 'wrap-reverse']], 'flex-nowrap': [['flex-wrap', 'nowrap']] } },
+    { match: Object.fromEntries(['start', 'end', 'center', 'baseline', 'stretch'].map(a => [`items-${a}`, [['align-items', a === 'start' || a === 'end' ? `flex-${a}` : a]]])) },
+    {
+        match: Object.fromEntries(['start', 'end', 'center', 'between', 'around', 'evenly'].map(j => [`justify-${j}`, [['justify-content',
+            j === 'start' || j === 'end' ? `flex-${j}` : j === 'center' ? 'center' : `space-${j}`]]]))
+    },
+    {
+        match: /^gap-(?:([xy])-)?(.+)$/,
+        css: ([, axis, value]) => {
+            const v = spacing(value);
+            return v && [[axis === 'x' ? 'column-gap' : axis === 'y' ? 'row-gap' : 'gap', v]];
+        }
+    },
+    {
+        match: /^(-?)space-([xy])-(.+)$/,
+        children: true,
+        css: ([, neg, axis, value]) => {
+            const v = negate(spacing(value), neg);
+            if (!v) return null;
+            const [start, end] = axis === 'y' ? ['top', 'bottom'] : ['right', 'left'];
+            return [
+                [`--tw-space-${axis}-reverse`, '0'],
+                [`margin-${axis === 'y' ? start : end}`, `calc(${v} * calc(1 - var(--tw-space-${axis}-reverse)))`],
+                [`margin-${axis === 'y' ? end : start}`, `calc(${v} * var(--tw-space-${axis}-reverse))`]
+            ];
+        }
+    },
+    { match: Object.fromEntries(['auto', 'start', 'end', 'center', 'stretch', 'baseline'].map(s => [`self-${s}`, [['align-self', s === 'start' || s === 'end' ? `flex-${s}` : s]]])) },
+    {
+        match: /^overflow-(?:([xy])-)?(auto|hidden|clip|visible|scroll)$/,
+        css: ([, axis, value]) => [[axis ? `overflow-${axis}` : 'overflow', value]]
+    },
+    { match: { truncate: [['overflow', 'hidden'], ['text-overflow', 'ellipsis'], ['white-space', 'nowrap']] } },
+    { match: Object.fromEntries(['normal', 'nowrap', 'pre', 'pre-line', 'pre-wrap', 'break-spaces'].map(w => [`whitespace-${w}`, [['white-space', w]]])) },
+    { match: { 'break-normal': [['overflow-wrap', 'normal'], ['word-break', 'normal']], 'break-words': [['overflow-wrap', 'break-word']], 'break-all': [['word-break', 'break-all']] } },
+    {
+        match: /^rounded(?:-(t|r|b|l|tl|tr|br|bl))?(?:-(none|sm|md|lg|xl|2xl|3xl|full))?$/,
+        css: ([, corner = '', radius = '']) => CORNERS[corner].map(p => [p, RADII[radius]])
+    },
+    { match: /^border(?:-(\d+))?$/, css: ([, width]) => borderWidth('', width) },
+    { match: /^border-([xy])(?:-(\d+))?$/, css: ([, side, width]) => borderWidth(side, width) },
+    { match: /^border-([trbl])(?:-(\d+))?$/, css: ([, side, width]) => borderWidth(side, width) },
+    { match: Object.fromEntries(['solid', 'dashed', 'dotted', 'double', 'none'].map(s => [`border-${s}`, [['border-style', s]]])) },
+    { match: /^border-(.+)$/, css: ([, value], theme) => { const c = color(value, theme); return c && [['border-color', c]]; } },
+    { match: /^bg-(.+)$/, css: ([, value], theme) => { const c = color(value, theme); return c && [['background-color', c]]; } },
+    {
+        match: /^bg-(?:gradient-to-(t|tr|r|br|b|bl|l|tl)|none)$/,
+        css: ([, dir]) => [['background-image', dir ? `linear-gradient(${GRADIENT_DIRECTIONS[dir]}, var(--tw-gradient-stops))` : 'none']]
+    },
+    {
+        match: /^from-(.+)$/,
+        css: ([, value], theme) => {
+            const c = color(value, theme);
+            return c && [
+                ['--tw-gradient-from', `${c} var(--tw-gradient-from-position)`],
+                ['--tw-gradient-to', `${transparentOf(c)} var(--tw-gradient-to-position)`],
+                ['--tw-gradient-stops', 'var(--tw-gradient-from), var(--tw-gradient-to)']
+            ];
+        }
+    },
+    {
+        match: /^via-(.+)$/,
+        css: ([, value], theme) => {
+            const c = color(value, theme);
+            return c && [
+                ['--tw-gradient-to', `${transparentOf(c)} var(--tw-gradient-to-position)`],
+                ['--tw-gradient-stops', `var(--tw-gradient-from), ${c} var(--tw-gradient-via-position), var(--tw-gradient-to)`]
+            ];
+        }
+    },
+    { match: /^to-(.+)$/, css: ([, value], theme) => { const c = color(value, theme); return c && [['--tw-gradient-to', `${c} var(--tw-gradient-to-position)`]]; } },
+    { match: Object.fromEntries(['contain', 'cover', 'fill', 'none', 'scale-down'].map(o => [`object-${o}`, [['object-fit', o]]])) },
+    { match: /^p-(.+)$/, css: ([, value]) => padding('', value) },
+    { match: /^p([xy])-(.+)$/, css: ([, side, value]) => padding(side, value) },
+    { match: /^p([trbl])-(.+)$/, css: ([, side, value]) => padding(side, value) },
+    { match: Object.fromEntries(['left', 'center', 'right', 'justify', 'start', 'end'].map(a => [`text-${a}`, [['text-align', a]]])) },
+    { match: Object.fromEntries(['baseline', 'top', 'middle', 'bottom', 'text-top', 'text-bottom'].map(a => [`align-${a}`, [['vertical-align', a]]])) },
+    {
+        match: /^font-(.+)$/,
+        css: ([, name], theme) => {
+            const families = theme.fontFamily[name];
+            return families && [['font-family', fontStack(Array.isArray(families) ? families : [families])]];
+        }
+    },
+    {
+        match: /^text-(xs|sm|base|lg|xl|[2-9]xl)$/,
+        css: ([, name]) => [['font-size', FONT_SIZES[name][0]], ['line-height', FONT_SIZES[name][1]]]
+    },
+    { match: /^font-(.+)$/, css: ([, weight]) => FONT_WEIGHTS[weight] && [['font-weight', FONT_WEIGHTS[weight]]] },
+    {
+        match: {
+            uppercase: [['text-transform', 'uppercase']], lowercase: [['text-transform', 'lowercase']],
+            capitalize: [['text-transform', 'capitalize']], 'normal-case': [['text-transform', 'none']]
+        }
+    },
+    { match: { italic: [['font-style', 'italic']], 'not-italic': [['font-style', 'normal']] } },
+    { match: /^leading-(.+)$/, css: ([, value]) => { const v = LINE_HEIGHTS[value] || arbitrary(value); return v && [['line-height', v]]; } },
+    { match: /^tracking-(.+)$/, css: ([, value]) => { const v = LETTER_SPACING[value] || arbitrary(value); return v && [['letter-spacing', v]]; } },
+    { match: /^text-(.+)$/, css: ([, value], theme) => { const c = color(value, theme); return c && [['color', c]]; } },
+    {
+        match: {
+            underline: [['text-decoration-line', 'underline']], overline: [['text-decoration-line', 'overline']],
+            'line-through': [['text-decoration-line', 'line-through']], 'no-underline': [['text-decoration-line', 'none']]
+        }
+    },
+    { match: /^underline-offset-(auto|\d+)$/, css: ([, n]) => [['text-underline-offset', n === 'auto' ? 'auto' : `${n}px`]] },
+    {
+        match: {
+            antialiased: [['-webkit-font-smoothing', 'antialiased'], ['-moz-osx-font-smoothing', 'grayscale']],
+            'subpixel-antialiased': [['-webkit-font-smoothing', 'auto'], ['-moz-osx-font-smoothing', 'auto']]
+        }
+    },
+    { match: /^opacity-(\d+)$/, css: ([, n]) => Number(n) <= 100 && [['opacity', String(Number(n) / 100)]] },
+    {
+        match: /^shadow(?:-(sm|md|lg|xl|2xl|inner|none))?$/,
+        css: ([, name = '']) => [
+            ['--tw-shadow', SHADOWS[name]],
+            ['box-shadow', 'var(--tw-ring-offset-shadow, 0 0 #0000), var(--tw-ring-shadow, 0 0 #0000), var(--tw-shadow)']
+        ]
+    },
+    {
+        match: {
+            'outline-none': [['outline', '2px solid transparent'], ['outline-offset', '2px']],
+            outline: [['outline-style', 'solid']]
+        }
+    },
+    {
+        match: /^ring(?:-(\d+))?$/,
+        css: ([, width = '3']) => [
+            ['--tw-ring-offset-shadow', 'var(--tw-ring-inset) 0 0 0 var(--tw-ring-offset-width) var(--tw-ring-offset-color)'],
+            ['--tw-ring-shadow', `var(--tw-ring-inset) 0 0 0 calc(${width}px + var(--tw-ring-offset-width)) var(--tw-ring-color)`],
+            ['box-shadow', 'var(--tw-ring-offset-shadow), var(--tw-ring-shadow), var(--tw-shadow, 0 0 #0000)']
+        ]
+    },
+    { match: { 'ring-inset': [['--tw-ring-inset', 'inset']] } },
+    { match: /^ring-(.+)$/, css: ([, value], theme) => { const c = color(value, theme); return c && [['--tw-ring-color', c]]; } },
+    { match: /^ring-offset-(\d+)$/, css: ([, n]) => [['--tw-ring-offset-width', `${n}px`]] },
+    {
+        match: /^backdrop-blur(?:-(none|sm|md|lg|xl|2xl|3xl))?$/,
+        css: ([, name = '']) => {
+            const v = name === 'none' ? 'none' : `blur(${BLURS[name]})`;
+            return [['-webkit-backdrop-filter', v], ['backdrop-filter', v]];
+        }
+    },
+    {
+        match: /^transition(?:-(all|colors|opacity|shadow|transform))?$/,
+        css: ([, name = '']) => [['transition-property', TRANSITIONS[name]], ['transition-timing-function', EASE], ['transition-duration', '150ms']]
+    },
+    { match: { 'transition-none': [['transition-property', 'none']] } },
+    { match: /^duration-(\d+)$/, css: ([, ms]) => [['transition-duration', `${ms}ms`]] },
+    {
+        match: { 'ease-linear': [['transition-timing-function', 'linear']], 'ease-in': [['transition-timing-function', 'cubic-bezier(0.4, 0, 1, 1)']], 'ease-out': [['transition-timing-function', 'cubic-bezier(0, 0, 0.2, 1)']], 'ease-in-out': [['transition-timing-function', EASE]] }
+    }
+];
+
+function margin(side, value, negative) {
+    const v = negate(value === 'auto' ? 'auto' : spacing(value), negative);
+    return v && SIDES[side].map(suffix => [`margin${suffix}`, v]);
+}
+
+function padding(side, value) {
+    const v = spacing(value);
+    return v && SIDES[side].map(suffix => [`padding${suffix}`, v]);
+}
+
+function borderWidth(side, width = '1') {
+    if (!['0', '1', '2', '4', '8'].includes(width)) return null;
+    return SIDES[side].map(suffix => [`border${suffix}-width`, `${width}px`]);
+}
+
+/**
+ * Declarations for one utility (no variants), with its plugin position.
+ */
+function utility(name, theme) {
+    for (let i = 0; i < UTILITIES.length; i++) {
+        const { match, css, children } = UTILITIES[i];
+        let declarations = null;
+        if (match instanceof RegExp) {
+            const m = match.exec(name);
+            declarations = m && css(m, theme);
+        } else if (Object.prototype.hasOwnProperty.call(match, name)) {
+            declarations = match[name];
+        }
+        if (declarations) return { order: i, declarations, children: Boolean(children) };
+    }
+    return null;
+}
+
+// ─── Variants ──────────────────────────────────────────────────────
+
+// Classes Tailwind reads without a rule of their own (group-hover's parent)
+const MARKERS = ['group'];
+
+// In Tailwind's variant order; a class sorts by the variants it uses
+const VARIANTS = ['placeholder', 'hover', 'focus', 'focus-visible', 'active', 'group-hover', 'dark', ...Object.keys(SCREENS)];
+
+// Split "dark:hover:bg-sky-500/10" on colons outside [arbitrary values]
+function splitVariants(cls) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < cls.length; i++) {
+        if (cls[i] === '[') depth++;
+        else if (cls[i] === ']') depth--;
+        else if (cls[i] === ':' && depth === 0) {
+            parts.push(cls.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(cls.slice(start));
+    return { variants: parts.slice(0, -1), name: parts[parts.length - 1] };
+}
+
+function escapeClass(cls) {
+    return cls.replace(/[^a-zA-Z0-9_-]/g, ch => `\\${ch}`);
+}
+
+/**
+ * The rule for one class, or null if it isn't a (supported) utility.
+ */
+function compileClass(cls, theme) {
+    const { variants, name } = splitVariants(cls);
+    if (variants.some(v => !VARIANTS.includes(v)) || new Set(variants).size !== variants.length) return null;
+    if (variants.includes('dark') && theme.darkMode !== 'class') return null;
+
+    const base = utility(name, theme);
+    if (!base) return null;
+
+    const screens = variants.filter(v => SCREENS[v]);
+    if (screens.length > 1) return null;
+
+    let selector = `.${escapeClass(cls)}`;
+    if (variants.includes('hover')) selector += ':hover';
+    if (variants.includes('focus')) selector += ':focus';
+    if (variants.includes('focus-visible')) selector += ':focus-visible';
+    if (variants.includes('active')) selector += ':active';
+    if (variants.includes('group-hover')) selector = `.group:hover ${selector}`;
+    if (variants.includes('dark')) selector = `.dark ${selector}`;
+    if (base.children) selector += ' > :not([hidden]) ~ :not([hidden])';
+    if (variants.includes('placeholder')) selector += '::placeholder';
+
+    return {
+        selector,
+        body: base.declarations.map(([prop, value]) => `${prop}:${value}`).join(';'),
+        media: screens.length ? `(min-width:${SCREENS[screens[0]]})` : null,
+        sort: [variants.reduce((mask, v) => mask + 2 ** VARIANTS.indexOf(v), 0), base.order, cls]
+    };
+}
+
+// ─── Preflight ─────────────────────────────────────────────────────
+
+// Tailwind v3's base styles, minified, with the theme's fonts
+function preflight(theme) {
+    const sans = fontStack(theme.fontFamily.sans);
+    const mono = fontStack(theme.fontFamily.mono);
+    return [
+        `*,::before,::after{box-sizing:border-box;border-width:0;border-style:solid;border-color:${theme.colors['gray-200']}}`,
+        "::before,::after{--tw-content:''}",
+        `html,:host{line-height:1.5;-webkit-text-size-adjust:100%;-moz-tab-size:4;tab-size:4;font-family:${sans};font-feature-settings:normal;font-variation-settings:normal;-webkit-tap-highlight-color:transparent}`,
+        'body{margin:0;line-height:inherit}',
+        'hr{height:0;color:inherit;border-top-width:1px}',
+        'abbr:where([title]){-webkit-text-decoration:underline dotted;text-decoration:underline dotted}',
+        'h1,h2,h3,h4,h5,h6{font-size:inherit;font-weight:inherit}',
+        'a{color:inherit;text-decoration:inherit}',
+        'b,strong{font-weight:bolder}',
+        `code,kbd,samp,pre{font-family:${mono};font-feature-settings:normal;font-variation-settings:normal;font-size:1em}`,
+        'small{font-size:80%}',
+        'sub,sup{font-size:75%;line-height:0;position:relative;vertical-align:baseline}',
+        'sub{bottom:-0.25em}',
+        'sup{top:-0.5em}',
+        'table{text-indent:0;border-color:inherit;border-collapse:collapse}',
+        'button,input,optgroup,select,textarea{font-family:inherit;font-feature-settings:inherit;font-variation-settings:inherit;font-size:100%;font-weight:inherit;line-height:inherit;letter-spacing:inherit;color:inherit;margin:0;padding:0}',
+        'button,select{text-transform:none}',
+        "button,input:where([type='button']),input:where([type='reset']),input:where([type='submit']){-webkit-appearance:button;background-color:transparent;background-image:none}",
+        ':-moz-focusring{outline:auto}',
+        ':-moz-ui-invalid{box-shadow:none}',
+        'progress{vertical-align:baseline}',
+        '::-webkit-inner-spin-button,::-webkit-outer-spin-button{height:auto}',
+        "[type='search']{-webkit-appearance:textfield;outline-offset:-2px}",
+        '::-webkit-search-decoration{-webkit-appearance:none}',
+        '::-webkit-file-upload-button{-webkit-appearance:button;font:inherit}',
+        'summary{display:list-item}',
+        'blockquote,dl,dd,h1,h2,h3,h4,h5,h6,hr,figure,p,pre{margin:0}',
+        'fieldset{margin:0;padding:0}',
+        'legend{padding:0}',
+        'ol,ul,menu{list-style:none;margin:0;padding:0}',
+        'dialog{padding:0}',
+        'textarea{resize:vertical}',
+        `input::placeholder,textarea::placeholder{opacity:1;color:${theme.colors['gray-400']}}`,
+        'button,[role="button"]{cursor:pointer}',
+        ':disabled{cursor:default}',
+        'img,svg,video,canvas,audio,iframe,embed,object{display:block;vertical-align:middle}',
+        'img,video{max-width:100%;height:auto}',
+        '[hidden]:where(:not([hidden="until-found"])){display:none}',
+        // Defaults for the custom properties utilities compose
+        '*,::before,::after,::backdrop{--tw-translate-x:0;--tw-translate-y:0;--tw-rotate:0;--tw-skew-x:0;--tw-skew-y:0;--tw-scale-x:1;--tw-scale-y:1;' +
+            '--tw-gradient-from-position: ;--tw-gradient-via-position: ;--tw-gradient-to-position: ;' +
+            '--tw-ring-inset: ;--tw-ring-offset-width:0px;--tw-ring-offset-color:#fff;--tw-ring-color:rgb(59 130 246 / 0.5);' +
+            '--tw-ring-offset-shadow:0 0 #0000;--tw-ring-shadow:0 0 #0000;--tw-shadow:0 0 #0000}'
+    ].join('');
+}
+
+// ─── Public API ────────────────────────────────────────────────────
+
+/**
+ * Class names used in an HTML document: class attributes, plus string
+ * arguments to classList.add/remove/toggle in its scripts.
+ */
+function collectClasses(html, classes = new Set()) {
+    const add = list => list.split(/\s+/).filter(Boolean).forEach(c => classes.add(c));
+
+    for (const match of html.matchAll(/\sclass\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        add(match[1] !== undefined ? match[1] : match[2]);
+    }
+    for (const match of html.matchAll(/classList\.(?:add|remove|toggle|replace)\(([^)]*)\)/g)) {
+        for (const arg of match[1].matchAll(/'([^']*)'|"([^"]*)"/g)) add(arg[1] !== undefined ? arg[1] : arg[2]);
+    }
+    return classes;
+}
+
+/**
+ * Class names a stylesheet or script names as a selector: `.name` in CSS
+ * (type 'css'), or inside a string literal in JS (querySelector('.name'),
+ * closest()).
+ */
+function siteClasses(source, type, classes = new Set()) {
+    const add = text => {
+        for (const match of text.matchAll(/\.(-?[_a-zA-Z][\w-]*)/g)) classes.add(match[1]);
+    };
+    if (type === 'css') {
+        add(source.replace(/\/\*[\s\S]*?\*\//g, ''));
+    } else {
+        for (const match of source.matchAll(/(['"`])((?:(?!\1)[^\\\n]|\\.)*)\1/g)) add(match[2]);
+    }
+    return classes;
+}
+
+/**
+ * Compile `classes` (any iterable of class names) against `config`.
+ * Returns { css, utilities, unknown } — css is minified; utilities counts
+ * the classes compiled; unknown lists the classes that got no rule and
+ * aren't in `known` (the site's own classes, see siteClasses), sorted.
+ */
+function compileTailwind(classes, config, known = []) {
+    const theme = resolveTheme(config);
+    const rules = [];
+    const unknown = [];
+    const own = new Set([...MARKERS, ...known]);
+
+    for (const cls of new Set(classes)) {
+        const rule = compileClass(cls, theme);
+        if (rule) {
+            rules.push(rule);
+        } else if (!own.has(cls)) {
+            unknown.push(cls);
+        }
+    }
+
+    const compare = (a, b) => a.sort[0] - b.sort[0] || a.sort[1] - b.sort[1] || (a.sort[2] < b.sort[2] ? -1 : a.sort[2] > b.sort[2] ? 1 : 0);
+    rules.sort(compare);
+
+    // Consecutive rules for the same screen share one @media block
+    let css = preflight(theme);
+    for (let i = 0; i < rules.length;) {
+        const { media } = rules[i];
+        let block = '';
+        for (; i < rules.length && rules[i].media === media; i++) block += `${rules[i].selector}{${rules[i].body}}`;
+        css += media ? `@media ${media}{${block}}` : block;
+    }
+
+    return { css: css + '\n', utilities: rules.length, unknown: unknown.sort() };
+}
+
+module.exports = {
+    collectClasses,
+    siteClasses,
+    compileTailwind,
+    PALETTE
+};
@@ -0,0 +1,121 @@
+/**
+ * Creatinepedia site configuration — the one place the site's identity,
+ * clusters and paths are defined. Every script reads it through
+ * scripts/site-config.js, which validates it first.
+ *
+ * Adding a cluster: add an entry to `clusters` and create its directory.
+ * `color` is a Tailwind palette name; `pillar` is the cluster's summary
+ * article (a slug in the cluster directory), linked from every article.
+ */
+
+module.exports = {
+    url: 'https://creatinepedia.com',
+    name: 'Creatinepedia',
+    author: {
+        name: 'Scale With Search',
+        url: 'https://scalewithsearch.com'
+    },
+    logo: '/images/logo.webp',
+    defaultOgImage: '/images/og-default.webp',
+
+    // Relative to the repository root
+    paths: {
+        content: 'content',
+        dist: 'dist',
+        templates: 'templates',
+        cache: '.cache',
+        // Pages the pipeline writes (index pages); git-ignored
+        generated: 'generated',
+        references: 'references.json',
+        // Glossary terms and definitions (scripts/glossary.js)
+        glossary: 'glossary.json'
+    },
+
+    // Pages outside the clusters
+    sitemap: {
+        home: { priority: 1.0, changefreq: 'weekly' },
+        hub: { priority: 0.9, changefreq: 'weekly' },
+        default: { priority: 0.5, changefreq: 'monthly' }
+    },
+
+    // "Related entries" at the end of each article (scripts/related.js):
+    // the `count` most similar articles by text and shared sources.
+    // Overrides are keyed by "cluster/slug"; `pin` puts entries first, in
+    // order, and `exclude` keeps entries out, e.g.
+    //   'safety/creatine-and-kidneys': { pin: ['safety/creatine-and-creatinine-levels'], exclude: ['safety/creatine-myths-debunked'] }
+    related: {
+        count: 5,
+        overrides: {}
+    },
+
+    // Key terms linked to their entry on first mention (scripts/autolink.js).
+    // Terms are generated from article titles; `terms` adds or redirects
+    // terms (term → "cluster/slug"), `exclude` drops generated ones. A term
+    // listed in `terms` is linked before glossary terms are marked, so a
+    // glossary entry never takes its first mention
+    autolink: {
+        maxLinks: 8,
+        terms: {
+            'phosphocreatine': 'science/creatine-phosphocreatine-system',
+            'loading phase': 'dosing/creatine-loading-protocol',
+            'sarcopenia': 'science/creatine-and-aging',
+            'creatine HCl': 'quality/creatine-monohydrate-vs-hcl',
+            'micronized creatine': 'quality/creatine-monohydrate-vs-micronized',
+            'third-party tested': 'quality/third-party-testing-creatine',
+            'creatine timing': 'dosing/creatine-timing-before-or-after-workout',
+            'creatine cycling': 'dosing/creatine-cycling-on-and-off'
+        },
+        exclude: []
+    },
+
+    clusters: [
+        {
+            slug: 'science',
+            name: 'Science & Mechanisms',
+            description: 'How creatine works at the molecular level. ATP resynthesis, phosphocreatine, cell volumization, and more.',
+            color: 'sky',
+            pillar: { slug: 'creatine-mechanisms-summary', label: 'Complete Science Guide' },
+            sitemap: { priority: 0.8, changefreq: 'monthly' }
+        },
+        {
+            slug: 'dosing',
+            name: 'Dosing Protocols',
+            description: 'Evidence-based loading, maintenance, and timing protocols from peer-reviewed research.',
+            color: 'teal',
+            pillar: { slug: 'creatine-dosing-protocols-summary', label: 'Complete Dosing Guide' },
+            sitemap: { priority: 0.8, changefreq: 'monthly' }
+        },
+        {
+            slug: 'sports',
+            name: 'Sport Applications',
+            description: 'Sport-by-sport creatine application guides based on energy system demands.',
+            color: 'amber',
+            pillar: { slug: 'creatine-for-sport-summary', label: 'Every Sport Guide' },
+            sitemap: { priority: 0.7, changefreq: 'monthly' }
+        },
+        {
+            slug: 'safety',
+            name: 'Safety & Concerns',
+            description: 'Clinical evidence on kidneys, liver, hair, dehydration, and long-term safety.',
+            color: 'rose',
+            pillar: { slug: 'creatine-safety-complete-guide', label: 'Complete Safety Guide' },
+            sitemap: { priority: 0.8, changefreq: 'monthly' }
+        },
+        {
+            slug: 'comparisons',
+            name: 'Supplement Comparisons',
+            description: 'Head-to-head evidence: creatine vs protein, BCAAs, beta-alanine, and more.',
+            color: 'violet',
+            pillar: { slug: 'creatine-supplement-hierarchy', label: 'Supplement Hierarchy Guide' },
+            sitemap: { priority: 0.7, changefreq: 'monthly' }
+        },
+        {
+            slug: 'quality',
+            name: 'Product Quality',
+            description: 'Third-party testing, purity standards, and which forms actually work.',
+            color: 'emerald',
+            pillar: { slug: 'creatine-buying-guide', label: 'Complete Buying Guide' },
+            sitemap: { priority: 0.7, changefreq: 'monthly' }
+        }
+    ]
+};